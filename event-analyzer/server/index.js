@@ -9,6 +9,12 @@ const urlExtractionRoutes = require('./routes/urlExtraction');
 const whatsappFlyersRoutes = require('./routes/whatsappFlyers');
 const extractionJobsRoutes = require('./routes/extractionJobs');
 const imageStorageRoutes = require('./routes/imageStorage');
+const venuesRoutes = require('./routes/venues');
+const calendarRoutes = require('./routes/calendar');
+const organizersRoutes = require('./routes/organizers');
+const followsRoutes = require('./routes/follows');
+const feedRoutes = require('./routes/feed');
+const analysesRoutes = require('./routes/analyses');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -53,6 +59,12 @@ app.use('/api/events', urlExtractionRoutes);
 app.use('/api/extraction-jobs', extractionJobsRoutes);
 app.use('/api/whatsapp', whatsappFlyersRoutes);
 app.use('/api/storage', imageStorageRoutes);
+app.use('/api/venues', venuesRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/organizers', organizersRoutes);
+app.use('/api/follows', followsRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/analyses', analysesRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -65,13 +77,33 @@ app.get('/', (req, res) => {
       createEvent: 'POST /api/events',
       listEvents: 'GET /api/events',
       getEvent: 'GET /api/events/:id',
+      eventIcs: 'GET /api/events/:id/ics',
+      updateOccurrence: 'PATCH /api/events/:id/occurrences/:date',
       analyzeImage: 'POST /api/events/analyze-image',
+      listAnalyses: 'GET /api/analyses',
+      getAnalysis: 'GET /api/analyses/:id',
+      createEventsBatch: 'POST /api/events/batch',
+      importEvents: 'POST /api/events/import',
+      eventDuplicates: 'GET /api/events/:id/duplicates',
+      mergeEvents: 'POST /api/events/merge',
       analyzeUrl: 'POST /api/events/analyze-url',
       processExtractionJob: 'POST /api/extraction-jobs/process/:id',
       analyzeExtractionJob: 'POST /api/extraction-jobs/analyze/:id',
       uploadImageUrl: 'POST /api/storage/upload-image-url',
       uploadImageBase64: 'POST /api/storage/upload-image-base64',
-      migrateEventImages: 'POST /api/storage/migrate-event-images'
+      migrateEventImages: 'POST /api/storage/migrate-event-images',
+      getVenue: 'GET /api/venues/:id',
+      mergeVenues: 'POST /api/venues/merge',
+      getOrganizer: 'GET /api/organizers/:handle',
+      claimOrganizer: 'POST /api/organizers/:handle/claim',
+      approveOrganizerClaim: 'POST /api/organizers/:handle/claim/approve',
+      pendingOrganizerClaims: 'GET /api/organizers/pending-claims',
+      follow: 'POST /api/follows',
+      feed: 'GET /api/feed',
+      calendarFeed: 'GET /api/calendar/events.ics',
+      calendarFeeds: 'GET /api/calendar/feeds',
+      pendingFlyers: 'GET /api/whatsapp/flyers/pending',
+      analyzeFlyer: 'POST /api/whatsapp/flyers/:id/analyze'
     }
   });
 });
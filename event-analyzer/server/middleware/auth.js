@@ -0,0 +1,106 @@
+const jwt = require('jsonwebtoken');
+const { getSupabase } = require('../utils/supabase');
+
+/**
+ * Extract the bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Raw JWT or null if not present
+ */
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) {
+        return null;
+    }
+
+    return token.trim();
+}
+
+/**
+ * Verify a Supabase access token and return the authenticated user.
+ *
+ * When SUPABASE_JWT_SECRET is set the token is verified locally (HS256, audience
+ * "authenticated"). Otherwise it is validated against Supabase Auth.
+ *
+ * @param {string} token - Supabase access token
+ * @returns {Promise<Object>} { id, email, claims }
+ */
+async function verifyAccessToken(token) {
+    const jwtSecret = process.env.SUPABASE_JWT_SECRET;
+
+    if (jwtSecret) {
+        const claims = jwt.verify(token, jwtSecret, {
+            algorithms: ['HS256'],
+            audience: 'authenticated'
+        });
+
+        if (!claims.sub) {
+            throw new Error('Token has no subject');
+        }
+
+        return { id: claims.sub, email: claims.email || null, claims };
+    }
+
+    const supabase = getSupabase();
+    if (!supabase) {
+        throw new Error('Auth not configured (missing SUPABASE_JWT_SECRET and Supabase client)');
+    }
+
+    const { data, error } = await supabase.auth.getUser(token);
+    if (error || !data?.user) {
+        throw new Error(error?.message || 'Invalid token');
+    }
+
+    return { id: data.user.id, email: data.user.email || null, claims: data.user };
+}
+
+/**
+ * Require a valid Supabase access token.
+ * Sets req.user = { id, email, claims } or responds 401.
+ */
+async function requireAuth(req, res, next) {
+    const token = getBearerToken(req);
+
+    if (!token) {
+        return res.status(401).json({
+            success: false,
+            error: 'Authentication required'
+        });
+    }
+
+    try {
+        req.user = await verifyAccessToken(token);
+        next();
+    } catch (error) {
+        console.warn('[AUTH] ⚠️ Rejected token:', error.message);
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid or expired token'
+        });
+    }
+}
+
+/**
+ * Attach req.user when a valid token is sent, but never reject the request.
+ * Used on public routes that personalise their response for signed-in users.
+ */
+async function optionalAuth(req, res, next) {
+    const token = getBearerToken(req);
+
+    if (token) {
+        try {
+            req.user = await verifyAccessToken(token);
+        } catch (error) {
+            console.warn('[AUTH] ⚠️ Ignoring invalid token on public route:', error.message);
+        }
+    }
+
+    next();
+}
+
+module.exports = {
+    requireAuth,
+    optionalAuth,
+    verifyAccessToken
+};
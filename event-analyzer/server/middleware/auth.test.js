@@ -0,0 +1,122 @@
+const { describe, it, before, mock } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+
+// Tokens are verified locally, as with SUPABASE_JWT_SECRET in production
+process.env.SUPABASE_JWT_SECRET = 'test-jwt-secret';
+
+const { verifyAccessToken, requireAuth } = require('./auth');
+
+const USER_ID = '5b0c1f0e-7a3d-4c55-9d0e-2f1a7c9e8b11';
+
+function signToken(claims = {}, options = {}) {
+    return jwt.sign(
+        { sub: USER_ID, email: 'host@example.com', ...claims },
+        process.env.SUPABASE_JWT_SECRET,
+        { algorithm: 'HS256', audience: 'authenticated', expiresIn: '1h', ...options }
+    );
+}
+
+/**
+ * Run requireAuth with an Authorization header
+ * @returns {Promise<{ status: number|null, body: Object|null, user: Object|null, nextCalled: boolean }>}
+ */
+async function runRequireAuth(authorization) {
+    const req = { headers: authorization ? { authorization } : {} };
+    const result = { status: null, body: null, user: null, nextCalled: false };
+    const res = {
+        status(code) {
+            result.status = code;
+            return this;
+        },
+        json(body) {
+            result.body = body;
+            return this;
+        }
+    };
+
+    await requireAuth(req, res, () => {
+        result.nextCalled = true;
+    });
+
+    result.user = req.user || null;
+    return result;
+}
+
+describe('verifyAccessToken', () => {
+    it('returns the user of a valid token', async () => {
+        const user = await verifyAccessToken(signToken());
+
+        assert.strictEqual(user.id, USER_ID);
+        assert.strictEqual(user.email, 'host@example.com');
+        assert.strictEqual(user.claims.aud, 'authenticated');
+    });
+
+    it('rejects an expired token', async () => {
+        const token = signToken({}, { expiresIn: -60 });
+
+        await assert.rejects(verifyAccessToken(token), { name: 'TokenExpiredError' });
+    });
+
+    it('rejects a token for another audience', async () => {
+        await assert.rejects(verifyAccessToken(signToken({}, { audience: 'anon' })), /audience invalid/);
+    });
+
+    it('rejects a token signed with another secret', async () => {
+        const token = jwt.sign({ sub: USER_ID }, 'another-secret', { audience: 'authenticated' });
+
+        await assert.rejects(verifyAccessToken(token), /invalid signature/);
+    });
+
+    it('rejects a token without a subject', async () => {
+        const token = jwt.sign({ email: 'host@example.com' }, process.env.SUPABASE_JWT_SECRET, { audience: 'authenticated' });
+
+        await assert.rejects(verifyAccessToken(token), /no subject/);
+    });
+});
+
+describe('requireAuth', () => {
+    before(() => {
+        mock.method(console, 'warn', () => {});
+    });
+
+    it('sets req.user and calls next for a valid token', async () => {
+        const result = await runRequireAuth(`Bearer ${signToken()}`);
+
+        assert.strictEqual(result.nextCalled, true);
+        assert.strictEqual(result.status, null);
+        assert.strictEqual(result.user.id, USER_ID);
+    });
+
+    it('responds 401 without an Authorization header', async () => {
+        const result = await runRequireAuth(null);
+
+        assert.strictEqual(result.nextCalled, false);
+        assert.strictEqual(result.status, 401);
+        assert.deepStrictEqual(result.body, { success: false, error: 'Authentication required' });
+    });
+
+    it('responds 401 for a header that is not a bearer token', async () => {
+        const result = await runRequireAuth(`Basic ${Buffer.from('user:pass').toString('base64')}`);
+
+        assert.strictEqual(result.nextCalled, false);
+        assert.strictEqual(result.status, 401);
+    });
+
+    it('responds 401 for an expired token', async () => {
+        const token = signToken({}, { expiresIn: -60 });
+        const result = await runRequireAuth(`Bearer ${token}`);
+
+        assert.strictEqual(result.nextCalled, false);
+        assert.strictEqual(result.status, 401);
+        assert.strictEqual(result.body.error, 'Invalid or expired token');
+        assert.strictEqual(result.user, null);
+    });
+
+    it('responds 401 for a token with the wrong audience', async () => {
+        const result = await runRequireAuth(`Bearer ${signToken({}, { audience: 'anon' })}`);
+
+        assert.strictEqual(result.nextCalled, false);
+        assert.strictEqual(result.status, 401);
+    });
+});
@@ -0,0 +1,193 @@
+const { getSupabase } = require('../utils/supabase');
+
+/**
+ * Actions each role may perform. `profiles.role` comes from the invitation
+ * code's `user_type` (see POST /api/auth/register). Roles are matched
+ * case-insensitively; unknown or missing roles fall back to "beta".
+ */
+const BASE_PERMISSIONS = [
+    'events:create',
+    'events:register',
+    'events:analyze',
+    'flyers:submit'
+];
+
+const HOST_PERMISSIONS = [...BASE_PERMISSIONS, 'events:host', 'events:import'];
+
+const MODERATOR_PERMISSIONS = [
+    ...HOST_PERMISSIONS,
+    'events:manage_any',
+    'events:merge',
+    'flyers:review'
+];
+
+const ROLE_PERMISSIONS = {
+    beta: BASE_PERMISSIONS,
+    vip: HOST_PERMISSIONS,
+    host: HOST_PERMISSIONS,
+    moderator: MODERATOR_PERMISSIONS,
+    admin: ['*']
+};
+
+const DEFAULT_ROLE = 'beta';
+
+/**
+ * Normalize a profile role to a ROLE_PERMISSIONS key
+ * @param {string} role - Raw role from profiles.role
+ * @returns {string}
+ */
+function normalizeRole(role) {
+    const key = (role || '').toString().trim().toLowerCase();
+    return ROLE_PERMISSIONS[key] ? key : DEFAULT_ROLE;
+}
+
+/**
+ * Check whether a role is allowed to perform an action
+ * @param {string} role - Profile role
+ * @param {string} action - e.g. "flyers:review"
+ * @returns {boolean}
+ */
+function hasPermission(role, action) {
+    const allowed = ROLE_PERMISSIONS[normalizeRole(role)];
+    return allowed.includes('*') || allowed.includes(action);
+}
+
+/**
+ * Load the authenticated user's role once per request (cached on req.role).
+ * Must run after requireAuth.
+ * @returns {Promise<string>} Normalized role
+ */
+async function getUserRole(req) {
+    if (req.role) return req.role;
+
+    const { data: profile } = await getSupabase()
+        .from('profiles')
+        .select('role')
+        .eq('id', req.user.id)
+        .maybeSingle();
+
+    req.role = normalizeRole(profile?.role);
+    return req.role;
+}
+
+/**
+ * Whether the user may pick the mock vision provider or a fixture: anyone
+ * outside production, only admins in production. Must run after requireAuth.
+ * @returns {Promise<boolean>}
+ */
+async function canUseVisionFixtures(req) {
+    if (process.env.NODE_ENV !== 'production') return true;
+    return hasPermission(await getUserRole(req), '*');
+}
+
+/**
+ * Send the standard 403 response
+ */
+function forbidden(res, message) {
+    return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message
+    });
+}
+
+/**
+ * Whether the authenticated user may manage an event: its host, a role with
+ * events:manage_any (moderator, admin) or, for events without an owner
+ * (imported, analyzed), the user whose claim on its organizer was approved
+ * @param {Object} req - Express request (after requireAuth)
+ * @param {Object} event - Event row with user_id and organizer_handle
+ * @returns {Promise<boolean>}
+ */
+async function canManageEvent(req, event) {
+    if (event.user_id && event.user_id === req.user.id) return true;
+    if (hasPermission(await getUserRole(req), 'events:manage_any')) return true;
+
+    // A claim never reaches events another user created
+    if (event.user_id || !event.organizer_handle) return false;
+
+    const { data: organizer } = await getSupabase()
+        .from('organizers')
+        .select('claimed_by')
+        .eq('handle', event.organizer_handle)
+        .maybeSingle();
+
+    return !!organizer && organizer.claimed_by === req.user.id;
+}
+
+/**
+ * Middleware: require the authenticated user's role to allow an action
+ * @param {string} action - Permission name
+ */
+function requirePermission(action) {
+    return async (req, res, next) => {
+        try {
+            const role = await getUserRole(req);
+
+            if (!hasPermission(role, action)) {
+                console.warn(`[PERMISSIONS] ⛔ ${req.user.id} (${role}) denied ${action}`);
+                return forbidden(res, `Role "${role}" cannot perform ${action}`);
+            }
+
+            next();
+        } catch (error) {
+            console.error('[PERMISSIONS] ❌ Error:', error.message);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to check permissions',
+                message: error.message
+            });
+        }
+    };
+}
+
+/**
+ * Middleware: require the authenticated user to manage the event in
+ * req.params[param]. Loads the event into req.event.
+ * @param {string} param - Route parameter holding the event id
+ */
+function requireEventHost(param = 'eventId') {
+    return async (req, res, next) => {
+        try {
+            const { data: event, error } = await getSupabase()
+                .from('events')
+                .select('*')
+                .eq('id', req.params[param])
+                .maybeSingle();
+
+            if (error) throw error;
+
+            if (!event) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Event not found'
+                });
+            }
+
+            if (!(await canManageEvent(req, event))) {
+                return forbidden(res, 'Only the event host can perform this action');
+            }
+
+            req.event = event;
+            next();
+        } catch (error) {
+            console.error('[PERMISSIONS] ❌ Error:', error.message);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to check permissions',
+                message: error.message
+            });
+        }
+    };
+}
+
+module.exports = {
+    ROLE_PERMISSIONS,
+    hasPermission,
+    getUserRole,
+    canUseVisionFixtures,
+    canManageEvent,
+    requirePermission,
+    requireEventHost,
+    forbidden
+};
@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const { getSupabase, isConfigured } = require('../utils/supabase');
+const { requireAuth } = require('../middleware/auth');
+const { requirePermission, hasPermission, getUserRole } = require('../middleware/permissions');
+const { listAnalyses, getAnalysis } = require('../services/analysisCache');
+
+const MAX_LIMIT = 100;
+
+/**
+ * Whether the user sees every stored analysis, not only their own
+ */
+async function canSeeAll(req) {
+  return hasPermission(await getUserRole(req), 'events:manage_any');
+}
+
+/**
+ * GET /api/analyses
+ * Past image analyses (the analysis cache), newest first, without the full result.
+ * Query: limit (default 20, max 100), before (created_at of the last row, for
+ * the next page), q (event name), content_hash, prompt_version.
+ * Moderators see every analysis; other users only the ones they requested.
+ */
+router.get('/', requireAuth, requirePermission('events:analyze'), async (req, res) => {
+  try {
+    if (!isConfigured()) {
+      return res.status(503).json({ success: false, error: 'Database not configured' });
+    }
+
+    const limit = parseInt(req.query.limit || '20', 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res.status(400).json({ success: false, error: `limit must be between 1 and ${MAX_LIMIT}` });
+    }
+
+    const { before, q, content_hash, prompt_version } = req.query;
+    if (before && Number.isNaN(Date.parse(before))) {
+      return res.status(400).json({ success: false, error: 'before must be an ISO timestamp' });
+    }
+
+    const analyses = await listAnalyses(getSupabase(), {
+      limit,
+      before,
+      q: q?.trim() || null,
+      contentHash: content_hash,
+      promptVersion: prompt_version,
+      userId: await canSeeAll(req) ? null : req.user.id
+    });
+
+    return res.json({
+      success: true,
+      analyses,
+      next_before: analyses.length === limit ? analyses[analyses.length - 1].created_at : null
+    });
+  } catch (err) {
+    console.error('[ANALYSES] ❌ Error:', err.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to list analyses',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/analyses/:id
+ * One stored analysis with its full result and metadata
+ */
+router.get('/:id', requireAuth, requirePermission('events:analyze'), async (req, res) => {
+  try {
+    if (!isConfigured()) {
+      return res.status(503).json({ success: false, error: 'Database not configured' });
+    }
+
+    const analysis = await getAnalysis(getSupabase(), req.params.id);
+    if (!analysis || (analysis.requested_by !== req.user.id && !await canSeeAll(req))) {
+      return res.status(404).json({ success: false, error: 'Analysis not found' });
+    }
+
+    return res.json({ success: true, analysis });
+  } catch (err) {
+    console.error('[ANALYSES] ❌ Error:', err.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get analysis',
+      message: err.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { getSupabase } = require('../utils/supabase');
+const { requireAuth } = require('../middleware/auth');
 
 /**
  * POST /api/auth/validate-code
@@ -70,15 +71,18 @@ router.post('/validate-code', async (req, res) => {
 /**
  * POST /api/auth/register
  * Creates or updates user profile after Google OAuth
+ * The profile id always comes from the verified access token
  */
-router.post('/register', async (req, res) => {
+router.post('/register', requireAuth, async (req, res) => {
     try {
-        const { user_id, email, full_name, avatar_url, code } = req.body;
+        const { full_name, avatar_url, code } = req.body;
+        const user_id = req.user.id;
+        const email = req.user.email || req.body.email;
 
-        if (!user_id || !email) {
+        if (!email) {
             return res.status(400).json({
                 success: false,
-                error: 'user_id y email son requeridos'
+                error: 'email es requerido'
             });
         }
 
@@ -151,18 +155,11 @@ router.post('/register', async (req, res) => {
 
 /**
  * GET /api/auth/me
- * Get current user profile (requires user_id in query)
+ * Get the authenticated user's profile
  */
-router.get('/me', async (req, res) => {
+router.get('/me', requireAuth, async (req, res) => {
     try {
-        const { user_id } = req.query;
-
-        if (!user_id) {
-            return res.status(400).json({
-                success: false,
-                error: 'user_id requerido'
-            });
-        }
+        const user_id = req.user.id;
 
         const { data: profile, error } = await getSupabase()
             .from('profiles')
@@ -0,0 +1,285 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { getSupabase, isConfigured } = require('../utils/supabase');
+const { requireAuth } = require('../middleware/auth');
+const { buildUpcomingFilter } = require('../services/eventQuery');
+const { getClaimedHandles, buildManagedEventsFilter } = require('../services/organizers');
+const { getOccurrenceOverrides, overridesForEvent, resolveOccurrence } = require('../services/occurrences');
+const { buildEventComponents, buildOccurrenceComponent, buildCalendar } = require('../services/icalendar');
+
+/**
+ * Subscribable iCalendar feeds. Calendar apps can't send an Authorization
+ * header, so personal feeds (saved / hosted events) are addressed by
+ * `profiles.calendar_token`, a secret the user can rotate.
+ */
+
+// Ended events stay in feeds this long so subscribed calendars keep recent history
+const FEED_PAST_DAYS = 30;
+
+const MAX_FEED_EVENTS = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Events still in a feed's window (not ended more than FEED_PAST_DAYS ago).
+ * Cancelled events are kept so subscribers see STATUS:CANCELLED.
+ */
+function feedEventsQuery(supabase, now = new Date()) {
+  return supabase
+    .from('events')
+    .select('*')
+    .or('deleted_at.is.null,status.eq.cancelled')
+    .not('date', 'is', null)
+    .or(buildUpcomingFilter(new Date(now.getTime() - FEED_PAST_DAYS * DAY_MS)))
+    .order('date', { ascending: true })
+    .limit(MAX_FEED_EVENTS);
+}
+
+/**
+ * VEVENT lines for a list of events with their occurrence overrides
+ */
+async function buildComponents(supabase, events) {
+  const overrides = await getOccurrenceOverrides(supabase, events.map((e) => e.id));
+  return events.flatMap((event) => buildEventComponents(event, overridesForEvent(overrides, event.id)));
+}
+
+/**
+ * Send a feed. Token feeds (saved, hosted) are personal: `private` keeps
+ * shared caches from storing them and serving them after feeds/rotate.
+ */
+function sendCalendar(res, calendar, { personal = false } = {}) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Cache-Control', `${personal ? 'private' : 'public'}, max-age=900`);
+  return res.send(calendar);
+}
+
+/**
+ * Profile for a feed token, or null
+ */
+async function findTokenOwner(supabase, token) {
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('id, full_name')
+    .eq('calendar_token', token)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+function feedUrls(req, token) {
+  const base = `${req.protocol}://${req.get('host')}/api/calendar`;
+  return {
+    events: `${base}/events.ics`,
+    saved: `${base}/saved/${token}.ics`,
+    hosted: `${base}/hosted/${token}.ics`
+  };
+}
+
+/**
+ * GET /api/calendar/events.ics?category=
+ * Public feed of upcoming events, optionally one category
+ */
+router.get('/events.ics', async (req, res) => {
+  try {
+    if (!isConfigured()) {
+      return res.status(503).json({ success: false, error: 'Database not configured' });
+    }
+
+    const { category } = req.query;
+    const supabase = getSupabase();
+
+    let query = feedEventsQuery(supabase);
+    if (category && category !== 'all') query = query.eq('category', category);
+
+    const { data: events, error } = await query;
+    if (error) throw error;
+
+    const name = category && category !== 'all' ? `WoW · ${category}` : 'WoW · Eventos';
+    return sendCalendar(res, buildCalendar(name, await buildComponents(supabase, events || [])));
+  } catch (err) {
+    console.error('[CALENDAR] ❌ Error:', err.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to build calendar feed',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/calendar/saved/:token.ics
+ * Feed of the events a user saved. Saved occurrences of a recurring event
+ * are exported as standalone events; whole-series saves keep the recurrence.
+ */
+router.get('/saved/:token.ics', async (req, res) => {
+  try {
+    if (!isConfigured()) {
+      return res.status(503).json({ success: false, error: 'Database not configured' });
+    }
+
+    const supabase = getSupabase();
+
+    const owner = await findTokenOwner(supabase, req.params.token);
+    if (!owner) {
+      return res.status(404).json({ success: false, error: 'Calendar not found' });
+    }
+
+    const { data: saves, error: savesError } = await supabase
+      .from('saved_events')
+      .select('event_id, occurrence_date')
+      .eq('user_id', owner.id)
+      .limit(MAX_FEED_EVENTS);
+
+    if (savesError) throw savesError;
+
+    const eventIds = [...new Set((saves || []).map((s) => s.event_id))];
+    let events = [];
+
+    if (eventIds.length) {
+      const { data, error } = await feedEventsQuery(supabase).in('id', eventIds);
+      if (error) throw error;
+      events = data || [];
+    }
+
+    const overrides = await getOccurrenceOverrides(supabase, events.map((e) => e.id));
+
+    const components = events.flatMap((event) => {
+      const eventSaves = (saves || []).filter((s) => s.event_id === event.id);
+      const eventOverrides = overridesForEvent(overrides, event.id);
+
+      if (eventSaves.some((s) => !s.occurrence_date)) {
+        return buildEventComponents(event, eventOverrides);
+      }
+
+      return eventSaves.flatMap(({ occurrence_date: date }) => buildOccurrenceComponent(
+        event,
+        resolveOccurrence(event, date, eventOverrides.find((o) => o.occurrence_date === date))
+      ));
+    });
+
+    return sendCalendar(res, buildCalendar('WoW · Mis eventos', components), { personal: true });
+  } catch (err) {
+    console.error('[CALENDAR] ❌ Error:', err.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to build calendar feed',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/calendar/hosted/:token.ics
+ * Feed of the events a host created plus the ownerless events under the organizers they claimed
+ */
+router.get('/hosted/:token.ics', async (req, res) => {
+  try {
+    if (!isConfigured()) {
+      return res.status(503).json({ success: false, error: 'Database not configured' });
+    }
+
+    const supabase = getSupabase();
+
+    const owner = await findTokenOwner(supabase, req.params.token);
+    if (!owner) {
+      return res.status(404).json({ success: false, error: 'Calendar not found' });
+    }
+
+    const handles = await getClaimedHandles(supabase, owner.id);
+
+    const { data: events, error } = await feedEventsQuery(supabase).or(buildManagedEventsFilter(owner.id, handles));
+    if (error) throw error;
+
+    const name = owner.full_name ? `WoW · ${owner.full_name}` : 'WoW · Eventos organizados';
+    return sendCalendar(res, buildCalendar(name, await buildComponents(supabase, events || [])), { personal: true });
+  } catch (err) {
+    console.error('[CALENDAR] ❌ Error:', err.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to build calendar feed',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/calendar/feeds
+ * The authenticated user's feed URLs (creates the calendar token on first use)
+ */
+router.get('/feeds', requireAuth, async (req, res) => {
+  try {
+    if (!isConfigured()) {
+      return res.status(503).json({ success: false, error: 'Database not configured' });
+    }
+
+    const supabase = getSupabase();
+
+    const { data: profile, error } = await supabase
+      .from('profiles')
+      .select('calendar_token')
+      .eq('id', req.user.id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!profile) {
+      return res.status(404).json({ success: false, error: 'Profile not found' });
+    }
+
+    let token = profile.calendar_token;
+    if (!token) {
+      token = crypto.randomBytes(24).toString('base64url');
+      const { error: updateError } = await supabase
+        .from('profiles')
+        .update({ calendar_token: token })
+        .eq('id', req.user.id);
+
+      if (updateError) throw updateError;
+    }
+
+    return res.json({ success: true, feeds: feedUrls(req, token) });
+  } catch (err) {
+    console.error('[CALENDAR] ❌ Error:', err.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch calendar feeds',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * POST /api/calendar/feeds/rotate
+ * Replace the calendar token; existing subscriptions to the personal feeds stop working
+ */
+router.post('/feeds/rotate', requireAuth, async (req, res) => {
+  try {
+    if (!isConfigured()) {
+      return res.status(503).json({ success: false, error: 'Database not configured' });
+    }
+
+    const token = crypto.randomBytes(24).toString('base64url');
+
+    const { error } = await getSupabase()
+      .from('profiles')
+      .update({ calendar_token: token })
+      .eq('id', req.user.id);
+
+    if (error) throw error;
+
+    console.log(`[CALENDAR] 🔑 Token rotated for ${req.user.id}`);
+
+    return res.json({ success: true, feeds: feedUrls(req, token) });
+  } catch (err) {
+    console.error('[CALENDAR] ❌ Error:', err.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to rotate calendar token',
+      message: err.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const TOKEN = 'feed-token-1';
+const USER_ID = 'a1b2c3d4-0000-4000-8000-000000000030';
+
+/**
+ * Supabase stand-in: eq() and in() filter `tables`, every other filter is
+ * accepted as is (the feed window is not under test here)
+ */
+function createSupabaseStub(tables) {
+  function from(table) {
+    const query = { filters: [], single: false };
+
+    const builder = new Proxy({}, {
+      get(_, method) {
+        if (method === 'then') {
+          const rows = (tables[table] || []).filter((row) =>
+            query.filters.every(([column, values]) => values.includes(row[column])));
+          const result = { data: query.single ? rows[0] || null : rows, error: null };
+          return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+        }
+        return (...args) => {
+          if (method === 'eq') query.filters.push([args[0], [args[1]]]);
+          if (method === 'in') query.filters.push([args[0], args[1]]);
+          if (method === 'maybeSingle' || method === 'single') query.single = true;
+          return builder;
+        };
+      }
+    });
+
+    return builder;
+  }
+
+  return { from };
+}
+
+const event = { id: 'event-1', title: 'Noche de jazz', date: '2099-01-15', time: '21:00', user_id: USER_ID };
+
+const supabase = createSupabaseStub({
+  profiles: [{ id: USER_ID, full_name: 'Ana', calendar_token: TOKEN }],
+  events: [event],
+  saved_events: [{ event_id: 'event-1', user_id: USER_ID, occurrence_date: null }],
+  organizers: [],
+  event_occurrences: []
+});
+
+require.cache[require.resolve('../utils/supabase')] = {
+  loaded: true,
+  exports: { getSupabase: () => supabase, isConfigured: () => true }
+};
+
+const calendarRoutes = require('./calendar');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+
+  const app = express();
+  app.use('/api/calendar', calendarRoutes);
+
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/calendar`;
+});
+
+after(() => {
+  server.close();
+  mock.restoreAll();
+});
+
+describe('calendar feed caching', () => {
+  it('lets shared caches store the public feed', async () => {
+    const response = await fetch(`${baseUrl}/events.ics`);
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('cache-control'), 'public, max-age=900');
+  });
+
+  for (const feed of ['saved', 'hosted']) {
+    it(`keeps the ${feed} token feed out of shared caches`, async () => {
+      const response = await fetch(`${baseUrl}/${feed}/${TOKEN}.ics`);
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.headers.get('cache-control'), 'private, max-age=900');
+      assert.match(await response.text(), /SUMMARY:Noche de jazz/);
+    });
+  }
+});
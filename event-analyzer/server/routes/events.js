@@ -1,12 +1,134 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const { getSupabase, isConfigured } = require('../utils/supabase');
+const { requireAuth } = require('../middleware/auth');
+const {
+    hasPermission, getUserRole, canManageEvent, requirePermission, requireEventHost, forbidden
+} = require('../middleware/permissions');
+const { normalizeEventFields, getEventSchedule, withRecurringDates, validateEventData } = require('../services/eventData');
+const { parseListParams, listEvents, listOccurrences } = require('../services/eventQuery');
+const { normalizeSearchQuery, searchEvents } = require('../services/eventSearch');
+const { parseNearbyPoint, findNearbyEvents } = require('../services/eventNearby');
+const { resolveEventCoordinates } = require('../services/geocoder');
+const { matchOrCreateVenue } = require('../services/venues');
+const { normalizeOrganizerHandle, ensureOrganizer, getClaimedHandles, buildManagedEventsFilter } = require('../services/organizers');
+const { recommendEvents } = require('../services/recommendations');
+const { DEFAULT_TIMEZONE, isValidTimezone, getTodayStr, addDays } = require('../services/eventTime');
+const {
+    OCCURRENCE_WINDOW_DAYS, expandOccurrences, getOccurrence, getOccurrenceOverrides, resolveOccurrenceDate,
+    filterByOccurrence, normalizeOccurrenceUpdate, saveOccurrenceOverride, countActiveRegistrations
+} = require('../services/occurrences');
+const { buildEventComponents, buildCalendar, calendarFilename } = require('../services/icalendar');
+const {
+    MAX_IMPORT_ROWS, MAX_IMPORT_BYTES, fetchImportSource, parseImport, loadMatchCandidates, buildImportPreview, summarizePreview
+} = require('../services/eventImport');
+const { DUPLICATE_THRESHOLD, findDuplicates, mergeEvents } = require('../services/duplicates');
+const { hashImageSource } = require('../services/imageHash');
+
+/**
+ * Venue id for an event's location. Venue matching failures never block event writes.
+ */
+async function resolveVenueId(supabase, event) {
+    try {
+        const venue = await matchOrCreateVenue(supabase, event);
+        return venue ? venue.id : null;
+    } catch (error) {
+        console.warn(`[EVENTS] ⚠️ Could not match venue for "${event.location}":`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Organizer handle for an event's organizer text, creating the organizer
+ * profile if needed. Profile failures never block event writes.
+ */
+async function resolveOrganizerHandle(supabase, organizer) {
+    try {
+        return await ensureOrganizer(supabase, organizer);
+    } catch (error) {
+        console.warn(`[EVENTS] ⚠️ Could not create organizer for "${organizer}":`, error.message);
+        return normalizeOrganizerHandle(organizer);
+    }
+}
+
+/**
+ * Perceptual hash of an event image for duplicate detection. Hashing failures
+ * never block event writes.
+ */
+async function resolveImageHash(image) {
+    try {
+        return await hashImageSource(image);
+    } catch (error) {
+        console.warn('[EVENTS] ⚠️ Could not hash event image:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Likely duplicates of a newly created event, returned to the client so it
+ * can offer a merge. Detection failures never block event writes.
+ */
+async function detectDuplicates(supabase, event) {
+    try {
+        return await findDuplicates(supabase, event);
+    } catch (error) {
+        console.warn(`[EVENTS] ⚠️ Duplicate check failed for ${event.id}:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Validate an event from a request body and fill coordinates, venue,
+ * organizer and image hash. Shared by single and batch creation.
+ * @returns {Promise<{ eventData?: Object, error?: string }>}
+ */
+async function prepareNewEvent(supabase, body, user_id) {
+    const eventData = { ...normalizeEventFields(body), user_id };
+    Object.assign(eventData, getEventSchedule(eventData));
+
+    const validationError = validateEventData(eventData);
+    if (validationError) {
+        return { error: validationError };
+    }
+
+    Object.assign(eventData, await resolveEventCoordinates(eventData));
+
+    if (!eventData.venue_id) {
+        eventData.venue_id = await resolveVenueId(supabase, eventData);
+    }
+
+    eventData.organizer_handle = await resolveOrganizerHandle(supabase, eventData.organizer);
+
+    if (eventData.image) {
+        eventData.image_hash = await resolveImageHash(eventData.image);
+    }
+
+    return { eventData };
+}
+
+const MAX_BATCH_EVENTS = 20;
+
+/**
+ * Optional `min_score` (0-1) for duplicate checks
+ * @returns {{ value?: number, error?: string }}
+ */
+function parseMinScore(value) {
+    if (value === undefined || value === null || value === '') return { value: DUPLICATE_THRESHOLD };
+    const score = Number(value);
+    if (!Number.isFinite(score) || score < 0 || score > 1) {
+        return { error: 'min_score must be a number between 0 and 1' };
+    }
+    return { value: score };
+}
 
 /**
  * POST /api/events
  * Create a new event
+ * Sending `user_id` marks the event as hosted; the host is always the authenticated user
+ * `duplicates` lists existing events it likely repeats (see POST /api/events/merge)
  */
-router.post('/', async (req, res) => {
+router.post('/', requireAuth, requirePermission('events:create'), async (req, res) => {
     try {
         if (!isConfigured()) {
             return res.status(503).json({
@@ -15,54 +137,21 @@ router.post('/', async (req, res) => {
             });
         }
 
-        const {
-            title, description, category, image, date, time, end_time, location, organizer, user_id,
-            price, registration_form_url, reservation_contact, bank_account_number, bank_name,
-            requires_attendance_check, is_recurring, recurring_dates, target_audience
-        } = req.body;
-
-        if (!title || !title.trim()) {
-            return res.status(400).json({
-                success: false,
-                error: 'Title is required'
-            });
-        }
+        const user_id = req.body.user_id ? req.user.id : null;
 
-        // Validar que si hay precio, debe haber información bancaria
-        // Validar que si hay precio, debe haber información bancaria
-        // SOLO si el evento es creado por un usuario específico (host event)
-        if (price && price > 0 && user_id) {
-            if (!bank_account_number || !bank_name) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Bank account information is required for paid events hosted by users'
-                });
-            }
+        if (user_id && !hasPermission(await getUserRole(req), 'events:host')) {
+            return forbidden(res, 'Your role cannot host events');
         }
 
         const supabase = getSupabase();
+        const { eventData, error: validationError } = await prepareNewEvent(supabase, req.body, user_id);
 
-        const eventData = {
-            title: title.trim(),
-            description: description?.trim() || null,
-            category: category || 'general',
-            image: image || null,
-            date: date || null,
-            time: time || null,
-            end_time: end_time || null,
-            location: location?.trim() || null,
-            organizer: organizer?.trim() || null,
-            user_id: user_id || null,
-            price: price || null,
-            registration_form_url: registration_form_url?.trim() || null,
-            reservation_contact: reservation_contact?.trim() || null,
-            bank_account_number: bank_account_number?.trim() || null,
-            bank_name: bank_name?.trim() || null,
-            requires_attendance_check: requires_attendance_check || false,
-            is_recurring: is_recurring || false,
-            recurring_dates: recurring_dates || null,
-            target_audience: target_audience || null
-        };
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
 
         console.log('[EVENTS] Creating event:', eventData.title);
 
@@ -81,7 +170,8 @@ router.post('/', async (req, res) => {
 
         res.status(201).json({
             success: true,
-            event: data
+            event: withRecurringDates(data),
+            duplicates: await detectDuplicates(supabase, data)
         });
 
     } catch (error) {
@@ -95,11 +185,14 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * GET /api/events
- * List all events with optional category filter
- * Only shows events that haven't passed yet (future events or events without date)
+ * POST /api/events/batch
+ * Create every event of a multi-event flyer in one call
+ * Body: { image, events: [event fields...], user_id? }
+ * All events share the flyer `image` and a generated `source_group_id`.
+ * Nothing is inserted if any event is invalid.
+ * `duplicates` maps event ids to the existing events they likely repeat.
  */
-router.get('/', async (req, res) => {
+router.post('/batch', requireAuth, requirePermission('events:create'), async (req, res) => {
     try {
         if (!isConfigured()) {
             return res.status(503).json({
@@ -108,84 +201,1155 @@ router.get('/', async (req, res) => {
             });
         }
 
-        const { category } = req.query;
-        const supabase = getSupabase();
+        const { image, events } = req.body;
 
-        // Get today's date in YYYY-MM-DD format (Guatemala timezone UTC-6)
-        const today = new Date();
-        today.setHours(today.getHours() - 6); // Adjust for Guatemala timezone
-        const todayStr = today.toISOString().split('T')[0];
+        if (!Array.isArray(events) || events.length === 0 || events.length > MAX_BATCH_EVENTS) {
+            return res.status(400).json({
+                success: false,
+                error: `events must be an array of 1 to ${MAX_BATCH_EVENTS} events`
+            });
+        }
 
-        let query = supabase
-            .from('events')
-            .select('*')
-            .order('created_at', { ascending: false });
+        const user_id = req.body.user_id ? req.user.id : null;
+
+        if (user_id && !hasPermission(await getUserRole(req), 'events:host')) {
+            return forbidden(res, 'Your role cannot host events');
+        }
+
+        const supabase = getSupabase();
+        const source_group_id = crypto.randomUUID();
+        const rows = [];
+        const errors = [];
+
+        for (const [index, event] of events.entries()) {
+            const { eventData, error } = await prepareNewEvent(supabase, {
+                ...event,
+                image: image || event.image
+            }, user_id);
+
+            if (error) errors.push({ index, error });
+            else rows.push({ ...eventData, source_group_id });
+        }
 
-        if (category && category !== 'all') {
-            query = query.eq('category', category);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Some events are invalid',
+                errors
+            });
         }
 
-        const { data, error } = await query;
+        console.log(`[EVENTS] Creating ${rows.length} events from one flyer (group ${source_group_id})`);
+
+        const { data, error } = await supabase
+            .from('events')
+            .insert(rows)
+            .select();
 
         if (error) {
-            console.error('[EVENTS] ❌ Query error:', error.message);
+            console.error('[EVENTS] ❌ Batch insert error:', error.message);
             throw error;
         }
 
-        // Helper function to get the effective expiration date for an event
-        // For recurring events, use the LAST date (latest) from all dates
-        const getEffectiveExpirationDate = (event) => {
-            if (!event.date) return null;
+        console.log(`[EVENTS] ✅ ${data.length} events created`);
+
+        const duplicates = {};
+        for (const event of data) {
+            const matches = await detectDuplicates(supabase, event);
+            if (matches.length > 0) duplicates[event.id] = matches;
+        }
+
+        res.status(201).json({
+            success: true,
+            source_group_id,
+            events: data.map((event) => withRecurringDates(event)),
+            duplicates
+        });
+
+    } catch (error) {
+        console.error('[EVENTS] ❌ Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create events',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/events/import
+ * Import events from an iCalendar, CSV or JSON agenda
+ * Body: { url | content | content_base64, format?, filename?, mapping?, timezone?,
+ *         category?, source?, user_id?, dry_run? }
+ * - url: feed to download (http, https or webcal)
+ * - format: ics | csv | json (detected from the filename or content if omitted)
+ * - mapping: { event field: column } for CSV / JSON columns that aren't recognized
+ * - timezone: for dates without one (default America/Guatemala)
+ * - category: used when a row has no category of its own
+ * - source: name of the agenda, so re-imports update the events they created
+ *   instead of duplicating them (defaults to the url)
+ * - dry_run (default true): only return the preview, write nothing
+ * The preview has one action per row: create, update, unchanged, duplicate,
+ * skipped or invalid. Created events share a generated `source_group_id`.
+ */
+router.post('/import', requireAuth, requirePermission('events:import'), async (req, res) => {
+    try {
+        if (!isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                error: 'Database not configured'
+            });
+        }
+
+        const { url, content, content_base64, format, filename, mapping, category } = req.body;
+        const dryRun = req.body.dry_run !== false && req.body.dry_run !== 'false';
+        const timezone = req.body.timezone || DEFAULT_TIMEZONE;
+
+        if (!isValidTimezone(timezone)) {
+            return res.status(400).json({
+                success: false,
+                error: 'timezone must be an IANA timezone such as America/Guatemala'
+            });
+        }
+
+        if (mapping !== undefined && (!mapping || typeof mapping !== 'object' || Array.isArray(mapping))) {
+            return res.status(400).json({
+                success: false,
+                error: 'mapping must be an object of { event field: column }'
+            });
+        }
+
+        let source;
+
+        if (url) {
+            if (!/^(https?|webcal):\/\//i.test(url)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'url must be an http, https or webcal URL'
+                });
+            }
+
+            try {
+                source = await fetchImportSource(url);
+            } catch (error) {
+                if (error.code === 'ENOTPUBLIC') {
+                    console.warn(`[EVENTS] ⛔ Import feed blocked ${url}:`, error.message);
+                    return res.status(400).json({
+                        success: false,
+                        error: 'url must point to a public address',
+                        message: error.message
+                    });
+                }
+
+                console.warn(`[EVENTS] ⚠️ Could not download import feed ${url}:`, error.message);
+                return res.status(502).json({
+                    success: false,
+                    error: 'Could not download the feed',
+                    message: error.message
+                });
+            }
+        } else if (content || content_base64) {
+            source = { text: content || Buffer.from(content_base64, 'base64').toString('utf8') };
 
-            // If not recurring or no recurring_dates, use main date
-            if (!event.is_recurring || !event.recurring_dates || event.recurring_dates.length === 0) {
-                return event.date;
+            if (Buffer.byteLength(source.text) > MAX_IMPORT_BYTES) {
+                return res.status(400).json({
+                    success: false,
+                    error: `The file is larger than ${MAX_IMPORT_BYTES / 1024 / 1024} MB`
+                });
             }
+        } else {
+            return res.status(400).json({
+                success: false,
+                error: 'url, content or content_base64 is required'
+            });
+        }
+
+        const parsed = parseImport({ ...source, format, filename }, { mapping, timezone });
+
+        if (parsed.error) {
+            return res.status(400).json({
+                success: false,
+                error: parsed.error
+            });
+        }
+
+        if (parsed.rows.length === 0 || parsed.rows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({
+                success: false,
+                error: parsed.rows.length === 0
+                    ? 'No events found'
+                    : `Imports are limited to ${MAX_IMPORT_ROWS} events (found ${parsed.rows.length})`
+            });
+        }
+
+        const user_id = req.body.user_id ? req.user.id : null;
+        const importSource = req.body.source || url || null;
+        const supabase = getSupabase();
+
+        const candidates = await loadMatchCandidates(supabase, parsed.rows, importSource);
+        const rows = buildImportPreview(parsed.rows, candidates, {
+            importSource,
+            userId: user_id,
+            defaults: { category }
+        });
 
-            // Combine main date with recurring dates and find the latest
-            const allDates = [event.date, ...event.recurring_dates];
+        // Re-imports only update events the user could edit by hand
+        for (const row of rows.filter((r) => r.action === 'update' || r.action === 'unchanged')) {
+            row.existing = candidates.find((c) => c.id === row.match.id);
 
-            // Sort dates and get the last one (latest)
-            const sortedDates = allDates
-                .filter(d => d) // Remove nulls
-                .sort((a, b) => a.localeCompare(b));
+            if (!(await canManageEvent(req, row.existing))) {
+                Object.assign(row, { action: 'skipped', reason: 'Matches an event you cannot edit' });
+            }
+        }
 
-            return sortedDates[sortedDates.length - 1] || event.date;
+        const result = {
+            dry_run: dryRun,
+            format: parsed.format,
+            source: importSource,
+            columns: parsed.columns,
+            unmapped: parsed.unmapped
         };
 
-        // Filter out past events on the backend
-        // Keep events that:
-        // 1. Have no date (date is null)
-        // 2. Have an effective expiration date >= today
-        //    (for recurring events, this is the LAST date)
-        const filteredData = data.filter(event => {
-            const expirationDate = getEffectiveExpirationDate(event);
-            if (!expirationDate) return true; // Keep events without date
-            return expirationDate >= todayStr; // Keep if last date hasn't passed
-        });
+        if (dryRun) {
+            rows.forEach((row) => delete row.existing);
+            console.log(`[EVENTS] 🔍 Import preview (${parsed.format}, ${rows.length} rows)`);
+            return res.json({ success: true, ...result, summary: summarizePreview(rows), rows });
+        }
+
+        const source_group_id = crypto.randomUUID();
+        const created = [];
+
+        for (const row of rows.filter((r) => r.action === 'create')) {
+            const { import_source, external_id, ...fields } = row.event;
+            const { eventData, error } = await prepareNewEvent(supabase, fields, user_id);
+
+            if (error) Object.assign(row, { action: 'invalid', errors: [error] });
+            else created.push({ row, eventData: { ...eventData, source_group_id, import_source, external_id } });
+        }
+
+        if (created.length > 0) {
+            const { data, error } = await supabase
+                .from('events')
+                .insert(created.map((c) => c.eventData))
+                .select();
+
+            if (error) {
+                console.error('[EVENTS] ❌ Import insert error:', error.message);
+                throw error;
+            }
+
+            data.forEach((event, i) => { created[i].row.event = event; });
+        }
+
+        for (const row of rows.filter((r) => r.action === 'update')) {
+            const { existing } = row;
+            const updates = Object.fromEntries(row.changes.map((field) => [field, row.event[field]]));
+
+            if (['date', 'rrule', 'rdates', 'exdates', 'time', 'end_time', 'timezone'].some((key) => key in updates)) {
+                Object.assign(updates, getEventSchedule({ ...existing, ...updates }));
+            }
+
+            if ('location' in updates) {
+                Object.assign(
+                    updates,
+                    { latitude: null, longitude: null, location_name: null },
+                    await resolveEventCoordinates({ location: updates.location })
+                );
+            }
+
+            if ('organizer' in updates) {
+                updates.organizer_handle = await resolveOrganizerHandle(supabase, updates.organizer);
+            }
+
+            updates.sequence = (existing.sequence || 0) + 1;
+            updates.updated_at = new Date().toISOString();
+
+            const { data, error } = await supabase
+                .from('events')
+                .update(updates)
+                .eq('id', existing.id)
+                .select()
+                .single();
+
+            if (error) {
+                console.error('[EVENTS] ❌ Import update error:', error.message);
+                throw error;
+            }
+
+            row.event = data;
+        }
+
+        rows.forEach((row) => delete row.existing);
+        const summary = summarizePreview(rows);
+
+        console.log(`[EVENTS] ✅ Import ${source_group_id}: ${summary.create} created, ${summary.update} updated`);
+
+        res.status(201).json({
+            success: true,
+            ...result,
+            source_group_id,
+            summary,
+            rows
+        });
+
+    } catch (error) {
+        console.error('[EVENTS] ❌ Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to import events',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/events/duplicates
+ * Check an event for duplicates before creating it
+ * Body: event fields (title, date, rrule, rdates, location, organizer, image...), min_score?
+ * Returns the existing events it likely repeats, each with a 0-1 `score` and
+ * the `signals` compared (image, title, date, venue, organizer)
+ */
+router.post('/duplicates', requireAuth, requirePermission('events:create'), async (req, res) => {
+    try {
+        if (!isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                error: 'Database not configured'
+            });
+        }
+
+        const { value: threshold, error: scoreError } = parseMinScore(req.body.min_score);
+        const event = normalizeEventFields(req.body);
+        const validationError = scoreError || validateEventData(event);
+
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
+
+        if (event.organizer) event.organizer_handle = normalizeOrganizerHandle(event.organizer);
+        if (event.image) event.image_hash = await resolveImageHash(event.image);
+
+        const duplicates = await findDuplicates(getSupabase(), event, { threshold });
+
+        res.json({
+            success: true,
+            image_hash: event.image_hash || null,
+            duplicates
+        });
+
+    } catch (error) {
+        console.error('[EVENTS] ❌ Duplicate check error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to check duplicates',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/events/merge
+ * Merge duplicate events into one (moderators)
+ * Body: { target_id, source_ids: [] }
+ * The target keeps its own values and fills empty fields from the sources
+ * (the longest description wins, tags are combined). Saves, registrations and
+ * attendance move to the target; a user who had both keeps one. The sources
+ * are cancelled with `merged_into: target_id`.
+ */
+router.post('/merge', requireAuth, requirePermission('events:merge'), async (req, res) => {
+    try {
+        if (!isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                error: 'Database not configured'
+            });
+        }
+
+        const { target_id, source_ids } = req.body;
+
+        if (!target_id || !Array.isArray(source_ids) || source_ids.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'target_id and source_ids[] are required'
+            });
+        }
+
+        if (source_ids.includes(target_id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'target_id cannot be one of source_ids'
+            });
+        }
+
+        const supabase = getSupabase();
+
+        const { data: events, error } = await supabase
+            .from('events')
+            .select('*')
+            .in('id', [target_id, ...source_ids]);
+
+        if (error) {
+            throw error;
+        }
+
+        const target = events.find((e) => e.id === target_id);
+        const sources = events.filter((e) => e.id !== target_id);
+
+        if (!target || sources.length !== new Set(source_ids).size) {
+            return res.status(404).json({
+                success: false,
+                error: 'Event not found'
+            });
+        }
+
+        if ([target, ...sources].some((e) => e.merged_into)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Cannot merge an event that was already merged'
+            });
+        }
+
+        if (target.deleted_at) {
+            return res.status(409).json({
+                success: false,
+                error: 'Cannot merge into a cancelled event'
+            });
+        }
+
+        const { event, moved } = await mergeEvents(supabase, target, sources);
+
+        console.log(`[EVENTS] 🔀 Merged ${source_ids.join(', ')} into ${target_id}`);
+
+        res.json({
+            success: true,
+            event: withRecurringDates(event),
+            merged: source_ids,
+            moved
+        });
+
+    } catch (error) {
+        console.error('[EVENTS] ❌ Merge error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to merge events',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/events
+ * List upcoming events with filters, sorting and cursor pagination
+ *
+ * Query params:
+ * - sort: newest (default) | soonest | popular
+ * - limit (default 50, max 100), cursor (next_cursor from the previous page)
+ * - category, subcategory (comma list), tags (comma list, all must match)
+ * - mood, vibe, time_of_day (event_features)
+ * - price: free | paid, organizer (partial match)
+ * - source_group_id: events created together from one multi-event flyer
+ * - from, to (YYYY-MM-DD): events with a date inside the range
+ * - include_past=true to keep events whose last date has passed
+ * - expand=occurrences: list upcoming occurrences (one per date of each series,
+ *   soonest first, `from`..`to` defaulting to the next 90 days) instead of events
+ */
+router.get('/', async (req, res) => {
+    try {
+        if (!isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                error: 'Database not configured'
+            });
+        }
+
+        const { params, error: paramsError } = parseListParams(req.query);
+        if (paramsError) {
+            return res.status(400).json({
+                success: false,
+                error: paramsError
+            });
+        }
+
+        if (params.expand === 'occurrences') {
+            const { occurrences, total, nextCursor } = await listOccurrences(getSupabase(), params);
+
+            console.log(`[EVENTS] Listed ${occurrences.length}/${total} occurrences`);
+
+            return res.json({
+                success: true,
+                occurrences,
+                total,
+                next_cursor: nextCursor
+            });
+        }
+
+        const { events, total, nextCursor } = await listEvents(getSupabase(), params);
+
+        console.log(`[EVENTS] Listed ${events.length}/${total} events (sort=${params.sort})`);
+
+        res.json({
+            success: true,
+            events: events.map((event) => withRecurringDates(event)),
+            total,
+            next_cursor: nextCursor
+        });
+
+    } catch (error) {
+        console.error('[EVENTS] ❌ Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch events',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/events/search?q=
+ * Full-text search over title, description, location, organizer and extracted_text.
+ * Accent-insensitive ("sábado" = "sabado"), tolerant to typos, ranked by relevance.
+ * Accepts the same filters as GET /api/events (future-only by default, category, tags...)
+ * plus limit (default 20) and offset.
+ */
+router.get('/search', async (req, res) => {
+    try {
+        if (!isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                error: 'Database not configured'
+            });
+        }
+
+        const { query, error: queryError } = normalizeSearchQuery(req.query.q);
+        if (queryError) {
+            return res.status(400).json({
+                success: false,
+                error: queryError
+            });
+        }
+
+        const { params, error: paramsError } = parseListParams({ ...req.query, limit: req.query.limit || '20' });
+        if (paramsError) {
+            return res.status(400).json({
+                success: false,
+                error: paramsError
+            });
+        }
+
+        const offset = parseInt(req.query.offset, 10) || 0;
+        if (offset < 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'offset must be a positive number'
+            });
+        }
+
+        const { events, total } = await searchEvents(getSupabase(), query, params, {
+            limit: params.limit,
+            offset
+        });
+
+        console.log(`[EVENTS] Search "${query}": ${total} results`);
+
+        res.json({
+            success: true,
+            query,
+            events: events.map((event) => withRecurringDates(event)),
+            total,
+            next_offset: offset + events.length < total ? offset + events.length : null
+        });
+
+    } catch (error) {
+        console.error('[EVENTS] ❌ Search error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to search events',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/events/nearby?lat=&lng=&radius_km=
+ * Upcoming events within radius_km (default 10, max 100) sorted by distance.
+ * Accepts the same filters as GET /api/events plus limit (default 50) and
+ * offset; there is no cursor.
+ */
+router.get('/nearby', async (req, res) => {
+    try {
+        if (!isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                error: 'Database not configured'
+            });
+        }
+
+        const { point, error: pointError } = parseNearbyPoint(req.query);
+        if (pointError) {
+            return res.status(400).json({
+                success: false,
+                error: pointError
+            });
+        }
+
+        if (req.query.cursor) {
+            return res.status(400).json({
+                success: false,
+                error: 'cursor is not supported by nearby; use offset'
+            });
+        }
+
+        const { params, error: paramsError } = parseListParams(req.query);
+        if (paramsError) {
+            return res.status(400).json({
+                success: false,
+                error: paramsError
+            });
+        }
+
+        const offset = parseInt(req.query.offset, 10) || 0;
+        if (offset < 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'offset must be a positive number'
+            });
+        }
+
+        const { events, total } = await findNearbyEvents(getSupabase(), point, params, {
+            limit: params.limit,
+            offset
+        });
+
+        res.json({
+            success: true,
+            events: events.map((event) => withRecurringDates(event)),
+            total,
+            next_offset: offset + events.length < total ? offset + events.length : null
+        });
+
+    } catch (error) {
+        console.error('[EVENTS] ❌ Nearby error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch nearby events',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/events/recommended
+ * Upcoming events similar to what the authenticated user saved, registered for
+ * and attended (event_features, tags, category, subcategory). Already saved
+ * events are excluded. Each event has recommendation_score and a Spanish
+ * recommendation_reason. Accepts the GET /api/events filters and limit (default 20).
+ */
+router.get('/recommended', requireAuth, async (req, res) => {
+    try {
+        if (!isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                error: 'Database not configured'
+            });
+        }
+
+        const { params, error: paramsError } = parseListParams({ ...req.query, limit: req.query.limit || '20' });
+        if (paramsError) {
+            return res.status(400).json({
+                success: false,
+                error: paramsError
+            });
+        }
+
+        const { events, historySize } = await recommendEvents(getSupabase(), req.user.id, params);
+
+        console.log(`[EVENTS] ${events.length} recommendations for ${req.user.id} (history: ${historySize} events)`);
+
+        res.json({
+            success: true,
+            events: events.map((event) => withRecurringDates(event)),
+            history_size: historySize
+        });
+
+    } catch (error) {
+        console.error('[EVENTS] ❌ Recommendations error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch recommendations',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/events/hosted
+ * List events hosted by the authenticated user with attendee counts,
+ * including the ownerless events imported under organizers the user has claimed
+ * The legacy /hosted/:userId form must match the token (moderators/admins may pass any id)
+ */
+router.get(['/hosted', '/hosted/:userId'], requireAuth, async (req, res) => {
+    try {
+        if (!isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                error: 'Database not configured'
+            });
+        }
+
+        const userId = req.params.userId || req.user.id;
+
+        if (userId !== req.user.id && !hasPermission(await getUserRole(req), 'events:manage_any')) {
+            return forbidden(res, 'You can only list your own hosted events');
+        }
+
+        const supabase = getSupabase();
+
+        const handles = await getClaimedHandles(supabase, userId);
+
+        // Get events where user_id matches or the ownerless events of organizers claimed by the user
+        const { data: events, error } = await supabase
+            .from('events')
+            .select('*')
+            .or(buildManagedEventsFilter(userId, handles))
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            throw error;
+        }
+
+        // For each event, get the attendee count from saved_events
+        const eventsWithAttendees = await Promise.all(
+            events.map(async (event) => {
+                const { count } = await supabase
+                    .from('saved_events')
+                    .select('*', { count: 'exact', head: true })
+                    .eq('event_id', event.id);
+
+                return { ...withRecurringDates(event), attendee_count: count || 0 };
+            })
+        );
+
+        res.json({ success: true, events: eventsWithAttendees });
+
+    } catch (error) {
+        console.error('[EVENTS] ❌ Hosted events error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch hosted events'
+        });
+    }
+});
+
+/**
+ * GET /api/events/:eventId/attendees
+ * List users who saved a specific event
+ */
+router.get('/:eventId/attendees', requireAuth, requireEventHost('eventId'), async (req, res) => {
+    try {
+        if (!isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                error: 'Database not configured'
+            });
+        }
+
+        const { eventId } = req.params;
+        const supabase = getSupabase();
+
+        // First, get all saved_events for this event
+        const { data: savedEvents, error: savedError } = await supabase
+            .from('saved_events')
+            .select('id, saved_at, user_id')
+            .eq('event_id', eventId)
+            .order('saved_at', { ascending: false });
+
+        if (savedError) {
+            console.error('[EVENTS] ❌ Saved events query error:', savedError.message);
+            throw savedError;
+        }
+
+        // If no saved events, return empty array
+        if (!savedEvents || savedEvents.length === 0) {
+            return res.json({ success: true, attendees: [] });
+        }
+
+        // Get user IDs
+        const userIds = savedEvents.map(se => se.user_id);
+
+        // Fetch profiles for these users
+        const { data: profiles, error: profilesError } = await supabase
+            .from('profiles')
+            .select('id, full_name, email, avatar_url')
+            .in('id', userIds);
+
+        if (profilesError) {
+            console.error('[EVENTS] ❌ Profiles query error:', profilesError.message);
+            throw profilesError;
+        }
+
+        // Combine the data
+        const attendees = savedEvents.map(savedEvent => {
+            const profile = profiles?.find(p => p.id === savedEvent.user_id);
+            return {
+                id: savedEvent.id,
+                saved_at: savedEvent.saved_at,
+                profiles: profile || null
+            };
+        });
+
+        res.json({ success: true, attendees });
+
+    } catch (error) {
+        console.error('[EVENTS] ❌ Attendees error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch attendees',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/events/:id/duplicates?min_score=
+ * Existing events this one likely repeats, with a 0-1 `score` and the signals
+ * compared (host, moderators). Merge them with POST /api/events/merge.
+ */
+router.get('/:id/duplicates', requireAuth, requireEventHost('id'), async (req, res) => {
+    try {
+        if (!isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                error: 'Database not configured'
+            });
+        }
+
+        const { value: threshold, error: scoreError } = parseMinScore(req.query.min_score);
+
+        if (scoreError) {
+            return res.status(400).json({
+                success: false,
+                error: scoreError
+            });
+        }
+
+        const duplicates = await findDuplicates(getSupabase(), req.event, { threshold });
+
+        res.json({
+            success: true,
+            duplicates
+        });
+
+    } catch (error) {
+        console.error('[EVENTS] ❌ Duplicate check error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to check duplicates',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/events/:id/ics
+ * Download an event as an iCalendar file (Google / Apple / Outlook Calendar).
+ * Recurring events keep their recurrence; cancelled events are exported with
+ * STATUS:CANCELLED so a previous import gets updated.
+ */
+router.get('/:id/ics', async (req, res) => {
+    try {
+        if (!isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                error: 'Database not configured'
+            });
+        }
+
+        const { id } = req.params;
+        const supabase = getSupabase();
+
+        const { data: event, error } = await supabase
+            .from('events')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle();
+
+        if (error) throw error;
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                error: 'Event not found'
+            });
+        }
+
+        if (!event.date) {
+            return res.status(422).json({
+                success: false,
+                error: 'Event has no date to export'
+            });
+        }
+
+        const overrides = await getOccurrenceOverrides(supabase, [event.id]);
+        const calendar = buildCalendar(event.title, buildEventComponents(event, [...overrides.values()]));
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${calendarFilename(event)}"`);
+        res.send(calendar);
+
+    } catch (error) {
+        console.error('[EVENTS] ❌ ICS export error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to export event',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/events/:id
+ * Get single event by ID, with its occurrences between `from` and `to`
+ * (YYYY-MM-DD; default: today to 90 days later). Each occurrence carries its
+ * own status, time and capacity (see PATCH /api/events/:eventId/occurrences/:date).
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        if (!isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                error: 'Database not configured'
+            });
+        }
+
+        const { id } = req.params;
+        const { from, to } = req.query;
+        const supabase = getSupabase();
+
+        for (const [key, value] of [['from', from], ['to', to]]) {
+            if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `${key} must be a date in YYYY-MM-DD format`
+                });
+            }
+        }
+
+        const { data, error } = await supabase
+            .from('events')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Event not found'
+                });
+            }
+            throw error;
+        }
+
+        const windowStart = from || getTodayStr(data.timezone || DEFAULT_TIMEZONE);
+        const windowEnd = to || addDays(windowStart, OCCURRENCE_WINDOW_DAYS);
+
+        res.json({
+            success: true,
+            event: withRecurringDates(data),
+            occurrences: await expandOccurrences(supabase, [data], { from: windowStart, to: windowEnd })
+        });
+
+    } catch (error) {
+        console.error('[EVENTS] ❌ Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch event',
+            message: error.message
+        });
+    }
+});
+
+
+
+/**
+ * PATCH /api/events/:id
+ * Update an event (host only). Accepts any subset of the POST /api/events fields;
+ * the merged result is validated with the same rules as creation.
+ */
+router.patch('/:id', requireAuth, requireEventHost('id'), async (req, res) => {
+    try {
+        if (!isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                error: 'Database not configured'
+            });
+        }
+
+        const { id } = req.params;
+
+        if (req.event.status === 'cancelled') {
+            return res.status(409).json({
+                success: false,
+                error: 'Cancelled events cannot be edited'
+            });
+        }
+
+        const updates = normalizeEventFields(req.body, { partial: true });
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No fields to update'
+            });
+        }
+
+        const merged = { ...req.event, ...updates };
+
+        const validationError = validateEventData(merged);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
+
+        if (['date', 'rrule', 'rdates', 'exdates', 'time', 'end_time', 'timezone'].some((key) => key in updates)) {
+            Object.assign(updates, getEventSchedule(merged));
+        }
+
+        // New location text without explicit coordinates: re-geocode
+        if ('location' in updates && !('latitude' in updates) && !('longitude' in updates)) {
+            Object.assign(
+                updates,
+                { latitude: null, longitude: null, location_name: null },
+                await resolveEventCoordinates({ location: updates.location })
+            );
+
+            if (!('venue_id' in updates)) {
+                updates.venue_id = await resolveVenueId(getSupabase(), { ...merged, ...updates });
+            }
+        }
+
+        if ('organizer' in updates) {
+            updates.organizer_handle = await resolveOrganizerHandle(getSupabase(), updates.organizer);
+        }
+
+        if ('image' in updates) {
+            updates.image_hash = updates.image ? await resolveImageHash(updates.image) : null;
+        }
+
+        // iCalendar SEQUENCE: subscribed calendars replace their copy
+        updates.sequence = (req.event.sequence || 0) + 1;
+        updates.updated_at = new Date().toISOString();
+
+        const { data, error } = await getSupabase()
+            .from('events')
+            .update(updates)
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('[EVENTS] ❌ Update error:', error.message);
+            throw error;
+        }
+
+        console.log(`[EVENTS] ✅ Event updated: ${id} (${Object.keys(updates).join(', ')})`);
+
+        res.json({
+            success: true,
+            event: withRecurringDates(data)
+        });
+
+    } catch (error) {
+        console.error('[EVENTS] ❌ Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update event',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/events/:id
+ * Cancel an event (host only). The row is soft-deleted: it disappears from
+ * GET /api/events, but saved_events and event_registrations are kept and
+ * GET /api/events/:id still returns it with status "cancelled".
+ */
+router.delete('/:id', requireAuth, requireEventHost('id'), async (req, res) => {
+    try {
+        if (!isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                error: 'Database not configured'
+            });
+        }
+
+        const { id } = req.params;
+        const { reason } = req.body || {};
+
+        if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'reason must be a string'
+            });
+        }
+
+        if (req.event.status === 'cancelled') {
+            return res.json({
+                success: true,
+                event: withRecurringDates(req.event)
+            });
+        }
+
+        const now = new Date().toISOString();
+
+        const { data, error } = await getSupabase()
+            .from('events')
+            .update({
+                status: 'cancelled',
+                cancelled_at: now,
+                cancellation_reason: reason?.trim() || null,
+                deleted_at: now,
+                sequence: (req.event.sequence || 0) + 1,
+                updated_at: now
+            })
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('[EVENTS] ❌ Cancel error:', error.message);
+            throw error;
+        }
 
-        console.log(`[EVENTS] Filtered ${data.length - filteredData.length} past events (using recurring dates for expiration)`);
+        console.log('[EVENTS] ✅ Event cancelled:', id);
 
         res.json({
             success: true,
-            events: filteredData
+            event: withRecurringDates(data)
         });
 
     } catch (error) {
         console.error('[EVENTS] ❌ Error:', error.message);
         res.status(500).json({
             success: false,
-            error: 'Failed to fetch events',
+            error: 'Failed to cancel event',
             message: error.message
         });
     }
 });
 
+
 /**
- * GET /api/events/hosted/:userId
- * List events hosted by a specific user with attendee counts
+ * GET /api/events/:eventId/occurrences/:date
+ * One occurrence of an event with its status, time, capacity and spots taken
  */
-router.get('/hosted/:userId', async (req, res) => {
+router.get('/:eventId/occurrences/:date', async (req, res) => {
     try {
         if (!isConfigured()) {
             return res.status(503).json({
@@ -194,48 +1358,53 @@ router.get('/hosted/:userId', async (req, res) => {
             });
         }
 
-        const { userId } = req.params;
+        const { eventId, date } = req.params;
         const supabase = getSupabase();
 
-        // Get events where user_id matches
-        const { data: events, error } = await supabase
+        const { data: event, error } = await supabase
             .from('events')
             .select('*')
-            .eq('user_id', userId)
-            .order('created_at', { ascending: false });
+            .eq('id', eventId)
+            .maybeSingle();
 
-        if (error) {
-            throw error;
-        }
+        if (error) throw error;
 
-        // For each event, get the attendee count from saved_events
-        const eventsWithAttendees = await Promise.all(
-            events.map(async (event) => {
-                const { count } = await supabase
-                    .from('saved_events')
-                    .select('*', { count: 'exact', head: true })
-                    .eq('event_id', event.id);
+        const occurrence = event && await getOccurrence(supabase, event, date);
+        if (!occurrence) {
+            return res.status(404).json({
+                success: false,
+                error: 'Occurrence not found'
+            });
+        }
 
-                return { ...event, attendee_count: count || 0 };
-            })
-        );
+        const { date: occurrenceDate } = resolveOccurrenceDate(event, date);
+        const registered = await countActiveRegistrations(supabase, eventId, occurrenceDate);
 
-        res.json({ success: true, events: eventsWithAttendees });
+        res.json({
+            success: true,
+            occurrence: {
+                ...occurrence,
+                registered_count: registered,
+                spots_left: occurrence.capacity ? Math.max(occurrence.capacity - registered, 0) : null
+            }
+        });
 
     } catch (error) {
-        console.error('[EVENTS] ❌ Hosted events error:', error.message);
+        console.error('[EVENTS] ❌ Error:', error.message);
         res.status(500).json({
             success: false,
-            error: 'Failed to fetch hosted events'
+            error: 'Failed to fetch occurrence',
+            message: error.message
         });
     }
 });
 
 /**
- * GET /api/events/:eventId/attendees
- * List users who saved a specific event
+ * PATCH /api/events/:eventId/occurrences/:date
+ * Change one occurrence (host only): time, end_time, capacity
+ * (null goes back to the event's value) or status "scheduled" to undo a cancellation
  */
-router.get('/:eventId/attendees', async (req, res) => {
+router.patch('/:eventId/occurrences/:date', requireAuth, requireEventHost('eventId'), async (req, res) => {
     try {
         if (!isConfigured()) {
             return res.status(503).json({
@@ -244,67 +1413,53 @@ router.get('/:eventId/attendees', async (req, res) => {
             });
         }
 
-        const { eventId } = req.params;
+        const { date } = req.params;
         const supabase = getSupabase();
 
-        // First, get all saved_events for this event
-        const { data: savedEvents, error: savedError } = await supabase
-            .from('saved_events')
-            .select('id, saved_at, user_id')
-            .eq('event_id', eventId)
-            .order('saved_at', { ascending: false });
-
-        if (savedError) {
-            console.error('[EVENTS] ❌ Saved events query error:', savedError.message);
-            throw savedError;
+        const { updates, error: updateError } = normalizeOccurrenceUpdate(req.body || {});
+        if (updateError) {
+            return res.status(400).json({
+                success: false,
+                error: updateError
+            });
         }
 
-        // If no saved events, return empty array
-        if (!savedEvents || savedEvents.length === 0) {
-            return res.json({ success: true, attendees: [] });
+        if (!(await getOccurrence(supabase, req.event, date))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Occurrence not found'
+            });
         }
 
-        // Get user IDs
-        const userIds = savedEvents.map(se => se.user_id);
+        if (updates.status === 'cancelled') {
+            updates.cancelled_at = new Date().toISOString();
+        }
 
-        // Fetch profiles for these users
-        const { data: profiles, error: profilesError } = await supabase
-            .from('profiles')
-            .select('id, full_name, email, avatar_url')
-            .in('id', userIds);
+        const occurrence = await saveOccurrenceOverride(supabase, req.event, date, updates);
 
-        if (profilesError) {
-            console.error('[EVENTS] ❌ Profiles query error:', profilesError.message);
-            throw profilesError;
-        }
+        console.log(`[EVENTS] ✅ Occurrence updated: ${req.event.id} ${date}`);
 
-        // Combine the data
-        const attendees = savedEvents.map(savedEvent => {
-            const profile = profiles?.find(p => p.id === savedEvent.user_id);
-            return {
-                id: savedEvent.id,
-                saved_at: savedEvent.saved_at,
-                profiles: profile || null
-            };
+        res.json({
+            success: true,
+            occurrence
         });
 
-        res.json({ success: true, attendees });
-
     } catch (error) {
-        console.error('[EVENTS] ❌ Attendees error:', error.message);
+        console.error('[EVENTS] ❌ Error:', error.message);
         res.status(500).json({
             success: false,
-            error: 'Failed to fetch attendees',
+            error: 'Failed to update occurrence',
             message: error.message
         });
     }
 });
 
 /**
- * GET /api/events/:id
- * Get single event by ID
+ * DELETE /api/events/:eventId/occurrences/:date
+ * Cancel one occurrence (host only). The rest of the series is unchanged;
+ * registrations are kept and the occurrence is listed with status "cancelled".
  */
-router.get('/:id', async (req, res) => {
+router.delete('/:eventId/occurrences/:date', requireAuth, requireEventHost('eventId'), async (req, res) => {
     try {
         if (!isConfigured()) {
             return res.status(503).json({
@@ -313,47 +1468,62 @@ router.get('/:id', async (req, res) => {
             });
         }
 
-        const { id } = req.params;
+        const { date } = req.params;
+        const { reason } = req.body || {};
+
+        if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'reason must be a string'
+            });
+        }
+
         const supabase = getSupabase();
 
-        const { data, error } = await supabase
-            .from('events')
-            .select('*')
-            .eq('id', id)
-            .single();
+        const current = await getOccurrence(supabase, req.event, date);
+        if (!current) {
+            return res.status(404).json({
+                success: false,
+                error: 'Occurrence not found'
+            });
+        }
 
-        if (error) {
-            if (error.code === 'PGRST116') {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Event not found'
-                });
-            }
-            throw error;
+        if (current.status === 'cancelled') {
+            return res.json({
+                success: true,
+                occurrence: current
+            });
         }
 
+        const occurrence = await saveOccurrenceOverride(supabase, req.event, date, {
+            status: 'cancelled',
+            cancelled_at: new Date().toISOString(),
+            cancellation_reason: reason?.trim() || null
+        });
+
+        console.log(`[EVENTS] ✅ Occurrence cancelled: ${req.event.id} ${date}`);
+
         res.json({
             success: true,
-            event: data
+            occurrence
         });
 
     } catch (error) {
         console.error('[EVENTS] ❌ Error:', error.message);
         res.status(500).json({
             success: false,
-            error: 'Failed to fetch event',
+            error: 'Failed to cancel occurrence',
             message: error.message
         });
     }
 });
 
-
-
 /**
  * POST /api/events/:eventId/register
- * Create a registration request for an event
+ * Create a registration request for an event. Recurring events need
+ * `occurrence_date`; each occurrence has its own registrations and capacity.
  */
-router.post('/:eventId/register', async (req, res) => {
+router.post('/:eventId/register', requireAuth, requirePermission('events:register'), async (req, res) => {
     try {
         if (!isConfigured()) {
             return res.status(503).json({
@@ -363,24 +1533,56 @@ router.post('/:eventId/register', async (req, res) => {
         }
 
         const { eventId } = req.params;
-        const { user_id, payment_receipt_url, registration_form_completed } = req.body;
+        const { payment_receipt_url, registration_form_completed, occurrence_date } = req.body;
+        const user_id = req.user.id;
+
+        const supabase = getSupabase();
+
+        const { data: event } = await supabase
+            .from('events')
+            .select('*')
+            .eq('id', eventId)
+            .maybeSingle();
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                error: 'Event not found'
+            });
+        }
+
+        if (event.status === 'cancelled') {
+            return res.status(409).json({
+                success: false,
+                error: 'This event has been cancelled'
+            });
+        }
 
-        if (!user_id) {
+        const { date: occurrenceDate, error: occurrenceError } = resolveOccurrenceDate(event, occurrence_date);
+        if (occurrenceError) {
             return res.status(400).json({
                 success: false,
-                error: 'User ID is required'
+                error: occurrenceError
             });
         }
 
-        const supabase = getSupabase();
+        const occurrence = occurrenceDate && await getOccurrence(supabase, event, occurrenceDate);
+        if (occurrence && occurrence.status === 'cancelled') {
+            return res.status(409).json({
+                success: false,
+                error: 'This occurrence has been cancelled'
+            });
+        }
 
         // Check if registration already exists
-        const { data: existing } = await supabase
-            .from('event_registrations')
-            .select('*')
-            .eq('event_id', eventId)
-            .eq('user_id', user_id)
-            .single();
+        const { data: existing } = await filterByOccurrence(
+            supabase
+                .from('event_registrations')
+                .select('*')
+                .eq('event_id', eventId)
+                .eq('user_id', user_id),
+            occurrenceDate
+        ).limit(1).maybeSingle();
 
         if (existing) {
             return res.status(400).json({
@@ -389,15 +1591,24 @@ router.post('/:eventId/register', async (req, res) => {
             });
         }
 
+        const capacity = occurrence ? occurrence.capacity : event.capacity;
+        if (capacity && await countActiveRegistrations(supabase, eventId, occurrenceDate) >= capacity) {
+            return res.status(409).json({
+                success: false,
+                error: occurrenceDate ? 'This occurrence is full' : 'This event is full'
+            });
+        }
+
         const registrationData = {
             event_id: eventId,
+            occurrence_date: occurrenceDate,
             user_id: user_id,
             status: 'pending',
             payment_receipt_url: payment_receipt_url || null,
             registration_form_completed: registration_form_completed || false
         };
 
-        console.log('[EVENTS] Creating registration for event:', eventId);
+        console.log('[EVENTS] Creating registration for event:', eventId, occurrenceDate || '');
 
         const { data, error } = await supabase
             .from('event_registrations')
@@ -429,9 +1640,10 @@ router.post('/:eventId/register', async (req, res) => {
 
 /**
  * GET /api/events/:eventId/registrations
- * List all registrations for an event (host only)
+ * List all registrations for an event (host only).
+ * `?date=` keeps the ones for that occurrence (plus whole-series ones).
  */
-router.get('/:eventId/registrations', async (req, res) => {
+router.get('/:eventId/registrations', requireAuth, requireEventHost('eventId'), async (req, res) => {
     try {
         if (!isConfigured()) {
             return res.status(503).json({
@@ -443,12 +1655,26 @@ router.get('/:eventId/registrations', async (req, res) => {
         const { eventId } = req.params;
         const supabase = getSupabase();
 
+        let occurrenceDate = null;
+        if (req.query.date) {
+            const resolved = resolveOccurrenceDate(req.event, req.query.date);
+            if (resolved.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: resolved.error
+                });
+            }
+            occurrenceDate = resolved.date;
+        }
+
         // Get all registrations for this event
-        const { data: registrations, error } = await supabase
-            .from('event_registrations')
-            .select('*')
-            .eq('event_id', eventId)
-            .order('created_at', { ascending: false });
+        const { data: registrations, error } = await filterByOccurrence(
+            supabase
+                .from('event_registrations')
+                .select('*')
+                .eq('event_id', eventId),
+            occurrenceDate
+        ).order('created_at', { ascending: false });
 
         if (error) {
             console.error('[EVENTS] ❌ Registrations query error:', error.message);
@@ -497,9 +1723,9 @@ router.get('/:eventId/registrations', async (req, res) => {
 
 /**
  * PATCH /api/events/registrations/:registrationId/approve
- * Approve a registration request
+ * Approve a registration request (host only)
  */
-router.patch('/registrations/:registrationId/approve', async (req, res) => {
+router.patch('/registrations/:registrationId/approve', requireAuth, async (req, res) => {
     try {
         if (!isConfigured()) {
             return res.status(503).json({
@@ -525,6 +1751,16 @@ router.patch('/registrations/:registrationId/approve', async (req, res) => {
             });
         }
 
+        const { data: event } = await supabase
+            .from('events')
+            .select('id, user_id, organizer_handle')
+            .eq('id', registration.event_id)
+            .maybeSingle();
+
+        if (!event || !(await canManageEvent(req, event))) {
+            return forbidden(res, 'Only the event host can approve registrations');
+        }
+
         // Update status to approved
         const { data, error } = await supabase
             .from('event_registrations')
@@ -543,7 +1779,8 @@ router.patch('/registrations/:registrationId/approve', async (req, res) => {
             .from('saved_events')
             .insert([{
                 user_id: registration.user_id,
-                event_id: registration.event_id
+                event_id: registration.event_id,
+                occurrence_date: registration.occurrence_date || null
             }]);
 
         if (savedError && savedError.code !== '23505') { // Ignore duplicate errors
@@ -569,9 +1806,9 @@ router.patch('/registrations/:registrationId/approve', async (req, res) => {
 
 /**
  * PATCH /api/events/registrations/:registrationId/reject
- * Reject a registration request with optional reason
+ * Reject a registration request with optional reason (host only)
  */
-router.patch('/registrations/:registrationId/reject', async (req, res) => {
+router.patch('/registrations/:registrationId/reject', requireAuth, async (req, res) => {
     try {
         if (!isConfigured()) {
             return res.status(503).json({
@@ -581,9 +1818,40 @@ router.patch('/registrations/:registrationId/reject', async (req, res) => {
         }
 
         const { registrationId } = req.params;
-        const { rejection_reason } = req.body;
+        const { rejection_reason } = req.body || {};
+
+        if (rejection_reason !== undefined && rejection_reason !== null && typeof rejection_reason !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'rejection_reason must be a string'
+            });
+        }
+
         const supabase = getSupabase();
 
+        const { data: registration, error: fetchError } = await supabase
+            .from('event_registrations')
+            .select('event_id')
+            .eq('id', registrationId)
+            .single();
+
+        if (fetchError || !registration) {
+            return res.status(404).json({
+                success: false,
+                error: 'Registration not found'
+            });
+        }
+
+        const { data: event } = await supabase
+            .from('events')
+            .select('id, user_id, organizer_handle')
+            .eq('id', registration.event_id)
+            .maybeSingle();
+
+        if (!event || !(await canManageEvent(req, event))) {
+            return forbidden(res, 'Only the event host can reject registrations');
+        }
+
         const updateData = {
             status: 'rejected',
             rejection_reason: rejection_reason?.trim() || null
@@ -619,10 +1887,11 @@ router.patch('/registrations/:registrationId/reject', async (req, res) => {
 });
 
 /**
- * GET /api/events/registrations/user/:userId
- * Get all registrations for a specific user
+ * GET /api/events/registrations/user
+ * Get all registrations for the authenticated user
+ * The legacy /registrations/user/:userId form must match the token (moderators/admins may pass any id)
  */
-router.get('/registrations/user/:userId', async (req, res) => {
+router.get(['/registrations/user', '/registrations/user/:userId'], requireAuth, async (req, res) => {
     try {
         if (!isConfigured()) {
             return res.status(503).json({
@@ -631,7 +1900,12 @@ router.get('/registrations/user/:userId', async (req, res) => {
             });
         }
 
-        const { userId } = req.params;
+        const userId = req.params.userId || req.user.id;
+
+        if (userId !== req.user.id && !hasPermission(await getUserRole(req), 'events:manage_any')) {
+            return forbidden(res, 'You can only list your own registrations');
+        }
+
         const supabase = getSupabase();
 
         const { data: registrations, error } = await supabase
@@ -668,8 +1942,9 @@ router.get('/registrations/user/:userId', async (req, res) => {
  * - Authenticated user must be the event host
  * - scannedUserId must be confirmed for the event (saved_event or approved registration)
  * - Event must have requires_attendance_check = true
+ * - Recurring events: occurrence_date says which occurrence is being attended
  */
-router.post('/:eventId/scan-attendance', async (req, res) => {
+router.post('/:eventId/scan-attendance', requireAuth, requireEventHost('eventId'), async (req, res) => {
     try {
         if (!isConfigured()) {
             return res.status(503).json({
@@ -679,10 +1954,8 @@ router.post('/:eventId/scan-attendance', async (req, res) => {
         }
 
         const { eventId } = req.params;
-        const { scanned_user_id } = req.body;
-
-        // For now, we'll get host_user_id from body (in production, use auth middleware)
-        const { host_user_id } = req.body;
+        const { scanned_user_id, occurrence_date } = req.body;
+        const host_user_id = req.user.id;
 
         if (!scanned_user_id) {
             return res.status(400).json({
@@ -691,58 +1964,53 @@ router.post('/:eventId/scan-attendance', async (req, res) => {
             });
         }
 
-        if (!host_user_id) {
-            return res.status(400).json({
-                success: false,
-                error: 'Host user ID is required'
-            });
-        }
-
         const supabase = getSupabase();
 
-        // 1. Verify the authenticated user is the host of this event
-        const { data: event, error: eventError } = await supabase
-            .from('events')
-            .select('*')
-            .eq('id', eventId)
-            .single();
+        // 1. Host (or moderator/admin) already verified by requireEventHost
+        const event = req.event;
 
-        if (eventError || !event) {
-            return res.status(404).json({
+        // 2. Verify the event requires attendance check
+        if (!event.requires_attendance_check) {
+            return res.status(400).json({
                 success: false,
-                error: 'Event not found'
+                error: 'This event does not require attendance tracking'
             });
         }
 
-        if (event.user_id !== host_user_id) {
-            return res.status(403).json({
+        const { date: occurrenceDate, error: occurrenceError } = resolveOccurrenceDate(event, occurrence_date);
+        if (occurrenceError) {
+            return res.status(400).json({
                 success: false,
-                error: 'Only the event host can scan attendance'
+                error: occurrenceError
             });
         }
 
-        // 2. Verify the event requires attendance check
-        if (!event.requires_attendance_check) {
-            return res.status(400).json({
+        if (occurrenceDate && (await getOccurrence(supabase, event, occurrenceDate)).status === 'cancelled') {
+            return res.status(409).json({
                 success: false,
-                error: 'This event does not require attendance tracking'
+                error: 'This occurrence has been cancelled'
             });
         }
 
-        // 3. Check if user is in the system for this event
-        const { data: savedEvent } = await supabase
-            .from('saved_events')
-            .select('*')
-            .eq('event_id', eventId)
-            .eq('user_id', scanned_user_id)
-            .maybeSingle();
-
-        const { data: registration } = await supabase
-            .from('event_registrations')
-            .select('*')
-            .eq('event_id', eventId)
-            .eq('user_id', scanned_user_id)
-            .maybeSingle();
+        // 3. Check if user is in the system for this event (or occurrence)
+        const { data: savedEvent } = await filterByOccurrence(
+            supabase
+                .from('saved_events')
+                .select('*')
+                .eq('event_id', eventId)
+                .eq('user_id', scanned_user_id),
+            occurrenceDate
+        ).limit(1).maybeSingle();
+
+        // Approved first when the user has a whole-series and an occurrence registration
+        const { data: registration } = await filterByOccurrence(
+            supabase
+                .from('event_registrations')
+                .select('*')
+                .eq('event_id', eventId)
+                .eq('user_id', scanned_user_id),
+            occurrenceDate
+        ).order('status', { ascending: true }).limit(1).maybeSingle();
 
         // Case 1: User doesn't exist in saved_events or registrations
         if (!savedEvent && !registration) {
@@ -770,13 +2038,18 @@ router.post('/:eventId/scan-attendance', async (req, res) => {
             });
         }
 
-        // 4. Check if already attended
-        const { data: existingAttendance } = await supabase
+        // 4. Check if already attended (this occurrence)
+        let attendanceQuery = supabase
             .from('attended_events')
             .select('*')
             .eq('event_id', eventId)
-            .eq('user_id', scanned_user_id)
-            .maybeSingle();
+            .eq('user_id', scanned_user_id);
+
+        attendanceQuery = occurrenceDate
+            ? attendanceQuery.eq('occurrence_date', occurrenceDate)
+            : attendanceQuery.is('occurrence_date', null);
+
+        const { data: existingAttendance } = await attendanceQuery.maybeSingle();
 
         if (existingAttendance) {
             // Update existing attendance record
@@ -809,6 +2082,7 @@ router.post('/:eventId/scan-attendance', async (req, res) => {
                 .from('attended_events')
                 .insert([{
                     event_id: eventId,
+                    occurrence_date: occurrenceDate,
                     user_id: scanned_user_id,
                     scanned_by_host: true,
                     scanned_at: new Date().toISOString(),
@@ -822,7 +2096,7 @@ router.post('/:eventId/scan-attendance', async (req, res) => {
                 throw error;
             }
 
-            console.log('[EVENTS] ✅ Attendance created for user:', scanned_user_id);
+            console.log('[EVENTS] ✅ Attendance created for user:', scanned_user_id, occurrenceDate || '');
 
             return res.status(201).json({
                 success: true,
@@ -845,9 +2119,10 @@ router.post('/:eventId/scan-attendance', async (req, res) => {
  * GET /api/events/:eventId/attendance-list
  * Get attendance list for an event (host only)
  * 
- * Returns list of all users who are confirmed for the event with their attendance status
+ * Returns list of all users who are confirmed for the event with their attendance status.
+ * Recurring events need `?date=`: confirmation and attendance are per occurrence.
  */
-router.get('/:eventId/attendance-list', async (req, res) => {
+router.get('/:eventId/attendance-list', requireAuth, requireEventHost('eventId'), async (req, res) => {
     try {
         if (!isConfigured()) {
             return res.status(503).json({
@@ -859,25 +2134,27 @@ router.get('/:eventId/attendance-list', async (req, res) => {
         const { eventId } = req.params;
         const supabase = getSupabase();
 
-        // Get event to check if it has payments/registration
-        const { data: event, error: eventError } = await supabase
-            .from('events')
-            .select('price, registration_form_url')
-            .eq('id', eventId)
-            .single();
+        // Event (with price/registration info) loaded by requireEventHost
+        const event = req.event;
 
-        if (eventError) {
-            console.error('[EVENTS] ❌ Event error:', eventError.message);
-            throw eventError;
+        const { date: occurrenceDate, error: occurrenceError } = resolveOccurrenceDate(event, req.query.date);
+        if (occurrenceError) {
+            return res.status(400).json({
+                success: false,
+                error: occurrenceError
+            });
         }
 
         const hasPayments = (event.price && parseFloat(event.price) > 0) || !!event.registration_form_url;
 
-        // Get all users who saved the event
-        const { data: savedEvents, error: savedError } = await supabase
-            .from('saved_events')
-            .select('user_id')
-            .eq('event_id', eventId);
+        // Get all users who saved the event (or this occurrence)
+        const { data: savedEvents, error: savedError } = await filterByOccurrence(
+            supabase
+                .from('saved_events')
+                .select('user_id')
+                .eq('event_id', eventId),
+            occurrenceDate
+        );
 
         if (savedError) {
             console.error('[EVENTS] ❌ Saved events error:', savedError.message);
@@ -885,10 +2162,13 @@ router.get('/:eventId/attendance-list', async (req, res) => {
         }
 
         // Get all registrations (approved and pending) with payment receipts
-        const { data: registrations, error: regError } = await supabase
-            .from('event_registrations')
-            .select('user_id, status, payment_receipt_url')
-            .eq('event_id', eventId);
+        const { data: registrations, error: regError } = await filterByOccurrence(
+            supabase
+                .from('event_registrations')
+                .select('user_id, status, payment_receipt_url')
+                .eq('event_id', eventId),
+            occurrenceDate
+        );
 
         if (regError) {
             console.error('[EVENTS] ❌ Registrations error:', regError.message);
@@ -928,12 +2208,16 @@ router.get('/:eventId/attendance-list', async (req, res) => {
         }
 
         // Get attendance records
-        const { data: attendedEvents, error: attendedError } = await supabase
+        let attendedQuery = supabase
             .from('attended_events')
             .select('user_id, scanned_by_host, scanned_at')
             .eq('event_id', eventId)
             .in('user_id', allUserIds);
 
+        if (occurrenceDate) attendedQuery = attendedQuery.eq('occurrence_date', occurrenceDate);
+
+        const { data: attendedEvents, error: attendedError } = await attendedQuery;
+
         if (attendedError) {
             console.error('[EVENTS] ❌ Attended events error:', attendedError.message);
             throw attendedError;
@@ -977,7 +2261,7 @@ router.get('/:eventId/attendance-list', async (req, res) => {
  * PATCH /api/events/:eventId/attendance-requirement
  * Update attendance requirement for an event (host only)
  */
-router.patch('/:eventId/attendance-requirement', async (req, res) => {
+router.patch('/:eventId/attendance-requirement', requireAuth, requireEventHost('eventId'), async (req, res) => {
     try {
         if (!isConfigured()) {
             return res.status(503).json({
@@ -987,7 +2271,7 @@ router.patch('/:eventId/attendance-requirement', async (req, res) => {
         }
 
         const { eventId } = req.params;
-        const { requires_attendance_check, user_id } = req.body;
+        const { requires_attendance_check } = req.body;
 
         if (typeof requires_attendance_check !== 'boolean') {
             return res.status(400).json({
@@ -996,36 +2280,8 @@ router.patch('/:eventId/attendance-requirement', async (req, res) => {
             });
         }
 
-        if (!user_id) {
-            return res.status(400).json({
-                success: false,
-                error: 'User ID is required'
-            });
-        }
-
         const supabase = getSupabase();
 
-        // Verify user is the host
-        const { data: event, error: eventError } = await supabase
-            .from('events')
-            .select('user_id')
-            .eq('id', eventId)
-            .single();
-
-        if (eventError || !event) {
-            return res.status(404).json({
-                success: false,
-                error: 'Event not found'
-            });
-        }
-
-        if (event.user_id !== user_id) {
-            return res.status(403).json({
-                success: false,
-                error: 'Only the event host can update attendance requirements'
-            });
-        }
-
         // Update the event
         const { data, error } = await supabase
             .from('events')
@@ -1043,7 +2299,7 @@ router.patch('/:eventId/attendance-requirement', async (req, res) => {
 
         res.json({
             success: true,
-            event: data
+            event: withRecurringDates(data)
         });
 
     } catch (error) {
@@ -0,0 +1,423 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+process.env.SUPABASE_JWT_SECRET = 'test-jwt-secret';
+process.env.GEOCODER_PROVIDER = 'stub';
+
+const HOST_ID = 'a1b2c3d4-0000-4000-8000-000000000001';
+const OTHER_ID = 'a1b2c3d4-0000-4000-8000-000000000002';
+const GUEST_ID = 'a1b2c3d4-0000-4000-8000-000000000003';
+
+/**
+ * In-memory stand-in for the Supabase client: reads filter `tables` by eq(),
+ * in(), is(), gte(), lte() and or() (only `column.is.null` / `column.eq.value`
+ * terms) and honour order() / limit(); writes are recorded in `writes` and
+ * echoed back as the stored row (an update merged onto the row it matches).
+ * rpc() records its calls in `rpcs` and answers with `rpcResults[name]`.
+ */
+function createSupabaseStub(tables) {
+    const writes = [];
+    const rpcs = [];
+    const rpcResults = {};
+
+    function from(table) {
+        const query = { table, action: 'select', payload: null, filters: [], single: false, order: null, limit: null };
+
+        const run = () => {
+            if (query.action === 'insert' || query.action === 'upsert') {
+                const rows = [].concat(query.payload).map((row, i) => ({ id: `${table}-${writes.length}-${i}`, ...row }));
+                return { data: query.single ? rows[0] : rows, error: null };
+            }
+
+            let rows = (tables[table] || []).filter((row) => query.filters.every((matches) => matches(row)));
+
+            if (query.action !== 'select') {
+                return { data: query.single ? { ...rows[0], ...query.payload } : [], error: null };
+            }
+
+            const count = rows.length;
+            if (query.order) {
+                const [column, ascending] = query.order;
+                rows = [...rows].sort((a, b) => String(a[column]).localeCompare(String(b[column])) * (ascending ? 1 : -1));
+            }
+            if (query.limit !== null) rows = rows.slice(0, query.limit);
+
+            return { data: query.single ? rows[0] || null : rows, error: null, count };
+        };
+
+        const builder = new Proxy({}, {
+            get(_, method) {
+                if (method === 'then') {
+                    return (resolve, reject) => Promise.resolve(run()).then(resolve, reject);
+                }
+                return (...args) => {
+                    if (['insert', 'update', 'upsert', 'delete'].includes(method)) {
+                        query.action = method;
+                        query.payload = args[0];
+                        writes.push({ table, action: method, payload: args[0] });
+                    } else if (method === 'eq') {
+                        const [column, value] = args;
+                        query.filters.push((row) => row[column] === value);
+                    } else if (method === 'in') {
+                        const [column, values] = args;
+                        query.filters.push((row) => values.includes(row[column]));
+                    } else if (method === 'is') {
+                        const [column, value] = args;
+                        query.filters.push((row) => (row[column] ?? null) === value);
+                    } else if (method === 'gte' || method === 'lte') {
+                        const [column, value] = args;
+                        query.filters.push((row) => (method === 'gte' ? row[column] >= value : row[column] <= value));
+                    } else if (method === 'or') {
+                        const terms = args[0].split(',').map((term) => term.split('.'));
+                        query.filters.push((row) => terms.some(([column, op, value]) =>
+                            (op === 'is' ? (row[column] ?? null) === null : row[column] === value)));
+                    } else if (method === 'order') {
+                        query.order = [args[0], args[1]?.ascending !== false];
+                    } else if (method === 'limit') {
+                        query.limit = args[0];
+                    } else if (method === 'single' || method === 'maybeSingle') {
+                        query.single = true;
+                    }
+                    return builder;
+                };
+            }
+        });
+
+        return builder;
+    }
+
+    function rpc(name, args) {
+        rpcs.push({ name, args });
+        return Promise.resolve({ data: rpcResults[name] || [], error: null });
+    }
+
+    return { client: { from, rpc }, writes, rpcs, rpcResults };
+}
+
+const tables = {
+    profiles: [
+        { id: HOST_ID, role: 'host' },
+        { id: OTHER_ID, role: 'host' }
+    ],
+    events: [{
+        id: 'event-1',
+        title: 'Noche de jazz',
+        date: '2099-01-15',
+        user_id: HOST_ID,
+        requires_attendance_check: true
+    }, {
+        id: 'series-1',
+        title: 'Jazz los viernes',
+        date: '2099-01-02',
+        rrule: 'FREQ=WEEKLY;COUNT=3',
+        user_id: HOST_ID
+    }],
+    saved_events: [{ id: 'saved-1', event_id: 'event-1', user_id: GUEST_ID, occurrence_date: null }]
+};
+
+// Fridays 2099-01-02 to 2099-01-23, three places each. `null` rows cover every
+// occurrence; 2099-01-16 is cancelled and 2099-01-23 has one place.
+Object.assign(tables, {
+    events: [...tables.events, {
+        id: 'series-2',
+        title: 'Taller de cerámica',
+        date: '2099-01-02',
+        rrule: 'FREQ=WEEKLY;COUNT=4',
+        capacity: 3,
+        requires_attendance_check: true,
+        user_id: HOST_ID
+    }],
+    event_occurrences: [
+        { event_id: 'series-2', occurrence_date: '2099-01-16', status: 'cancelled' },
+        { event_id: 'series-2', occurrence_date: '2099-01-23', capacity: 1 }
+    ],
+    event_registrations: [
+        { id: 'reg-1', event_id: 'series-2', occurrence_date: '2099-01-09', user_id: 'user-pending', status: 'pending' },
+        { id: 'reg-2', event_id: 'series-2', occurrence_date: null, user_id: OTHER_ID, status: 'approved' },
+        { id: 'reg-3', event_id: 'series-2', occurrence_date: '2099-01-02', user_id: 'user-rejected', status: 'rejected' },
+        { id: 'reg-4', event_id: 'series-2', occurrence_date: '2099-01-09', user_id: 'user-both', status: 'approved' },
+        { id: 'reg-5', event_id: 'series-2', occurrence_date: null, user_id: 'user-both', status: 'pending' }
+    ],
+    attended_events: [
+        { id: 'attended-1', event_id: 'series-2', occurrence_date: '2099-01-02', user_id: OTHER_ID }
+    ]
+});
+
+const supabase = createSupabaseStub(tables);
+
+require.cache[require.resolve('../utils/supabase')] = {
+    loaded: true,
+    exports: { getSupabase: () => supabase.client, isConfigured: () => true }
+};
+
+const eventsRoutes = require('./events');
+
+const tokenFor = (userId) => jwt.sign({ sub: userId }, process.env.SUPABASE_JWT_SECRET, {
+    algorithm: 'HS256',
+    audience: 'authenticated',
+    expiresIn: '1h'
+});
+
+let server;
+let baseUrl;
+
+async function request(method, path, userId, body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'content-type': 'application/json', authorization: `Bearer ${tokenFor(userId)}` },
+        body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+const writesTo = (table, action) => supabase.writes.filter((w) => w.table === table && w.action === action);
+
+before(async () => {
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/events', eventsRoutes);
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/events`;
+});
+
+after(() => {
+    server.close();
+    mock.restoreAll();
+});
+
+describe('events routes ignore client-sent user ids', () => {
+    beforeEach(() => {
+        supabase.writes.length = 0;
+    });
+
+    it('POST /api/events hosts the event as the token user, not body.user_id', async () => {
+        const { status, body } = await request('POST', '/', HOST_ID, {
+            title: 'Noche de salsa',
+            date: '2099-02-01',
+            location: 'Zona 10',
+            user_id: OTHER_ID
+        });
+
+        assert.strictEqual(status, 201, JSON.stringify(body));
+        const [insert] = writesTo('events', 'insert');
+        assert.strictEqual(insert.payload[0].user_id, HOST_ID);
+        assert.strictEqual(body.event.user_id, HOST_ID);
+    });
+
+    it('POST /api/events without user_id creates an event without host', async () => {
+        const { status } = await request('POST', '/', HOST_ID, { title: 'Feria', date: '2099-02-01' });
+
+        assert.strictEqual(status, 201);
+        assert.strictEqual(writesTo('events', 'insert')[0].payload[0].user_id, null);
+    });
+
+    it('PATCH /api/events/:id rejects a non-host even when the body names the host', async () => {
+        const { status } = await request('PATCH', '/event-1', OTHER_ID, { title: 'Cambiado', user_id: HOST_ID });
+
+        assert.strictEqual(status, 403);
+        assert.strictEqual(writesTo('events', 'update').length, 0);
+    });
+
+    it('POST /api/events/:id/scan-attendance records the token user as scanner, not body.host_user_id', async () => {
+        const { status, body } = await request('POST', '/event-1/scan-attendance', HOST_ID, {
+            scanned_user_id: GUEST_ID,
+            host_user_id: OTHER_ID
+        });
+
+        assert.strictEqual(status, 201, JSON.stringify(body));
+        const [insert] = writesTo('attended_events', 'insert');
+        assert.strictEqual(insert.payload[0].scanned_by_user_id, HOST_ID);
+        assert.strictEqual(insert.payload[0].user_id, GUEST_ID);
+    });
+
+    it('POST /api/events/:id/scan-attendance is host-only even with body.host_user_id', async () => {
+        const { status } = await request('POST', '/event-1/scan-attendance', OTHER_ID, {
+            scanned_user_id: GUEST_ID,
+            host_user_id: HOST_ID
+        });
+
+        assert.strictEqual(status, 403);
+        assert.strictEqual(writesTo('attended_events', 'insert').length, 0);
+    });
+});
+
+describe('events routes validate reasons', () => {
+    it('DELETE /api/events/:id responds 400 for a non-string reason', async () => {
+        const { status, body } = await request('DELETE', '/event-1', HOST_ID, { reason: 5 });
+
+        assert.strictEqual(status, 400);
+        assert.strictEqual(body.error, 'reason must be a string');
+    });
+
+    it('PATCH /api/events/registrations/:id/reject responds 400 for a non-string rejection_reason', async () => {
+        const { status, body } = await request('PATCH', '/registrations/reg-1/reject', HOST_ID, { rejection_reason: { text: 'no' } });
+
+        assert.strictEqual(status, 400);
+        assert.strictEqual(body.error, 'rejection_reason must be a string');
+    });
+});
+
+describe('event responses carry recurring_dates', () => {
+    const SERIES_DATES = ['2099-01-02', '2099-01-09', '2099-01-16'];
+
+    it('DELETE /api/events/:id returns the cancelled series with its dates', async () => {
+        const { status, body } = await request('DELETE', '/series-1', HOST_ID, { reason: 'Lluvia' });
+
+        assert.strictEqual(status, 200, JSON.stringify(body));
+        assert.strictEqual(body.event.status, 'cancelled');
+        assert.deepStrictEqual(body.event.recurring_dates, SERIES_DATES);
+    });
+
+    it('PATCH /api/events/:id/attendance-requirement returns the series with its dates', async () => {
+        const { status, body } = await request('PATCH', '/series-1/attendance-requirement', HOST_ID, {
+            requires_attendance_check: true
+        });
+
+        assert.strictEqual(status, 200, JSON.stringify(body));
+        assert.strictEqual(body.event.requires_attendance_check, true);
+        assert.deepStrictEqual(body.event.recurring_dates, SERIES_DATES);
+    });
+});
+
+describe('GET /api/events/nearby', () => {
+    beforeEach(() => {
+        supabase.rpcs.length = 0;
+    });
+
+    it('returns the page nearby_events ordered with its total and next_offset', async () => {
+        supabase.rpcResults.nearby_events = [
+            { event_id: 'series-1', distance_km: 0.8, total: 3 },
+            { event_id: 'event-1', distance_km: 1.25, total: 3 }
+        ];
+
+        const { status, body } = await request('GET', '/nearby?lat=14.6&lng=-90.51&limit=2&offset=0', GUEST_ID);
+
+        assert.strictEqual(status, 200, JSON.stringify(body));
+        assert.deepStrictEqual(body.events.map((event) => [event.id, event.distance_km]), [['series-1', 0.8], ['event-1', 1.25]]);
+        assert.strictEqual(body.total, 3);
+        assert.strictEqual(body.next_offset, 2);
+        assert.deepStrictEqual(body.events[0].recurring_dates, ['2099-01-02', '2099-01-09', '2099-01-16']);
+        assert.strictEqual(supabase.rpcs[0].args.radius_km, 10);
+    });
+
+    it('responds 400 to a cursor', async () => {
+        const { status, body } = await request('GET', '/nearby?lat=14.6&lng=-90.51&cursor=abc', GUEST_ID);
+
+        assert.strictEqual(status, 400);
+        assert.strictEqual(body.error, 'cursor is not supported by nearby; use offset');
+        assert.strictEqual(supabase.rpcs.length, 0);
+    });
+});
+
+describe('registration and attendance per occurrence', () => {
+    beforeEach(() => {
+        supabase.writes.length = 0;
+    });
+
+    const register = (occurrence_date, userId = GUEST_ID) =>
+        request('POST', '/series-2/register', userId, { occurrence_date });
+    const scan = (scanned_user_id, occurrence_date) =>
+        request('POST', '/series-2/scan-attendance', HOST_ID, { scanned_user_id, occurrence_date });
+
+    it('counts pending, approved and whole-series registrations against an occurrence', async () => {
+        // 2099-01-09: pending and approved for the date, approved and pending for the series
+        const { status, body } = await register('2099-01-09');
+
+        assert.strictEqual(status, 409);
+        assert.strictEqual(body.error, 'This occurrence is full');
+        assert.strictEqual(writesTo('event_registrations', 'insert').length, 0);
+    });
+
+    it('registers for an occurrence with room, ignoring rejected rows', async () => {
+        // 2099-01-02: the two whole-series rows count, the rejection doesn't
+        const { status, body } = await register('2099-01-02');
+
+        assert.strictEqual(status, 201, JSON.stringify(body));
+        assert.deepStrictEqual(writesTo('event_registrations', 'insert')[0].payload, [{
+            event_id: 'series-2',
+            occurrence_date: '2099-01-02',
+            user_id: GUEST_ID,
+            status: 'pending',
+            payment_receipt_url: null,
+            registration_form_completed: false
+        }]);
+    });
+
+    it('uses the capacity of the occurrence override', async () => {
+        const { status, body } = await register('2099-01-23');
+
+        assert.strictEqual(status, 409);
+        assert.strictEqual(body.error, 'This occurrence is full');
+    });
+
+    it('responds 409 for a cancelled occurrence', async () => {
+        const { status, body } = await register('2099-01-16');
+
+        assert.strictEqual(status, 409);
+        assert.strictEqual(body.error, 'This occurrence has been cancelled');
+    });
+
+    it('treats a whole-series registration as one for every occurrence', async () => {
+        const { status, body } = await register('2099-01-30', OTHER_ID);
+        assert.strictEqual(status, 400);
+        assert.strictEqual(body.error, '2099-01-30 is not an occurrence of this event');
+
+        const again = await register('2099-01-02', OTHER_ID);
+        assert.strictEqual(again.status, 400);
+        assert.strictEqual(again.body.error, 'Registration already exists for this event');
+    });
+
+    it('requires occurrence_date on a series', async () => {
+        const { status, body } = await register(undefined);
+
+        assert.strictEqual(status, 400);
+        assert.strictEqual(body.error, 'occurrence_date is required for recurring events');
+    });
+
+    it('scans a whole-series approval into the attendance of one occurrence', async () => {
+        const { status, body } = await scan(OTHER_ID, '2099-01-09');
+
+        assert.strictEqual(status, 201, JSON.stringify(body));
+        const [{ payload: [row] }] = writesTo('attended_events', 'insert');
+        assert.strictEqual(row.occurrence_date, '2099-01-09');
+        assert.strictEqual(row.user_id, OTHER_ID);
+    });
+
+    it('updates the attendance already recorded for that occurrence', async () => {
+        const { status, body } = await scan(OTHER_ID, '2099-01-02');
+
+        assert.strictEqual(status, 200, JSON.stringify(body));
+        assert.strictEqual(body.message, 'Attendance updated successfully');
+        assert.strictEqual(writesTo('attended_events', 'insert').length, 0);
+    });
+
+    it('prefers an approved occurrence registration over a pending whole-series one', async () => {
+        const { status } = await scan('user-both', '2099-01-09');
+
+        assert.strictEqual(status, 201);
+    });
+
+    it('refuses pending registrations and rows of other occurrences', async () => {
+        const pending = await scan('user-pending', '2099-01-09');
+        assert.strictEqual(pending.status, 400);
+        assert.strictEqual(pending.body.error, 'No pagado');
+
+        const otherDate = await scan('user-pending', '2099-01-02');
+        assert.strictEqual(otherDate.status, 400);
+        assert.strictEqual(otherDate.body.error, 'Usuario no existe');
+    });
+
+    it('responds 409 when scanning a cancelled occurrence', async () => {
+        const { status, body } = await scan(OTHER_ID, '2099-01-16');
+
+        assert.strictEqual(status, 409);
+        assert.strictEqual(body.error, 'This occurrence has been cancelled');
+        assert.strictEqual(writesTo('attended_events', 'insert').length, 0);
+    });
+});
@@ -3,6 +3,13 @@ const router = express.Router();
 const axios = require('axios');
 const { getSupabase } = require('../utils/supabase');
 const { analyzeEventImage } = require('../services/eventVision');
+const { parseVisionOptions } = require('../services/visionProviders');
+const { requireAuth } = require('../middleware/auth');
+const { requirePermission, canUseVisionFixtures } = require('../middleware/permissions');
+const { suggestVenueForAnalysis } = require('../services/venues');
+const { analyzeCarousel } = require('../services/carouselAnalysis');
+const { extractPostMetadata } = require('../services/postContext');
+const { analyzeWithCache } = require('../services/analysisCache');
 
 const EXTRACTOR_T_URL = process.env.EXTRACTOR_T_URL || 'https://api.standatpd.com';
 
@@ -11,7 +18,7 @@ const EXTRACTOR_T_URL = process.env.EXTRACTOR_T_URL || 'https://api.standatpd.co
  * Process an extraction job - extract images from Instagram
  * Called by frontend after creating job in Supabase
  */
-router.post('/process/:id', async (req, res) => {
+router.post('/process/:id', requireAuth, requirePermission('events:analyze'), async (req, res) => {
   const { id } = req.params;
   const supabase = getSupabase();
 
@@ -73,12 +80,13 @@ router.post('/process/:id', async (req, res) => {
       return;
     }
 
-    // Update with extracted images
+    // Update with extracted images (caption, author and publish date are analysis context)
     await supabase
       .from('extraction_jobs')
       .update({
         status: 'ready',
-        extracted_images: extractedImages
+        extracted_images: extractedImages,
+        post_metadata: extractPostMetadata(extractorResponse.data)
       })
       .eq('id', id);
 
@@ -108,20 +116,31 @@ router.post('/process/:id', async (req, res) => {
  * POST /api/extraction-jobs/analyze/:id
  * Analyze selected image for an extraction job
  * Called by frontend after user selects an image
+ * Optional body.provider / body.model pick the vision provider
+ * body.carousel = true analyzes all extracted images plus the post caption
+ * and merges them into one event (image_url not needed)
+ * Single images are cached like analyze-image; body.force = true re-analyzes
  */
-router.post('/analyze/:id', async (req, res) => {
+router.post('/analyze/:id', requireAuth, requirePermission('events:analyze'), async (req, res) => {
   const { id } = req.params;
-  const { image_url } = req.body;
+  const { image_url, carousel, force } = req.body;
   const supabase = getSupabase();
 
   if (!supabase) {
     return res.status(503).json({ success: false, error: 'Database unavailable' });
   }
 
-  if (!image_url) {
+  if (!image_url && carousel !== true) {
     return res.status(400).json({ success: false, error: 'image_url is required' });
   }
 
+  const { options: visionOptions, error: visionError } = parseVisionOptions(req.body, {
+    allowTesting: await canUseVisionFixtures(req)
+  });
+  if (visionError) {
+    return res.status(400).json({ success: false, error: visionError });
+  }
+
   // Respond immediately - analysis happens async
   res.json({ success: true, message: 'Analysis started' });
 
@@ -143,6 +162,11 @@ router.post('/analyze/:id', async (req, res) => {
       return;
     }
 
+    if (carousel === true) {
+      await analyzeJobCarousel(supabase, job, visionOptions);
+      return;
+    }
+
     // Update status to analyzing with selected image
     await supabase
       .from('extraction_jobs')
@@ -154,29 +178,23 @@ router.post('/analyze/:id', async (req, res) => {
 
     console.log(`[EXTRACTION_JOB] Analyzing job ${id}: ${image_url}`);
 
-    // Download image and convert to base64
-    const imageResponse = await axios.get(image_url, {
-      responseType: 'arraybuffer',
-      timeout: 30000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Accept': 'image/webp,image/apng,image/*,*/*;q=0.8'
-      }
-    });
-
-    const base64Image = Buffer.from(imageResponse.data, 'binary').toString('base64');
-    const mimeType = imageResponse.headers['content-type'] || 'image/jpeg';
-    const base64DataUrl = `data:${mimeType};base64,${base64Image}`;
-
-    // Analyze with Vision API
-    const analysisResult = await analyzeEventImage(base64DataUrl, 'Event Post');
+    // Download and analyze with the configured vision provider (or the cache)
+    const options = { ...visionOptions, context: job.post_metadata };
+    const analysisResult = await analyzeWithCache(supabase, image_url, {
+      mode: 'single',
+      title: 'Event Post',
+      options,
+      force: force === true,
+      userId: req.user.id
+    }, (imageData) => analyzeEventImage(imageData, 'Event Post', options));
+    const venueMatch = await suggestVenueForAnalysis(supabase, analysisResult.analysis);
 
     // Update job with analysis result
     await supabase
       .from('extraction_jobs')
       .update({
         status: 'completed',
-        analysis_result: analysisResult.analysis
+        analysis_result: { ...analysisResult.analysis, venue_match: venueMatch }
       })
       .eq('id', id);
 
@@ -200,11 +218,44 @@ router.post('/analyze/:id', async (req, res) => {
   }
 });
 
+/**
+ * Carousel mode of analyze/:id: every extracted image plus the caption
+ */
+async function analyzeJobCarousel(supabase, job, visionOptions) {
+  const images = job.extracted_images || [];
+
+  await supabase
+    .from('extraction_jobs')
+    .update({
+      status: 'analyzing',
+      selected_image_url: images[0] || null
+    })
+    .eq('id', job.id);
+
+  console.log(`[EXTRACTION_JOB] Analyzing job ${job.id} as carousel: ${images.length} images`);
+
+  const result = await analyzeCarousel(images, job.post_metadata?.description, 'Event Post', {
+    ...visionOptions,
+    context: job.post_metadata
+  });
+  const venueMatch = await suggestVenueForAnalysis(supabase, result.analysis);
+
+  await supabase
+    .from('extraction_jobs')
+    .update({
+      status: 'completed',
+      analysis_result: { ...result.analysis, venue_match: venueMatch }
+    })
+    .eq('id', job.id);
+
+  console.log(`[EXTRACTION_JOB] Job ${job.id} completed: "${result.analysis.event_name}" (${result.metadata.sources_analyzed} sources)`);
+}
+
 /**
  * GET /api/extraction-jobs/pending
- * Get all pending jobs (for worker polling - internal use)
+ * Get all pending jobs (for worker polling - internal use, admin only)
  */
-router.get('/pending', async (req, res) => {
+router.get('/pending', requireAuth, requirePermission('jobs:poll'), async (req, res) => {
   const supabase = getSupabase();
 
   if (!supabase) {
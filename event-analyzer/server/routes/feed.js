@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const { getSupabase, isConfigured } = require('../utils/supabase');
+const { requireAuth } = require('../middleware/auth');
+const { parseListParams } = require('../services/eventQuery');
+const { buildFeed } = require('../services/feed');
+const { withRecurringDates } = require('../services/eventData');
+
+/**
+ * GET /api/feed
+ * Upcoming events from the organizers, venues, subcategories and tags the
+ * authenticated user follows, ranked by affinity, date and recency.
+ * Each event has feed_score and feed_reasons ([{ type, value }]).
+ * Accepts the GET /api/events filters plus limit (default 20) and offset.
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    if (!isConfigured()) {
+      return res.status(503).json({ success: false, error: 'Database not configured' });
+    }
+
+    const { params, error: paramsError } = parseListParams({ ...req.query, limit: req.query.limit || '20' });
+    if (paramsError) {
+      return res.status(400).json({ success: false, error: paramsError });
+    }
+
+    const offset = parseInt(req.query.offset, 10) || 0;
+    if (offset < 0) {
+      return res.status(400).json({ success: false, error: 'offset must be a positive number' });
+    }
+
+    const { events, total, follows } = await buildFeed(getSupabase(), req.user.id, params, {
+      limit: params.limit,
+      offset
+    });
+
+    const followsCount = Object.values(follows).reduce((sum, values) => sum + values.length, 0);
+
+    console.log(`[FEED] ${req.user.id}: ${total} events from ${followsCount} follows`);
+
+    return res.json({
+      success: true,
+      events: events.map((event) => withRecurringDates(event)),
+      total,
+      follows_count: followsCount,
+      next_offset: offset + events.length < total ? offset + events.length : null
+    });
+  } catch (err) {
+    console.error('[FEED] ❌ Error:', err.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to build feed',
+      message: err.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const { getSupabase, isConfigured } = require('../utils/supabase');
+const { requireAuth } = require('../middleware/auth');
+const { normalizeFollowTarget, resolveFollowTarget, getFollows } = require('../services/follows');
+
+/**
+ * GET /api/follows
+ * Everything the authenticated user follows, grouped by type
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    if (!isConfigured()) {
+      return res.status(503).json({ success: false, error: 'Database not configured' });
+    }
+
+    const follows = await getFollows(getSupabase(), req.user.id);
+
+    return res.json({ success: true, follows });
+  } catch (err) {
+    console.error('[FOLLOWS] ❌ Error:', err.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch follows',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * POST /api/follows
+ * Body: { type: "organizer" | "venue" | "subcategory" | "tag", value: string }
+ * Following the same target twice is a no-op.
+ */
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    if (!isConfigured()) {
+      return res.status(503).json({ success: false, error: 'Database not configured' });
+    }
+
+    const { type } = req.body;
+    const normalized = normalizeFollowTarget(type, req.body.value);
+    if (normalized.error) {
+      return res.status(400).json({ success: false, error: normalized.error });
+    }
+
+    const supabase = getSupabase();
+
+    const target = await resolveFollowTarget(supabase, type, normalized.value);
+    if (target.error) {
+      return res.status(404).json({ success: false, error: target.error });
+    }
+
+    const { error } = await supabase
+      .from('follows')
+      .upsert(
+        { user_id: req.user.id, target_type: type, target_value: target.value },
+        { onConflict: 'user_id,target_type,target_value', ignoreDuplicates: true }
+      );
+
+    if (error) throw error;
+
+    console.log(`[FOLLOWS] ✅ ${req.user.id} follows ${type}:${target.value}`);
+
+    return res.status(201).json({
+      success: true,
+      follow: { type, value: target.value }
+    });
+  } catch (err) {
+    console.error('[FOLLOWS] ❌ Follow error:', err.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to follow',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/follows/:type/:value
+ * Unfollow a target
+ */
+router.delete('/:type/:value', requireAuth, async (req, res) => {
+  try {
+    if (!isConfigured()) {
+      return res.status(503).json({ success: false, error: 'Database not configured' });
+    }
+
+    const { type } = req.params;
+    const normalized = normalizeFollowTarget(type, req.params.value);
+    if (normalized.error) {
+      return res.status(400).json({ success: false, error: normalized.error });
+    }
+
+    const { data, error } = await getSupabase()
+      .from('follows')
+      .delete()
+      .eq('user_id', req.user.id)
+      .eq('target_type', type)
+      .eq('target_value', normalized.value)
+      .select('target_value');
+
+    if (error) throw error;
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ success: false, error: 'Follow not found' });
+    }
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('[FOLLOWS] ❌ Unfollow error:', err.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to unfollow',
+      message: err.message,
+    });
+  }
+});
+
+module.exports = router;
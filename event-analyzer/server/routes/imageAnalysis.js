@@ -1,16 +1,26 @@
 const express = require('express');
 const router = express.Router();
-const { analyzeEventImage, validateImageData } = require('../services/eventVision');
-// MongoDB disabled temporarily - uncomment to re-enable storage
-// const { getDatabase } = require('../utils/mongodb');
+const { analyzeEventImage, analyzeMultiEventImage, validateImageData } = require('../services/eventVision');
+const { parseVisionOptions } = require('../services/visionProviders');
+const { requireAuth } = require('../middleware/auth');
+const { requirePermission, canUseVisionFixtures } = require('../middleware/permissions');
+const { getSupabase, isConfigured } = require('../utils/supabase');
+const { suggestVenueForAnalysis } = require('../services/venues');
+const { analyzeWithCache } = require('../services/analysisCache');
 
 /**
  * POST /api/events/analyze-image
  * Analyze event image and extract structured data
+ * Optional body.provider / body.model pick the vision provider for this request
+ * (provider "mock" and body.fixture only outside production or for admins)
+ * body.multi = true returns `events` (one analysis per event) for agenda flyers
+ * body.post_metadata ({ author, description, published_at }) adds the post as context
+ * Results are cached by image content and prompt version (metadata.cache);
+ * body.force = true re-analyzes and replaces the cached result
  */
-router.post('/analyze-image', async (req, res) => {
+router.post('/analyze-image', requireAuth, requirePermission('events:analyze'), async (req, res) => {
   try {
-    const { image, title } = req.body;
+    const { image, title, multi, post_metadata, force } = req.body;
 
     // Validate request
     if (!image) {
@@ -29,39 +39,69 @@ router.post('/analyze-image', async (req, res) => {
       });
     }
 
+    const { options: visionOptions, error: visionError } = parseVisionOptions(req.body, {
+      allowTesting: await canUseVisionFixtures(req)
+    });
+    if (visionError) {
+      return res.status(400).json({
+        success: false,
+        error: visionError
+      });
+    }
+
     console.log('[IMAGE_ANALYSIS] Processing image analysis request');
 
-    // Analyze image with OpenAI Vision
-    const result = await analyzeEventImage(image, title);
-
-    // MongoDB storage disabled temporarily
-    // Uncomment below to save analysis history to MongoDB
-    /*
-    try {
-      const db = getDatabase();
-      const analysisDoc = {
-        image_url: image.startsWith('http') ? image : 'base64_data',
-        analysis: result.analysis,
-        metadata: result.metadata,
-        created_at: new Date()
-      };
-
-      await db.collection('event_analyses').insertOne(analysisDoc);
-      console.log('[IMAGE_ANALYSIS] ✅ Analysis saved to MongoDB');
-    } catch (dbError) {
-      console.error('[IMAGE_ANALYSIS] ⚠️ MongoDB save error:', dbError.message);
-      // Continue even if DB save fails
+    visionOptions.context = post_metadata;
+
+    const supabase = isConfigured() ? getSupabase() : null;
+    const cacheRequest = { title, options: visionOptions, force: force === true, userId: req.user.id };
+
+    if (multi === true) {
+      const result = await analyzeWithCache(supabase, image, { ...cacheRequest, mode: 'multi' },
+        (imageData) => analyzeMultiEventImage(imageData, title, visionOptions));
+
+      // Agenda events usually share one venue: match each location once
+      const venueMatches = new Map();
+      for (const analysis of result.events) {
+        if (!venueMatches.has(analysis.location)) {
+          venueMatches.set(analysis.location, supabase ? await suggestVenueForAnalysis(supabase, analysis) : null);
+        }
+      }
+
+      return res.json({
+        success: true,
+        events: result.events.map((analysis) => ({ ...analysis, venue_match: venueMatches.get(analysis.location) })),
+        metadata: result.metadata
+      });
     }
-    */
+
+    // Analyze image with the configured vision provider (or the cache)
+    const result = await analyzeWithCache(supabase, image, { ...cacheRequest, mode: 'single' },
+      (imageData) => analyzeEventImage(imageData, title, visionOptions));
+
+    // Known venue for the extracted location, if any
+    const venueMatch = supabase
+      ? await suggestVenueForAnalysis(supabase, result.analysis)
+      : null;
 
     // Return success response
     res.json({
       success: true,
       analysis: result.analysis,
-      metadata: result.metadata
+      metadata: result.metadata,
+      venue_match: venueMatch
     });
 
   } catch (error) {
+    if (error.code === 'ENOTPUBLIC') {
+      console.warn('[IMAGE_ANALYSIS] ⛔ Image URL blocked:', error.message);
+      return res.status(400).json({
+        success: false,
+        error: 'image must point to a public address',
+        message: error.message
+      });
+    }
+
     console.error('[IMAGE_ANALYSIS] ❌ Error:', error.message);
     res.status(500).json({
       success: false,
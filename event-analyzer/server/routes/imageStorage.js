@@ -1,9 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
 const { getSupabase, isConfigured } = require('../utils/supabase');
+const { requireAuth } = require('../middleware/auth');
+const { requirePermission, canManageEvent, forbidden } = require('../middleware/permissions');
+const { computeImageHash } = require('../services/imageHash');
+const { fetchPublicUrl } = require('../utils/publicUrl');
 
 const BUCKET_NAME = 'event-images';
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024; // bucket fileSizeLimit
 
 /**
  * Ensure the storage bucket exists (creates it if missing).
@@ -18,7 +22,7 @@ async function ensureBucket(supabase) {
     const { error: createError } = await supabase.storage.createBucket(BUCKET_NAME, {
       public: true,
       allowedMimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
-      fileSizeLimit: 10 * 1024 * 1024, // 10 MB
+      fileSizeLimit: MAX_IMAGE_BYTES,
     });
     if (createError) throw createError;
     console.log(`[IMAGE_STORAGE] ✅ Bucket "${BUCKET_NAME}" created`);
@@ -26,22 +30,60 @@ async function ensureBucket(supabase) {
 }
 
 /**
- * Download an image from a URL and return its Buffer + content-type.
+ * Download an image from a URL (public addresses only) and return its
+ * Buffer + content-type.
  */
 async function downloadImage(url) {
-  const response = await axios.get(url, {
-    responseType: 'arraybuffer',
+  const { data, contentType } = await fetchPublicUrl(url, {
+    maxBytes: MAX_IMAGE_BYTES,
     timeout: 15000,
     headers: {
       'User-Agent':
         'Mozilla/5.0 (compatible; WoWEventBot/1.0; +https://standatpd.com)',
     },
-    maxRedirects: 5,
   });
 
-  const contentType = response.headers['content-type'] || 'image/jpeg';
-  const buffer = Buffer.from(response.data);
-  return { buffer, contentType };
+  return { buffer: data, contentType: contentType || 'image/jpeg' };
+}
+
+/**
+ * Perceptual hash for events.image_hash (duplicate detection), or null if the
+ * image can't be decoded.
+ */
+async function hashImageBuffer(buffer) {
+  try {
+    return await computeImageHash(buffer);
+  } catch (err) {
+    console.warn('[IMAGE_STORAGE] ⚠️  Could not hash image:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Before an upload replaces an event's image: the event must exist (404) and
+ * the user must manage it (403). Sends the error response and returns false.
+ */
+async function checkEventImageAccess(req, res, supabase, eventId) {
+  const { data: event, error } = await supabase
+    .from('events')
+    .select('id, user_id, organizer_handle')
+    .eq('id', eventId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!event) {
+    res.status(404).json({ success: false, error: 'Event not found' });
+    return false;
+  }
+
+  if (!(await canManageEvent(req, event))) {
+    console.warn(`[IMAGE_STORAGE] ⛔ ${req.user.id} cannot change the image of event ${eventId}`);
+    forbidden(res, 'Only the event host or a moderator can change its image');
+    return false;
+  }
+
+  return true;
 }
 
 /**
@@ -70,10 +112,11 @@ async function uploadToStorage(supabase, buffer, contentType, filename) {
 // POST /api/storage/upload-image-url
 // Body: { url: string, event_id?: string, filename?: string }
 // Downloads the image from `url` and saves it to Supabase Storage.
-// If `event_id` is provided, also updates the event's image column.
+// If `event_id` is provided, also updates the event's image column (host or
+// moderator only: 404 for an unknown event, 403 otherwise).
 // Returns: { success, publicUrl }
 // ─────────────────────────────────────────────────────────────────────────────
-router.post('/upload-image-url', async (req, res) => {
+router.post('/upload-image-url', requireAuth, requirePermission('events:create'), async (req, res) => {
   try {
     if (!isConfigured()) {
       return res.status(503).json({ success: false, error: 'Database not configured' });
@@ -85,6 +128,10 @@ router.post('/upload-image-url', async (req, res) => {
       return res.status(400).json({ success: false, error: 'url is required' });
     }
 
+    const supabase = getSupabase();
+
+    if (event_id && !(await checkEventImageAccess(req, res, supabase, event_id))) return;
+
     console.log(`[IMAGE_STORAGE] Downloading image from ${url}`);
     const { buffer, contentType } = await downloadImage(url);
 
@@ -92,7 +139,6 @@ router.post('/upload-image-url', async (req, res) => {
       filename ||
       (event_id ? `event_${event_id}_${Date.now()}` : `img_${Date.now()}`);
 
-    const supabase = getSupabase();
     const publicUrl = await uploadToStorage(supabase, buffer, contentType, safeFilename);
 
     console.log(`[IMAGE_STORAGE] ✅ Uploaded → ${publicUrl}`);
@@ -101,7 +147,7 @@ router.post('/upload-image-url', async (req, res) => {
     if (event_id) {
       const { error: updateError } = await supabase
         .from('events')
-        .update({ image: publicUrl })
+        .update({ image: publicUrl, image_hash: await hashImageBuffer(buffer) })
         .eq('id', event_id);
 
       if (updateError) {
@@ -113,6 +159,15 @@ router.post('/upload-image-url', async (req, res) => {
 
     return res.json({ success: true, publicUrl });
   } catch (err) {
+    if (err.code === 'ENOTPUBLIC') {
+      console.warn('[IMAGE_STORAGE] ⛔ Image URL blocked:', err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'url must point to a public address',
+        message: err.message,
+      });
+    }
+
     console.error('[IMAGE_STORAGE] ❌ Error:', err.message);
     return res.status(500).json({
       success: false,
@@ -125,10 +180,11 @@ router.post('/upload-image-url', async (req, res) => {
 // ─────────────────────────────────────────────────────────────────────────────
 // POST /api/storage/upload-image-base64
 // Body: { base64: string (data URI or raw), event_id?: string, filename?: string }
-// Uploads a base64 image directly to Supabase Storage.
+// Uploads a base64 image directly to Supabase Storage. With `event_id`, also
+// updates the event's image column (same checks as upload-image-url).
 // Returns: { success, publicUrl }
 // ─────────────────────────────────────────────────────────────────────────────
-router.post('/upload-image-base64', async (req, res) => {
+router.post('/upload-image-base64', requireAuth, requirePermission('events:create'), async (req, res) => {
   try {
     if (!isConfigured()) {
       return res.status(503).json({ success: false, error: 'Database not configured' });
@@ -140,6 +196,10 @@ router.post('/upload-image-base64', async (req, res) => {
       return res.status(400).json({ success: false, error: 'base64 is required' });
     }
 
+    const supabase = getSupabase();
+
+    if (event_id && !(await checkEventImageAccess(req, res, supabase, event_id))) return;
+
     // Parse data URI if present: "data:image/jpeg;base64,<data>"
     let contentType = 'image/jpeg';
     let rawBase64 = base64;
@@ -159,7 +219,6 @@ router.post('/upload-image-base64', async (req, res) => {
       filename ||
       (event_id ? `event_${event_id}_${Date.now()}` : `img_${Date.now()}`);
 
-    const supabase = getSupabase();
     const publicUrl = await uploadToStorage(supabase, buffer, contentType, safeFilename);
 
     console.log(`[IMAGE_STORAGE] ✅ Base64 uploaded → ${publicUrl}`);
@@ -167,7 +226,7 @@ router.post('/upload-image-base64', async (req, res) => {
     if (event_id) {
       const { error: updateError } = await supabase
         .from('events')
-        .update({ image: publicUrl })
+        .update({ image: publicUrl, image_hash: await hashImageBuffer(buffer) })
         .eq('id', event_id);
 
       if (updateError) {
@@ -193,9 +252,10 @@ router.post('/upload-image-base64', async (req, res) => {
 // Body: { limit?: number }   (default: process all events with external image URLs)
 // Iterates over events whose `image` field is NOT already a Supabase Storage URL,
 // downloads + re-uploads each one, and patches the event record.
+// Admin only.
 // Returns: { success, migrated, failed, results[] }
 // ─────────────────────────────────────────────────────────────────────────────
-router.post('/migrate-event-images', async (req, res) => {
+router.post('/migrate-event-images', requireAuth, requirePermission('storage:migrate'), async (req, res) => {
   try {
     if (!isConfigured()) {
       return res.status(503).json({ success: false, error: 'Database not configured' });
@@ -231,7 +291,10 @@ router.post('/migrate-event-images', async (req, res) => {
         const publicUrl = await uploadToStorage(supabase, buffer, contentType, filename);
 
         // Update the event record
-        await supabase.from('events').update({ image: publicUrl }).eq('id', event.id);
+        await supabase
+          .from('events')
+          .update({ image: publicUrl, image_hash: await hashImageBuffer(buffer) })
+          .eq('id', event.id);
 
         migrated++;
         results.push({ id: event.id, title: event.title, status: 'migrated', publicUrl });
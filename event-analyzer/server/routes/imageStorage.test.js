@@ -0,0 +1,148 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+process.env.SUPABASE_JWT_SECRET = 'test-jwt-secret';
+
+const HOST_ID = 'a1b2c3d4-0000-4000-8000-000000000020';
+const BETA_ID = 'a1b2c3d4-0000-4000-8000-000000000021';
+
+/**
+ * In-memory stand-in for the Supabase client: reads filter `tables` by eq(),
+ * updates and storage uploads are recorded
+ */
+function createSupabaseStub(tables) {
+  const writes = [];
+
+  function from(table) {
+    const query = { payload: null, filters: [], single: false };
+
+    const run = () => {
+      if (query.payload) {
+        writes.push({ table, payload: query.payload });
+        return { data: null, error: null };
+      }
+      const rows = (tables[table] || []).filter((row) =>
+        query.filters.every(([column, value]) => row[column] === value));
+      return { data: query.single ? rows[0] || null : rows, error: null };
+    };
+
+    const builder = {
+      select: () => builder,
+      update(payload) {
+        query.payload = payload;
+        return builder;
+      },
+      eq(column, value) {
+        query.filters.push([column, value]);
+        return builder;
+      },
+      maybeSingle() {
+        query.single = true;
+        return builder;
+      },
+      then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject)
+    };
+
+    return builder;
+  }
+
+  const storage = {
+    listBuckets: async () => ({ data: [{ name: 'event-images' }], error: null }),
+    from: () => ({
+      upload: async (path) => {
+        writes.push({ table: 'storage', payload: path });
+        return { error: null };
+      },
+      getPublicUrl: (path) => ({ data: { publicUrl: `https://storage.example.com/${path}` } })
+    })
+  };
+
+  return { client: { from, storage }, writes };
+}
+
+const tables = {
+  profiles: [{ id: HOST_ID, role: 'host' }, { id: BETA_ID, role: 'beta' }],
+  events: [{ id: 'event-1', user_id: HOST_ID, organizer_handle: null }]
+};
+
+const supabase = createSupabaseStub(tables);
+
+require.cache[require.resolve('../utils/supabase')] = {
+  loaded: true,
+  exports: { getSupabase: () => supabase.client, isConfigured: () => true }
+};
+
+const imageStorageRoutes = require('./imageStorage');
+
+let server;
+let baseUrl;
+
+async function upload(userId, body) {
+  const token = jwt.sign({ sub: userId }, process.env.SUPABASE_JWT_SECRET, {
+    algorithm: 'HS256',
+    audience: 'authenticated',
+    expiresIn: '1h'
+  });
+  const response = await fetch(`${baseUrl}/upload-image-base64`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const IMAGE = `data:image/png;base64,${Buffer.from('not really a png').toString('base64')}`;
+
+before(async () => {
+  for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/storage', imageStorageRoutes);
+
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/storage`;
+});
+
+after(() => {
+  server.close();
+  mock.restoreAll();
+});
+
+describe('POST /api/storage/upload-image-base64 with event_id', () => {
+  beforeEach(() => {
+    supabase.writes.length = 0;
+  });
+
+  it('lets the host replace the event image', async () => {
+    const { status, body } = await upload(HOST_ID, { base64: IMAGE, event_id: 'event-1' });
+
+    assert.strictEqual(status, 200, JSON.stringify(body));
+    const update = supabase.writes.find((w) => w.table === 'events');
+    assert.strictEqual(update.payload.image, body.publicUrl);
+  });
+
+  it('responds 403 to a user who does not manage the event, before uploading', async () => {
+    const { status } = await upload(BETA_ID, { base64: IMAGE, event_id: 'event-1' });
+
+    assert.strictEqual(status, 403);
+    assert.deepStrictEqual(supabase.writes, []);
+  });
+
+  it('responds 404 for an unknown event', async () => {
+    const { status } = await upload(HOST_ID, { base64: IMAGE, event_id: 'missing' });
+
+    assert.strictEqual(status, 404);
+    assert.deepStrictEqual(supabase.writes, []);
+  });
+
+  it('uploads without an event_id for any user with events:create', async () => {
+    const { status } = await upload(BETA_ID, { base64: IMAGE });
+
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(supabase.writes.map((w) => w.table), ['storage']);
+  });
+});
@@ -0,0 +1,329 @@
+const express = require('express');
+const router = express.Router();
+const { getSupabase, isConfigured } = require('../utils/supabase');
+const { requireAuth } = require('../middleware/auth');
+const {
+  hasPermission, getUserRole, requirePermission, forbidden
+} = require('../middleware/permissions');
+const { isUpcomingEvent } = require('../services/eventTime');
+const {
+  ORGANIZER_COLUMNS, normalizeOrganizerHandle, normalizeOrganizerProfile, buildOrganizerStats
+} = require('../services/organizers');
+const { withRecurringDates } = require('../services/eventData');
+
+/**
+ * Load the organizer in req.params.handle (normalized)
+ * @returns {Promise<{ handle: string, organizer: Object|null }>}
+ */
+async function loadOrganizer(supabase, rawHandle) {
+  const handle = normalizeOrganizerHandle(rawHandle);
+  if (!handle) return { handle: null, organizer: null };
+
+  const { data: organizer, error } = await supabase
+    .from('organizers')
+    .select(ORGANIZER_COLUMNS)
+    .eq('handle', handle)
+    .maybeSingle();
+
+  if (error) throw error;
+  return { handle, organizer };
+}
+
+/**
+ * GET /api/organizers/pending-claims
+ * Organizers with a claim waiting for review, oldest first (moderators, admins).
+ * "pending-claims" can't collide with a handle: handles never contain "-".
+ */
+router.get('/pending-claims', requireAuth, requirePermission('events:manage_any'), async (req, res) => {
+  try {
+    if (!isConfigured()) {
+      return res.status(503).json({ success: false, error: 'Database not configured' });
+    }
+
+    const { data, error } = await getSupabase()
+      .from('organizers')
+      .select(ORGANIZER_COLUMNS)
+      .not('claim_requested_by', 'is', null)
+      .order('claim_requested_at', { ascending: true });
+
+    if (error) throw error;
+
+    return res.json({ success: true, organizers: data || [] });
+  } catch (err) {
+    console.error('[ORGANIZERS] ❌ Pending claims error:', err.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to list pending claims',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/organizers/:handle
+ * Organizer profile with upcoming events and stats.
+ * The handle is normalized, so "@Sitio.Bar" and "sitio.bar" are the same organizer.
+ */
+router.get('/:handle', async (req, res) => {
+  try {
+    if (!isConfigured()) {
+      return res.status(503).json({ success: false, error: 'Database not configured' });
+    }
+
+    const supabase = getSupabase();
+    const { handle, organizer } = await loadOrganizer(supabase, req.params.handle);
+
+    if (!organizer) {
+      return res.status(404).json({ success: false, error: 'Organizer not found' });
+    }
+
+    const { data: events, error } = await supabase
+      .from('events')
+      .select('*')
+      .eq('organizer_handle', handle)
+      .is('deleted_at', null)
+      .order('date', { ascending: true, nullsFirst: false });
+
+    if (error) throw error;
+
+    const now = new Date();
+
+    return res.json({
+      success: true,
+      organizer,
+      upcoming_events: events.filter((e) => isUpcomingEvent(e, now)).map((e) => withRecurringDates(e, now)),
+      stats: buildOrganizerStats(events, now)
+    });
+  } catch (err) {
+    console.error('[ORGANIZERS] ❌ Error:', err.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch organizer',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * POST /api/organizers/:handle/claim
+ * Request to claim an organizer for the authenticated host. The claim stays
+ * pending until a moderator approves it; once approved the claimer can edit
+ * the profile and manage the events imported under the handle (events
+ * without an owner). Moderators/admins claim directly and can reassign a
+ * claimed organizer with body.user_id.
+ */
+router.post('/:handle/claim', requireAuth, requirePermission('events:host'), async (req, res) => {
+  try {
+    if (!isConfigured()) {
+      return res.status(503).json({ success: false, error: 'Database not configured' });
+    }
+
+    const supabase = getSupabase();
+    const { handle, organizer } = await loadOrganizer(supabase, req.params.handle);
+
+    if (!organizer) {
+      return res.status(404).json({ success: false, error: 'Organizer not found' });
+    }
+
+    const canReassign = hasPermission(await getUserRole(req), 'events:manage_any');
+    const claimedBy = canReassign && req.body.user_id ? req.body.user_id : req.user.id;
+
+    if (organizer.claimed_by && organizer.claimed_by !== claimedBy && !canReassign) {
+      return res.status(409).json({ success: false, error: 'Organizer already claimed' });
+    }
+
+    if (canReassign) {
+      const { data, error } = await supabase
+        .from('organizers')
+        .update({
+          claimed_by: claimedBy,
+          claimed_at: new Date().toISOString(),
+          claim_requested_by: null,
+          claim_requested_at: null
+        })
+        .eq('handle', handle)
+        .select(ORGANIZER_COLUMNS)
+        .single();
+
+      if (error) throw error;
+
+      console.log(`[ORGANIZERS] ✅ @${handle} assigned to ${claimedBy} by ${req.user.id}`);
+
+      return res.json({ success: true, organizer: data });
+    }
+
+    if (organizer.claimed_by === claimedBy) {
+      return res.json({ success: true, organizer });
+    }
+
+    if (organizer.claim_requested_by && organizer.claim_requested_by !== claimedBy) {
+      return res.status(409).json({ success: false, error: 'Another claim is pending review' });
+    }
+
+    const { data, error } = await supabase
+      .from('organizers')
+      .update({ claim_requested_by: claimedBy, claim_requested_at: new Date().toISOString() })
+      .eq('handle', handle)
+      .select(ORGANIZER_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    console.log(`[ORGANIZERS] ⏳ @${handle} claim requested by ${claimedBy}`);
+
+    return res.status(202).json({ success: true, pending: true, organizer: data });
+  } catch (err) {
+    console.error('[ORGANIZERS] ❌ Claim error:', err.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to claim organizer',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * POST /api/organizers/:handle/claim/approve
+ * Approve the pending claim (moderators, admins)
+ */
+router.post('/:handle/claim/approve', requireAuth, requirePermission('events:manage_any'), async (req, res) => {
+  try {
+    if (!isConfigured()) {
+      return res.status(503).json({ success: false, error: 'Database not configured' });
+    }
+
+    const supabase = getSupabase();
+    const { handle, organizer } = await loadOrganizer(supabase, req.params.handle);
+
+    if (!organizer) {
+      return res.status(404).json({ success: false, error: 'Organizer not found' });
+    }
+
+    if (!organizer.claim_requested_by) {
+      return res.status(409).json({ success: false, error: 'No pending claim' });
+    }
+
+    const { data, error } = await supabase
+      .from('organizers')
+      .update({
+        claimed_by: organizer.claim_requested_by,
+        claimed_at: new Date().toISOString(),
+        claim_requested_by: null,
+        claim_requested_at: null
+      })
+      .eq('handle', handle)
+      .eq('claim_requested_by', organizer.claim_requested_by)
+      .select(ORGANIZER_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    console.log(`[ORGANIZERS] ✅ @${handle} claim by ${data.claimed_by} approved by ${req.user.id}`);
+
+    return res.json({ success: true, organizer: data });
+  } catch (err) {
+    console.error('[ORGANIZERS] ❌ Approve claim error:', err.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to approve claim',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * POST /api/organizers/:handle/claim/reject
+ * Discard the pending claim (moderators, admins)
+ */
+router.post('/:handle/claim/reject', requireAuth, requirePermission('events:manage_any'), async (req, res) => {
+  try {
+    if (!isConfigured()) {
+      return res.status(503).json({ success: false, error: 'Database not configured' });
+    }
+
+    const supabase = getSupabase();
+    const { handle, organizer } = await loadOrganizer(supabase, req.params.handle);
+
+    if (!organizer) {
+      return res.status(404).json({ success: false, error: 'Organizer not found' });
+    }
+
+    if (!organizer.claim_requested_by) {
+      return res.status(409).json({ success: false, error: 'No pending claim' });
+    }
+
+    const { data, error } = await supabase
+      .from('organizers')
+      .update({ claim_requested_by: null, claim_requested_at: null })
+      .eq('handle', handle)
+      .select(ORGANIZER_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    console.log(`[ORGANIZERS] 🚫 @${handle} claim by ${organizer.claim_requested_by} rejected by ${req.user.id}`);
+
+    return res.json({ success: true, organizer: data });
+  } catch (err) {
+    console.error('[ORGANIZERS] ❌ Reject claim error:', err.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to reject claim',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/organizers/:handle
+ * Update bio, avatar_url, display_name and links (claimer, moderators, admins)
+ */
+router.patch('/:handle', requireAuth, async (req, res) => {
+  try {
+    if (!isConfigured()) {
+      return res.status(503).json({ success: false, error: 'Database not configured' });
+    }
+
+    const supabase = getSupabase();
+    const { handle, organizer } = await loadOrganizer(supabase, req.params.handle);
+
+    if (!organizer) {
+      return res.status(404).json({ success: false, error: 'Organizer not found' });
+    }
+
+    if (organizer.claimed_by !== req.user.id && !hasPermission(await getUserRole(req), 'events:manage_any')) {
+      return forbidden(res, 'Only the user who claimed this organizer can edit it');
+    }
+
+    const { updates, error: profileError } = normalizeOrganizerProfile(req.body);
+    if (profileError) {
+      return res.status(400).json({ success: false, error: profileError });
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ success: false, error: 'No fields to update' });
+    }
+
+    const { data, error } = await supabase
+      .from('organizers')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('handle', handle)
+      .select(ORGANIZER_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    console.log(`[ORGANIZERS] ✅ @${handle} updated (${Object.keys(updates).join(', ')})`);
+
+    return res.json({ success: true, organizer: data });
+  } catch (err) {
+    console.error('[ORGANIZERS] ❌ Update error:', err.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update organizer',
+      message: err.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,14 @@ const express = require('express');
 const router = express.Router();
 const axios = require('axios');
 const { analyzeEventImage } = require('../services/eventVision');
+const { parseVisionOptions } = require('../services/visionProviders');
+const { requireAuth } = require('../middleware/auth');
+const { requirePermission, canUseVisionFixtures } = require('../middleware/permissions');
+const { getSupabase, isConfigured } = require('../utils/supabase');
+const { suggestVenueForAnalysis } = require('../services/venues');
+const { analyzeCarousel } = require('../services/carouselAnalysis');
+const { extractPostMetadata } = require('../services/postContext');
+const { analyzeWithCache } = require('../services/analysisCache');
 
 const EXTRACTOR_T_URL = process.env.EXTRACTOR_T_URL || 'https://api.standatpd.com';
 
@@ -18,7 +26,7 @@ function isInstagramUrl(url) {
  * POST /api/events/analyze-url
  * Extract images from Instagram post (no analysis - extraction only)
  */
-router.post('/analyze-url', async (req, res) => {
+router.post('/analyze-url', requireAuth, requirePermission('events:analyze'), async (req, res) => {
   try {
     const { url } = req.body;
 
@@ -59,10 +67,7 @@ router.post('/analyze-url', async (req, res) => {
       });
     }
 
-    const postMetadata = {
-      author: extractorResponse.data.author,
-      description: extractorResponse.data.description
-    };
+    const postMetadata = extractPostMetadata(extractorResponse.data);
 
     // Get all image URLs
     const extractedImages = mediaItems
@@ -115,10 +120,24 @@ router.post('/analyze-url', async (req, res) => {
 /**
  * POST /api/events/analyze-extracted-image
  * Analyze a single extracted image for event details (on-demand)
+ * Optional body.provider / body.model pick the vision provider for this request
+ * body.post_metadata (as returned by analyze-url) gives the caption, author
+ * and publish date to the analysis as context
+ * body.carousel = true analyzes every `image_urls` slide plus the caption
+ * (`description` or post_metadata.description) and merges them into one event
+ * Single images are cached like analyze-image; body.force = true re-analyzes
  */
-router.post('/analyze-extracted-image', async (req, res) => {
+router.post('/analyze-extracted-image', requireAuth, requirePermission('events:analyze'), async (req, res) => {
   try {
-    const { image_url, title } = req.body;
+    const { image_url, title, carousel, image_urls, post_metadata, force } = req.body;
+
+    if (carousel === true) {
+      return await analyzeCarouselRequest(req, res, {
+        image_urls,
+        description: req.body.description ?? post_metadata?.description,
+        title
+      });
+    }
 
     if (!image_url) {
       return res.status(400).json({
@@ -127,43 +146,54 @@ router.post('/analyze-extracted-image', async (req, res) => {
       });
     }
 
-    console.log(`[IMAGE_ANALYSIS] Analyzing image: ${image_url}`);
-
-    // Download image and convert to base64
-    const imageResponse = await axios.get(image_url, {
-      responseType: 'arraybuffer',
-      timeout: 30000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'image/webp,image/apng,image/*,*/*;q=0.8',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Accept-Language': 'en-US,en;q=0.9'
-      }
+    const { options: visionOptions, error: visionError } = parseVisionOptions(req.body, {
+      allowTesting: await canUseVisionFixtures(req)
     });
+    if (visionError) {
+      return res.status(400).json({
+        success: false,
+        error: visionError
+      });
+    }
 
-    const base64Image = Buffer.from(imageResponse.data, 'binary').toString('base64');
-    const mimeType = imageResponse.headers['content-type'] || 'image/jpeg';
-    const base64DataUrl = `data:${mimeType};base64,${base64Image}`;
+    console.log(`[IMAGE_ANALYSIS] Analyzing image: ${image_url}`);
 
-    console.log(`[IMAGE_ANALYSIS] Image downloaded (${(base64Image.length / 1024).toFixed(2)} KB)`);
+    const supabase = isConfigured() ? getSupabase() : null;
+    const options = { ...visionOptions, context: post_metadata };
 
-    // Analyze image with Vision API
-    const analysisResult = await analyzeEventImage(
-      base64DataUrl,
-      title || 'Event Post'
-    );
+    // Download and analyze with the configured vision provider (or the cache)
+    const analysisResult = await analyzeWithCache(supabase, image_url, {
+      mode: 'single',
+      title: title || 'Event Post',
+      options,
+      force: force === true,
+      userId: req.user.id
+    }, (imageData) => analyzeEventImage(imageData, title || 'Event Post', options));
 
     console.log(`[IMAGE_ANALYSIS] Analysis complete: "${analysisResult.analysis.event_name}"`);
 
+    const venueMatch = supabase
+      ? await suggestVenueForAnalysis(supabase, analysisResult.analysis)
+      : null;
+
     res.json({
       success: true,
       analysis: analysisResult.analysis,
-      metadata: analysisResult.metadata
+      metadata: analysisResult.metadata,
+      venue_match: venueMatch
     });
 
   } catch (error) {
     console.error(`[IMAGE_ANALYSIS] Error: ${error.message}`);
 
+    if (error.code === 'ENOTPUBLIC') {
+      return res.status(400).json({
+        success: false,
+        error: 'image_url must point to a public address',
+        message: error.message
+      });
+    }
+
     if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
       return res.status(504).json({
         success: false,
@@ -178,4 +208,45 @@ router.post('/analyze-extracted-image', async (req, res) => {
   }
 });
 
+/**
+ * Carousel mode of analyze-extracted-image
+ */
+async function analyzeCarouselRequest(req, res, { image_urls, description, title }) {
+  if (!Array.isArray(image_urls) || image_urls.length === 0 || image_urls.some((url) => typeof url !== 'string')) {
+    return res.status(400).json({
+      success: false,
+      error: 'image_urls must be a non-empty array of URLs'
+    });
+  }
+
+  const { options: visionOptions, error: visionError } = parseVisionOptions(req.body, {
+    allowTesting: await canUseVisionFixtures(req)
+  });
+  if (visionError) {
+    return res.status(400).json({
+      success: false,
+      error: visionError
+    });
+  }
+
+  console.log(`[IMAGE_ANALYSIS] Analyzing carousel: ${image_urls.length} image(s)`);
+
+  const result = await analyzeCarousel(image_urls, description, title || 'Event Post', {
+    ...visionOptions,
+    context: req.body.post_metadata
+  });
+
+  const venueMatch = isConfigured()
+    ? await suggestVenueForAnalysis(getSupabase(), result.analysis)
+    : null;
+
+  res.json({
+    success: true,
+    analysis: result.analysis,
+    sources: result.sources,
+    metadata: result.metadata,
+    venue_match: venueMatch
+  });
+}
+
 module.exports = router;
@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const { getSupabase, isConfigured } = require('../utils/supabase');
+const { requireAuth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { buildUpcomingFilter, buildPastFilter } = require('../services/eventQuery');
+const { VENUE_COLUMNS, mergeVenues } = require('../services/venues');
+const { withRecurringDates } = require('../services/eventData');
+
+/**
+ * GET /api/venues/:id
+ * Venue details with its upcoming and past events.
+ * Merged venues resolve to the venue they were merged into.
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    if (!isConfigured()) {
+      return res.status(503).json({ success: false, error: 'Database not configured' });
+    }
+
+    const supabase = getSupabase();
+
+    let { data: venue, error } = await supabase
+      .from('venues')
+      .select(VENUE_COLUMNS)
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (venue?.merged_into) {
+      ({ data: venue, error } = await supabase
+        .from('venues')
+        .select(VENUE_COLUMNS)
+        .eq('id', venue.merged_into)
+        .maybeSingle());
+      if (error) throw error;
+    }
+
+    if (!venue) {
+      return res.status(404).json({ success: false, error: 'Venue not found' });
+    }
+
+    const now = new Date();
+
+    const [upcoming, past] = await Promise.all([
+      supabase
+        .from('events')
+        .select('*')
+        .eq('venue_id', venue.id)
+        .is('deleted_at', null)
+        .or(buildUpcomingFilter(now))
+        .order('date', { ascending: true, nullsFirst: false }),
+      supabase
+        .from('events')
+        .select('*')
+        .eq('venue_id', venue.id)
+        .is('deleted_at', null)
+        .or(buildPastFilter(now))
+        .order('date', { ascending: false })
+        .limit(50)
+    ]);
+
+    if (upcoming.error) throw upcoming.error;
+    if (past.error) throw past.error;
+
+    return res.json({
+      success: true,
+      venue,
+      upcoming_events: (upcoming.data || []).map((event) => withRecurringDates(event)),
+      past_events: (past.data || []).map((event) => withRecurringDates(event))
+    });
+  } catch (err) {
+    console.error('[VENUES] ❌ Error:', err.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch venue',
+      message: err.message,
+    });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /api/venues/merge
+// Body: { target_id: string, source_ids: string[] } (repeats and target_id are ignored)
+// Admin only. Moves every event of the source venues to the target, adds the
+// source names/aliases as target aliases, fills empty target fields from the
+// sources and marks the sources as merged_into the target, in one transaction
+// (merge_venues).
+// Returns: { success, venue, events_moved }
+// ─────────────────────────────────────────────────────────────────────────────
+router.post('/merge', requireAuth, requirePermission('venues:merge'), async (req, res) => {
+  try {
+    if (!isConfigured()) {
+      return res.status(503).json({ success: false, error: 'Database not configured' });
+    }
+
+    const { target_id, source_ids } = req.body;
+
+    if (!target_id || !Array.isArray(source_ids) || source_ids.length === 0) {
+      return res.status(400).json({ success: false, error: 'target_id and source_ids[] are required' });
+    }
+
+    if (source_ids.some((id) => typeof id !== 'string')) {
+      return res.status(400).json({ success: false, error: 'source_ids must be strings' });
+    }
+
+    // Repeated ids and the target itself are not merged
+    const sourceIds = [...new Set(source_ids)].filter((id) => id !== target_id);
+    if (sourceIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'source_ids must include a venue other than target_id' });
+    }
+
+    const supabase = getSupabase();
+
+    const { data: venues, error } = await supabase
+      .from('venues')
+      .select(VENUE_COLUMNS)
+      .in('id', [target_id, ...sourceIds]);
+
+    if (error) throw error;
+
+    const target = venues.find((v) => v.id === target_id);
+    const sources = venues.filter((v) => v.id !== target_id);
+
+    if (!target || sources.length !== sourceIds.length) {
+      return res.status(404).json({ success: false, error: 'Venue not found' });
+    }
+
+    if ([target, ...sources].some((v) => v.merged_into)) {
+      return res.status(409).json({ success: false, error: 'Cannot merge a venue that was already merged' });
+    }
+
+    const merged = await mergeVenues(supabase, target, sources);
+
+    if (!merged) {
+      return res.status(409).json({ success: false, error: 'Cannot merge a venue that was already merged' });
+    }
+
+    const { venue, events_moved } = merged;
+
+    console.log(`[VENUES] ✅ Merged ${sourceIds.length} venue(s) into "${venue.name}" (${events_moved} events moved)`);
+
+    return res.json({ success: true, venue, events_moved });
+  } catch (err) {
+    console.error('[VENUES] ❌ Merge error:', err.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to merge venues',
+      message: err.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,193 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+process.env.SUPABASE_JWT_SECRET = 'test-jwt-secret';
+
+const ADMIN_ID = 'a1b2c3d4-0000-4000-8000-000000000010';
+
+/**
+ * In-memory stand-in for the Supabase client: reads filter `tables` by eq() /
+ * in(), updates are recorded in `updates` and applied to the matching rows.
+ * rpc('merge_venues') records its arguments in `rpcs` and applies them to
+ * `tables` like the Postgres function; `mergeResult` overrides its answer.
+ */
+function createSupabaseStub(tables) {
+  const updates = [];
+  const rpcs = [];
+  const stub = { updates, rpcs, mergeResult: undefined };
+
+  function rpc(name, args) {
+    rpcs.push({ name, args });
+    if (stub.mergeResult !== undefined) return Promise.resolve({ data: stub.mergeResult, error: null });
+
+    const moved = tables.events.filter((event) => args.source_ids.includes(event.venue_id));
+    moved.forEach((event) => { event.venue_id = args.target_id; });
+    tables.venues
+      .filter((venue) => args.source_ids.includes(venue.id))
+      .forEach((venue) => { venue.merged_into = args.target_id; });
+
+    const venue = tables.venues.find((v) => v.id === args.target_id);
+    Object.assign(venue, args.target_updates);
+
+    return Promise.resolve({ data: { venue: { ...venue }, events_moved: moved.length }, error: null });
+  }
+
+  function from(table) {
+    const query = { payload: null, filters: [], single: false };
+
+    const run = () => {
+      const rows = (tables[table] || []).filter((row) =>
+        query.filters.every(([column, values]) => values.includes(row[column])));
+
+      if (query.payload) {
+        updates.push({ table, payload: query.payload, ids: rows.map((row) => row.id) });
+        rows.forEach((row) => Object.assign(row, query.payload));
+      }
+
+      return { data: query.single ? rows[0] || null : rows, error: null };
+    };
+
+    const builder = {
+      select: () => builder,
+      update(payload) {
+        query.payload = payload;
+        return builder;
+      },
+      eq(column, value) {
+        query.filters.push([column, [value]]);
+        return builder;
+      },
+      in(column, values) {
+        query.filters.push([column, values]);
+        return builder;
+      },
+      single() {
+        query.single = true;
+        return builder;
+      },
+      maybeSingle() {
+        query.single = true;
+        return builder;
+      },
+      then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject)
+    };
+
+    return builder;
+  }
+
+  stub.client = { from, rpc };
+  return stub;
+}
+
+const venue = (id, name) => ({ id, name, aliases: [], address: null, merged_into: null });
+
+const tables = {};
+const supabase = createSupabaseStub(tables);
+
+require.cache[require.resolve('../utils/supabase')] = {
+  loaded: true,
+  exports: { getSupabase: () => supabase.client, isConfigured: () => true }
+};
+
+const venuesRoutes = require('./venues');
+
+let server;
+let baseUrl;
+
+async function merge(body) {
+  const token = jwt.sign({ sub: ADMIN_ID }, process.env.SUPABASE_JWT_SECRET, {
+    algorithm: 'HS256',
+    audience: 'authenticated',
+    expiresIn: '1h'
+  });
+  const response = await fetch(`${baseUrl}/merge`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+  for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/venues', venuesRoutes);
+
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/venues`;
+});
+
+after(() => {
+  server.close();
+  mock.restoreAll();
+});
+
+describe('POST /api/venues/merge', () => {
+  beforeEach(() => {
+    Object.assign(tables, {
+      profiles: [{ id: ADMIN_ID, role: 'admin' }],
+      venues: [venue('target', 'Bar Fly'), venue('source', 'Barfly GT')],
+      events: [{ id: 'event-1', venue_id: 'source' }]
+    });
+    supabase.updates.length = 0;
+    supabase.rpcs.length = 0;
+    supabase.mergeResult = undefined;
+  });
+
+  it('ignores repeated source ids and the target id', async () => {
+    const { status, body } = await merge({ target_id: 'target', source_ids: ['source', 'source', 'target'] });
+
+    assert.strictEqual(status, 200, JSON.stringify(body));
+    assert.strictEqual(body.events_moved, 1);
+    assert.strictEqual(tables.events[0].venue_id, 'target');
+    assert.deepStrictEqual(body.venue.aliases, ['Barfly GT']);
+    assert.strictEqual(tables.venues[1].merged_into, 'target');
+    assert.strictEqual(tables.venues[0].merged_into, null);
+  });
+
+  it('responds 400 when only the target is left', async () => {
+    const { status, body } = await merge({ target_id: 'target', source_ids: ['target', 'target'] });
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.error, 'source_ids must include a venue other than target_id');
+    assert.strictEqual(supabase.updates.length, 0);
+    assert.strictEqual(supabase.rpcs.length, 0);
+  });
+
+  it('responds 400 for source ids that are not strings', async () => {
+    const { status } = await merge({ target_id: 'target', source_ids: [{ id: 'source' }] });
+
+    assert.strictEqual(status, 400);
+  });
+
+  it('runs the merge in merge_venues', async () => {
+    tables.venues[0].address = null;
+    tables.venues[1].address = '5a avenida, zona 10';
+
+    await merge({ target_id: 'target', source_ids: ['source'] });
+
+    assert.deepStrictEqual(supabase.rpcs, [{
+      name: 'merge_venues',
+      args: {
+        target_id: 'target',
+        source_ids: ['source'],
+        target_updates: { aliases: ['Barfly GT'], address: '5a avenida, zona 10' }
+      }
+    }]);
+    assert.strictEqual(supabase.updates.length, 0);
+  });
+
+  it('responds 409 when a venue is merged in the meantime', async () => {
+    supabase.mergeResult = null;
+
+    const { status, body } = await merge({ target_id: 'target', source_ids: ['source'] });
+
+    assert.strictEqual(status, 409);
+    assert.strictEqual(body.error, 'Cannot merge a venue that was already merged');
+  });
+});
@@ -3,6 +3,10 @@ const router = express.Router();
 const fetch = require('node-fetch');
 const FormData = require('form-data');
 const { getSupabase } = require('../utils/supabase');
+const { requireAuth } = require('../middleware/auth');
+const { requirePermission, canUseVisionFixtures } = require('../middleware/permissions');
+const { analyzeFlyer, queueFlyerAnalysis, detectFlyerDuplicates } = require('../services/flyerReview');
+const { parseVisionOptions } = require('../services/visionProviders');
 
 // ExtractorT API configuration
 const EXTRACTOR_API_URL = process.env.EXTRACTOR_API_URL || 'https://api.standatpd.com';
@@ -167,13 +171,17 @@ async function processLinkMessage(from, url, messageId) {
     const supabase = getSupabase();
     for (const media of extractorData.media) {
       if (media.type === 'image' && media.url) {
-        await supabase
+        const { data: flyerRow } = await supabase
           .from('whatsapp_flyers')
           .insert({
             flyer: media.url,
             status: 'pending',
             saved: false
-          });
+          })
+          .select()
+          .single();
+
+        queueFlyerAnalysis(supabase, flyerRow);
       }
     }
 
@@ -319,6 +327,7 @@ router.post('/webhook', async (req, res) => {
     }
 
     console.log(`✅ Flyer record created with ID: ${dbData.id}`);
+    queueFlyerAnalysis(supabase, dbData);
     console.log('🎉 WhatsApp flyer processing complete');
 
     res.status(200).json({
@@ -374,7 +383,7 @@ router.get('/webhook', (req, res) => {
  * Submit an event flyer from the app (base64 image)
  * POST /api/whatsapp/submit
  */
-router.post('/submit', async (req, res) => {
+router.post('/submit', requireAuth, requirePermission('flyers:submit'), async (req, res) => {
   try {
     const { base64, sender_name, event_description } = req.body;
 
@@ -437,6 +446,7 @@ router.post('/submit', async (req, res) => {
     }
 
     console.log(`[FLYER_SUBMIT] ✅ Flyer submitted from app, id: ${dbData.id}`);
+    queueFlyerAnalysis(supabase, dbData);
 
     res.status(201).json({
       success: true,
@@ -453,17 +463,23 @@ router.post('/submit', async (req, res) => {
 /**
  * Get pending flyers
  * GET /api/whatsapp/flyers/pending
+ * Query: flagged=true|false to filter by low-confidence analysis
  */
-router.get('/flyers/pending', async (req, res) => {
+router.get('/flyers/pending', requireAuth, requirePermission('flyers:review'), async (req, res) => {
   try {
     const supabase = getSupabase();
 
-    const { data, error } = await supabase
+    let query = supabase
       .from('whatsapp_flyers')
       .select('*')
       .eq('status', 'pending')
-      .eq('saved', false)
-      .order('created_at', { ascending: false });
+      .eq('saved', false);
+
+    if (req.query.flagged === 'true' || req.query.flagged === 'false') {
+      query = query.eq('flagged', req.query.flagged === 'true');
+    }
+
+    const { data, error } = await query.order('created_at', { ascending: false });
 
     if (error) {
       throw new Error(`Failed to fetch pending flyers: ${error.message}`);
@@ -485,10 +501,97 @@ router.get('/flyers/pending', async (req, res) => {
 });
 
 /**
- * Update flyer status
+ * Analyze a flyer and flag it for review when any field has low confidence
+ * POST /api/whatsapp/flyers/:id/analyze
+ * Body: { provider?, model?, fixture?, timezone? }
+ * (provider "mock" and fixture only outside production or for admins)
+ */
+router.post('/flyers/:id/analyze', requireAuth, requirePermission('flyers:review'), async (req, res) => {
+  try {
+    const { options: visionOptions, error: optionsError } = parseVisionOptions(req.body, {
+      allowTesting: await canUseVisionFixtures(req)
+    });
+    if (optionsError) {
+      return res.status(400).json({ success: false, error: optionsError });
+    }
+
+    const supabase = getSupabase();
+
+    const { data: flyer, error } = await supabase
+      .from('whatsapp_flyers')
+      .select('id, flyer, event_description, image_hash')
+      .eq('id', req.params.id)
+      .single();
+
+    if (error || !flyer) {
+      return res.status(404).json({ success: false, error: 'Flyer not found' });
+    }
+
+    const updated = await analyzeFlyer(supabase, flyer, visionOptions);
+
+    res.json({
+      success: true,
+      flyer: updated
+    });
+
+  } catch (error) {
+    console.error('[FLYER_REVIEW] ❌ Error analyzing flyer:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Events a flyer may duplicate, from its analysis and image hash
+ * GET /api/whatsapp/flyers/:id/duplicates
+ */
+router.get('/flyers/:id/duplicates', requireAuth, requirePermission('flyers:review'), async (req, res) => {
+  try {
+    const supabase = getSupabase();
+
+    const { data: flyer, error } = await supabase
+      .from('whatsapp_flyers')
+      .select('id, flyer, analysis, image_hash')
+      .eq('id', req.params.id)
+      .single();
+
+    if (error || !flyer) {
+      return res.status(404).json({ success: false, error: 'Flyer not found' });
+    }
+
+    const { imageHash, duplicates } = await detectFlyerDuplicates(supabase, flyer, flyer.analysis || {});
+
+    const { error: updateError } = await supabase
+      .from('whatsapp_flyers')
+      .update({ image_hash: imageHash, duplicates })
+      .eq('id', flyer.id);
+
+    if (updateError) {
+      throw new Error(`Failed to store flyer duplicates: ${updateError.message}`);
+    }
+
+    res.json({
+      success: true,
+      image_hash: imageHash,
+      duplicates
+    });
+
+  } catch (error) {
+    console.error('[FLYER_REVIEW] ❌ Error checking duplicates:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Update flyer status (moderator/admin)
  * PATCH /api/whatsapp/flyers/:id
  */
-router.patch('/flyers/:id', async (req, res) => {
+router.patch('/flyers/:id', requireAuth, requirePermission('flyers:review'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status, saved } = req.body;
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const fs = require('fs/promises');
+const path = require('path');
+const { parseArgs } = require('util');
+const { EVAL_FIELDS, loadDataset, runEvaluation, diffReports } = require('../services/promptEval');
+const { listPromptVersions, resolvePromptVersion } = require('../services/promptTemplates');
+
+/**
+ * Evaluate a prompt version against a labeled flyer dataset (services/promptEval.js)
+ *
+ *   npm run eval:prompts -- [--version <v>] [--baseline <v|report.json>]
+ *     [--dataset <dir>] [--provider <name>] [--model <name>] [--record]
+ *     [--out <report.json>] [--json] [--verbose] [--list]
+ *
+ * Without --provider the recorded responses of each version are replayed
+ * (mock provider), so nothing is sent to a model. --baseline runs (or reads)
+ * a second report and prints the accuracy deltas plus every label that
+ * regressed or was fixed. Exits with 1 when the candidate has regressions.
+ */
+
+const DEFAULT_DATASET = path.join(__dirname, '..', 'fixtures', 'eval', 'flyers');
+
+const USAGE = `Usage: npm run eval:prompts -- [options]
+
+  --version <v>       Prompt version to evaluate (default: the active one)
+  --baseline <v|file> Version or saved report to compare against
+  --dataset <dir>     Dataset directory (default: server/fixtures/eval/flyers)
+  --provider <name>   Vision provider (default: mock, replays recorded responses)
+  --model <name>      Model for the provider
+  --record            Save live responses into <dataset>/responses/<version>/
+  --out <file>        Write the report as JSON
+  --json              Print JSON instead of tables
+  --verbose           Keep the analyzer logs
+  --list              List prompt versions`;
+
+const percent = (value) => (value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`);
+
+const signed = (value) => (value === null ? '-' : `${value > 0 ? '+' : ''}${(value * 100).toFixed(1)}`);
+
+function table(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map((row) => String(row[i]).length)));
+  return rows.map((row) => `  ${row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ')}`.trimEnd()).join('\n');
+}
+
+function formatReport(report) {
+  const rows = [['field', 'correct', 'accuracy']];
+  for (const field of EVAL_FIELDS) {
+    const entry = report.accuracy.fields[field];
+    if (entry) rows.push([field, `${entry.correct}/${entry.total}`, percent(entry.accuracy)]);
+  }
+  const { overall } = report.accuracy;
+  rows.push(['overall', `${overall.correct}/${overall.total}`, percent(overall.accuracy)]);
+
+  const lines = [
+    `Prompt ${report.version} · ${report.provider}/${report.model} · ${report.dataset} (${report.cases.length} cases)`,
+    '',
+    table(rows)
+  ];
+
+  const errors = report.cases.filter((c) => c.error);
+  if (errors.length) {
+    lines.push('', `Errors (${errors.length}):`, ...errors.map((c) => `  ${c.id}: ${c.error}`));
+  }
+
+  const misses = report.cases.flatMap((c) => Object.entries(c.fields)
+    .filter(([, entry]) => !entry.correct && !c.error)
+    .map(([field, entry]) => `  ${c.id}  ${field}: expected ${entry.expected}, got ${entry.actual}`));
+  if (misses.length) lines.push('', `Misses (${misses.length}):`, ...misses);
+
+  return lines.join('\n');
+}
+
+function formatDiff(diff) {
+  const rows = [['field', diff.baseline, diff.candidate, 'delta']];
+  for (const [field, entry] of Object.entries(diff.fields)) {
+    rows.push([field, percent(entry.baseline), percent(entry.candidate), signed(entry.delta)]);
+  }
+  rows.push(['overall', percent(diff.overall.baseline), percent(diff.overall.candidate), signed(diff.overall.delta)]);
+
+  const describe = (entry) => `  ${entry.id}  ${entry.field}: expected ${entry.expected}, ${entry.baseline} → ${entry.candidate}`;
+
+  return [
+    `Diff ${diff.baseline} → ${diff.candidate}`,
+    '',
+    table(rows),
+    '',
+    `Regressions (${diff.regressions.length}):`,
+    ...diff.regressions.map(describe),
+    '',
+    `Fixes (${diff.fixes.length}):`,
+    ...diff.fixes.map(describe),
+    ...(diff.changed.length ? ['', `Changed, still wrong (${diff.changed.length}):`, ...diff.changed.map(describe)] : [])
+  ].join('\n');
+}
+
+async function loadBaseline(value, dataset, runOptions) {
+  if (value.endsWith('.json')) {
+    return JSON.parse(await fs.readFile(value, 'utf8'));
+  }
+  return runEvaluation(dataset, { ...runOptions, version: value });
+}
+
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      version: { type: 'string' },
+      baseline: { type: 'string' },
+      dataset: { type: 'string', default: DEFAULT_DATASET },
+      provider: { type: 'string', default: 'mock' },
+      model: { type: 'string' },
+      record: { type: 'boolean', default: false },
+      out: { type: 'string' },
+      json: { type: 'boolean', default: false },
+      verbose: { type: 'boolean', default: false },
+      list: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (args.list) {
+    const active = resolvePromptVersion();
+    listPromptVersions().forEach((version) => console.log(`${version}${version === active ? ' (active)' : ''}`));
+    return 0;
+  }
+
+  const print = console.log;
+  if (!args.verbose) {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+  }
+
+  const dataset = await loadDataset(args.dataset);
+  const runOptions = { provider: args.provider, model: args.model, record: args.record };
+
+  const report = await runEvaluation(dataset, { ...runOptions, version: args.version });
+  if (args.out) await fs.writeFile(args.out, JSON.stringify(report, null, 2));
+
+  const baseline = args.baseline ? await loadBaseline(args.baseline, dataset, runOptions) : null;
+  const diff = baseline ? diffReports(baseline, report) : null;
+
+  if (args.json) {
+    print(JSON.stringify(diff ? { report, baseline, diff } : report, null, 2));
+  } else {
+    print(formatReport(report));
+    if (diff) print(`\n${formatDiff(diff)}`);
+  }
+
+  return diff?.regressions.length ? 1 : 0;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    process.exit(2);
+  });
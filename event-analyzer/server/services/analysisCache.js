@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const { resolvePromptVersion } = require('./promptTemplates');
+const { resolveVisionConfig } = require('./visionProviders');
+const { isImageUrl, loadImageBase64, hashImageData } = require('./visionProviders/image');
+const { normalizePostContext } = require('./postContext');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('./eventTime');
+
+/**
+ * Persistent store of image analyses (`image_analyses`), keyed by the image
+ * content hash, the prompt version and a variant (single/multi mode, provider,
+ * model, timezone, title and post context — everything else that changes the
+ * answer). A repeat image returns the stored result without a vision call.
+ *
+ * Relative dates ("este viernes") are read from today's date unless the post's
+ * publish date is known, so analyses without published_at expire after
+ * ANALYSIS_CACHE_TTL_HOURS (default 24). Analyses anchored to a publish date
+ * never expire; switching the prompt version retires them.
+ *
+ * The cache never blocks an analysis: lookup and save errors are logged and
+ * the request goes to the provider as usual.
+ */
+
+const DEFAULT_TTL_HOURS = 24;
+
+const LIST_COLUMNS = 'id, content_hash, prompt_version, mode, provider, model, event_name, confidence, image_url, requested_by, hits, last_hit_at, expires_at, created_at';
+
+function getTtlHours() {
+  return Number(process.env.ANALYSIS_CACHE_TTL_HOURS) || DEFAULT_TTL_HOURS;
+}
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Variant part of the cache key: what besides the image and the prompt
+ * version changes the answer
+ * @param {Object} request - { mode: 'single'|'multi', title, options }
+ * @returns {string} 16 hex characters
+ */
+function buildVariant({ mode, title, options = {} }) {
+  const { provider, model } = resolveVisionConfig(options);
+  return sha256(JSON.stringify({
+    mode,
+    provider,
+    model,
+    fixture: options.fixture || null,
+    timezone: isValidTimezone(options.timezone) ? options.timezone : DEFAULT_TIMEZONE,
+    title: title || null,
+    context: normalizePostContext(options.context)
+  })).slice(0, 16);
+}
+
+/**
+ * Cache key of an analysis request
+ * @param {string} dataUrl - Image as a base64 data URL
+ * @param {Object} request - { mode, title, options }
+ * @returns {{ content_hash: string, prompt_version: string, variant: string }}
+ */
+function buildCacheKey(dataUrl, request) {
+  return {
+    content_hash: hashImageData(dataUrl),
+    prompt_version: resolvePromptVersion(request.options?.promptVersion),
+    variant: buildVariant(request)
+  };
+}
+
+/**
+ * Expiry of a new cache entry: null (never) when the post context anchors
+ * relative dates to its publish date
+ * @returns {string|null} ISO timestamp
+ */
+function getExpiry(options = {}, now = new Date()) {
+  if (normalizePostContext(options.context)?.published_at) return null;
+  return new Date(now.getTime() + getTtlHours() * 3600000).toISOString();
+}
+
+/**
+ * Download a URL image into a data URL (the content hash needs the bytes)
+ * @param {string} imageData - URL or data URL
+ * @returns {Promise<string>} Data URL
+ */
+async function toDataUrl(imageData) {
+  if (!isImageUrl(imageData)) return imageData;
+  const { mimeType, base64 } = await loadImageBase64(imageData);
+  console.log(`[ANALYSIS_CACHE] Image downloaded (${(base64.length / 1024).toFixed(2)} KB)`);
+  return `data:${mimeType};base64,${base64}`;
+}
+
+/**
+ * Unexpired cache entry for a key
+ * @returns {Promise<Object|null>}
+ */
+async function findCachedAnalysis(supabase, key, now = new Date()) {
+  const { data, error } = await supabase
+    .from('image_analyses')
+    .select('*')
+    .eq('content_hash', key.content_hash)
+    .eq('prompt_version', key.prompt_version)
+    .eq('variant', key.variant)
+    .or(`expires_at.is.null,expires_at.gt.${now.toISOString()}`)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Recent cache entry for the same image URL, so a repeated URL skips the
+ * download too. Only entries younger than the TTL count: the content behind a
+ * URL can change.
+ * @returns {Promise<Object|null>}
+ */
+async function findCachedAnalysisByUrl(supabase, imageUrl, { prompt_version, variant }, now = new Date()) {
+  const since = new Date(now.getTime() - getTtlHours() * 3600000).toISOString();
+
+  const { data, error } = await supabase
+    .from('image_analyses')
+    .select('*')
+    .eq('image_url', imageUrl)
+    .eq('prompt_version', prompt_version)
+    .eq('variant', variant)
+    .gte('created_at', since)
+    .or(`expires_at.is.null,expires_at.gt.${now.toISOString()}`)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+/**
+ * Count a cache hit (never blocks the response)
+ */
+function recordHit(supabase, row) {
+  supabase
+    .from('image_analyses')
+    .update({ hits: (row.hits || 0) + 1, last_hit_at: new Date().toISOString() })
+    .eq('id', row.id)
+    .then(({ error }) => {
+      if (error) console.warn(`[ANALYSIS_CACHE] ⚠️ Hit not recorded for ${row.id}: ${error.message}`);
+    }, (error) => console.warn(`[ANALYSIS_CACHE] ⚠️ Hit not recorded for ${row.id}: ${error.message}`));
+}
+
+/**
+ * Store an analysis result (replaces the entry of the same key)
+ * @param {Object} entry - { key, mode, result, imageUrl, userId, expiresAt }
+ * @returns {Promise<Object>} Stored row (list columns)
+ */
+async function saveAnalysis(supabase, { key, mode, result, imageUrl, userId, expiresAt }) {
+  const first = mode === 'multi' ? result.events[0] : result.analysis;
+
+  const { data, error } = await supabase
+    .from('image_analyses')
+    .upsert({
+      ...key,
+      mode,
+      provider: result.metadata.provider,
+      model: result.metadata.model,
+      event_name: first?.event_name || null,
+      confidence: first?.confidence ?? null,
+      image_url: imageUrl || null,
+      analysis: mode === 'multi' ? result.events : result.analysis,
+      metadata: result.metadata,
+      requested_by: userId || null,
+      hits: 0,
+      last_hit_at: null,
+      expires_at: expiresAt,
+      created_at: new Date().toISOString()
+    }, { onConflict: 'content_hash,prompt_version,variant' })
+    .select(LIST_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+function cacheInfo(row, hit) {
+  return {
+    hit,
+    id: row.id,
+    content_hash: row.content_hash,
+    prompt_version: row.prompt_version,
+    cached_at: row.created_at,
+    expires_at: row.expires_at
+  };
+}
+
+/**
+ * Result of a cache entry in the shape of the analyzer's result
+ */
+function resultFromRow(row) {
+  const metadata = { ...row.metadata, cache: cacheInfo(row, true) };
+  return row.mode === 'multi'
+    ? { events: row.analysis, metadata }
+    : { analysis: row.analysis, metadata };
+}
+
+/**
+ * Analyze an image through the cache.
+ * URL images are downloaded once here and the analyzer gets a data URL.
+ * Without supabase, or when the cache fails, `analyze` just runs.
+ * @param {Object|null} supabase
+ * @param {string} imageData - URL or data URL
+ * @param {Object} request
+ * @param {string} request.mode - 'single' (analyzeEventImage) or 'multi' (analyzeMultiEventImage)
+ * @param {string} [request.title]
+ * @param {Object} [request.options] - Vision options, including `context`
+ * @param {boolean} [request.force] - Skip the lookup and re-analyze (the new result replaces the entry)
+ * @param {string} [request.userId] - Stored as requested_by
+ * @param {(dataUrl: string) => Promise<Object>} analyze - Runs the vision analysis
+ * @returns {Promise<Object>} Analyzer result; metadata.cache = { hit, id, content_hash,
+ *   prompt_version, cached_at, expires_at } when the cache was used
+ */
+async function analyzeWithCache(supabase, imageData, { mode = 'single', title, options = {}, force = false, userId = null }, analyze) {
+  const imageUrl = isImageUrl(imageData) ? imageData : null;
+
+  if (!supabase) return analyze(await toDataUrl(imageData));
+
+  if (imageUrl && !force) {
+    try {
+      const row = await findCachedAnalysisByUrl(supabase, imageUrl, {
+        prompt_version: resolvePromptVersion(options.promptVersion),
+        variant: buildVariant({ mode, title, options })
+      });
+      if (row) {
+        console.log(`[ANALYSIS_CACHE] ⚡ Hit by URL: ${row.id}`);
+        recordHit(supabase, row);
+        return resultFromRow(row);
+      }
+    } catch (error) {
+      console.warn(`[ANALYSIS_CACHE] ⚠️ Lookup failed: ${error.message}`);
+    }
+  }
+
+  const dataUrl = await toDataUrl(imageData);
+
+  let key = null;
+  try {
+    key = buildCacheKey(dataUrl, { mode, title, options });
+    if (!force) {
+      const row = await findCachedAnalysis(supabase, key);
+      if (row) {
+        console.log(`[ANALYSIS_CACHE] ⚡ Hit: ${row.id} (${key.content_hash.slice(0, 12)})`);
+        recordHit(supabase, row);
+        return resultFromRow(row);
+      }
+    }
+  } catch (error) {
+    console.warn(`[ANALYSIS_CACHE] ⚠️ Lookup failed: ${error.message}`);
+  }
+
+  const result = await analyze(dataUrl);
+
+  if (key) {
+    try {
+      const row = await saveAnalysis(supabase, {
+        key,
+        mode,
+        result,
+        imageUrl,
+        userId,
+        expiresAt: getExpiry(options)
+      });
+      result.metadata = { ...result.metadata, cache: cacheInfo(row, false) };
+      console.log(`[ANALYSIS_CACHE] 💾 Stored ${row.id}${force ? ' (forced)' : ''}`);
+    } catch (error) {
+      console.warn(`[ANALYSIS_CACHE] ⚠️ Analysis not stored: ${error.message}`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Past analyses, newest first
+ * @param {Object} filters - { limit, before (created_at cursor), contentHash,
+ *   promptVersion, q (event name), userId (only this requester) }
+ * @returns {Promise<Object[]>} Rows without analysis / metadata
+ */
+async function listAnalyses(supabase, { limit = 20, before, contentHash, promptVersion, q, userId } = {}) {
+  let query = supabase
+    .from('image_analyses')
+    .select(LIST_COLUMNS)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (before) query = query.lt('created_at', before);
+  if (contentHash) query = query.eq('content_hash', contentHash);
+  if (promptVersion) query = query.eq('prompt_version', promptVersion);
+  if (q) query = query.ilike('event_name', `%${q.replace(/[%_\\]/g, '\\$&')}%`);
+  if (userId) query = query.eq('requested_by', userId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * One stored analysis with its full result
+ * @returns {Promise<Object|null>}
+ */
+async function getAnalysis(supabase, id) {
+  const { data, error } = await supabase
+    .from('image_analyses')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+module.exports = {
+  buildCacheKey,
+  analyzeWithCache,
+  listAnalyses,
+  getAnalysis
+};
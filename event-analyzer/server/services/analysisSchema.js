@@ -0,0 +1,734 @@
+/**
+ * Schema for the vision analysis object.
+ *
+ * The allowed categories, subcategories, tags and event_features values live
+ * here and are interpolated into the system prompt, so the prompt and the
+ * validator never drift apart.
+ *
+ * validateAnalysis() coerces every field to its type. Each field ends up:
+ * - valid as returned,
+ * - corrected (coerced, e.g. "8:00 PM" → "20:00", or an unknown tag dropped)
+ *   and reported in `corrections`,
+ * - or invalid, reported in `invalid` so eventVision.js can ask the model once
+ *   more for just those fields. Fields still invalid after that get their
+ *   fallback value.
+ *
+ * `field_confidence` holds the model's per-field score (0-1) and the image
+ * region the value was read from, as a normalized [x, y, width, height] box.
+ *
+ * With post context (caption, author), `field_sources` says whether each value
+ * came from the image, the caption or the author, and `conflicts` lists the
+ * fields where caption and image disagreed.
+ */
+
+const NOT_SPECIFIED = 'No especificado';
+
+const CATEGORIES = ['music', 'volunteer', 'general'];
+
+const SUBCATEGORIES = {
+  music: ['rock-concert', 'pop-concert', 'electronic-concert', 'reggaeton-urbano', 'jazz-blues', 'classical-music', 'latin-salsa', 'folk-traditional', 'indie-alternative', 'hip-hop-rap', 'metal-hardcore', 'acoustic-unplugged', 'open-mic', 'live-band', 'music-festival', 'dj-set', 'karaoke', 'choir-performance', 'art-exhibition', 'theater-play', 'dance-performance', 'comedy-show', 'poetry-slam', 'film-screening', 'cultural-festival', 'art-music-gathering'],
+  volunteer: ['environmental-cleanup', 'tree-planting', 'animal-rescue', 'food-bank', 'community-build', 'tutoring-education', 'medical-campaign', 'blood-donation', 'clothing-drive', 'elderly-support', 'children-support', 'disability-support', 'disaster-relief', 'habitat-restoration', 'fundraiser-walk', 'beach-cleanup', 'digital-literacy', 'mental-health-awareness', 'social-housing', 'youth-mentorship', 'lgbt-awareness', 'political-youth', 'university-awareness', 'ong-campaign', 'human-rights', 'womens-rights', 'indigenous-rights', 'migrant-support', 'anti-corruption', 'climate-activism', 'disability-rights', 'animal-rights', 'peace-culture', 'civic-education', 'social-entrepreneurship'],
+  general: ['networking-event', 'startup-pitch', 'workshop-skills', 'conference-talk', 'sports-game', 'running-race', 'yoga-wellness', 'food-tasting', 'craft-beer', 'flea-market', 'farmers-market', 'art-craft-fair', 'book-club', 'language-exchange', 'gaming-tournament', 'board-games', 'tech-meetup', 'photography-walk', 'hiking-outdoors', 'spiritual-retreat', 'trivia-quiz', 'hackathon', 'graduation-ceremony', 'launch-party', 'private-party']
+};
+
+const TAGS = {
+  music: ['outdoor', 'indoor', '18+', 'todo-público', 'bar', 'gratis', 'boletos', 'VIP', 'acústico', 'festival', 'noche', 'tarde'],
+  volunteer: ['fin-de-semana', 'presencial', 'familias', 'estudiantes', 'sin-experiencia', 'certificado', 'transporte', 'comida-incluida'],
+  general: ['outdoor', 'indoor', '18+', 'todo-público', 'gratis', 'networking', 'noche', 'tarde', 'fin-de-semana', 'familias', 'pets-ok']
+};
+
+const MAX_TAGS = 4;
+
+const EVENT_FEATURES = {
+  mood: ['energético', 'relajado', 'romántico', 'social', 'íntimo'],
+  vibe: ['casual', 'formal', 'underground', 'familiar', 'exclusivo'],
+  timeOfDay: ['mañana', 'tarde', 'noche', 'madrugada'],
+  socialSetting: ['en pareja', 'con amigos', 'solo', 'en grupo', 'familiar']
+};
+
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+const DAY_NAMES = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+
+const CATEGORY_ALIASES = {
+  musica: 'music',
+  arte: 'music',
+  voluntariado: 'volunteer',
+  volunteering: 'volunteer',
+  otros: 'general',
+  other: 'general'
+};
+
+const CONFIDENCE_ALIASES = { alta: 'high', media: 'medium', baja: 'low' };
+
+/**
+ * Fields the model scores in field_confidence
+ */
+const CONFIDENCE_FIELDS = [
+  'event_name', 'date', 'time', 'end_time', 'description', 'location', 'organizer',
+  'price', 'registration_url', 'category', 'subcategory', 'tags', 'is_recurring'
+];
+
+const CONFIDENCE_SCORES = { high: 0.9, medium: 0.6, low: 0.3 };
+
+const DEFAULT_LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+const FIELD_SOURCES = ['image', 'caption', 'author', 'inferred'];
+
+const FIELD_SOURCE_ALIASES = {
+  imagen: 'image',
+  flyer: 'image',
+  descripcion: 'caption',
+  description: 'caption',
+  texto: 'caption',
+  autor: 'author',
+  inferido: 'inferred'
+};
+
+const FEATURE_KEY_ALIASES = { time_of_day: 'timeOfDay', social_setting: 'socialSetting' };
+
+/**
+ * Lowercase and strip accents for lenient comparisons
+ */
+function fold(value) {
+  return String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+/**
+ * Find an allowed value ignoring case and accents ("vip" → "VIP", "romantico" → "romántico")
+ */
+function findAllowed(value, allowed) {
+  const folded = fold(value);
+  return allowed.find((candidate) => fold(candidate) === folded);
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '' || value === NOT_SPECIFIED;
+}
+
+function isCalendarDate(y, m, d) {
+  const date = new Date(Date.UTC(y, m - 1, d));
+  return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+}
+
+function formatDate(y, m, d) {
+  return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+function formatTime(h, min) {
+  return `${String(h).padStart(2, '0')}:${String(min).padStart(2, '0')}`;
+}
+
+// ─── Field coercers ─────────────────────────────────────────────────────────
+// Each returns { value } when valid, { value, corrected } when coerced or
+// { invalid, expected } when the model has to be asked again.
+
+function coerceText(value) {
+  if (isMissing(value)) return { value: NOT_SPECIFIED };
+  if (typeof value === 'string') return { value: value.trim() || NOT_SPECIFIED };
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return { value: String(value), corrected: `Convertido de ${typeof value} a texto` };
+  }
+  if (Array.isArray(value)) {
+    return { value: value.join(', '), corrected: 'Lista convertida a texto' };
+  }
+  return { invalid: 'Debe ser texto', expected: 'texto o "No especificado"' };
+}
+
+function coerceEventName(value) {
+  if (isMissing(value)) {
+    return { invalid: 'Falta el nombre del evento', expected: 'el nombre del evento tal como aparece en la imagen' };
+  }
+  return coerceText(value);
+}
+
+function coerceDate(value) {
+  if (isMissing(value)) return { value: NOT_SPECIFIED };
+
+  const text = String(value).trim();
+  const expected = 'fecha en formato YYYY-MM-DD o "No especificado"';
+  let match;
+
+  if ((match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text))) {
+    const [y, m, d] = match.slice(1).map(Number);
+    return isCalendarDate(y, m, d)
+      ? { value: text }
+      : { invalid: `"${text}" no es una fecha del calendario`, expected };
+  }
+
+  let parts = null;
+  let format = null;
+
+  if ((match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T ].*)?$/.exec(text))) {
+    parts = [match[1], match[2], match[3]];
+    format = 'YYYY-M-D';
+  } else if ((match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/.exec(text))) {
+    parts = [match[3], match[2], match[1]];
+    format = 'DD/MM/YYYY';
+  }
+
+  if (parts) {
+    const [y, m, d] = parts.map(Number);
+    if (isCalendarDate(y, m, d)) {
+      return { value: formatDate(y, m, d), corrected: `Fecha ${format} convertida a YYYY-MM-DD` };
+    }
+  }
+
+  return { invalid: `Formato de fecha inválido: "${text}"`, expected };
+}
+
+function coerceTime(value) {
+  if (isMissing(value)) return { value: NOT_SPECIFIED };
+
+  const text = String(value).trim().toLowerCase();
+  const expected = 'hora en formato HH:MM (24 horas) o "No especificado"';
+  let match;
+
+  if ((match = /^(\d{2}):(\d{2})$/.exec(text))) {
+    const [h, min] = match.slice(1).map(Number);
+    if (h < 24 && min < 60) return { value: text };
+  }
+
+  if ((match = /^(\d{1,2})(?:[:.h](\d{2}))?(?::\d{2})?\s*(?:(a|p)\.?\s*m\.?|h|hrs|horas)?$/.exec(text))) {
+    let h = Number(match[1]);
+    const min = Number(match[2] || 0);
+    const meridiem = match[3];
+
+    if (meridiem) {
+      if (h < 1 || h > 12) return { invalid: `Hora inválida: "${value}"`, expected };
+      if (meridiem === 'p' && h !== 12) h += 12;
+      if (meridiem === 'a' && h === 12) h = 0;
+    }
+
+    if (h < 24 && min < 60) {
+      return { value: formatTime(h, min), corrected: `Hora "${value}" convertida a 24 horas` };
+    }
+  }
+
+  return { invalid: `Formato de hora inválido: "${value}"`, expected };
+}
+
+function coercePrice(value) {
+  if (typeof value === 'number') {
+    return value === 0
+      ? { value: 'Gratis', corrected: 'Precio 0 convertido a "Gratis"' }
+      : { value: `Q${value}`, corrected: 'Precio numérico convertido a quetzales' };
+  }
+  return coerceText(value);
+}
+
+function coerceUrl(value) {
+  if (isMissing(value)) return { value: NOT_SPECIFIED };
+
+  const text = String(value).trim();
+  if (/^https?:\/\/\S+$/i.test(text)) return { value: text };
+  if (/^(www\.)?[\w-]+(\.[\w-]+)+(\/\S*)?$/i.test(text)) {
+    return { value: `https://${text}`, corrected: 'Se agregó https://' };
+  }
+
+  return { value: NOT_SPECIFIED, corrected: `"${text}" no es una URL` };
+}
+
+function coerceCategory(value) {
+  if (isMissing(value)) return { value: 'general', corrected: 'Sin categoría, se usó "general"' };
+
+  const exact = CATEGORIES.find((c) => c === value);
+  if (exact) return { value: exact };
+
+  const alias = findAllowed(value, CATEGORIES) || CATEGORY_ALIASES[fold(value)];
+  if (alias) return { value: alias, corrected: `Categoría "${value}" normalizada` };
+
+  return { invalid: `Categoría desconocida: "${value}"`, expected: CATEGORIES.join(' | ') };
+}
+
+function coerceSubcategory(value, analysis) {
+  if (isMissing(value) || value === 'null') return { value: null };
+
+  const category = analysis.category;
+  const allowed = SUBCATEGORIES[category] || [];
+  const slug = fold(value).replace(/[\s_]+/g, '-');
+
+  if (allowed.includes(value)) return { value };
+  if (allowed.includes(slug)) return { value: slug, corrected: `Subcategoría "${value}" normalizada` };
+
+  const owner = CATEGORIES.find((c) => SUBCATEGORIES[c].includes(slug));
+  const reason = owner
+    ? `La subcategoría "${slug}" pertenece a "${owner}", no a "${category}"`
+    : `Subcategoría desconocida: "${value}"`;
+
+  return { invalid: reason, expected: `${allowed.join(' | ')} o null` };
+}
+
+function coerceTags(value, analysis) {
+  if (isMissing(value)) return { value: [] };
+
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const allowed = TAGS[analysis.category] || [];
+  const tags = [];
+  const dropped = [];
+
+  for (const tag of list) {
+    const match = typeof tag === 'string' && findAllowed(tag, allowed);
+    if (match && !tags.includes(match)) tags.push(match);
+    else if (!match) dropped.push(tag);
+  }
+
+  const notes = [];
+  if (!Array.isArray(value)) notes.push('Texto convertido a lista');
+  if (dropped.length > 0) notes.push(`Tags fuera de la lista de "${analysis.category}" eliminados: ${dropped.join(', ')}`);
+  if (tags.length > MAX_TAGS) notes.push(`Máximo ${MAX_TAGS} tags`);
+  if (tags.some((t, i) => Array.isArray(value) && t !== value[i])) notes.push('Tags normalizados');
+
+  return notes.length > 0
+    ? { value: tags.slice(0, MAX_TAGS), corrected: notes.join('. ') }
+    : { value: tags };
+}
+
+function coerceEventFeatures(value) {
+  if (isMissing(value)) return { value: null };
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { value: null, corrected: 'event_features debe ser un objeto' };
+  }
+
+  const features = {};
+  const notes = [];
+
+  for (const [rawKey, rawValue] of Object.entries(value)) {
+    const key = FEATURE_KEY_ALIASES[rawKey] || rawKey;
+    if (!EVENT_FEATURES[key]) {
+      notes.push(`"${rawKey}" no es una característica válida`);
+      continue;
+    }
+    if (isMissing(rawValue)) {
+      features[key] = null;
+      continue;
+    }
+
+    const match = findAllowed(rawValue, EVENT_FEATURES[key]);
+    features[key] = match || null;
+    if (!match) notes.push(`${key} "${rawValue}" no está permitido`);
+    else if (match !== rawValue || key !== rawKey) notes.push(`${key} normalizado`);
+  }
+
+  for (const key of Object.keys(EVENT_FEATURES)) {
+    if (!(key in features)) features[key] = null;
+  }
+
+  return notes.length > 0 ? { value: features, corrected: notes.join('. ') } : { value: features };
+}
+
+function coerceBoolean(value) {
+  if (typeof value === 'boolean') return { value };
+  if (value === undefined || value === null) return { value: false };
+
+  const folded = fold(value);
+  if (['true', 'si', 'yes', '1'].includes(folded)) return { value: true, corrected: `"${value}" convertido a true` };
+  if (['false', 'no', '0', ''].includes(folded)) return { value: false, corrected: `"${value}" convertido a false` };
+
+  return { invalid: `Debe ser true o false: "${value}"`, expected: 'true | false' };
+}
+
+function coerceNullableText(value) {
+  if (isMissing(value) || value === 'null') return { value: null };
+  return coerceText(value);
+}
+
+function coerceDayNames(value) {
+  if (isMissing(value)) return { value: [] };
+
+  const list = Array.isArray(value) ? value : [value];
+  // Plurals ("sábados") are accepted, but most day names already end in "s"
+  const days = list.map((d) => (typeof d === 'string'
+    ? findAllowed(d, DAY_NAMES) || findAllowed(d.replace(/s$/i, ''), DAY_NAMES)
+    : null));
+
+  if (days.some((d) => !d)) {
+    return { invalid: `Días inválidos: ${JSON.stringify(value)}`, expected: `lista de ${DAY_NAMES.join(', ')}` };
+  }
+
+  const changed = !Array.isArray(value) || days.some((d, i) => d !== list[i]);
+  return changed ? { value: days, corrected: 'Días normalizados' } : { value: days };
+}
+
+function coerceDayNumbers(value) {
+  if (isMissing(value)) return { value: [] };
+
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const days = list.map((d) => Number(String(d).trim()));
+
+  if (days.some((d) => !Number.isInteger(d) || d < 1 || d > 31)) {
+    return { invalid: `Días del mes inválidos: ${JSON.stringify(value)}`, expected: 'lista de números entre 1 y 31' };
+  }
+
+  const changed = !Array.isArray(value) || list.some((d) => typeof d !== 'number');
+  return changed ? { value: days, corrected: 'Días convertidos a números' } : { value: days };
+}
+
+function coerceMonth(value) {
+  if (isMissing(value) || value === 'null') return { value: null };
+
+  const match = /^(\d{4})-(\d{1,2})$/.exec(String(value).trim());
+  if (match && Number(match[2]) >= 1 && Number(match[2]) <= 12) {
+    const month = `${match[1]}-${match[2].padStart(2, '0')}`;
+    return month === value ? { value } : { value: month, corrected: 'Mes normalizado a YYYY-MM' };
+  }
+
+  return { invalid: `Mes inválido: "${value}"`, expected: 'YYYY-MM o null' };
+}
+
+function coerceRecurringCase(value) {
+  if (isMissing(value) || value === 'null') return { value: null };
+
+  const match = /^(?:caso\s*)?([a-g])$/i.exec(String(value).trim());
+  if (!match) return { invalid: `Caso de recurrencia inválido: "${value}"`, expected: 'A | B | C | D | E | F | G | null' };
+
+  const letter = match[1].toUpperCase();
+  return letter === value ? { value } : { value: letter, corrected: 'Caso normalizado' };
+}
+
+function coerceWeekOfMonth(value) {
+  if (isMissing(value) || value === 'null') return { value: null };
+
+  const n = Number(value);
+  if (![1, 2, 3, 4, 5, -1].includes(n)) {
+    return { invalid: `Semana del mes inválida: ${JSON.stringify(value)}`, expected: '1, 2, 3, 4, 5, -1 (último) o null' };
+  }
+  return n === value ? { value } : { value: n, corrected: 'Semana del mes convertida a número' };
+}
+
+function coerceDateList(value) {
+  if (isMissing(value)) return { value: [] };
+  if (!Array.isArray(value)) return { value: [], corrected: 'recurring_dates debe ser una lista' };
+  return { value };
+}
+
+function coerceConfidence(value) {
+  if (CONFIDENCE_LEVELS.includes(value)) return { value };
+
+  const match = isMissing(value) ? null : findAllowed(value, CONFIDENCE_LEVELS) || CONFIDENCE_ALIASES[fold(value)];
+  return match
+    ? { value: match, corrected: `Confianza "${value}" normalizada` }
+    : { value: 'low', corrected: `Confianza inválida ${JSON.stringify(value ?? null)}, se usó "low"` };
+}
+
+function coerceScore(value) {
+  if (typeof value === 'string') {
+    const level = findAllowed(value, CONFIDENCE_LEVELS) || CONFIDENCE_ALIASES[fold(value)];
+    if (level) return { score: CONFIDENCE_SCORES[level], note: 'nivel convertido a número' };
+    value = Number(value.replace('%', ''));
+  }
+  if (typeof value !== 'number' || Number.isNaN(value) || value < 0 || value > 100) return null;
+  if (value > 1) return { score: value / 100, note: 'porcentaje convertido a 0-1' };
+  return { score: value };
+}
+
+function coerceBoundingBox(value) {
+  if (value === undefined || value === null) return { bbox: null };
+
+  const box = Array.isArray(value)
+    ? value
+    : typeof value === 'object'
+      ? [value.x, value.y, value.width ?? value.w, value.height ?? value.h]
+      : null;
+
+  if (!box || box.length !== 4 || box.some((n) => typeof n !== 'number' || Number.isNaN(n) || n < 0)) {
+    return { bbox: null, note: 'bbox inválido eliminado' };
+  }
+
+  // Percentages are accepted; pixels can't be normalized without the image size
+  const max = Math.max(...box);
+  if (max > 100) return { bbox: null, note: 'bbox en pixeles eliminado' };
+
+  const scale = max > 1 ? 100 : 1;
+  const [x, y, w, h] = box.map((n) => Math.round((n / scale) * 1000) / 1000);
+  const bbox = [x, y, Math.min(w, 1 - x), Math.min(h, 1 - y)];
+
+  if (bbox[2] <= 0 || bbox[3] <= 0) return { bbox: null, note: 'bbox fuera de la imagen eliminado' };
+
+  const changed = !Array.isArray(value) || bbox.some((n, i) => n !== value[i]);
+  return changed ? { bbox, note: 'bbox normalizado' } : { bbox };
+}
+
+function coerceFieldConfidence(value) {
+  if (isMissing(value)) return { value: {} };
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { value: {}, corrected: 'field_confidence debe ser un objeto' };
+  }
+
+  const result = {};
+  const notes = [];
+
+  for (const [field, entry] of Object.entries(value)) {
+    if (!CONFIDENCE_FIELDS.includes(field)) {
+      notes.push(`"${field}" ignorado`);
+      continue;
+    }
+
+    const raw = entry && typeof entry === 'object' ? entry : { confidence: entry };
+    const score = coerceScore(raw.confidence);
+    if (!score) {
+      notes.push(`${field}: confianza inválida`);
+      continue;
+    }
+
+    const { bbox, note } = coerceBoundingBox(raw.bbox);
+    result[field] = { confidence: score.score, bbox };
+    if (score.note) notes.push(`${field}: ${score.note}`);
+    if (note) notes.push(`${field}: ${note}`);
+  }
+
+  return notes.length > 0 ? { value: result, corrected: notes.join('. ') } : { value: result };
+}
+
+function coerceSourceName(value) {
+  if (typeof value !== 'string') return null;
+  return findAllowed(value, FIELD_SOURCES) || FIELD_SOURCE_ALIASES[fold(value)] || null;
+}
+
+function coerceFieldSources(value) {
+  if (isMissing(value)) return { value: {} };
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { value: {}, corrected: 'field_sources debe ser un objeto' };
+  }
+
+  const result = {};
+  const notes = [];
+
+  for (const [field, source] of Object.entries(value)) {
+    const name = coerceSourceName(source);
+    if (!CONFIDENCE_FIELDS.includes(field) || !name) {
+      notes.push(`${field}: ${JSON.stringify(source)} ignorado`);
+      continue;
+    }
+    result[field] = name;
+    if (name !== source) notes.push(`${field}: "${source}" normalizado`);
+  }
+
+  return notes.length > 0 ? { value: result, corrected: notes.join('. ') } : { value: result };
+}
+
+function coerceConflicts(value) {
+  if (isMissing(value)) return { value: [] };
+  if (!Array.isArray(value)) return { value: [], corrected: 'conflicts debe ser una lista' };
+
+  const asText = (v) => (v === undefined || v === null ? null : typeof v === 'string' ? v : JSON.stringify(v));
+  const conflicts = value
+    .filter((c) => c && typeof c === 'object' && CONFIDENCE_FIELDS.includes(c.field))
+    .map((c) => ({
+      field: c.field,
+      image: asText(c.image),
+      caption: asText(c.caption),
+      chosen: coerceSourceName(c.chosen) || 'image',
+      reason: asText(c.reason)
+    }));
+
+  return conflicts.length === value.length
+    ? { value: conflicts }
+    : { value: conflicts, corrected: 'Conflictos sin campo válido eliminados' };
+}
+
+/**
+ * Field → { coerce, fallback }. Order matters: subcategory and tags are
+ * checked against the (already coerced) category.
+ */
+const ANALYSIS_SCHEMA = {
+  event_name: { coerce: coerceEventName, fallback: 'Evento sin nombre' },
+  date: { coerce: coerceDate, fallback: NOT_SPECIFIED },
+  time: { coerce: coerceTime, fallback: NOT_SPECIFIED },
+  end_time: { coerce: coerceTime, fallback: NOT_SPECIFIED },
+  description: { coerce: coerceText, fallback: NOT_SPECIFIED },
+  location: { coerce: coerceText, fallback: NOT_SPECIFIED },
+  organizer: { coerce: coerceText, fallback: NOT_SPECIFIED },
+  price: { coerce: coercePrice, fallback: NOT_SPECIFIED },
+  registration_url: { coerce: coerceUrl, fallback: NOT_SPECIFIED },
+  category: { coerce: coerceCategory, fallback: 'general' },
+  subcategory: { coerce: coerceSubcategory, fallback: null },
+  tags: { coerce: coerceTags, fallback: [] },
+  event_features: { coerce: coerceEventFeatures, fallback: null },
+  is_recurring: { coerce: coerceBoolean, fallback: false },
+  recurring_case: { coerce: coerceRecurringCase, fallback: null },
+  recurring_pattern: { coerce: coerceNullableText, fallback: null },
+  recurring_days_of_week: { coerce: coerceDayNames, fallback: [] },
+  recurring_specific_days: { coerce: coerceDayNumbers, fallback: [] },
+  recurring_week_of_month: { coerce: coerceWeekOfMonth, fallback: null },
+  recurring_month_start: { coerce: coerceMonth, fallback: null },
+  recurring_month_end: { coerce: coerceMonth, fallback: null },
+  recurring_dates: { coerce: coerceDateList, fallback: [] },
+  confidence: { coerce: coerceConfidence, fallback: 'low' },
+  extracted_text: { coerce: coerceText, fallback: NOT_SPECIFIED },
+  field_confidence: { coerce: coerceFieldConfidence, fallback: {} },
+  field_sources: { coerce: coerceFieldSources, fallback: {} },
+  conflicts: { coerce: coerceConflicts, fallback: [] }
+};
+
+/**
+ * Legacy keys the model sometimes returns, mapped to schema fields
+ */
+const FIELD_ALIASES = {
+  event_type: 'category',
+  recurring_day_of_week: 'recurring_days_of_week'
+};
+
+/**
+ * Validate and coerce a parsed analysis
+ * @param {Object} raw - Parsed model output
+ * @returns {{ analysis: Object, corrections: Object, invalid: Object }}
+ *   corrections: field → { original, corrected, reason }
+ *   invalid: field → { value, reason, expected } (analysis keeps the raw value)
+ */
+function validateAnalysis(raw) {
+  const source = { ...raw };
+  for (const [alias, field] of Object.entries(FIELD_ALIASES)) {
+    if (alias in source && !(field in source)) source[field] = source[alias];
+    delete source[alias];
+  }
+
+  const analysis = {};
+  const corrections = {};
+  const invalid = {};
+
+  for (const [field, { coerce, fallback }] of Object.entries(ANALYSIS_SCHEMA)) {
+    const original = source[field];
+    const result = coerce(original, analysis);
+
+    if (result.invalid) {
+      invalid[field] = { value: original, reason: result.invalid, expected: result.expected };
+      analysis[field] = fallback;
+      continue;
+    }
+
+    analysis[field] = result.value;
+    if (result.corrected) {
+      corrections[field] = { original: original ?? null, corrected: result.value, reason: result.corrected };
+    }
+  }
+
+  for (const field of Object.keys(source)) {
+    if (!(field in ANALYSIS_SCHEMA)) {
+      corrections[field] = { original: source[field], corrected: null, reason: 'Campo desconocido eliminado' };
+    }
+  }
+
+  return { analysis, corrections, invalid };
+}
+
+/**
+ * Apply a repair response to a validated analysis. Repaired values go
+ * through the same coercion; fields still invalid get their fallback.
+ * @param {Object} validated - validateAnalysis() output (mutated)
+ * @param {Object|null} repair - Parsed repair response (null if the re-ask failed)
+ */
+function applyRepair(validated, repair) {
+  const { analysis, corrections, invalid } = validated;
+
+  for (const [field, problem] of Object.entries(invalid)) {
+    const { coerce, fallback } = ANALYSIS_SCHEMA[field];
+    const result = repair && field in repair ? coerce(repair[field], analysis) : null;
+
+    if (result && !result.invalid) {
+      analysis[field] = result.value;
+      corrections[field] = {
+        original: problem.value ?? null,
+        corrected: result.value,
+        reason: `${problem.reason}. Corregido al volver a preguntar al modelo`
+      };
+    } else {
+      analysis[field] = fallback;
+      // A default value is not something the model read
+      if (CONFIDENCE_FIELDS.includes(field)) {
+        analysis.field_confidence = { ...analysis.field_confidence, [field]: { confidence: 0, bbox: null } };
+      }
+      corrections[field] = {
+        original: problem.value ?? null,
+        corrected: fallback,
+        reason: `${problem.reason}. Sin corrección válida, se usó el valor por defecto`
+      };
+    }
+  }
+
+  // Dependent fields are rechecked once the category is settled
+  if ('category' in invalid) {
+    for (const field of ['subcategory', 'tags']) {
+      if (field in invalid) continue;
+      const result = ANALYSIS_SCHEMA[field].coerce(analysis[field], analysis);
+      if (result.invalid) {
+        corrections[field] = { original: analysis[field], corrected: ANALYSIS_SCHEMA[field].fallback, reason: result.invalid };
+        analysis[field] = ANALYSIS_SCHEMA[field].fallback;
+      } else if (result.corrected) {
+        corrections[field] = { original: analysis[field], corrected: result.value, reason: result.corrected };
+        analysis[field] = result.value;
+      }
+    }
+  }
+
+  validated.invalid = {};
+  return validated;
+}
+
+/**
+ * Fields scored below the threshold (ANALYSIS_LOW_CONFIDENCE_THRESHOLD, default 0.6)
+ * @param {Object} analysis - Validated analysis
+ * @param {number} threshold
+ * @returns {string[]}
+ */
+function getLowConfidenceFields(analysis, threshold = Number(process.env.ANALYSIS_LOW_CONFIDENCE_THRESHOLD) || DEFAULT_LOW_CONFIDENCE_THRESHOLD) {
+  return Object.entries(analysis.field_confidence || {})
+    .filter(([, entry]) => entry.confidence < threshold)
+    .map(([field]) => field);
+}
+
+/**
+ * Targeted re-prompt for the invalid fields
+ * @param {Object} invalid - validateAnalysis() invalid map
+ * @returns {string}
+ */
+function buildRepairPrompt(invalid) {
+  return `Tu respuesta anterior para esta imagen tiene valores inválidos. Vuelve a mirar la imagen y corrige SOLO estos campos:
+${formatInvalidFields(invalid)}
+
+Responde con un JSON que contenga únicamente esos campos (${Object.keys(invalid).join(', ')}).`;
+}
+
+/**
+ * Targeted re-prompt for a multi-event response: one section per event with
+ * invalid fields, answered as { "events": { "<index>": { ...fields } } }
+ * @param {Object[]} validatedList - validateAnalysis() output per event
+ * @returns {string}
+ */
+function buildMultiRepairPrompt(validatedList) {
+  const sections = validatedList
+    .map(({ analysis, invalid }, index) => ({ analysis, invalid, index }))
+    .filter(({ invalid }) => Object.keys(invalid).length > 0)
+    .map(({ analysis, invalid, index }) =>
+      `Evento ${index} ("${analysis.event_name}"):\n${formatInvalidFields(invalid)}`);
+
+  return `Tu respuesta anterior para esta imagen tiene valores inválidos en algunos eventos. Vuelve a mirar la imagen y corrige SOLO estos campos:
+${sections.join('\n\n')}
+
+Responde con un JSON de la forma {"events": {"<número de evento>": { ...solo los campos corregidos } }}.`;
+}
+
+function formatInvalidFields(invalid) {
+  return Object.entries(invalid)
+    .map(([field, { value, reason, expected }]) =>
+      `- ${field}: recibido ${JSON.stringify(value ?? null)} → ${reason}. Valores válidos: ${expected}`)
+    .join('\n');
+}
+
+module.exports = {
+  NOT_SPECIFIED,
+  CATEGORIES,
+  SUBCATEGORIES,
+  TAGS,
+  MAX_TAGS,
+  EVENT_FEATURES,
+  CONFIDENCE_LEVELS,
+  CONFIDENCE_FIELDS,
+  FIELD_SOURCES,
+  ANALYSIS_SCHEMA,
+  validateAnalysis,
+  applyRepair,
+  getLowConfidenceFields,
+  buildRepairPrompt,
+  buildMultiRepairPrompt
+};
@@ -0,0 +1,193 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { NOT_SPECIFIED, validateAnalysis, applyRepair, buildRepairPrompt } = require('./analysisSchema');
+
+const coerced = (field, value, extra = {}) => {
+  const { analysis, corrections, invalid } = validateAnalysis({ event_name: 'Noche de jazz', ...extra, [field]: value });
+  return { value: analysis[field], correction: corrections[field], invalid: invalid[field] };
+};
+
+describe('validateAnalysis', () => {
+  it('converts dates to YYYY-MM-DD', () => {
+    assert.deepStrictEqual(coerced('date', '2026-11-06'), { value: '2026-11-06', correction: undefined, invalid: undefined });
+    assert.strictEqual(coerced('date', '6/11/2026').value, '2026-11-06');
+    assert.strictEqual(coerced('date', '2026/11/6').value, '2026-11-06');
+    assert.strictEqual(coerced('date', '2026-11-06T21:00:00').value, '2026-11-06');
+    assert.strictEqual(coerced('date', '6/11/2026').correction.reason, 'Fecha DD/MM/YYYY convertida a YYYY-MM-DD');
+  });
+
+  it('flags dates that are not on the calendar or not dates', () => {
+    const { value, invalid } = coerced('date', '2026-02-30');
+
+    assert.strictEqual(value, NOT_SPECIFIED);
+    assert.strictEqual(invalid.reason, '"2026-02-30" no es una fecha del calendario');
+    assert.ok(coerced('date', '31/11/2026').invalid);
+    assert.ok(coerced('date', 'viernes 6').invalid);
+  });
+
+  it('converts times to 24-hour HH:MM', () => {
+    assert.strictEqual(coerced('time', '21:00').correction, undefined);
+    assert.strictEqual(coerced('time', '8:00 PM').value, '20:00');
+    assert.strictEqual(coerced('time', '8 p.m.').value, '20:00');
+    assert.strictEqual(coerced('time', '12 am').value, '00:00');
+    assert.strictEqual(coerced('time', '12:30 pm').value, '12:30');
+    assert.strictEqual(coerced('time', '19h30').value, '19:30');
+    assert.strictEqual(coerced('time', '21 hrs').value, '21:00');
+    assert.strictEqual(coerced('end_time', '23:00:00').value, '23:00');
+  });
+
+  it('flags impossible times', () => {
+    assert.ok(coerced('time', '13 pm').invalid);
+    assert.ok(coerced('time', '25:00').invalid);
+    assert.ok(coerced('time', 'en la noche').invalid);
+  });
+
+  it('writes numeric prices in quetzales and 0 as free', () => {
+    assert.deepStrictEqual(coerced('price', 0).value, 'Gratis');
+    assert.deepStrictEqual(coerced('price', 50).value, 'Q50');
+    assert.strictEqual(coerced('price', 'Q50 preventa').correction, undefined);
+    assert.strictEqual(coerced('price', null).value, NOT_SPECIFIED);
+  });
+
+  it('normalizes category aliases and flags unknown ones', () => {
+    assert.strictEqual(coerced('category', 'Música').value, 'music');
+    assert.strictEqual(coerced('category', 'voluntariado').value, 'volunteer');
+    assert.strictEqual(coerced('category', undefined).value, 'general');
+    assert.strictEqual(coerced('category', 'deportes').invalid.expected, 'music | volunteer | general');
+  });
+
+  it('checks subcategory and tags against the category', () => {
+    assert.strictEqual(coerced('subcategory', 'Jazz Blues', { category: 'music' }).value, 'jazz-blues');
+    assert.strictEqual(
+      coerced('subcategory', 'beach-cleanup', { category: 'music' }).invalid.reason,
+      'La subcategoría "beach-cleanup" pertenece a "volunteer", no a "music"'
+    );
+
+    const tags = coerced('tags', 'vip, Gratis, pets-ok, noche, tarde, bar', { category: 'music' });
+    assert.deepStrictEqual(tags.value, ['VIP', 'gratis', 'noche', 'tarde']);
+    assert.match(tags.correction.reason, /eliminados: .*pets-ok/);
+  });
+
+  it('keeps only allowed event_features values', () => {
+    const { value } = coerced('event_features', { mood: 'romantico', time_of_day: 'noche', vibe: 'elegante', color: 'rojo' });
+
+    assert.deepStrictEqual(value, { mood: 'romántico', timeOfDay: 'noche', vibe: null, socialSetting: null });
+  });
+
+  it('reads booleans and flags anything else', () => {
+    assert.strictEqual(coerced('is_recurring', 'sí').value, true);
+    assert.strictEqual(coerced('is_recurring', 'no').value, false);
+    assert.ok(coerced('is_recurring', 'a veces').invalid);
+  });
+
+  it('normalizes recurrence fields', () => {
+    assert.deepStrictEqual(coerced('recurring_days_of_week', ['Viernes', 'sabados']).value, ['viernes', 'sábado']);
+    assert.ok(coerced('recurring_days_of_week', ['feriado']).invalid);
+    assert.deepStrictEqual(coerced('recurring_specific_days', '5, 12').value, [5, 12]);
+    assert.strictEqual(coerced('recurring_case', 'caso b').value, 'B');
+    assert.strictEqual(coerced('recurring_week_of_month', '-1').value, -1);
+    assert.strictEqual(coerced('recurring_month_start', '2026-3').value, '2026-03');
+  });
+
+  it('falls back to "low" for an unknown confidence level', () => {
+    assert.strictEqual(coerced('confidence', 'alta').value, 'high');
+    assert.strictEqual(coerced('confidence', 'segura').value, 'low');
+  });
+
+  it('reads field_confidence levels, percentages and boxes', () => {
+    const { value } = coerced('field_confidence', {
+      date: { confidence: 'media', bbox: [10, 20, 30, 95] },
+      time: 85,
+      venue: 0.9
+    });
+
+    assert.deepStrictEqual(value, {
+      date: { confidence: 0.6, bbox: [0.1, 0.2, 0.3, 0.8] },
+      time: { confidence: 0.85, bbox: null }
+    });
+  });
+
+  it('maps legacy keys and drops unknown fields', () => {
+    const { analysis, corrections } = validateAnalysis({ event_name: 'Feria', event_type: 'general', venue: 'Zona 10' });
+
+    assert.strictEqual(analysis.category, 'general');
+    assert.strictEqual(corrections.venue.reason, 'Campo desconocido eliminado');
+    assert.strictEqual(corrections.event_type, undefined);
+  });
+
+  it('requires an event name', () => {
+    const { analysis, invalid } = validateAnalysis({ date: '2026-11-06' });
+
+    assert.strictEqual(analysis.event_name, 'Evento sin nombre');
+    assert.strictEqual(invalid.event_name.reason, 'Falta el nombre del evento');
+  });
+});
+
+describe('applyRepair', () => {
+  it('coerces repaired values and records where they came from', () => {
+    const validated = validateAnalysis({ event_name: 'Feria', date: '30/02/2026', time: '25:00' });
+
+    applyRepair(validated, { date: '2026-03-02', time: '9 pm', price: 'Q100' });
+
+    assert.strictEqual(validated.analysis.date, '2026-03-02');
+    assert.strictEqual(validated.analysis.time, '21:00');
+    assert.strictEqual(validated.corrections.date.original, '30/02/2026');
+    assert.match(validated.corrections.date.reason, /Corregido al volver a preguntar al modelo$/);
+    assert.strictEqual(validated.analysis.price, NOT_SPECIFIED);
+    assert.deepStrictEqual(validated.invalid, {});
+  });
+
+  it('uses the fallback and zero confidence when the repair is still invalid or missing', () => {
+    const validated = validateAnalysis({
+      event_name: 'Feria',
+      date: 'pronto',
+      time: 'en la noche',
+      field_confidence: { date: 0.9, time: 0.9 }
+    });
+
+    applyRepair(validated, { date: 'mañana' });
+
+    assert.strictEqual(validated.analysis.date, NOT_SPECIFIED);
+    assert.strictEqual(validated.analysis.time, NOT_SPECIFIED);
+    assert.deepStrictEqual(validated.analysis.field_confidence.date, { confidence: 0, bbox: null });
+    assert.deepStrictEqual(validated.analysis.field_confidence.time, { confidence: 0, bbox: null });
+    assert.match(validated.corrections.time.reason, /Sin corrección válida, se usó el valor por defecto$/);
+  });
+
+  it('uses the fallbacks when the re-ask failed', () => {
+    const validated = validateAnalysis({ date: 'pronto' });
+
+    applyRepair(validated, null);
+
+    assert.strictEqual(validated.analysis.event_name, 'Evento sin nombre');
+    assert.strictEqual(validated.analysis.date, NOT_SPECIFIED);
+  });
+
+  it('rechecks subcategory and tags once the category is repaired', () => {
+    const validated = validateAnalysis({
+      event_name: 'Limpieza de playa',
+      category: 'ambiental',
+      subcategory: 'beach-cleanup',
+      tags: ['familias', 'gratis']
+    });
+    assert.strictEqual(validated.analysis.category, 'general');
+
+    applyRepair(validated, { category: 'voluntariado', subcategory: 'beach-cleanup' });
+
+    assert.strictEqual(validated.analysis.category, 'volunteer');
+    assert.strictEqual(validated.analysis.subcategory, 'beach-cleanup');
+    assert.deepStrictEqual(validated.analysis.tags, ['familias']);
+  });
+});
+
+describe('buildRepairPrompt', () => {
+  it('lists each invalid field with what it received and what is allowed', () => {
+    const { invalid } = validateAnalysis({ event_name: 'Feria', category: 'deportes' });
+
+    const prompt = buildRepairPrompt(invalid);
+
+    assert.match(prompt, /- category: recibido "deportes" → Categoría desconocida: "deportes"\. Valores válidos: music \| volunteer \| general/);
+    assert.match(prompt, /únicamente esos campos \(category\)/);
+  });
+});
@@ -0,0 +1,254 @@
+const { analyzeEventImage, analyzeEventText } = require('./eventVision');
+const { loadImageBase64 } = require('./visionProviders/image');
+const { NOT_SPECIFIED, TAGS, EVENT_FEATURES, getLowConfidenceFields } = require('./analysisSchema');
+
+/**
+ * Carousel analysis: every slide of an Instagram post plus its caption.
+ *
+ * Carousels spread details across slides (lineup on one, prices on another,
+ * the venue on a third). Each slide and the caption are analyzed separately
+ * with the normal pipeline, then merged field by field: the value the model
+ * was most confident about wins. `field_sources` records where each value
+ * came from ("image:<index in the post>" or "caption").
+ *
+ * Fields that only make sense together are taken from the same source:
+ * date + recurrence, and category + subcategory. Where the caption and the
+ * slides disagree, the losing value is kept in `conflicts`.
+ */
+
+const MAX_SLIDES = 10;
+
+// Stand-in field score when the model gave none
+const OVERALL_SCORES = { high: 0.8, medium: 0.5, low: 0.2 };
+
+const SCALAR_FIELDS = ['event_name', 'time', 'end_time', 'location', 'organizer', 'price', 'registration_url'];
+const DATE_GROUP = ['date', 'is_recurring', 'recurring_pattern', 'recurring_dates', 'recurrence'];
+const CATEGORY_GROUP = ['category', 'subcategory'];
+
+function isSpecified(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== undefined && value !== null && value !== '' && value !== NOT_SPECIFIED;
+}
+
+function fieldScore(analysis, field) {
+  return analysis.field_confidence?.[field]?.confidence ?? OVERALL_SCORES[analysis.confidence] ?? 0;
+}
+
+/**
+ * Source with the highest score for a field among those that have a value.
+ * Ties keep post order (earlier slides first, caption last).
+ */
+function pickSource(sources, field, hasValue = (analysis) => isSpecified(analysis[field])) {
+  let best = null;
+  for (const source of sources) {
+    if (!hasValue(source.analysis)) continue;
+    if (!best || fieldScore(source.analysis, field) > fieldScore(best.analysis, field)) best = source;
+  }
+  return best;
+}
+
+function sameValue(a, b) {
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * Fields where the caption and the best slide for that field disagree
+ */
+function findCaptionConflicts(sources, fieldSources) {
+  const caption = sources.find((s) => s.source === 'caption');
+  if (!caption) return [];
+
+  const images = sources.filter((s) => s !== caption);
+  const conflicts = [];
+
+  for (const field of [...SCALAR_FIELDS, 'date']) {
+    const captionValue = caption.analysis[field];
+    const image = pickSource(images, field);
+    if (!image || !isSpecified(captionValue) || sameValue(captionValue, image.analysis[field])) continue;
+
+    const chosen = fieldSources[field] === 'caption' ? 'caption' : 'image';
+    conflicts.push({
+      field,
+      image: image.analysis[field],
+      caption: captionValue,
+      chosen,
+      reason: `Se usó ${chosen === 'caption' ? 'el caption' : image.source} por mayor confianza`
+    });
+  }
+
+  return conflicts;
+}
+
+/**
+ * Merge per-source analyses into one event
+ * @param {Array<{ source: string, analysis: Object }>} sources - Slides in post order, caption last
+ * @returns {Object} Merged analysis with field_sources
+ */
+function mergeAnalyses(sources) {
+  const merged = {};
+  const fieldSources = {};
+  const fieldConfidence = {};
+  const corrections = {};
+  const dateChecks = {};
+
+  const take = (field, source) => {
+    merged[field] = source.analysis[field];
+    fieldSources[field] = source.source;
+
+    const confidence = source.analysis.field_confidence?.[field];
+    if (confidence) fieldConfidence[field] = { ...confidence, source: source.source };
+
+    const correction = source.analysis.corrections?.[field];
+    if (correction) corrections[field] = { ...correction, source: source.source };
+
+    const dateCheck = source.analysis.date_checks?.[field];
+    if (dateCheck) dateChecks[field] = { ...dateCheck, source: source.source };
+  };
+
+  for (const field of SCALAR_FIELDS) {
+    const source = pickSource(sources, field);
+    if (source) take(field, source);
+    else merged[field] = NOT_SPECIFIED;
+  }
+
+  // The caption is the post's own description; slides only have fragments
+  const caption = sources.find((s) => s.source === 'caption');
+  const descriptionSource = caption && isSpecified(caption.analysis.description)
+    ? caption
+    : pickSource(sources, 'description');
+  if (descriptionSource) take('description', descriptionSource);
+  else merged.description = NOT_SPECIFIED;
+
+  const dateSource = pickSource(sources, 'date', (a) => isSpecified(a.date) || a.is_recurring);
+  for (const field of DATE_GROUP) {
+    if (dateSource) take(field, dateSource);
+  }
+  if (!dateSource) Object.assign(merged, { date: NOT_SPECIFIED, is_recurring: false, recurring_pattern: null, recurring_dates: [], recurrence: null });
+
+  const categorySource = pickSource(sources, 'subcategory') || pickSource(sources, 'category');
+  for (const field of CATEGORY_GROUP) {
+    if (categorySource) take(field, categorySource);
+  }
+  if (!categorySource) Object.assign(merged, { category: 'general', subcategory: null });
+
+  // Tags: union of every source, limited to the merged category
+  const allowedTags = TAGS[merged.category] || [];
+  const tagSources = [];
+  merged.tags = [];
+  for (const source of sources) {
+    const added = (source.analysis.tags || []).filter((tag) => allowedTags.includes(tag) && !merged.tags.includes(tag));
+    if (added.length > 0) tagSources.push(source.source);
+    merged.tags.push(...added);
+  }
+  merged.tags = merged.tags.slice(0, 4);
+  fieldSources.tags = tagSources;
+
+  // event_features: each key from the most confident source that has it
+  const byConfidence = [...sources].sort((a, b) =>
+    (OVERALL_SCORES[b.analysis.confidence] || 0) - (OVERALL_SCORES[a.analysis.confidence] || 0));
+  merged.event_features = null;
+  for (const key of Object.keys(EVENT_FEATURES)) {
+    const source = byConfidence.find((s) => s.analysis.event_features?.[key]);
+    if (!source) continue;
+    merged.event_features = { ...merged.event_features, [key]: source.analysis.event_features[key] };
+    fieldSources[`event_features.${key}`] = source.source;
+  }
+  if (merged.event_features) {
+    for (const key of Object.keys(EVENT_FEATURES)) merged.event_features[key] ??= null;
+  }
+
+  merged.confidence = byConfidence[0]?.analysis.confidence || 'low';
+  merged.extracted_text = sources
+    .filter((s) => isSpecified(s.analysis.extracted_text))
+    .map((s) => `[${s.source}]\n${s.analysis.extracted_text}`)
+    .join('\n\n') || NOT_SPECIFIED;
+
+  merged.field_confidence = fieldConfidence;
+  merged.field_sources = fieldSources;
+  merged.conflicts = findCaptionConflicts(sources, fieldSources);
+  merged.corrections = corrections;
+  merged.date_checks = dateChecks;
+  merged.low_confidence_fields = getLowConfidenceFields(merged);
+
+  return merged;
+}
+
+/**
+ * Analyze every slide of a carousel plus the caption and merge them
+ * @param {string[]} imageUrls - Slide URLs in post order
+ * @param {string|null} description - post_metadata.description (caption)
+ * @param {string} title - Optional title/context
+ * @param {Object} options - Vision options ({ provider, model, fixture, context }).
+ *   context.author / context.published_at are passed to every slide.
+ *   With a fixture name, slide N replays "<fixture>.image-N" and the caption "<fixture>.caption"
+ * @returns {Promise<{ analysis: Object, sources: Object[], metadata: Object }>}
+ */
+async function analyzeCarousel(imageUrls, description, title = 'Event Post', options = {}) {
+  const slides = imageUrls.slice(0, MAX_SLIDES);
+  const fixtureFor = (key) => (options.fixture ? { ...options, fixture: `${options.fixture}.${key}` } : options);
+
+  // The caption is its own source: slides only get the author and publish date
+  const slideOptions = (key) => ({
+    ...fixtureFor(key),
+    context: options.context ? { ...options.context, description: null, caption: null } : null
+  });
+
+  console.log(`[CAROUSEL] 🎠 Analyzing ${slides.length} slide(s)${description ? ' + caption' : ''}`);
+
+  const jobs = slides.map(async (url, index) => {
+    const source = `image:${index}`;
+    try {
+      const { mimeType, base64 } = await loadImageBase64(url);
+      const result = await analyzeEventImage(`data:${mimeType};base64,${base64}`, title, slideOptions(`image-${index}`));
+      return { source, image_url: url, ...result };
+    } catch (error) {
+      console.warn(`[CAROUSEL] ⚠️ Slide ${index} failed:`, error.message);
+      return { source, image_url: url, error: error.message };
+    }
+  });
+
+  if (description && description.trim()) {
+    jobs.push(analyzeEventText(description.trim(), title, fixtureFor('caption'))
+      .then((result) => ({ source: 'caption', ...result }))
+      .catch((error) => {
+        console.warn('[CAROUSEL] ⚠️ Caption analysis failed:', error.message);
+        return { source: 'caption', error: error.message };
+      }));
+  }
+
+  const results = await Promise.all(jobs);
+  const analyzed = results.filter((r) => r.analysis);
+
+  if (analyzed.length === 0) {
+    throw new Error(`Could not analyze any slide: ${results.map((r) => r.error).join('; ')}`);
+  }
+
+  const analysis = mergeAnalyses(analyzed);
+  const first = analyzed[0].metadata;
+
+  console.log(`[CAROUSEL] ✅ Merged ${analyzed.length} source(s): "${analysis.event_name}" | ${analysis.date} ${analysis.time}`);
+
+  return {
+    analysis,
+    sources: results.map(({ source, image_url, analysis: sourceAnalysis, error }) => ({
+      source,
+      image_url: image_url || null,
+      analysis: sourceAnalysis || null,
+      error: error || null
+    })),
+    metadata: {
+      model: first.model,
+      provider: first.provider,
+      sources_analyzed: analyzed.length,
+      sources_failed: results.length - analyzed.length,
+      repair_attempted: analyzed.some((r) => r.metadata.repair_attempted),
+      tokens_used: analyzed.reduce((sum, r) => sum + r.metadata.tokens_used, 0),
+      analyzed_at: new Date().toISOString()
+    }
+  };
+}
+
+module.exports = {
+  mergeAnalyses,
+  analyzeCarousel
+};
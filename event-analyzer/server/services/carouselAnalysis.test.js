@@ -0,0 +1,187 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { NOT_SPECIFIED } = require('./analysisSchema');
+const { mergeAnalyses, analyzeCarousel } = require('./carouselAnalysis');
+
+const score = (confidence, bbox = null) => ({ confidence, bbox });
+
+const SLIDES = [
+  {
+    source: 'image:0',
+    analysis: {
+      event_name: 'Festival Ruido',
+      time: '20:00',
+      organizer: 'Colectivo Ruido',
+      date: '2099-05-01',
+      is_recurring: false,
+      category: 'music',
+      subcategory: null,
+      tags: ['noche', 'pets-ok'],
+      event_features: { vibe: 'underground' },
+      confidence: 'medium',
+      extracted_text: 'FESTIVAL RUIDO',
+      field_confidence: {
+        event_name: score(0.9, [0.1, 0.1, 0.8, 0.2]),
+        time: score(0.4),
+        organizer: score(0.3),
+        date: score(0.5)
+      }
+    }
+  },
+  {
+    source: 'image:1',
+    analysis: {
+      event_name: NOT_SPECIFIED,
+      location: 'Zona 4',
+      price: 'Q100',
+      date: '2099-05-02',
+      is_recurring: false,
+      recurrence: null,
+      category: 'music',
+      subcategory: 'music-festival',
+      tags: ['outdoor', 'noche', 'boletos'],
+      event_features: { vibe: 'casual', mood: 'energético' },
+      confidence: 'high',
+      extracted_text: 'Q100 - Zona 4',
+      field_confidence: { price: score(0.9), date: score(0.95) }
+    }
+  }
+];
+
+const CAPTION = {
+  source: 'caption',
+  analysis: {
+    event_name: 'Festival Ruido 2099',
+    time: '21:00',
+    price: 'q100 ',
+    description: 'Tres escenarios y food trucks',
+    category: 'general',
+    tags: ['gratis', '18+'],
+    confidence: 'medium',
+    extracted_text: NOT_SPECIFIED,
+    field_confidence: { time: score(0.9) }
+  }
+};
+
+describe('mergeAnalyses', () => {
+  const merged = mergeAnalyses([...SLIDES, CAPTION]);
+
+  it('takes each field from its most confident source', () => {
+    assert.strictEqual(merged.event_name, 'Festival Ruido');
+    assert.strictEqual(merged.time, '21:00');
+    assert.strictEqual(merged.location, 'Zona 4');
+    assert.strictEqual(merged.registration_url, NOT_SPECIFIED);
+    assert.strictEqual(merged.description, 'Tres escenarios y food trucks');
+    assert.strictEqual(merged.confidence, 'high');
+    assert.deepStrictEqual(merged.field_confidence.event_name, { confidence: 0.9, bbox: [0.1, 0.1, 0.8, 0.2], source: 'image:0' });
+    assert.deepStrictEqual(merged.low_confidence_fields, ['organizer']);
+  });
+
+  it('keeps the date and the category groups from a single source', () => {
+    assert.strictEqual(merged.date, '2099-05-02');
+    assert.strictEqual(merged.recurrence, null);
+    assert.deepStrictEqual([merged.category, merged.subcategory], ['music', 'music-festival']);
+    assert.strictEqual(merged.field_sources.date, 'image:1');
+    assert.strictEqual(merged.field_sources.recurrence, 'image:1');
+    assert.strictEqual(merged.field_sources.subcategory, 'image:1');
+  });
+
+  it('joins the tags allowed for the category and picks event_features by overall confidence', () => {
+    assert.deepStrictEqual(merged.tags, ['noche', 'outdoor', 'boletos', 'gratis']);
+    assert.deepStrictEqual(merged.field_sources.tags, ['image:0', 'image:1', 'caption']);
+    assert.deepStrictEqual(merged.event_features, { mood: 'energético', vibe: 'casual', timeOfDay: null, socialSetting: null });
+    assert.strictEqual(merged.field_sources['event_features.vibe'], 'image:1');
+  });
+
+  it('records the source of every value and the slides text', () => {
+    assert.deepStrictEqual(
+      ['event_name', 'time', 'organizer', 'price', 'description'].map((field) => merged.field_sources[field]),
+      ['image:0', 'caption', 'image:0', 'image:1', 'caption']
+    );
+    assert.strictEqual(merged.extracted_text, '[image:0]\nFESTIVAL RUIDO\n\n[image:1]\nQ100 - Zona 4');
+  });
+
+  it('lists where the caption and the slides disagree', () => {
+    assert.deepStrictEqual(merged.conflicts, [
+      {
+        field: 'event_name',
+        image: 'Festival Ruido',
+        caption: 'Festival Ruido 2099',
+        chosen: 'image',
+        reason: 'Se usó image:0 por mayor confianza'
+      },
+      {
+        field: 'time',
+        image: '20:00',
+        caption: '21:00',
+        chosen: 'caption',
+        reason: 'Se usó el caption por mayor confianza'
+      }
+    ]);
+  });
+
+  it('keeps post order on ties and falls back to defaults', () => {
+    const result = mergeAnalyses([
+      { source: 'image:0', analysis: { event_name: 'Primera', confidence: 'low' } },
+      { source: 'image:1', analysis: { event_name: 'Segunda', confidence: 'low' } }
+    ]);
+
+    assert.strictEqual(result.event_name, 'Primera');
+    assert.strictEqual(result.date, NOT_SPECIFIED);
+    assert.strictEqual(result.is_recurring, false);
+    assert.deepStrictEqual([result.category, result.subcategory], ['general', null]);
+    assert.strictEqual(result.event_features, null);
+    assert.deepStrictEqual(result.conflicts, []);
+  });
+});
+
+describe('analyzeCarousel', () => {
+  const previous = process.env.VISION_FIXTURES_DIR;
+  const SLIDE_URLS = ['data:image/png;base64,AAAA', 'data:image/png;base64,BBBB'];
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'carousel-'));
+    const write = (name, analysis) => fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify({ analysis }));
+    write('ruido.image-0', { event_name: 'Festival Ruido', date: '2099-05-01', confidence: 'high', field_confidence: { date: 0.9 } });
+    write('ruido.caption', { event_name: 'Festival Ruido', time: '21:00', confidence: 'medium' });
+    process.env.VISION_FIXTURES_DIR = dir;
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (previous === undefined) delete process.env.VISION_FIXTURES_DIR;
+    else process.env.VISION_FIXTURES_DIR = previous;
+  });
+
+  it('merges the slides that could be analyzed with the caption', async () => {
+    const { analysis, sources, metadata } = await analyzeCarousel(SLIDE_URLS, ' Festival Ruido, 9 PM ', 'Post', { provider: 'mock', fixture: 'ruido' });
+
+    assert.deepStrictEqual(sources.map((s) => [s.source, s.image_url, Boolean(s.analysis)]), [
+      ['image:0', SLIDE_URLS[0], true],
+      ['image:1', SLIDE_URLS[1], false],
+      ['caption', null, true]
+    ]);
+    assert.match(sources[1].error, /No vision fixture for "ruido\.image-1"/);
+    assert.strictEqual(analysis.date, '2099-05-01');
+    assert.strictEqual(analysis.time, '21:00');
+    assert.strictEqual(analysis.field_sources.date, 'image:0');
+    assert.strictEqual(analysis.field_sources.time, 'caption');
+    assert.strictEqual(metadata.provider, 'mock');
+    assert.strictEqual(metadata.sources_analyzed, 2);
+    assert.strictEqual(metadata.sources_failed, 1);
+  });
+
+  it('throws when no source could be analyzed', async () => {
+    await assert.rejects(
+      analyzeCarousel(SLIDE_URLS, null, 'Post', { provider: 'mock', fixture: 'desconocido' }),
+      /Could not analyze any slide: No vision fixture for "desconocido\.image-0".*; No vision fixture for "desconocido\.image-1"/
+    );
+  });
+});
@@ -0,0 +1,460 @@
+const { NOT_SPECIFIED } = require('./analysisSchema');
+const { DEFAULT_TIMEZONE, getZonedParts } = require('./eventTime');
+const { formatRRule } = require('./recurrence');
+
+/**
+ * Rule-based Spanish/English date and time expressions, used to cross-check
+ * the model's `date`, `time`, `end_time` and recurrence against the text it
+ * transcribed (`extracted_text`).
+ *
+ * parseDateExpressions() finds, in this order (each match is blanked out so
+ * later patterns don't read it again): date ranges, day lists, day + month,
+ * numeric dates, weekday + day ("viernes 13"), relative dates ("mañana",
+ * "este viernes"), recurring weekdays ("todos los viernes") and finally times
+ * ("8:00 PM", "20h", "de 7 a 10pm").
+ *
+ * Dates are resolved against a reference date (today, or the post's publish
+ * date): a weekday + day goes to the first month where that day falls on that
+ * weekday, and a day + month without year more than 30 days in the past goes
+ * to next year.
+ *
+ * crossCheckAnalysis() then confirms, fills in or flags each field. The parser
+ * only fills fields the model left empty; when both have a value and disagree
+ * the model's value stays, its field_confidence is set to 0 and the reason is
+ * stored in `date_checks` for review.
+ */
+
+const MONTHS = {
+  enero: 1, ene: 1, january: 1, jan: 1,
+  febrero: 2, feb: 2, february: 2,
+  marzo: 3, mar: 3, march: 3,
+  abril: 4, abr: 4, april: 4, apr: 4,
+  mayo: 5, may: 5,
+  junio: 6, jun: 6, june: 6,
+  julio: 7, jul: 7, july: 7,
+  agosto: 8, ago: 8, august: 8, aug: 8,
+  septiembre: 9, setiembre: 9, sept: 9, sep: 9, september: 9,
+  octubre: 10, oct: 10, october: 10,
+  noviembre: 11, nov: 11, november: 11,
+  diciembre: 12, dic: 12, december: 12, dec: 12
+};
+
+// "mar" is left out on purpose: it reads as March ("MAR 13")
+const WEEKDAYS = {
+  domingo: 0, dom: 0, sunday: 0, sun: 0,
+  lunes: 1, lun: 1, monday: 1, mon: 1,
+  martes: 2, tuesday: 2, tue: 2, tues: 2,
+  miercoles: 3, mie: 3, mier: 3, wednesday: 3, wed: 3,
+  jueves: 4, jue: 4, thursday: 4, thu: 4, thurs: 4,
+  viernes: 5, vie: 5, friday: 5, fri: 5,
+  sabado: 6, sab: 6, saturday: 6, sat: 6
+};
+
+const WEEKDAY_NAMES = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+
+// Past dates within this window keep their year (flyer analyzed right after the event)
+const PAST_TOLERANCE_DAYS = 30;
+
+const alternation = (map) => Object.keys(map).sort((a, b) => b.length - a.length).join('|');
+const MONTH = `(?:${alternation(MONTHS)})\\.?`;
+const WEEKDAY = `(?:${alternation(WEEKDAYS)})\\.?`;
+const ORD = '(?:st|nd|rd|th|ro|vo|mo)?';
+const YEAR = '(?:\\s*(?:de|del|,)?\\s*(?<y>\\d{4}))?';
+const SEP = '\\s*(?:,|y|e|and|&)\\s*';
+const MERIDIEM = '(?:a\\.?\\s?m\\.?|p\\.?\\s?m\\.?|hrs?\\b|horas|h\\b|de la (?:manana|tarde|noche|madrugada))';
+// A day number can't be the hour of "noviembre 21:00", "viernes 8pm" or "mar 20h"
+const NOT_TIME = '(?!\\s*(?::|h\\b|hrs|horas|am|pm|a\\.m|p\\.m))';
+
+const PATTERNS = {
+  rangeCrossMonth: new RegExp(`\\b(?:del?\\s+)?(?<d1>\\d{1,2})${ORD}\\s*(?:de\\s+)?(?<m1>${MONTH})\\s*(?:al|a|-|–|hasta el|to|through)\\s*(?:el\\s+)?(?<d2>\\d{1,2})${ORD}\\s*(?:de\\s+)?(?<m2>${MONTH})${YEAR}`, 'g'),
+  range: new RegExp(`\\b(?:del?\\s+)?(?:(?<w1>${WEEKDAY}),?\\s+)?(?<d1>\\d{1,2})${ORD}\\s*(?:al|a|-|–|hasta el)\\s*(?:(?<w2>${WEEKDAY}),?\\s+)?(?<d2>\\d{1,2})${ORD}\\s*(?:de\\s+)?(?<m>${MONTH})${YEAR}`, 'g'),
+  rangeEnglish: new RegExp(`\\b(?<m>${MONTH})\\s+(?<d1>\\d{1,2})${ORD}\\s*(?:-|–|to|through)\\s*(?<d2>\\d{1,2})${ORD}${YEAR}`, 'g'),
+  list: new RegExp(`\\b(?<items>(?:${WEEKDAY},?\\s+)?\\d{1,2}${ORD}(?:${SEP}(?:${WEEKDAY},?\\s+)?\\d{1,2}${ORD})+)\\s*(?:de\\s+)?(?<m>${MONTH})${YEAR}`, 'g'),
+  dayMonth: new RegExp(`\\b(?:(?<w>${WEEKDAY}),?\\s+)?(?<![:.])(?<d>\\d{1,2})${ORD}${NOT_TIME}\\s*(?:de\\s+)?(?<m>${MONTH})${YEAR}`, 'g'),
+  monthDay: new RegExp(`\\b(?:(?<w>${WEEKDAY}),?\\s+)?(?<m>${MONTH})\\s+(?<d>\\d{1,2})${ORD}\\b${NOT_TIME}(?:,?\\s*(?<y>\\d{4}))?`, 'g'),
+  iso: /\b(?<y>\d{4})-(?<m>\d{1,2})-(?<d>\d{1,2})\b/g,
+  numeric: /\b(?<d>\d{1,2})\/(?<m>\d{1,2})(?:\/(?<y>\d{4}|\d{2}))?\b/g,
+  weekdayDay: new RegExp(`\\b(?<w>${WEEKDAY}),?\\s+(?<d>\\d{1,2})${ORD}\\b${NOT_TIME}`, 'g'),
+  relative: /\b(?:(?<after>pasado\s+manana)|(?<today>hoy|esta noche|tonight|today)|(?<!(?:la|de|por|en)\s)(?<tomorrow>manana|tomorrow))\b/g,
+  nextWeekday: new RegExp(`\\b(?:este|esta|el proximo|la proxima|proximo|this coming|this|next)\\s+(?<w>${WEEKDAY})`, 'g'),
+  recurring: new RegExp(`\\b(?:todos los|todas las|cada|every|los)\\s+(?<list>${WEEKDAY}s?(?:\\s*(?:,|y|e|and|&|/)\\s*(?:los\\s+)?${WEEKDAY}s?)*)`, 'g'),
+  recurringEnglish: /\b(?<w>sun|mon|tues|wednes|thurs|fri|satur)days\b/g,
+  timeRange: new RegExp(`\\b(?:de\\s+|desde\\s+(?:las\\s+)?|from\\s+)?(?<h1>\\d{1,2})(?:[:h.](?<m1>\\d{2}))?\\s*(?<p1>${MERIDIEM})?\\s*(?:a|-|–|hasta(?:\\s+las)?|to|al)\\s*(?:las\\s+)?(?<h2>\\d{1,2})(?:[:h.](?<m2>\\d{2}))?\\s*(?<p2>${MERIDIEM})?`, 'g'),
+  time: new RegExp(`\\b(?<h>\\d{1,2})(?:[:h.](?<m>\\d{2}))?\\s*(?<p>${MERIDIEM})?`, 'g')
+};
+
+function fold(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+const lookup = (map, word) => map[word.replace(/\.$/, '').replace(/s$/, '')] ?? map[word.replace(/\.$/, '')];
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function toIso(y, m, d) {
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return `${y}-${pad(m)}-${pad(d)}`;
+}
+
+function weekdayOf(iso) {
+  return new Date(`${iso}T00:00:00Z`).getUTCDay();
+}
+
+function addDays(iso, days) {
+  const date = new Date(`${iso}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+function daysBetween(a, b) {
+  return Math.round((new Date(`${b}T00:00:00Z`) - new Date(`${a}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Reference date as { iso, y, m, d }: its calendar day in the timezone
+ */
+function referenceParts(referenceDate, timezone) {
+  const { date, year, month, day } = getZonedParts(referenceDate, timezone);
+  return { iso: date, y: year, m: month, d: day };
+}
+
+/**
+ * Year for a day + month written without year. With a weekday, the year
+ * where the weekday matches wins.
+ */
+function resolveYear(m, d, weekday, ref) {
+  const candidates = [ref.y, ref.y + 1];
+  if (weekday !== undefined) {
+    const match = candidates.map((y) => toIso(y, m, d)).find((iso) => iso && weekdayOf(iso) === weekday);
+    if (match) return Number(match.slice(0, 4));
+  }
+  const iso = toIso(ref.y, m, d);
+  return iso && daysBetween(iso, ref.iso) > PAST_TOLERANCE_DAYS ? ref.y + 1 : ref.y;
+}
+
+/**
+ * First date on or after the reference where `day` falls on `weekday`
+ */
+function resolveWeekdayDay(weekday, day, ref) {
+  for (let i = 0; i < 24; i++) {
+    const m = ((ref.m - 1 + i) % 12) + 1;
+    const y = ref.y + Math.floor((ref.m - 1 + i) / 12);
+    const iso = toIso(y, m, day);
+    if (iso && iso >= ref.iso && weekdayOf(iso) === weekday) return iso;
+  }
+  return null;
+}
+
+function parseHour(h, m, meridiem) {
+  let hour = Number(h);
+  const minutes = Number(m || 0);
+  if (hour > 24 || minutes > 59) return null;
+
+  const p = meridiem ? meridiem.replace(/[\s.]/g, '') : null;
+  let explicit = true;
+
+  if (p && (p.startsWith('p') || /tarde|noche/.test(p))) {
+    if (hour > 12) return null;
+    if (hour !== 12) hour += 12;
+    else if (/noche/.test(p)) hour = 0;
+  } else if (p && (p.startsWith('a') || /manana|madrugada/.test(p))) {
+    if (hour > 12) return null;
+    if (hour === 12) hour = 0;
+  } else if (!p || !/^h/.test(p)) {
+    explicit = hour === 0 || hour > 12;
+  }
+
+  hour %= 24;
+  const time = `${pad(hour)}:${pad(minutes)}`;
+  // "8:00" alone can be morning or night
+  const alternatives = explicit || hour === 12 ? [] : [`${pad(hour + 12)}:${pad(minutes)}`];
+  return { time, alternatives, explicit };
+}
+
+/**
+ * Find date and time expressions in a text
+ * @param {string} text - Usually the analysis' extracted_text
+ * @param {Date} referenceDate - Today or the post's publish date
+ * @param {string} timezone - IANA timezone the reference day is read in
+ * @returns {{ dates: Object[], ranges: Object[], weekdays: number[], times: Object[], timeRanges: Object[], conflicts: Object[] }}
+ *   dates: { date, text, kind }; ranges: { start, end, dates, text };
+ *   times: { time, alternatives, text }; conflicts: text that can't be a real date
+ */
+function parseDateExpressions(text, referenceDate = new Date(), timezone = DEFAULT_TIMEZONE) {
+  const result = { dates: [], ranges: [], weekdays: [], times: [], timeRanges: [], conflicts: [] };
+  if (!text || text === NOT_SPECIFIED) return result;
+
+  const ref = referenceParts(referenceDate, timezone);
+  let source = fold(text);
+
+  const scan = (pattern, handler) => {
+    source = source.replace(pattern, (...args) => {
+      const match = args[0];
+      const groups = args[args.length - 1];
+      return handler(groups, match.trim()) === false ? match : ' '.repeat(match.length);
+    });
+  };
+
+  const addDate = (date, original, kind, weekday) => {
+    if (!date) return false;
+    if (weekday !== undefined && weekdayOf(date) !== weekday) {
+      result.conflicts.push({ text: original, reason: `${date} no es ${WEEKDAY_NAMES[weekday]}` });
+    }
+    result.dates.push({ date, text: original, kind });
+    return true;
+  };
+
+  const addRange = (start, end, original) => {
+    if (!start || !end || end < start || daysBetween(start, end) > 62) return false;
+    const dates = [];
+    for (let day = start; day <= end; day = addDays(day, 1)) dates.push(day);
+    result.ranges.push({ start, end, dates, text: original });
+    return true;
+  };
+
+  scan(PATTERNS.rangeCrossMonth, (g, original) => {
+    const m1 = lookup(MONTHS, g.m1);
+    const m2 = lookup(MONTHS, g.m2);
+    const y2 = g.y ? Number(g.y) : resolveYear(m2, Number(g.d2), undefined, ref);
+    const y1 = m1 > m2 ? y2 - 1 : y2;
+    return addRange(toIso(y1, m1, Number(g.d1)), toIso(y2, m2, Number(g.d2)), original);
+  });
+
+  const monthRange = (g, original) => {
+    const m = lookup(MONTHS, g.m);
+    const d1 = Number(g.d1);
+    const d2 = Number(g.d2);
+    const y = g.y ? Number(g.y) : resolveYear(m, d2, undefined, ref);
+    // "del 28 al 3 de marzo" starts in the previous month
+    const start = d1 > d2 ? toIso(m === 1 ? y - 1 : y, m === 1 ? 12 : m - 1, d1) : toIso(y, m, d1);
+    if (!addRange(start, toIso(y, m, d2), original)) return false;
+    if (g.w1 && weekdayOf(start) !== lookup(WEEKDAYS, g.w1)) {
+      result.conflicts.push({ text: original, reason: `${start} no es ${WEEKDAY_NAMES[lookup(WEEKDAYS, g.w1)]}` });
+    }
+    return true;
+  };
+  scan(PATTERNS.range, monthRange);
+  scan(PATTERNS.rangeEnglish, monthRange);
+
+  scan(PATTERNS.list, (g, original) => {
+    const m = lookup(MONTHS, g.m);
+    const items = [...g.items.matchAll(new RegExp(`(?:(${WEEKDAY}),?\\s+)?(\\d{1,2})`, 'g'))];
+    const first = items[0];
+    const firstWeekday = first[1] ? lookup(WEEKDAYS, first[1]) : undefined;
+    const y = g.y ? Number(g.y) : resolveYear(m, Number(first[2]), firstWeekday, ref);
+    for (const [, weekday, day] of items) {
+      addDate(toIso(y, m, Number(day)), original, 'list', weekday ? lookup(WEEKDAYS, weekday) : undefined);
+    }
+  });
+
+  const dayMonth = (g, original) => {
+    const m = lookup(MONTHS, g.m);
+    const d = Number(g.d);
+    const weekday = g.w ? lookup(WEEKDAYS, g.w) : undefined;
+    const y = g.y ? Number(g.y) : resolveYear(m, d, weekday, ref);
+    return addDate(toIso(y, m, d), original, 'explicit', weekday);
+  };
+  scan(PATTERNS.dayMonth, dayMonth);
+  scan(PATTERNS.monthDay, dayMonth);
+
+  scan(PATTERNS.iso, (g, original) => addDate(toIso(Number(g.y), Number(g.m), Number(g.d)), original, 'explicit'));
+  scan(PATTERNS.numeric, (g, original) => {
+    const m = Number(g.m);
+    const d = Number(g.d);
+    const y = g.y ? (g.y.length === 2 ? 2000 + Number(g.y) : Number(g.y)) : resolveYear(m, d, undefined, ref);
+    return addDate(toIso(y, m, d), original, 'explicit');
+  });
+
+  scan(PATTERNS.weekdayDay, (g, original) => {
+    const weekday = lookup(WEEKDAYS, g.w);
+    const day = Number(g.d);
+    if (day < 1 || day > 31) return false;
+    const date = resolveWeekdayDay(weekday, day, ref);
+    if (!date) {
+      result.conflicts.push({ text: original, reason: `Ningún ${WEEKDAY_NAMES[weekday]} ${day} próximo` });
+      return true;
+    }
+    return addDate(date, original, 'weekday');
+  });
+
+  scan(PATTERNS.relative, (g, original) => {
+    const offset = g.after ? 2 : g.tomorrow ? 1 : 0;
+    return addDate(addDays(ref.iso, offset), original, 'relative');
+  });
+
+  scan(PATTERNS.nextWeekday, (g, original) => {
+    const weekday = lookup(WEEKDAYS, g.w);
+    const offset = (weekday - weekdayOf(ref.iso) + 7) % 7;
+    return addDate(addDays(ref.iso, offset), original, 'relative');
+  });
+
+  const addWeekday = (word) => {
+    const weekday = lookup(WEEKDAYS, word);
+    if (weekday !== undefined && !result.weekdays.includes(weekday)) result.weekdays.push(weekday);
+  };
+  scan(PATTERNS.recurring, (g) => {
+    for (const [word] of g.list.matchAll(new RegExp(WEEKDAY, 'g'))) addWeekday(word);
+  });
+  scan(PATTERNS.recurringEnglish, (g) => addWeekday(`${g.w}day`));
+
+  scan(PATTERNS.timeRange, (g, original) => {
+    if (!g.m1 && !g.p1 && !g.m2 && !g.p2) return false;
+    // "7 a 10pm": the start takes the end's am/pm
+    const start = parseHour(g.h1, g.m1, g.p1 || (g.p2 && Number(g.h1) <= Number(g.h2) ? g.p2 : null));
+    const end = parseHour(g.h2, g.m2, g.p2 || g.p1);
+    if (!start || !end) return false;
+    result.timeRanges.push({ start, end, text: original });
+    result.times.push({ ...start, text: original });
+    return true;
+  });
+
+  scan(PATTERNS.time, (g, original) => {
+    if (!g.m && !g.p) return false;
+    const time = parseHour(g.h, g.m, g.p);
+    if (!time) return false;
+    result.times.push({ ...time, text: original });
+    return true;
+  });
+
+  result.dates.sort((a, b) => a.date.localeCompare(b.date));
+  return result;
+}
+
+function matchesTime(value, entry) {
+  return entry.time === value || entry.alternatives.includes(value);
+}
+
+/**
+ * Cross-check an analysis against its extracted_text (mutates it).
+ * Sets `date_checks[field] = { status, model, parsed, reason }` where status is
+ * confirmed | corrected | mismatch | unverified. The parser only fills fields
+ * the model left empty (corrected, also reported in `corrections`); when both
+ * have a value and disagree the model's value stays and is scored 0 in
+ * field_confidence so it shows up in low_confidence_fields.
+ * @param {Object} analysis - Normalized analysis
+ * @param {Date} referenceDate - Today or the post's publish date
+ * @param {string} timezone - IANA timezone the reference day is read in
+ * @returns {Object} analysis
+ */
+function crossCheckAnalysis(analysis, referenceDate = new Date(), timezone = DEFAULT_TIMEZONE) {
+  const parsed = parseDateExpressions(analysis.extracted_text, referenceDate, timezone);
+  const checks = {};
+
+  const record = (field, status, model, parsedValue, reason) => {
+    checks[field] = { status, model: model ?? null, parsed: parsedValue ?? null, reason };
+  };
+
+  const correct = (field, value, reason, parsedValue = value) => {
+    const original = analysis[field];
+    analysis[field] = value;
+    analysis.corrections = {
+      ...analysis.corrections,
+      [field]: { original, corrected: value, reason: `${reason} (parser de fechas)` }
+    };
+    record(field, 'corrected', original, parsedValue, reason);
+  };
+
+  const flag = (field, reason, parsedValue, confidenceField = field) => {
+    record(field, 'mismatch', analysis[field], parsedValue, reason);
+    analysis.field_confidence = {
+      ...analysis.field_confidence,
+      [confidenceField]: { confidence: 0, bbox: analysis.field_confidence?.[confidenceField]?.bbox ?? null }
+    };
+  };
+
+  const specified = (value) => value && value !== NOT_SPECIFIED;
+  const weekdayNames = parsed.weekdays.map((w) => WEEKDAY_NAMES[w]).join(', ');
+
+  // date
+  const candidates = [...new Set([...parsed.dates.map((d) => d.date), ...parsed.ranges.map((r) => r.start)])].sort();
+  const inRange = (date) => parsed.ranges.some((r) => date >= r.start && date <= r.end);
+  const sourceText = (date) => parsed.dates.find((d) => d.date === date)?.text || parsed.ranges.find((r) => r.start === date).text;
+  // A series from "todos los viernes" never starts on another weekday
+  const onSeriesWeekday = (date) => !analysis.is_recurring || parsed.weekdays.length === 0 || parsed.weekdays.includes(weekdayOf(date));
+  const conflict = parsed.conflicts[0];
+
+  if (conflict) {
+    flag('date', `El texto no es una fecha real: "${conflict.text}" (${conflict.reason})`, candidates);
+  } else if (candidates.length === 0) {
+    record('date', 'unverified', analysis.date, null, 'No hay fechas en el texto');
+  } else if (!specified(analysis.date)) {
+    const date = candidates.find(onSeriesWeekday);
+    if (date) correct('date', date, `Fecha "${sourceText(date)}" leída del texto`);
+    else record('date', 'unverified', analysis.date, candidates, `${candidates.join(', ')} no ${candidates.length > 1 ? 'caen' : 'cae'} en ${weekdayNames}`);
+  } else if (candidates.includes(analysis.date) || inRange(analysis.date)) {
+    record('date', 'confirmed', analysis.date, candidates, 'Coincide con el texto');
+  } else if (candidates.length === 1) {
+    flag('date', `"${sourceText(candidates[0])}" es ${candidates[0]}, no ${analysis.date}`, candidates[0]);
+  } else {
+    flag('date', `${analysis.date} no coincide con ninguna fecha del texto`, candidates);
+  }
+
+  // time / end_time
+  const checkTime = (field, entries) => {
+    const model = analysis[field];
+    const first = entries[0];
+    if (!first) {
+      record(field, 'unverified', model, null, 'No hay horas en el texto');
+    } else if (!specified(model)) {
+      if (first.explicit) correct(field, first.time, `Hora "${first.text}" leída del texto`);
+      else record(field, 'unverified', model, first.time, `"${first.text}" puede ser AM o PM`);
+    } else if (entries.some((entry) => matchesTime(model, entry))) {
+      record(field, 'confirmed', model, entries.map((e) => e.time), 'Coincide con el texto');
+    } else if (entries.length === 1 && first.explicit) {
+      flag(field, `"${first.text}" es ${first.time}, no ${model}`, first.time);
+    } else {
+      flag(field, `${model} no coincide con ninguna hora del texto`, entries.map((e) => e.time));
+    }
+  };
+  checkTime('time', parsed.times);
+  checkTime('end_time', parsed.timeRanges.map((r) => ({ ...r.end, text: r.text })));
+
+  // recurrence
+  const dates = analysis.recurring_dates || [];
+  const listDates = parsed.dates.filter((d) => d.kind === 'list' || d.kind === 'weekday').map((d) => d.date);
+
+  if (analysis.is_recurring && parsed.ranges.length > 0 && parsed.weekdays.length === 0) {
+    const expected = [...new Set(parsed.ranges.flatMap((r) => r.dates))].sort();
+    if (expected.join() === dates.join()) {
+      record('recurring_dates', 'confirmed', dates, expected, 'Coincide con el rango del texto');
+    } else if (dates.length === 0) {
+      correct('recurring_dates', expected, `Rango "${parsed.ranges[0].text}"`);
+      analysis.recurrence = {
+        case: 'C',
+        dtstart: expected[0],
+        rrule: formatRRule({ freq: 'DAILY', until: expected[expected.length - 1] }),
+        rdates: [],
+        exdates: []
+      };
+    } else {
+      flag('recurring_dates', `Rango "${parsed.ranges[0].text}" es ${expected[0]} a ${expected[expected.length - 1]}`, expected, 'is_recurring');
+    }
+  } else if (analysis.is_recurring && parsed.weekdays.length > 0 && dates.length > 0) {
+    const wrong = dates.filter((date) => !parsed.weekdays.includes(weekdayOf(date)));
+    if (wrong.length === 0) {
+      record('recurring_dates', 'confirmed', dates, weekdayNames, 'Todas las fechas caen en los días del texto');
+    } else {
+      flag('recurring_dates', `${wrong.join(', ')} no ${wrong.length > 1 ? 'caen' : 'cae'} en ${weekdayNames}`, weekdayNames, 'is_recurring');
+    }
+  } else if (!analysis.is_recurring && dates.length > 1 && listDates.length > 1) {
+    const missing = dates.filter((date) => !listDates.includes(date));
+    if (missing.length === 0) {
+      record('recurring_dates', 'confirmed', dates, listDates, 'Coincide con las fechas del texto');
+    } else {
+      flag('recurring_dates', `${missing.join(', ')} no ${missing.length > 1 ? 'están' : 'está'} en el texto`, listDates, 'is_recurring');
+    }
+  } else if (!analysis.is_recurring && parsed.weekdays.length > 0 && candidates.length === 0) {
+    flag('is_recurring', `El texto dice que se repite (${weekdayNames}) pero el análisis no es recurrente`, weekdayNames);
+  }
+
+  analysis.date_checks = checks;
+  return analysis;
+}
+
+module.exports = {
+  parseDateExpressions,
+  crossCheckAnalysis
+};
@@ -0,0 +1,170 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { parseDateExpressions, crossCheckAnalysis } = require('./dateExpressions');
+
+// Sunday 2026-10-18, noon in Guatemala
+const NOW = new Date('2026-10-18T18:00:00Z');
+
+const parse = (text) => parseDateExpressions(text, NOW);
+const dates = (text) => parse(text).dates.map((d) => d.date);
+const times = (text) => parse(text).times.map((t) => t.time);
+
+const check = (fields) => crossCheckAnalysis({
+  date: 'No especificado',
+  time: 'No especificado',
+  end_time: 'No especificado',
+  is_recurring: false,
+  recurring_dates: [],
+  field_confidence: {},
+  corrections: {},
+  ...fields
+}, NOW);
+
+describe('parseDateExpressions', () => {
+  it('reads day + month in Spanish and English', () => {
+    assert.deepStrictEqual(dates('Sábado 14 de noviembre'), ['2026-11-14']);
+    assert.deepStrictEqual(dates('Nov 14th, 2026'), ['2026-11-14']);
+    assert.deepStrictEqual(dates('14/11/2026'), ['2026-11-14']);
+  });
+
+  it('moves a day + month long past to next year', () => {
+    assert.deepStrictEqual(dates('3 de marzo'), ['2027-03-03']);
+  });
+
+  it('expands ranges across months', () => {
+    const [range] = parse('Del 28 de noviembre al 2 de diciembre').ranges;
+
+    assert.strictEqual(range.start, '2026-11-28');
+    assert.strictEqual(range.end, '2026-12-02');
+    assert.strictEqual(range.dates.length, 5);
+  });
+
+  it('resolves a weekday + day to the next month where it matches', () => {
+    assert.deepStrictEqual(dates('Viernes 13'), ['2026-11-13']);
+  });
+
+  it('reports a weekday that does not match the date', () => {
+    const { conflicts } = parse('Viernes 14 de noviembre');
+
+    assert.strictEqual(conflicts.length, 1);
+    assert.match(conflicts[0].reason, /no es viernes/);
+  });
+
+  it('does not read the hour after a month as its day', () => {
+    const parsed = parse('Todos los viernes de noviembre 21:00');
+
+    assert.deepStrictEqual(parsed.dates, []);
+    assert.deepStrictEqual(parsed.weekdays, [5]);
+    assert.deepStrictEqual(parsed.times.map((t) => t.time), ['21:00']);
+  });
+
+  for (const text of ['Noviembre 8pm', 'Noviembre 8 p.m.', 'Nov 20h', 'Dic 21 hrs']) {
+    it(`reads "${text}" as a time`, () => {
+      assert.deepStrictEqual(dates(text), []);
+      assert.strictEqual(times(text).length, 1);
+    });
+  }
+
+  it('does not read the minutes before a month as its day', () => {
+    assert.deepStrictEqual(dates('21:30 dic'), []);
+  });
+
+  it('reads times and time ranges', () => {
+    assert.deepStrictEqual(times('8:00 PM'), ['20:00']);
+    assert.deepStrictEqual(times('20h30'), ['20:30']);
+
+    const [range] = parse('de 7 a 10pm').timeRanges;
+    assert.strictEqual(range.start.time, '19:00');
+    assert.strictEqual(range.end.time, '22:00');
+  });
+
+  it('keeps both readings of an hour without am/pm', () => {
+    const [time] = parse('8:00').times;
+
+    assert.strictEqual(time.time, '08:00');
+    assert.deepStrictEqual(time.alternatives, ['20:00']);
+  });
+});
+
+describe('crossCheckAnalysis', () => {
+  it('keeps the model date of a monthly series and confirms its time', () => {
+    const analysis = check({
+      extracted_text: 'Todos los viernes de noviembre 21:00',
+      date: '2026-11-06',
+      time: '21:00',
+      is_recurring: true,
+      recurring_dates: ['2026-11-06', '2026-11-13', '2026-11-20', '2026-11-27']
+    });
+
+    assert.strictEqual(analysis.date, '2026-11-06');
+    assert.strictEqual(analysis.date_checks.date.status, 'unverified');
+    assert.strictEqual(analysis.date_checks.time.status, 'confirmed');
+    assert.strictEqual(analysis.date_checks.recurring_dates.status, 'confirmed');
+    assert.deepStrictEqual(analysis.corrections, {});
+  });
+
+  it('flags a date that disagrees with the text without replacing it', () => {
+    const analysis = check({ extracted_text: 'Sábado 14 de noviembre', date: '2026-11-15' });
+
+    assert.strictEqual(analysis.date, '2026-11-15');
+    assert.strictEqual(analysis.date_checks.date.status, 'mismatch');
+    assert.strictEqual(analysis.date_checks.date.parsed, '2026-11-14');
+    assert.strictEqual(analysis.field_confidence.date.confidence, 0);
+    assert.deepStrictEqual(analysis.corrections, {});
+  });
+
+  it('flags a time that disagrees with the text without replacing it', () => {
+    const analysis = check({ extracted_text: '14 de noviembre, 9:00 PM', date: '2026-11-14', time: '20:00' });
+
+    assert.strictEqual(analysis.time, '20:00');
+    assert.strictEqual(analysis.date_checks.time.status, 'mismatch');
+    assert.strictEqual(analysis.field_confidence.time.confidence, 0);
+  });
+
+  it('fills in a date and time the model left empty', () => {
+    const analysis = check({ extracted_text: 'Sábado 14 de noviembre, 9:00 PM' });
+
+    assert.strictEqual(analysis.date, '2026-11-14');
+    assert.strictEqual(analysis.time, '21:00');
+    assert.strictEqual(analysis.date_checks.date.status, 'corrected');
+    assert.ok(analysis.corrections.date);
+  });
+
+  it('never fills in a series date on a weekday the text does not repeat on', () => {
+    const analysis = check({
+      extracted_text: 'Todos los viernes desde el 21 de noviembre',
+      is_recurring: true
+    });
+
+    assert.strictEqual(analysis.date, 'No especificado');
+    assert.strictEqual(analysis.date_checks.date.status, 'unverified');
+  });
+
+  it('keeps recurring dates off the text weekdays and flags them', () => {
+    const recurringDates = ['2026-11-06', '2026-11-14'];
+    const analysis = check({
+      extracted_text: 'Todos los viernes',
+      date: '2026-11-06',
+      is_recurring: true,
+      recurring_dates: recurringDates,
+      recurrence: { case: 'B', dtstart: '2026-11-06', rrule: 'FREQ=WEEKLY;BYDAY=FR' }
+    });
+
+    assert.deepStrictEqual(analysis.recurring_dates, recurringDates);
+    assert.ok(analysis.recurrence);
+    assert.strictEqual(analysis.date_checks.recurring_dates.status, 'mismatch');
+    assert.strictEqual(analysis.field_confidence.is_recurring.confidence, 0);
+  });
+
+  it('fills in the dates of a range the model did not list', () => {
+    const analysis = check({
+      extracted_text: 'Del 12 al 14 de noviembre',
+      date: '2026-11-12',
+      is_recurring: true
+    });
+
+    assert.deepStrictEqual(analysis.recurring_dates, ['2026-11-12', '2026-11-13', '2026-11-14']);
+    assert.strictEqual(analysis.recurrence.rrule, 'FREQ=DAILY;UNTIL=20261114');
+  });
+});
@@ -0,0 +1,353 @@
+const { NOT_SPECIFIED, MAX_TAGS } = require('./analysisSchema');
+const { addDays } = require('./eventTime');
+const { expandRecurrence, getRecurrenceBounds } = require('./recurrence');
+const { isRecurringEvent, isOccurrenceDate } = require('./occurrences');
+const { hammingDistance } = require('./imageHash');
+const { normalizeText, trigramSimilarity } = require('../utils/text');
+
+/**
+ * Duplicate event detection and merging.
+ *
+ * The same event reaches the database from the WhatsApp bot, app submissions,
+ * Instagram extraction jobs, imports and manual entry. Two events are compared
+ * on five signals, each 0..1 (null when either side lacks the data):
+ * - image: perceptual hash distance of the flyers (services/imageHash.js)
+ * - title: trigram similarity of the titles without filler words
+ * - date: shared occurrence date (0.5 for the day before / after)
+ * - venue: same venue_id, or similar location text
+ * - organizer: same organizer_handle, or similar organizer text
+ * The score is the weighted mean of the available signals. Events on different
+ * dates are different editions and different titles on one flyer are different
+ * events of an agenda, so a date or title mismatch caps the score.
+ */
+
+const SIGNAL_WEIGHTS = {
+  image: 0.3,
+  title: 0.3,
+  date: 0.2,
+  venue: 0.1,
+  organizer: 0.1
+};
+
+// Score from which an event is reported as a likely duplicate
+const DUPLICATE_THRESHOLD = 0.65;
+
+// Score cap when the dates don't overlap or the titles are clearly different
+const MISMATCH_CAP = 0.4;
+const TITLE_MISMATCH = 0.4;
+
+// Hash distances (bits of 64): up to SAME is the same flyer, from DIFFERENT on unrelated
+const IMAGE_DISTANCE_SAME = 4;
+const IMAGE_DISTANCE_DIFFERENT = 14;
+
+const MAX_CANDIDATES = 500;
+
+// Words that vary between copies of the same title ("Presenta", "en vivo", years)
+const TITLE_FILLER = new Set([
+  'el', 'la', 'los', 'las', 'de', 'del', 'en', 'y', 'con', 'un', 'una', 'al',
+  'the', 'a', 'an', 'of', 'and', 'at', 'with',
+  'presenta', 'presentan', 'presents', 'vivo', 'live', 'evento', 'event', 'edicion', 'edition'
+]);
+
+const DUPLICATE_COLUMNS = 'id, title, date, time, end_time, timezone, rrule, rdates, exdates, last_date, location, venue_id, organizer, organizer_handle, image, image_hash, source_group_id, created_at';
+
+/**
+ * Title reduced to its distinctive words
+ * @param {string} title
+ * @returns {string}
+ */
+function normalizeEventTitle(title) {
+  return normalizeText(title)
+    .split(' ')
+    .filter((word) => word && !TITLE_FILLER.has(word) && !/^(19|20)\d{2}$/.test(word) && !word.startsWith('@'))
+    .join(' ');
+}
+
+function imageSignal(a, b) {
+  if (!a.image_hash || !b.image_hash) return null;
+  const distance = hammingDistance(a.image_hash, b.image_hash);
+  const range = IMAGE_DISTANCE_DIFFERENT - IMAGE_DISTANCE_SAME;
+  return Math.min(1, Math.max(0, (IMAGE_DISTANCE_DIFFERENT - distance) / range));
+}
+
+function titleSignal(a, b) {
+  const ta = normalizeEventTitle(a.title);
+  const tb = normalizeEventTitle(b.title);
+  if (!ta || !tb) return null;
+  return trigramSimilarity(ta, tb);
+}
+
+/**
+ * 1 when the events share an occurrence date, 0.5 when single-date events are
+ * a day apart (late-night events are often entered with the next day's date)
+ */
+function dateSignal(a, b) {
+  if (!a.date || !b.date) return null;
+
+  const from = a.date > b.date ? a.date : b.date;
+  const lastA = getRecurrenceBounds(a).last;
+  const lastB = getRecurrenceBounds(b).last;
+  const to = [lastA, lastB, addDays(from, 366)].filter(Boolean).sort()[0];
+
+  if (to >= from) {
+    const datesA = new Set(expandRecurrence(a, { from, to }));
+    if (expandRecurrence(b, { from, to }).some((date) => datesA.has(date))) return 1;
+  }
+
+  if (!isRecurringEvent(a) && !isRecurringEvent(b) && (addDays(a.date, 1) === b.date || addDays(b.date, 1) === a.date)) {
+    return 0.5;
+  }
+
+  return 0;
+}
+
+function venueSignal(a, b) {
+  if (a.venue_id && b.venue_id) return a.venue_id === b.venue_id ? 1 : 0;
+  if (!a.location || !b.location) return null;
+  return trigramSimilarity(a.location, b.location);
+}
+
+function organizerSignal(a, b) {
+  if (a.organizer_handle && b.organizer_handle) return a.organizer_handle === b.organizer_handle ? 1 : 0;
+  if (!a.organizer || !b.organizer) return null;
+  return trigramSimilarity(a.organizer, b.organizer);
+}
+
+/**
+ * Likelihood that two events are the same
+ * @param {Object} a - Event columns (title, date, rrule, rdates, exdates, location,
+ *   venue_id, organizer, organizer_handle, image_hash)
+ * @param {Object} b - Same shape
+ * @returns {{ score: number, signals: Object }} score 0..1 and each signal (null = not compared)
+ */
+function scoreDuplicate(a, b) {
+  const signals = {
+    image: imageSignal(a, b),
+    title: titleSignal(a, b),
+    date: dateSignal(a, b),
+    venue: venueSignal(a, b),
+    organizer: organizerSignal(a, b)
+  };
+
+  // Venue, date and organizer alone can't tell two events apart
+  if (signals.image === null && signals.title === null) {
+    return { score: 0, signals };
+  }
+
+  let total = 0;
+  let weights = 0;
+  for (const [signal, weight] of Object.entries(SIGNAL_WEIGHTS)) {
+    if (signals[signal] === null) continue;
+    total += signals[signal] * weight;
+    weights += weight;
+  }
+
+  let score = total / weights;
+  if (signals.date === 0 || (signals.title !== null && signals.title < TITLE_MISMATCH)) {
+    score = Math.min(score, MISMATCH_CAP);
+  }
+
+  for (const signal of Object.keys(signals)) {
+    if (signals[signal] !== null) signals[signal] = Number(signals[signal].toFixed(2));
+  }
+
+  return { score: Number(score.toFixed(2)), signals };
+}
+
+/**
+ * Existing events that may be duplicates of an event (saved or not yet saved)
+ * @param {Object} supabase - Supabase client
+ * @param {Object} event - Event columns; `id` and events created with it
+ *   (same `source_group_id`) are excluded from the results
+ * @param {Object} options - { threshold, limit }
+ * @returns {Promise<Object[]>} [{ event, score, signals }] by score, highest first
+ */
+async function findDuplicates(supabase, event, { threshold = DUPLICATE_THRESHOLD, limit = 5 } = {}) {
+  let query = supabase
+    .from('events')
+    .select(DUPLICATE_COLUMNS)
+    .is('deleted_at', null)
+    .limit(MAX_CANDIDATES);
+
+  if (event.date) {
+    // Events that may happen between the day before and the day after
+    const last = getRecurrenceBounds(event).last || addDays(event.date, 366);
+    query = query
+      .lte('date', addDays(last, 1))
+      .or(`last_date.gte.${addDays(event.date, -1)},last_date.is.null`);
+  } else if (event.image_hash) {
+    query = query.eq('image_hash', event.image_hash);
+  } else {
+    return [];
+  }
+
+  if (event.id) query = query.neq('id', event.id);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return (data || [])
+    .filter((candidate) => !event.source_group_id || candidate.source_group_id !== event.source_group_id)
+    .map((candidate) => ({ candidate, ...scoreDuplicate(event, candidate) }))
+    .filter(({ score }) => score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ candidate, score, signals }) => ({
+      event: {
+        id: candidate.id,
+        title: candidate.title,
+        date: candidate.date,
+        time: candidate.time,
+        location: candidate.location,
+        organizer: candidate.organizer,
+        image: candidate.image
+      },
+      score,
+      signals
+    }));
+}
+
+/**
+ * Event columns compared by scoreDuplicate() from a flyer analysis
+ * @param {Object} analysis - analyzeEventImage() analysis
+ * @param {string|null} imageHash - Flyer dHash
+ * @returns {Object}
+ */
+function eventFromAnalysis(analysis, imageHash = null) {
+  const value = (field) => (analysis[field] && analysis[field] !== NOT_SPECIFIED ? analysis[field] : null);
+  const date = analysis.recurrence?.dtstart || value('date');
+
+  return {
+    title: value('event_name'),
+    date: /^\d{4}-\d{2}-\d{2}$/.test(date || '') ? date : null,
+    rrule: analysis.recurrence?.rrule || null,
+    rdates: analysis.recurrence?.rdates || [],
+    exdates: analysis.recurrence?.exdates || [],
+    location: value('location'),
+    organizer: value('organizer'),
+    image_hash: imageHash
+  };
+}
+
+// ─── Merging ────────────────────────────────────────────────────────────────
+
+/**
+ * Fields copied together from a source when the target's first field is empty
+ */
+const MERGE_FIELD_GROUPS = [
+  ['image', 'image_hash'],
+  ['time', 'end_time'],
+  ['location', 'location_name', 'latitude', 'longitude', 'venue_id'],
+  ['organizer', 'organizer_handle'],
+  ['price', 'bank_account_number', 'bank_name'],
+  ['registration_form_url'],
+  ['reservation_contact'],
+  ['subcategory'],
+  ['event_features'],
+  ['target_audience'],
+  ['capacity']
+];
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Updates for the surviving event: its own values win, gaps are filled from
+ * the sources, the longest description is kept and tags are combined
+ * @param {Object} target - Surviving event row
+ * @param {Object[]} sources - Rows merged into it
+ * @returns {Object} Columns to update
+ */
+function buildMergeUpdates(target, sources) {
+  const updates = {};
+
+  for (const group of MERGE_FIELD_GROUPS) {
+    if (!isEmpty(target[group[0]])) continue;
+    const donor = sources.find((source) => !isEmpty(source[group[0]]));
+    if (donor) group.forEach((field) => { updates[field] = donor[field] ?? null; });
+  }
+
+  const description = [target, ...sources]
+    .map((event) => event.description || '')
+    .reduce((longest, text) => (text.length > longest.length ? text : longest), '');
+  if (description && description !== (target.description || '')) updates.description = description;
+
+  // Tags of the target's category only
+  const tags = [...new Set([
+    ...(target.tags || []),
+    ...sources.filter((s) => s.category === target.category).flatMap((s) => s.tags || [])
+  ])].slice(0, MAX_TAGS);
+  if (tags.length !== (target.tags || []).length) updates.tags = tags;
+
+  return updates;
+}
+
+// Per-user rows that merge_events moves from the sources to the target
+const MERGED_TABLES = ['saved_events', 'event_registrations', 'attended_events'];
+
+/**
+ * Dates the moved rows keep on the target. A row keeps its occurrence_date
+ * (or, for a single-date source, that date) when the target repeats on it;
+ * otherwise it points at the whole target. merge_events applies this:
+ * - target_dates: target occurrences among those dates (null when the target
+ *   doesn't repeat). Rows dated after this read point at the whole target.
+ * - source_dates: { source id → date } of the single-date sources
+ * @returns {Promise<{ target_dates: string[]|null, source_dates: Object }>}
+ */
+async function loadMergeDates(supabase, target, sources) {
+  if (!isRecurringEvent(target)) return { target_dates: null, source_dates: {} };
+
+  const sourceDates = Object.fromEntries(sources
+    .filter((source) => !isRecurringEvent(source) && source.date)
+    .map((source) => [source.id, source.date]));
+
+  const dates = new Set(Object.values(sourceDates));
+  for (const table of MERGED_TABLES) {
+    const { data: rows, error } = await supabase
+      .from(table)
+      .select('occurrence_date')
+      .in('event_id', sources.map((s) => s.id))
+      .not('occurrence_date', 'is', null);
+
+    if (error) throw error;
+    (rows || []).forEach((row) => dates.add(row.occurrence_date));
+  }
+
+  return {
+    target_dates: [...dates].filter((date) => isOccurrenceDate(target, date)),
+    source_dates: sourceDates
+  };
+}
+
+/**
+ * Merge duplicate events into one. The target keeps its id and gains the
+ * sources' missing fields, saves, registrations and attendance; the sources
+ * are cancelled and point to it through `merged_into`. Everything runs in the
+ * `merge_events` Postgres function (CHANGELOG 1.0.51), in one transaction,
+ * which also recomputes saves_count.
+ * @param {Object} supabase - Supabase client
+ * @param {Object} target - Surviving event row
+ * @param {Object[]} sources - Event rows to merge into the target
+ * @returns {Promise<{ event: Object, moved: Object }>}
+ *   moved: { saves, registrations, attendance } → { moved, dropped }
+ */
+async function mergeEvents(supabase, target, sources) {
+  const { data, error } = await supabase.rpc('merge_events', {
+    target_id: target.id,
+    source_ids: sources.map((s) => s.id),
+    target_updates: buildMergeUpdates(target, sources),
+    ...await loadMergeDates(supabase, target, sources)
+  });
+
+  if (error) throw error;
+  return { event: data.event, moved: data.moved };
+}
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  normalizeEventTitle,
+  scoreDuplicate,
+  findDuplicates,
+  eventFromAnalysis,
+  buildMergeUpdates,
+  mergeEvents
+};
@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { mergeEvents } = require('./duplicates');
+
+/**
+ * Supabase stand-in: `rows` answers the occurrence_date reads of each table,
+ * rpc() records its arguments and answers with `result`
+ */
+function createSupabaseStub(rows, result) {
+  const calls = { rpc: [], tables: [] };
+
+  const client = {
+    from(table) {
+      calls.tables.push(table);
+      const query = {
+        select: () => query,
+        in: () => query,
+        not: () => Promise.resolve({ data: rows[table] || [], error: null })
+      };
+      return query;
+    },
+    rpc(name, args) {
+      calls.rpc.push({ name, args });
+      return Promise.resolve({ data: result, error: null });
+    }
+  };
+
+  return { client, calls };
+}
+
+const RESULT = {
+  event: { id: 'target', saves_count: 3 },
+  moved: {
+    saves: { moved: 2, dropped: 1 },
+    registrations: { moved: 0, dropped: 0 },
+    attendance: { moved: 1, dropped: 0 }
+  }
+};
+
+describe('mergeEvents', () => {
+  it('runs the whole merge in merge_events', async () => {
+    const target = { id: 'target', date: '2026-11-06', description: 'Corta', tags: ['jazz'], category: 'music' };
+    const sources = [{ id: 'source', date: '2026-11-06', image: 'https://example.com/flyer.jpg', category: 'music', tags: ['noche'] }];
+    const { client, calls } = createSupabaseStub({}, RESULT);
+
+    const result = await mergeEvents(client, target, sources);
+
+    assert.deepStrictEqual(calls.tables, []);
+    const [{ name, args }] = calls.rpc;
+    assert.strictEqual(name, 'merge_events');
+    assert.strictEqual(args.target_id, 'target');
+    assert.deepStrictEqual(args.source_ids, ['source']);
+    assert.strictEqual(args.target_updates.image, 'https://example.com/flyer.jpg');
+    assert.deepStrictEqual(args.target_updates.tags, ['jazz', 'noche']);
+    assert.strictEqual(args.target_dates, null);
+    assert.deepStrictEqual(result, RESULT);
+  });
+
+  it('passes the target occurrences the moved rows can keep', async () => {
+    // Every Friday in November 2026
+    const target = { id: 'target', date: '2026-11-06', rrule: 'FREQ=WEEKLY;BYDAY=FR;UNTIL=20261127' };
+    const sources = [
+      { id: 'single', date: '2026-11-13' },
+      { id: 'series', date: '2026-11-01', rrule: 'FREQ=DAILY;UNTIL=20261130' }
+    ];
+    const { client, calls } = createSupabaseStub({
+      saved_events: [{ occurrence_date: '2026-11-20' }, { occurrence_date: '2026-11-21' }],
+      attended_events: [{ occurrence_date: '2026-11-27' }]
+    }, RESULT);
+
+    await mergeEvents(client, target, sources);
+
+    const [{ args }] = calls.rpc;
+    assert.deepStrictEqual(args.source_dates, { single: '2026-11-13' });
+    assert.deepStrictEqual(args.target_dates.sort(), ['2026-11-13', '2026-11-20', '2026-11-27']);
+  });
+});
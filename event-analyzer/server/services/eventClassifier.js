@@ -0,0 +1,222 @@
+const { CATEGORIES, SUBCATEGORIES, TAGS, MAX_TAGS } = require('./analysisSchema');
+const { normalizeText } = require('../utils/text');
+
+/**
+ * Rule-based classification into the analysis taxonomy (category,
+ * subcategory, tags) for events that don't go through the vision model,
+ * such as imported feeds. Values given by the source win when they are valid;
+ * otherwise the title and description are matched against keywords.
+ */
+
+const CATEGORY_HINTS = {
+  music: 'music',
+  musica: 'music',
+  concierto: 'music',
+  concert: 'music',
+  arte: 'music',
+  art: 'music',
+  cultura: 'music',
+  culture: 'music',
+  voluntariado: 'volunteer',
+  volunteer: 'volunteer',
+  volunteering: 'volunteer',
+  general: 'general',
+  otros: 'general',
+  other: 'general'
+};
+
+/**
+ * Keywords per subcategory (matched on normalized text, whole words)
+ */
+const SUBCATEGORY_KEYWORDS = {
+  'rock-concert': ['rock'],
+  'pop-concert': ['pop'],
+  'electronic-concert': ['electronica', 'electronic', 'techno', 'house'],
+  'reggaeton-urbano': ['reggaeton', 'urbano', 'perreo', 'dembow'],
+  'jazz-blues': ['jazz', 'blues'],
+  'classical-music': ['sinfonica', 'orquesta', 'filarmonica', 'clasica', 'symphony', 'orchestra', 'opera'],
+  'latin-salsa': ['salsa', 'bachata', 'merengue', 'cumbia'],
+  'folk-traditional': ['marimba', 'folclor', 'folklore', 'folk'],
+  'indie-alternative': ['indie', 'alternativo', 'alternative'],
+  'hip-hop-rap': ['hip hop', 'rap', 'freestyle'],
+  'metal-hardcore': ['metal', 'hardcore', 'punk'],
+  'acoustic-unplugged': ['acustico', 'acoustic', 'unplugged'],
+  'open-mic': ['open mic', 'micro abierto'],
+  'music-festival': ['festival de musica', 'music festival', 'fest'],
+  'dj-set': ['dj', 'dj set'],
+  karaoke: ['karaoke'],
+  'choir-performance': ['coro', 'choir'],
+  'art-exhibition': ['exposicion', 'exhibicion', 'galeria', 'exhibition', 'gallery', 'muestra'],
+  'theater-play': ['teatro', 'obra', 'theater', 'theatre'],
+  'dance-performance': ['danza', 'ballet', 'dance'],
+  'comedy-show': ['comedia', 'stand up', 'standup', 'comedy'],
+  'poetry-slam': ['poesia', 'poetry', 'slam'],
+  'film-screening': ['cine', 'pelicula', 'proyeccion', 'film', 'movie', 'cineforo'],
+  'cultural-festival': ['festival cultural', 'feria cultural'],
+  'environmental-cleanup': ['limpieza', 'cleanup', 'jornada de limpieza'],
+  'tree-planting': ['reforestacion', 'siembra de arboles', 'tree planting'],
+  'animal-rescue': ['rescate animal', 'adopcion', 'refugio de animales', 'animal rescue'],
+  'food-bank': ['banco de alimentos', 'food bank', 'viveres'],
+  'tutoring-education': ['tutoria', 'tutoring', 'refuerzo escolar'],
+  'medical-campaign': ['jornada medica', 'medical campaign'],
+  'blood-donation': ['donacion de sangre', 'blood drive', 'donar sangre'],
+  'beach-cleanup': ['limpieza de playa', 'beach cleanup'],
+  'fundraiser-walk': ['caminata solidaria', 'caminata benefica'],
+  'networking-event': ['networking'],
+  'startup-pitch': ['pitch', 'startup', 'emprendimiento'],
+  'workshop-skills': ['taller', 'workshop', 'curso', 'masterclass'],
+  'conference-talk': ['conferencia', 'charla', 'conversatorio', 'congreso', 'foro', 'panel', 'talk', 'conference'],
+  'sports-game': ['partido', 'torneo', 'futbol', 'basquet', 'match'],
+  'running-race': ['carrera', '5k', '10k', '21k', 'maraton', 'marathon', 'run'],
+  'yoga-wellness': ['yoga', 'meditacion', 'bienestar', 'wellness', 'mindfulness'],
+  'food-tasting': ['degustacion', 'cata', 'tasting', 'gastronomico', 'food'],
+  'craft-beer': ['cerveza artesanal', 'craft beer', 'beer'],
+  'flea-market': ['bazar', 'pulga', 'venta de garage', 'flea market'],
+  'farmers-market': ['mercado', 'mercadito', 'farmers market', 'feria organica'],
+  'art-craft-fair': ['feria de artesanias', 'artesanias', 'craft fair'],
+  'book-club': ['club de lectura', 'book club', 'presentacion de libro', 'libro'],
+  'language-exchange': ['intercambio de idiomas', 'language exchange'],
+  'gaming-tournament': ['videojuegos', 'gaming', 'esports'],
+  'board-games': ['juegos de mesa', 'board games'],
+  'tech-meetup': ['meetup', 'tecnologia', 'programacion', 'developers', 'tech'],
+  'photography-walk': ['fotografia', 'photowalk', 'photography'],
+  'hiking-outdoors': ['caminata', 'senderismo', 'volcan', 'hiking', 'hike'],
+  'spiritual-retreat': ['retiro', 'retreat'],
+  'trivia-quiz': ['trivia', 'quiz'],
+  hackathon: ['hackathon', 'hackaton']
+};
+
+// Tags that can be read from the text itself (lowercase, accents stripped,
+// punctuation kept so "+18" isn't confused with "18:00")
+const TAG_PATTERNS = {
+  outdoor: /aire libre|\boutdoor\b/,
+  '18+': /\+ ?18\b|\b18 ?\+|mayores de edad|solo adultos/,
+  'todo-público': /todo publico|toda la familia/,
+  familias: /\bfamilias?\b|\bninos\b/,
+  'pets-ok': /pet ?friendly|mascotas/,
+  estudiantes: /\bestudiantes\b|\buniversitarios\b/,
+  certificado: /\bcertificado\b|\bdiploma\b/,
+  'sin-experiencia': /sin experiencia/
+};
+
+const fold = (value) => normalizeText(value).replace(/[\s_]+/g, '-');
+
+const stripAccents = (value) => (value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+function containsKeyword(text, keyword) {
+  return new RegExp(`(^|\\s)${normalizeText(keyword).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(\\s|$)`).test(text);
+}
+
+/**
+ * Subcategory slug from a source value ("Jazz & Blues" → "jazz-blues")
+ * @returns {{ category: string, subcategory: string }|null}
+ */
+function matchSubcategory(value) {
+  if (!value) return null;
+  const slug = fold(value);
+  const category = CATEGORIES.find((c) => SUBCATEGORIES[c].includes(slug));
+  return category ? { category, subcategory: slug } : null;
+}
+
+/**
+ * Category from a source value ("Música", "Voluntariado", "concert")
+ * @returns {string|null}
+ */
+function matchCategory(value) {
+  if (!value) return null;
+  const words = normalizeText(value).split(' ');
+  return words.map((word) => CATEGORY_HINTS[word]).find(Boolean) || null;
+}
+
+/**
+ * Best subcategory by keyword hits (title counts double)
+ * @param {string} title - Normalized
+ * @param {string} body - Normalized description / source categories
+ * @param {string|null} category - Restrict to this category
+ * @returns {{ category: string, subcategory: string }|null}
+ */
+function matchKeywords(title, body, category) {
+  let best = null;
+
+  for (const [subcategory, keywords] of Object.entries(SUBCATEGORY_KEYWORDS)) {
+    const owner = CATEGORIES.find((c) => SUBCATEGORIES[c].includes(subcategory));
+    if (!owner || (category && owner !== category)) continue;
+
+    const score = keywords.reduce((sum, keyword) =>
+      sum + (containsKeyword(title, keyword) ? 2 : 0) + (containsKeyword(body, keyword) ? 1 : 0), 0);
+
+    if (score > 0 && (!best || score > best.score)) best = { category: owner, subcategory, score };
+  }
+
+  return best && { category: best.category, subcategory: best.subcategory };
+}
+
+/**
+ * Tags allowed for the category: the source's own tags first, then tags
+ * derived from price, time, weekday and text
+ */
+function buildTags(category, { tags = [], rawText, price, time, date }) {
+  const allowed = TAGS[category] || [];
+  const pick = (tag) => allowed.find((t) => fold(t) === fold(tag));
+  const result = [];
+  const add = (tag) => {
+    const match = tag && pick(tag);
+    if (match && !result.includes(match)) result.push(match);
+  };
+
+  tags.forEach(add);
+
+  if (price === 0) add('gratis');
+  const hour = /^(\d{1,2}):/.exec(time || '')?.[1];
+  if (hour !== undefined) add(Number(hour) >= 18 ? 'noche' : Number(hour) >= 12 ? 'tarde' : null);
+  if (date) {
+    const weekday = new Date(`${date}T12:00:00Z`).getUTCDay();
+    if (weekday === 0 || weekday === 6) add('fin-de-semana');
+  }
+  for (const [tag, pattern] of Object.entries(TAG_PATTERNS)) {
+    if (pattern.test(rawText)) add(tag);
+  }
+
+  return result.slice(0, MAX_TAGS);
+}
+
+/**
+ * Classify an event
+ * @param {Object} event - { title, description, category, subcategory, tags,
+ *   source_categories (free text such as ICS CATEGORIES), price, time, date }
+ * @returns {{ category: string, subcategory: string|null, tags: string[], source: string }}
+ *   source: "source" (valid values given), "keywords" or "default"
+ */
+function classifyEvent(event) {
+  const title = normalizeText(event.title);
+  const body = normalizeText([event.description, event.source_categories].filter(Boolean).join(' '));
+
+  const fromSubcategory = matchSubcategory(event.subcategory);
+  const givenCategory = CATEGORIES.includes(event.category) ? event.category : matchCategory(event.category);
+
+  let result;
+  if (fromSubcategory && (!givenCategory || givenCategory === fromSubcategory.category)) {
+    result = { ...fromSubcategory, source: 'source' };
+  } else {
+    const category = givenCategory || matchCategory(event.source_categories);
+    const matched = matchKeywords(title, body, category);
+
+    if (matched) result = { ...matched, source: category ? 'source' : 'keywords' };
+    else if (category) result = { category, subcategory: null, source: 'source' };
+    else result = { category: 'general', subcategory: null, source: 'default' };
+  }
+
+  const tags = buildTags(result.category, {
+    tags: Array.isArray(event.tags) ? event.tags : [],
+    rawText: stripAccents([event.title, event.description].filter(Boolean).join(' ')),
+    price: event.price,
+    time: event.time,
+    date: event.date
+  });
+
+  return { category: result.category, subcategory: result.subcategory, tags, source: result.source };
+}
+
+module.exports = {
+  classifyEvent
+};
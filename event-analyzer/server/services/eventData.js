@@ -0,0 +1,187 @@
+const { DEFAULT_TIMEZONE, isValidTimezone, getEventInstants, getTodayStr, addDays } = require('./eventTime');
+const { expandRecurrence, getRecurrenceBounds, validateRecurrence } = require('./recurrence');
+const { OCCURRENCE_WINDOW_DAYS } = require('./occurrences');
+
+/**
+ * Shared normalization and validation for event rows.
+ * Used by POST /api/events (create) and PATCH /api/events/:id (update).
+ */
+
+const trimOrNull = (value) => (typeof value === 'string' ? value.trim() || null : value || null);
+
+/**
+ * Editable event columns and how each incoming value is normalized.
+ * Calling a normalizer with `undefined` yields the column default.
+ */
+const EVENT_FIELD_NORMALIZERS = {
+  title: (v) => (typeof v === 'string' ? v.trim() : v),
+  description: trimOrNull,
+  category: (v) => v || 'general',
+  subcategory: (v) => v || null,
+  tags: (v) => (Array.isArray(v) ? v : []),
+  event_features: (v) => (v && typeof v === 'object' && !Array.isArray(v) ? v : null),
+  image: (v) => v || null,
+  date: (v) => v || null,
+  time: (v) => v || null,
+  end_time: (v) => v || null,
+  timezone: (v) => (typeof v === 'string' && v.trim() ? v.trim() : DEFAULT_TIMEZONE),
+  location: trimOrNull,
+  latitude: (v) => (v === null || v === undefined || v === '' ? null : Number(v)),
+  longitude: (v) => (v === null || v === undefined || v === '' ? null : Number(v)),
+  venue_id: (v) => v || null,
+  organizer: trimOrNull,
+  price: (v) => v || null,
+  registration_form_url: trimOrNull,
+  reservation_contact: trimOrNull,
+  bank_account_number: trimOrNull,
+  bank_name: trimOrNull,
+  requires_attendance_check: (v) => v || false,
+  capacity: (v) => (v === null || v === undefined || v === '' ? null : Number(v)),
+  is_recurring: (v) => v || false,
+  rrule: (v) => (typeof v === 'string' && v.trim() ? v.trim().replace(/^RRULE:/i, '').toUpperCase() : null),
+  rdates: (v) => (Array.isArray(v) ? [...new Set(v)].sort() : v ?? []),
+  exdates: (v) => (Array.isArray(v) ? [...new Set(v)].sort() : v ?? []),
+  target_audience: (v) => v || null,
+  extracted_text: trimOrNull
+};
+
+/**
+ * Normalize event fields from a request body
+ * @param {Object} body - Request body
+ * @param {Object} options
+ * @param {boolean} options.partial - Only include keys present in body (for updates)
+ * @returns {Object} Event columns ready for insert/update
+ */
+function normalizeEventFields(body, { partial = false } = {}) {
+  const fields = {};
+
+  for (const [key, normalize] of Object.entries(EVENT_FIELD_NORMALIZERS)) {
+    if (partial && body[key] === undefined) continue;
+    fields[key] = normalize(body[key]);
+  }
+
+  // Older clients send every date in `recurring_dates`: the extra ones are rdates
+  if (Array.isArray(body.recurring_dates) && body.rdates === undefined) {
+    fields.rdates = EVENT_FIELD_NORMALIZERS.rdates(body.recurring_dates.filter((d) => d !== body.date));
+  }
+
+  if (fields.rrule && body.is_recurring === undefined) fields.is_recurring = true;
+
+  return fields;
+}
+
+/**
+ * Latest date an event happens on: last occurrence of its `date`, `rrule`
+ * and `rdates`. Stored as `events.last_date` so past events can be filtered
+ * in the query.
+ * @param {Object} event - Event columns
+ * @returns {string|null} YYYY-MM-DD, or null for undated events and open-ended series
+ */
+function getLastDate(event) {
+  return getRecurrenceBounds(event).last;
+}
+
+/**
+ * Next date an event happens on: its first occurrence from today in its
+ * timezone, or its last one once they all passed. Stored as
+ * `events.next_date` for the `soonest` sort; a series whose stored value
+ * passed is moved forward by refreshNextDates() (services/eventQuery.js).
+ * @param {Object} event - Event columns
+ * @param {Date} [now]
+ * @returns {string|null} YYYY-MM-DD, or null for undated events
+ */
+function getNextDate(event, now = new Date()) {
+  const today = getTodayStr(event.timezone || DEFAULT_TIMEZONE, now);
+  return expandRecurrence(event, { from: today, limit: 1 })[0] || getLastDate(event);
+}
+
+/**
+ * Derived schedule columns: `last_date` and `next_date` plus the
+ * `starts_at` / `ends_at` instants in the event's timezone (see
+ * services/eventTime.js)
+ * @param {Object} event - Event columns
+ * @param {Date} [now]
+ * @returns {{ last_date: string|null, next_date: string|null, starts_at: string|null, ends_at: string|null }}
+ */
+function getEventSchedule(event, now = new Date()) {
+  return { last_date: getLastDate(event), next_date: getNextDate(event, now), ...getEventInstants(event) };
+}
+
+/**
+ * Event with the `recurring_dates` clients read before the column was
+ * replaced by rrule / rdates / exdates: its dates over the next
+ * OCCURRENCE_WINDOW_DAYS (from the first date when the event hasn't started),
+ * in its timezone. Single-date events get [].
+ * @param {Object} event - Event row
+ * @param {Date} [now]
+ * @returns {Object} Copy of the event with recurring_dates
+ */
+function withRecurringDates(event, now = new Date()) {
+  if (!event || (!event.rrule && !(event.rdates || []).length)) {
+    return event && { ...event, recurring_dates: [] };
+  }
+
+  const today = getTodayStr(event.timezone || DEFAULT_TIMEZONE, now);
+  const from = event.date && event.date > today ? event.date : today;
+
+  return {
+    ...event,
+    recurring_dates: expandRecurrence(event, { from, to: addDays(from, OCCURRENCE_WINDOW_DAYS) })
+  };
+}
+
+/**
+ * Validate a complete event (after merging updates onto the stored row)
+ * @param {Object} event - Event columns
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateEventData(event) {
+  if (!event.title) {
+    return 'Title is required';
+  }
+
+  // Si hay precio, debe haber información bancaria
+  // SOLO si el evento es creado por un usuario específico (host event)
+  if (event.price && event.price > 0 && event.user_id) {
+    if (!event.bank_account_number || !event.bank_name) {
+      return 'Bank account information is required for paid events hosted by users';
+    }
+  }
+
+  for (const [key, limit] of [['latitude', 90], ['longitude', 180]]) {
+    const value = event[key];
+    if (value !== null && value !== undefined && (!Number.isFinite(value) || Math.abs(value) > limit)) {
+      return `${key} must be a number between -${limit} and ${limit}`;
+    }
+  }
+
+  if (event.capacity !== null && event.capacity !== undefined && (!Number.isInteger(event.capacity) || event.capacity < 1)) {
+    return 'capacity must be a positive integer';
+  }
+
+  const recurrenceError = validateRecurrence(event);
+  if (recurrenceError) {
+    return recurrenceError;
+  }
+
+  // Exported as an iCalendar URL: a line break would inject properties
+  if (event.registration_form_url && /[\u0000-\u001f\u007f]/.test(event.registration_form_url)) {
+    return 'registration_form_url must not contain control characters';
+  }
+
+  if (event.timezone && !isValidTimezone(event.timezone)) {
+    return 'timezone must be an IANA timezone such as America/Guatemala';
+  }
+
+  return null;
+}
+
+module.exports = {
+  EVENT_FIELD_NORMALIZERS,
+  normalizeEventFields,
+  getLastDate,
+  getNextDate,
+  getEventSchedule,
+  withRecurringDates,
+  validateEventData
+};
@@ -0,0 +1,557 @@
+const { ANALYSIS_SCHEMA, NOT_SPECIFIED } = require('./analysisSchema');
+const { FORMATS, detectFormat, parseIcs, parseCsv, parseJsonFeed } = require('./importParsers');
+const { classifyEvent } = require('./eventClassifier');
+const { normalizeEventFields, getEventSchedule, validateEventData } = require('./eventData');
+const { DEFAULT_TIMEZONE, isValidTimezone, getZonedParts, addDays } = require('./eventTime');
+const { parseRRule, formatRRule } = require('./recurrence');
+const { normalizeText, trigramSimilarity } = require('../utils/text');
+const { fetchPublicUrl } = require('../utils/publicUrl');
+
+/**
+ * Event imports from iCalendar, CSV and JSON agendas (uploaded or by URL).
+ *
+ * Every row is mapped to event fields, classified (services/eventClassifier.js),
+ * validated with the same rules as POST /api/events and matched against
+ * existing events. The result is a preview with one action per row:
+ * - create: new event
+ * - update: same `external_id` from the same source, with changed fields
+ * - unchanged: same `external_id`, nothing changed
+ * - duplicate: looks like an existing event (or an earlier row) with no shared id
+ * - skipped: already over, or cancelled in the source
+ * - invalid: missing or invalid fields
+ * Nothing is written until the import is run with dry_run=false.
+ */
+
+const MAX_IMPORT_ROWS = 500;
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 30000;
+
+// Title similarity (0-1) from which a row on the same date is a duplicate
+const DUPLICATE_THRESHOLD = 0.75;
+
+/**
+ * Event fields a CSV / JSON column can map to, with the header names
+ * recognized automatically (compared normalized: no case, accents or punctuation)
+ */
+const COLUMN_ALIASES = {
+  external_id: ['id', 'uid', 'event id', 'external id', 'codigo'],
+  title: ['title', 'titulo', 'nombre', 'evento', 'event', 'name', 'summary', 'nombre del evento'],
+  description: ['description', 'descripcion', 'detalle', 'detalles', 'details', 'info'],
+  date: ['date', 'fecha', 'start date', 'fecha inicio', 'fecha de inicio', 'start', 'inicio', 'dtstart'],
+  time: ['time', 'hora', 'start time', 'hora inicio', 'hora de inicio'],
+  end_date: ['end date', 'fecha fin', 'fecha final', 'end', 'fin', 'dtend'],
+  end_time: ['end time', 'hora fin', 'hora final', 'hora de fin', 'hasta'],
+  location: ['location', 'lugar', 'ubicacion', 'venue', 'sede', 'direccion', 'address'],
+  organizer: ['organizer', 'organizador', 'organiza', 'host', 'anfitrion'],
+  price: ['price', 'precio', 'costo', 'cost', 'entrada', 'valor'],
+  registration_form_url: ['url', 'link', 'enlace', 'registration url', 'registro', 'inscripcion', 'tickets', 'boletos'],
+  image: ['image', 'imagen', 'image url', 'flyer', 'foto'],
+  category: ['category', 'categoria', 'tipo', 'type'],
+  subcategory: ['subcategory', 'subcategoria'],
+  tags: ['tags', 'etiquetas'],
+  latitude: ['latitude', 'latitud', 'lat'],
+  longitude: ['longitude', 'longitud', 'lng', 'lon'],
+  timezone: ['timezone', 'zona horaria', 'tz'],
+  rrule: ['rrule', 'recurrence', 'recurrencia']
+};
+
+const MAPPABLE_FIELDS = Object.keys(COLUMN_ALIASES);
+
+// Fields compared to decide between update and unchanged
+const COMPARED_FIELDS = [
+  'title', 'description', 'date', 'time', 'end_time', 'timezone', 'location',
+  'organizer', 'price', 'registration_form_url', 'rrule', 'rdates', 'exdates'
+];
+
+/**
+ * Read a value from a row by key or dotted path ("venue.name")
+ */
+function getPath(row, path) {
+  if (path in row) return row[path];
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), row);
+}
+
+/**
+ * Column for each field: explicit mapping first, then header aliases
+ * @param {string[]} headers - CSV headers or JSON keys
+ * @param {Object} mapping - { field: column }
+ * @returns {{ columns?: Object, unmapped?: string[], error?: string }}
+ */
+function resolveColumns(headers, mapping = {}) {
+  const unknown = Object.keys(mapping).filter((field) => !MAPPABLE_FIELDS.includes(field));
+  if (unknown.length) {
+    return { error: `Unknown mapping fields: ${unknown.join(', ')}. Valid fields: ${MAPPABLE_FIELDS.join(', ')}` };
+  }
+
+  const columns = {};
+  const byNormalized = new Map(headers.map((header) => [normalizeText(header.replace(/[_-]/g, ' ')), header]));
+
+  for (const field of MAPPABLE_FIELDS) {
+    if (mapping[field]) {
+      columns[field] = mapping[field];
+      continue;
+    }
+    const alias = COLUMN_ALIASES[field].find((name) => byNormalized.has(name));
+    if (alias) columns[field] = byNormalized.get(alias);
+  }
+
+  const used = new Set(Object.values(columns));
+  return { columns, unmapped: headers.filter((header) => !used.has(header)) };
+}
+
+/**
+ * Date and time from a cell: "2026-11-06", "06/11/2026", "2026-11-06 20:00" or
+ * an ISO timestamp with offset (converted to the import timezone)
+ * @returns {{ date: string|null, time: string|null, error?: string }}
+ */
+function parseDateTimeValue(value, timezone) {
+  if (value === undefined || value === null || value === '') return { date: null, time: null };
+  const text = String(value).trim();
+
+  if (/[T ]\d{1,2}:\d{2}.*(Z|[+-]\d{2}:?\d{2})$/i.test(text) && !Number.isNaN(Date.parse(text))) {
+    const parts = getZonedParts(new Date(text), timezone);
+    return { date: parts.date, time: parts.time };
+  }
+
+  const combined = /^(.+?)[T ](\d{1,2}[:.h]\d{2}(?:\s*[ap]\.?\s*m\.?)?)(?::\d{2})?$/i.exec(text);
+  const dateResult = ANALYSIS_SCHEMA.date.coerce(combined ? combined[1] : text);
+  if (dateResult.invalid || dateResult.value === NOT_SPECIFIED) {
+    return { date: null, time: null, error: `Unrecognized date "${text}"` };
+  }
+
+  const timeResult = combined ? ANALYSIS_SCHEMA.time.coerce(combined[2]) : null;
+  return { date: dateResult.value, time: timeResult && !timeResult.invalid ? timeResult.value : null };
+}
+
+/**
+ * "20:00", "8 pm", "20h" → "20:00"
+ * @returns {string|null}
+ */
+function parseTimeValue(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const result = ANALYSIS_SCHEMA.time.coerce(String(value));
+  return result.invalid || result.value === NOT_SPECIFIED ? null : result.value;
+}
+
+/**
+ * Numeric price: "Q50", "50.00", 50 → 50; "Gratis" / "free" → 0
+ * @returns {number|null}
+ */
+function parsePrice(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (!value) return null;
+  const text = String(value).toLowerCase();
+  if (/gratis|free|libre|sin costo/.test(text)) return 0;
+  const match = /(\d+(?:[.,]\d{1,2})?)/.exec(text.replace(/(\d),(\d{3})\b/g, '$1$2'));
+  return match ? Number(match[1].replace(',', '.')) : null;
+}
+
+function splitList(value) {
+  if (Array.isArray(value)) return value.map(String);
+  return value ? String(value).split(/[,;|]/).map((v) => v.trim()).filter(Boolean) : [];
+}
+
+// ─── ICS rows ───────────────────────────────────────────────────────────────
+
+/**
+ * Date and time of an ICS date property in the event's timezone
+ * @returns {{ date: string, time: string|null }|null}
+ */
+function parseIcsDate(entry, timezone) {
+  const value = entry?.value?.split(',')[0];
+  const match = value && /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!match) return null;
+
+  const [, y, m, d, hh, mm, ss, utc] = match;
+  if (!hh) return { date: `${y}-${m}-${d}`, time: null };
+
+  if (utc) {
+    const parts = getZonedParts(new Date(Date.UTC(y, m - 1, d, hh, mm, ss)), timezone);
+    return { date: parts.date, time: parts.time };
+  }
+
+  // TZID or floating: wall-clock time as written
+  return { date: `${y}-${m}-${d}`, time: `${hh}:${mm}` };
+}
+
+/**
+ * Every date of a multi-valued ICS property (RDATE / EXDATE), as YYYY-MM-DD
+ */
+function parseIcsDateList(entries, timezone) {
+  return (entries || [])
+    .flatMap((entry) => entry.value.split(',').map((value) => parseIcsDate({ value }, timezone)))
+    .filter(Boolean)
+    .map((parsed) => parsed.date);
+}
+
+/**
+ * Minutes of an ICS DURATION ("PT2H30M", "P1D")
+ */
+function parseDurationMinutes(value) {
+  const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/.exec(value || '');
+  if (!match) return null;
+  const [, w = 0, d = 0, h = 0, m = 0] = match.map((v) => Number(v || 0));
+  return ((w * 7 + d) * 24 + h) * 60 + m;
+}
+
+/**
+ * Event fields from an ICS VEVENT
+ * @param {Object} row - parseIcs() row
+ * @param {string} fallbackTimezone - For UTC and floating times
+ * @returns {{ fields: Object, hints: Object, skip?: string, errors: string[] }}
+ */
+function mapIcsRow(row, fallbackTimezone) {
+  const errors = [];
+  const tzid = row.dtstart?.params?.TZID;
+  const timezone = tzid && isValidTimezone(tzid) ? tzid : fallbackTimezone;
+
+  const start = parseIcsDate(row.dtstart, timezone);
+  if (!start) errors.push('DTSTART is missing or invalid');
+
+  let endTime = null;
+  let rrule = null;
+  const end = parseIcsDate(row.dtend, timezone);
+
+  if (start?.time) {
+    if (end?.time) {
+      endTime = end.time;
+    } else if (row.duration) {
+      const minutes = parseDurationMinutes(row.duration.value);
+      const [h, m] = start.time.split(':').map(Number);
+      if (minutes) {
+        const total = (h * 60 + m + minutes) % (24 * 60);
+        endTime = `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+      }
+    }
+  } else if (start && end && end.date > addDays(start.date, 1)) {
+    // All-day event over several days (DTEND is exclusive)
+    rrule = `FREQ=DAILY;UNTIL=${addDays(end.date, -1).replace(/-/g, '')}`;
+  }
+
+  if (row.rrule) {
+    const { rule, error } = parseRRule(row.rrule.value);
+    if (error) {
+      errors.push(`RRULE: ${error}`);
+    } else {
+      // A UTC UNTIL ("...T055959Z") is the end of a local day
+      const until = /UNTIL=(\d{8}T\d{6}Z)/i.exec(row.rrule.value)?.[1];
+      if (until) rule.until = parseIcsDate({ value: until }, timezone).date;
+      rrule = formatRRule(rule);
+    }
+  }
+
+  const geo = row.geo?.value?.split(';').map(Number);
+  const organizer = row.organizer && (row.organizer.params.CN || row.organizer.value.replace(/^mailto:/i, ''));
+
+  const fields = {
+    external_id: row.uid?.value || null,
+    title: row.summary?.value || null,
+    description: row.description?.value || null,
+    date: start?.date || null,
+    time: start?.time || null,
+    end_time: endTime,
+    timezone,
+    location: row.location?.value || null,
+    organizer: organizer || null,
+    registration_form_url: row.url?.value || null,
+    latitude: geo?.length === 2 && geo.every(Number.isFinite) ? geo[0] : null,
+    longitude: geo?.length === 2 && geo.every(Number.isFinite) ? geo[1] : null,
+    rrule,
+    rdates: parseIcsDateList(row.rdate, timezone).filter((date) => date !== start?.date),
+    exdates: parseIcsDateList(row.exdate, timezone)
+  };
+
+  let skip = null;
+  if (row['recurrence-id']) skip = 'Changed occurrence of a recurring event (RECURRENCE-ID), not imported';
+  else if (row.status?.value?.toUpperCase() === 'CANCELLED') skip = 'Cancelled in the source';
+
+  return {
+    fields,
+    hints: { source_categories: (row.categories || []).map((c) => c.value).join(', ') },
+    skip,
+    errors
+  };
+}
+
+// ─── CSV / JSON rows ────────────────────────────────────────────────────────
+
+/**
+ * Event fields from a CSV / JSON row through the column mapping
+ * @returns {{ fields: Object, hints: Object, errors: string[] }}
+ */
+function mapTabularRow(row, columns, fallbackTimezone) {
+  const errors = [];
+  const cell = (field) => {
+    if (!columns[field]) return undefined;
+    const value = getPath(row, columns[field]);
+    return typeof value === 'string' ? value.trim() : value;
+  };
+
+  const timezone = isValidTimezone(cell('timezone')) ? cell('timezone') : fallbackTimezone;
+
+  const start = parseDateTimeValue(cell('date'), timezone);
+  if (start.error) errors.push(start.error);
+
+  const end = parseDateTimeValue(cell('end_date'), timezone);
+  const time = parseTimeValue(cell('time')) || start.time;
+  const endTime = parseTimeValue(cell('end_time')) || end.time;
+
+  if (cell('time') && !parseTimeValue(cell('time'))) errors.push(`Unrecognized time "${cell('time')}"`);
+
+  // A date range without recurrence runs daily until the end date
+  let rrule = cell('rrule') || null;
+  if (!rrule && start.date && end.date && end.date > start.date) {
+    rrule = `FREQ=DAILY;UNTIL=${end.date.replace(/-/g, '')}`;
+  }
+
+  const externalId = cell('external_id');
+
+  const fields = {
+    external_id: externalId === undefined || externalId === null || externalId === '' ? null : String(externalId),
+    title: cell('title') ? String(cell('title')) : null,
+    description: cell('description') || null,
+    date: start.date,
+    time,
+    end_time: endTime,
+    timezone,
+    location: cell('location') || null,
+    organizer: cell('organizer') || null,
+    price: parsePrice(cell('price')),
+    registration_form_url: cell('registration_form_url') || null,
+    image: cell('image') || null,
+    latitude: cell('latitude') ?? null,
+    longitude: cell('longitude') ?? null,
+    rrule
+  };
+
+  return {
+    fields,
+    hints: { category: cell('category'), subcategory: cell('subcategory'), tags: splitList(cell('tags')) },
+    errors
+  };
+}
+
+// ─── Parsing and preview ────────────────────────────────────────────────────
+
+/**
+ * Download a feed. webcal:// URLs are fetched over https.
+ * Only public addresses are fetched, redirects included (utils/publicUrl.js).
+ * @param {string} url
+ * @returns {Promise<{ text: string, contentType: string }>}
+ * @throws {Error} code ENOTPUBLIC when the URL or a redirect points to a non-public address
+ */
+async function fetchImportSource(url) {
+  const { data, contentType } = await fetchPublicUrl(url.replace(/^webcal:\/\//i, 'https://'), {
+    maxBytes: MAX_IMPORT_BYTES,
+    timeout: FETCH_TIMEOUT_MS,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; WoWEventBot/1.0; +https://standatpd.com)',
+      Accept: 'text/calendar, text/csv, application/json, */*'
+    }
+  });
+
+  return { text: data.toString('utf8'), contentType };
+}
+
+/**
+ * Parse an import source into mapped rows
+ * @param {Object} source - { text, format, filename, contentType }
+ * @param {Object} options - { mapping, timezone }
+ * @returns {{ format?: string, columns?: Object, unmapped?: string[], rows?: Object[], error?: string }}
+ *   rows: [{ fields, hints, skip, errors }]
+ */
+function parseImport(source, { mapping = {}, timezone = DEFAULT_TIMEZONE } = {}) {
+  const format = detectFormat(source);
+  if (!format) {
+    return { error: `format must be one of: ${FORMATS.join(', ')}` };
+  }
+
+  if (format === 'ics') {
+    const rows = parseIcs(source.text);
+    return { format, columns: null, unmapped: [], rows: rows.map((row) => mapIcsRow(row, timezone)) };
+  }
+
+  let records;
+  let headers;
+
+  if (format === 'csv') {
+    ({ headers, rows: records } = parseCsv(source.text));
+  } else {
+    const parsed = parseJsonFeed(source.text);
+    if (parsed.error) return { error: parsed.error };
+    records = parsed.rows;
+    headers = [...new Set(records.flatMap((record) => Object.keys(record)))];
+  }
+
+  const { columns, unmapped, error } = resolveColumns(headers, mapping);
+  if (error) return { error };
+
+  if (!columns.title || !columns.date) {
+    return {
+      error: `Could not find the title and date columns (found: ${headers.join(', ') || 'none'}). Pass mapping: { "title": "<column>", "date": "<column>" }`
+    };
+  }
+
+  return {
+    format,
+    columns,
+    unmapped,
+    rows: records.map((record) => ({ ...mapTabularRow(record, columns, timezone), skip: null }))
+  };
+}
+
+/**
+ * Existing events that imported rows may match: same source ids, or dated
+ * inside the rows' date range
+ * @param {Object} supabase - Supabase client
+ * @param {Object[]} rows - parseImport() rows
+ * @param {string|null} importSource
+ * @returns {Promise<Object[]>}
+ */
+async function loadMatchCandidates(supabase, rows, importSource) {
+  const columns = 'id, title, date, time, end_time, timezone, location, description, organizer, price, registration_form_url, rrule, rdates, exdates, import_source, external_id, sequence, user_id, organizer_handle';
+  const dates = rows.map((r) => r.fields.date).filter(Boolean).sort();
+  const externalIds = rows.map((r) => r.fields.external_id).filter(Boolean);
+  const byId = new Map();
+
+  if (importSource && externalIds.length) {
+    const { data, error } = await supabase
+      .from('events')
+      .select(columns)
+      .eq('import_source', importSource)
+      .in('external_id', externalIds);
+
+    if (error) throw error;
+    (data || []).forEach((event) => byId.set(event.id, event));
+  }
+
+  if (dates.length) {
+    const { data, error } = await supabase
+      .from('events')
+      .select(columns)
+      .is('deleted_at', null)
+      .gte('date', dates[0])
+      .lte('date', dates[dates.length - 1])
+      .limit(2000);
+
+    if (error) throw error;
+    (data || []).forEach((event) => byId.set(event.id, event));
+  }
+
+  return [...byId.values()];
+}
+
+/**
+ * Similarity of an imported event to an existing one on the same date:
+ * title trigrams, averaged with location when both have one
+ */
+function matchScore(fields, event) {
+  const sameDate = event.date === fields.date || (event.rdates || []).includes(fields.date);
+  if (!sameDate) return 0;
+
+  const title = trigramSimilarity(normalizeText(fields.title), normalizeText(event.title));
+  if (!fields.location || !event.location) return title;
+
+  const location = trigramSimilarity(normalizeText(fields.location), normalizeText(event.location));
+  return title * 0.7 + location * 0.3;
+}
+
+function sameValue(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) return JSON.stringify(a || []) === JSON.stringify(b || []);
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) === Number(b);
+  const text = (v) => (v === null || v === undefined ? '' : String(v).replace(/^(\d{2}:\d{2}):00$/, '$1'));
+  return text(a) === text(b);
+}
+
+/**
+ * Decide what to do with every row
+ * @param {Object[]} rows - parseImport() rows
+ * @param {Object[]} candidates - loadMatchCandidates() output
+ * @param {Object} options - { importSource, userId (hosted imports), defaults: { category }, now }
+ * @returns {Object[]} [{ index, action, event, classified_by, reason?, errors?, changes?, match? }]
+ *   `event` holds normalized event columns (plus import_source, external_id)
+ */
+function buildImportPreview(rows, candidates, { importSource = null, userId = null, defaults = {}, now = new Date() } = {}) {
+  const seen = [];
+
+  return rows.map(({ fields, hints, skip, errors }, index) => {
+    const classification = classifyEvent({
+      ...fields,
+      category: hints.category || defaults.category,
+      subcategory: hints.subcategory,
+      tags: hints.tags,
+      source_categories: hints.source_categories
+    });
+
+    const event = {
+      ...normalizeEventFields({ ...fields, ...classification }),
+      user_id: userId,
+      import_source: importSource,
+      external_id: fields.external_id
+    };
+    Object.assign(event, getEventSchedule(event));
+
+    const base = { index, event, classified_by: classification.source };
+
+    const validationError = errors.length ? null : validateEventData(event);
+    if (errors.length || validationError || !event.date) {
+      return { ...base, action: 'invalid', errors: errors.length ? errors : [validationError || 'date is required'] };
+    }
+
+    if (skip) return { ...base, action: 'skipped', reason: skip };
+
+    if (event.ends_at && Date.parse(event.ends_at) < now.getTime()) {
+      return { ...base, action: 'skipped', reason: 'Already over' };
+    }
+
+    const sameSource = importSource && event.external_id && candidates.find((c) =>
+      c.import_source === importSource && c.external_id === event.external_id);
+
+    if (sameSource) {
+      const changes = COMPARED_FIELDS.filter((field) => !sameValue(event[field], sameSource[field]));
+      return {
+        ...base,
+        action: changes.length ? 'update' : 'unchanged',
+        changes,
+        match: { id: sameSource.id, title: sameSource.title, date: sameSource.date, similarity: 1 }
+      };
+    }
+
+    const best = candidates
+      .map((candidate) => ({ candidate, score: matchScore(event, candidate) }))
+      .sort((a, b) => b.score - a.score)[0];
+
+    if (best && best.score >= DUPLICATE_THRESHOLD) {
+      const { id, title, date } = best.candidate;
+      return { ...base, action: 'duplicate', match: { id, title, date, similarity: Number(best.score.toFixed(2)) } };
+    }
+
+    const earlier = seen.find((other) => matchScore(event, other.event) >= DUPLICATE_THRESHOLD);
+    if (earlier) {
+      return { ...base, action: 'duplicate', match: { row: earlier.index, title: earlier.event.title, date: earlier.event.date } };
+    }
+
+    seen.push({ index, event });
+    return { ...base, action: 'create' };
+  });
+}
+
+/**
+ * Count rows per action
+ */
+function summarizePreview(preview) {
+  const summary = { create: 0, update: 0, unchanged: 0, duplicate: 0, skipped: 0, invalid: 0 };
+  preview.forEach((row) => { summary[row.action]++; });
+  return summary;
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  MAX_IMPORT_BYTES,
+  MAPPABLE_FIELDS,
+  fetchImportSource,
+  parseImport,
+  loadMatchCandidates,
+  buildImportPreview,
+  summarizePreview
+};
@@ -0,0 +1,85 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+
+const { fetchImportSource, parseImport } = require('./eventImport');
+
+const ok = (text, contentType = 'text/calendar') => ({ status: 200, headers: { 'content-type': contentType }, data: Buffer.from(text) });
+
+describe('fetchImportSource', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  for (const url of [
+    'http://[::ffff:127.0.0.1]/feed.ics',
+    'http://169.254.169.254/latest/meta-data/',
+    'webcal://127.0.0.1/feed.ics',
+    'file:///etc/passwd'
+  ]) {
+    it(`refuses ${url} without a request`, async () => {
+      const get = mock.method(axios, 'get');
+
+      await assert.rejects(fetchImportSource(url), { code: 'ENOTPUBLIC' });
+      assert.strictEqual(get.mock.callCount(), 0);
+    });
+  }
+
+  it('refuses a redirect to a private host', async () => {
+    const get = mock.method(axios, 'get', async () => ({
+      status: 301,
+      headers: { location: 'http://10.0.0.5/feed.ics' },
+      data: Buffer.alloc(0)
+    }));
+
+    await assert.rejects(fetchImportSource('https://93.184.216.34/feed.ics'), { code: 'ENOTPUBLIC' });
+    assert.strictEqual(get.mock.callCount(), 1);
+  });
+
+  it('fetches webcal:// over https with the import size cap', async () => {
+    const get = mock.method(axios, 'get', async () => ok('BEGIN:VCALENDAR'));
+
+    const source = await fetchImportSource('WEBCAL://93.184.216.34/feed.ics');
+
+    assert.deepStrictEqual(source, { text: 'BEGIN:VCALENDAR', contentType: 'text/calendar' });
+    const [url, options] = get.mock.calls[0].arguments;
+    assert.strictEqual(url, 'https://93.184.216.34/feed.ics');
+    assert.strictEqual(options.maxContentLength, 5 * 1024 * 1024);
+    assert.strictEqual(options.maxRedirects, 0);
+  });
+});
+
+describe('parseImport', () => {
+  const ics = (...lines) => ['BEGIN:VCALENDAR', 'BEGIN:VEVENT', 'UID:jazz-1', 'SUMMARY:Noche de jazz', ...lines, 'END:VEVENT', 'END:VCALENDAR'].join('\r\n');
+  const fieldsOf = (text) => parseImport({ text }).rows[0].fields;
+
+  it('derives end_time from DURATION without DTEND', () => {
+    const fields = fieldsOf(ics('DTSTART;TZID=America/Guatemala:20261106T210000', 'DURATION:PT2H30M'));
+
+    assert.strictEqual(fields.time, '21:00');
+    assert.strictEqual(fields.end_time, '23:30');
+  });
+
+  it('wraps a DURATION past midnight', () => {
+    assert.strictEqual(fieldsOf(ics('DTSTART:20261106T220000', 'DURATION:PT5H')).end_time, '03:00');
+  });
+
+  it('prefers DTEND over DURATION', () => {
+    assert.strictEqual(fieldsOf(ics('DTSTART:20261106T210000', 'DTEND:20261106T220000', 'DURATION:PT5H')).end_time, '22:00');
+  });
+
+  it('reads UTC times in the import timezone', () => {
+    const fields = fieldsOf(ics('DTSTART:20261107T030000Z'));
+
+    assert.strictEqual(fields.date, '2026-11-06');
+    assert.strictEqual(fields.time, '21:00');
+  });
+
+  it('maps quoted CSV columns', () => {
+    const { rows } = parseImport({ text: 'Nombre,Fecha,Lugar\n"Feria, edición 2",2026-11-06,"Zona 10"\n' });
+
+    assert.strictEqual(rows[0].fields.title, 'Feria, edición 2');
+    assert.strictEqual(rows[0].fields.date, '2026-11-06');
+    assert.strictEqual(rows[0].fields.location, 'Zona 10');
+  });
+});
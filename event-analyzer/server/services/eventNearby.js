@@ -0,0 +1,83 @@
+const { buildSearchFilters } = require('./eventSearch');
+
+/**
+ * Events near a point.
+ *
+ * Distance, the list filters, ordering and pagination all happen in the
+ * `nearby_events` Postgres function (CHANGELOG 1.0.61): a bounding box on
+ * latitude / longitude, then the haversine distance. Its WHERE clause mirrors
+ * applyEventFilters in eventQuery.js like search_events does.
+ */
+
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 100;
+
+/**
+ * Validate lat / lng / radius_km from req.query
+ * @param {Object} query - req.query
+ * @returns {{ point?: { lat: number, lng: number, radiusKm: number }, error?: string }}
+ */
+function parseNearbyPoint(query) {
+  const lat = parseFloat(query.lat);
+  const lng = parseFloat(query.lng);
+  const radiusKm = query.radius_km === undefined ? DEFAULT_RADIUS_KM : parseFloat(query.radius_km);
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return { error: 'lat and lng are required and must be valid coordinates' };
+  }
+
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+    return { error: `radius_km must be between 0 and ${MAX_RADIUS_KM}` };
+  }
+
+  return { point: { lat, lng, radiusKm } };
+}
+
+/**
+ * Events within radiusKm of a point, nearest first
+ * @param {Object} supabase - Supabase client
+ * @param {Object} point - { lat, lng, radiusKm } from parseNearbyPoint
+ * @param {Object} params - Filters from parseListParams (sort/cursor are ignored)
+ * @param {Object} page - { limit, offset }
+ * @param {Date} [now]
+ * @returns {Promise<{ events: Object[], total: number }>} Page sorted by distance_km
+ *   (rounded to 10 m); total counts every event in the radius
+ */
+async function findNearbyEvents(supabase, { lat, lng, radiusKm }, params, { limit, offset }, now = new Date()) {
+  const { data: matches, error } = await supabase.rpc('nearby_events', {
+    near_latitude: lat,
+    near_longitude: lng,
+    radius_km: radiusKm,
+    max_results: limit,
+    skip_results: offset,
+    ...buildSearchFilters(params, now)
+  });
+
+  if (error) throw error;
+
+  // An empty page still has one row carrying the total (event_id null)
+  const total = Number(matches?.[0]?.total || 0);
+  const page = (matches || []).filter((m) => m.event_id);
+  if (page.length === 0) return { events: [], total };
+
+  const distanceById = new Map(page.map((m) => [m.event_id, m.distance_km]));
+
+  const { data: rows, error: rowsError } = await supabase
+    .from('events')
+    .select('*')
+    .in('id', [...distanceById.keys()]);
+
+  if (rowsError) throw rowsError;
+
+  const order = [...distanceById.keys()];
+  const events = (rows || [])
+    .map((event) => ({ ...event, distance_km: Math.round(distanceById.get(event.id) * 100) / 100 }))
+    .sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+
+  return { events, total };
+}
+
+module.exports = {
+  parseNearbyPoint,
+  findNearbyEvents
+};
@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { parseListParams } = require('./eventQuery');
+const { parseNearbyPoint, findNearbyEvents } = require('./eventNearby');
+
+const NOW = new Date('2026-10-18T18:00:00Z');
+const POINT = { lat: 14.6, lng: -90.51, radiusKm: 5 };
+
+/**
+ * Supabase stand-in: rpc() answers with `matches`, from('events') with `rows`
+ */
+function createSupabaseStub(matches, rows) {
+  const calls = { rpc: [], ids: null };
+
+  const client = {
+    rpc(name, args) {
+      calls.rpc.push({ name, args });
+      return Promise.resolve({ data: matches, error: null });
+    },
+    from() {
+      return {
+        select() {
+          return this;
+        },
+        in(column, ids) {
+          calls.ids = ids;
+          return Promise.resolve({ data: rows.filter((row) => ids.includes(row.id)), error: null });
+        }
+      };
+    }
+  };
+
+  return { client, calls };
+}
+
+describe('parseNearbyPoint', () => {
+  it('defaults radius_km to 10', () => {
+    assert.deepStrictEqual(parseNearbyPoint({ lat: '14.6', lng: '-90.51' }), { point: { lat: 14.6, lng: -90.51, radiusKm: 10 } });
+  });
+
+  it('refuses missing coordinates and radii out of range', () => {
+    assert.ok(parseNearbyPoint({ lat: '14.6' }).error);
+    assert.ok(parseNearbyPoint({ lat: '91', lng: '0' }).error);
+    assert.strictEqual(parseNearbyPoint({ lat: '14.6', lng: '-90.51', radius_km: '150' }).error, 'radius_km must be between 0 and 100');
+  });
+});
+
+describe('findNearbyEvents', () => {
+  it('passes the point, the list filters and the page to nearby_events', async () => {
+    const { params } = parseListParams({ category: 'music', price: 'paid', limit: '10' });
+    const { client, calls } = createSupabaseStub([], []);
+
+    await findNearbyEvents(client, POINT, params, { limit: params.limit, offset: 30 }, NOW);
+
+    const [{ name, args }] = calls.rpc;
+    assert.strictEqual(name, 'nearby_events');
+    assert.strictEqual(args.near_latitude, 14.6);
+    assert.strictEqual(args.near_longitude, -90.51);
+    assert.strictEqual(args.radius_km, 5);
+    assert.strictEqual(args.max_results, 10);
+    assert.strictEqual(args.skip_results, 30);
+    assert.strictEqual(args.upcoming_after, NOW.toISOString());
+    assert.strictEqual(args.filter_category, 'music');
+    assert.strictEqual(args.filter_price, 'paid');
+  });
+
+  it('returns the page in the distance order of SQL with the total', async () => {
+    const matches = [
+      { event_id: 'b', distance_km: 0.4213, total: 1480 },
+      { event_id: 'a', distance_km: 2.5, total: 1480 }
+    ];
+    const rows = [{ id: 'a', title: 'Feria' }, { id: 'b', title: 'Noche de jazz' }];
+    const { client } = createSupabaseStub(matches, rows);
+
+    const { events, total } = await findNearbyEvents(client, POINT, {}, { limit: 2, offset: 0 }, NOW);
+
+    assert.deepStrictEqual(events.map((event) => [event.id, event.distance_km]), [['b', 0.42], ['a', 2.5]]);
+    assert.strictEqual(total, 1480);
+  });
+
+  it('reads the total of a page past the last match', async () => {
+    const { client, calls } = createSupabaseStub([{ event_id: null, distance_km: null, total: 3 }], []);
+
+    const { events, total } = await findNearbyEvents(client, POINT, {}, { limit: 50, offset: 50 }, NOW);
+
+    assert.deepStrictEqual(events, []);
+    assert.strictEqual(total, 3);
+    assert.strictEqual(calls.ids, null);
+  });
+});
@@ -0,0 +1,372 @@
+const { DEFAULT_TIMEZONE, getTodayStr, addDays } = require('./eventTime');
+const { OCCURRENCE_WINDOW_DAYS, expandOccurrences } = require('./occurrences');
+const { getNextDate } = require('./eventData');
+
+/**
+ * Query helpers for listing events: filters, sorting and cursor pagination.
+ *
+ * Past events are cut off in the database through `events.ends_at` (end of
+ * the last occurrence in the event's timezone, maintained by
+ * services/eventData.js). Rows without it fall back to `events.last_date`.
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+// Series expanded per request when listing occurrences (expand=occurrences)
+const MAX_EXPANDED_SERIES = 500;
+
+// Series whose next_date passed moved forward per soonest listing
+const MAX_NEXT_DATE_REFRESH = 200;
+
+/**
+ * Sort orders. Each one is a keyset: the sort column plus `id` as tie-breaker,
+ * so cursors stay stable when several rows share the same value. `soonest`
+ * uses the next occurrence (`next_date`), not the series' first date.
+ */
+const SORTS = {
+  soonest: { column: 'next_date', ascending: true, nullable: true },
+  popular: { column: 'saves_count', ascending: false },
+  newest: { column: 'created_at', ascending: false }
+};
+
+/**
+ * Split a comma-separated query value into a clean array
+ */
+function parseList(value) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map((v) => v.trim()).filter(Boolean);
+}
+
+/**
+ * Escape LIKE wildcards so user input is matched literally
+ */
+function escapeLikePattern(value) {
+  return String(value).replace(/[%_\\]/g, (c) => `\\${c}`);
+}
+
+/**
+ * Quote a value for use inside a PostgREST or() filter
+ * (timestamps contain reserved characters such as "." and ":")
+ */
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/"/g, '\\"')}"`;
+}
+
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return payload && payload.id ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * PostgREST or() filter for events that haven't ended: `ends_at` in the
+ * future, or — for rows without `ends_at` — `last_date` from today on
+ * @param {Date} now
+ * @returns {string}
+ */
+function buildUpcomingFilter(now = new Date()) {
+  const today = getTodayStr(DEFAULT_TIMEZONE, now);
+  return [
+    `ends_at.gte.${quoteFilterValue(now.toISOString())}`,
+    'and(ends_at.is.null,last_date.is.null)',
+    `and(ends_at.is.null,last_date.gte.${today})`
+  ].join(',');
+}
+
+/**
+ * PostgREST or() filter for events that already ended (complement of
+ * buildUpcomingFilter, undated events excluded)
+ * @param {Date} now
+ * @returns {string}
+ */
+function buildPastFilter(now = new Date()) {
+  const today = getTodayStr(DEFAULT_TIMEZONE, now);
+  return [
+    `ends_at.lt.${quoteFilterValue(now.toISOString())}`,
+    `and(ends_at.is.null,last_date.lt.${today})`
+  ].join(',');
+}
+
+/**
+ * Parse and validate list parameters from req.query
+ * @param {Object} query - Express req.query
+ * @returns {{ params?: Object, error?: string }}
+ */
+function parseListParams(query) {
+  const sort = query.sort || 'newest';
+  if (!SORTS[sort]) {
+    return { error: `sort must be one of: ${Object.keys(SORTS).join(', ')}` };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+  }
+
+  if (query.expand && query.expand !== 'occurrences') {
+    return { error: 'expand must be "occurrences"' };
+  }
+  const expand = query.expand || null;
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor || cursor.sort !== (expand || sort)) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  const isoDate = /^\d{4}-\d{2}-\d{2}$/;
+  for (const key of ['from', 'to']) {
+    if (query[key] && !isoDate.test(query[key])) {
+      return { error: `${key} must be a date in YYYY-MM-DD format` };
+    }
+  }
+
+  if (query.price && !['free', 'paid'].includes(query.price)) {
+    return { error: 'price must be "free" or "paid"' };
+  }
+
+  return {
+    params: {
+      sort,
+      expand,
+      limit,
+      cursor,
+      category: query.category && query.category !== 'all' ? query.category : null,
+      subcategories: parseList(query.subcategory),
+      tags: parseList(query.tags),
+      mood: query.mood || null,
+      vibe: query.vibe || null,
+      timeOfDay: query.time_of_day || query.timeOfDay || null,
+      price: query.price || null,
+      organizer: query.organizer || null,
+      sourceGroupId: query.source_group_id || null,
+      from: query.from || null,
+      to: query.to || null,
+      includePast: query.include_past === 'true'
+    }
+  };
+}
+
+/**
+ * Apply list filters (everything except sort and cursor) to a Supabase query.
+ * search_events and nearby_events repeat them in SQL: change them together.
+ * @param {Object} query - Supabase query builder on `events`
+ * @param {Object} params - Output of parseListParams
+ * @returns {Object} Query builder
+ */
+function applyEventFilters(query, params) {
+  query = query.is('deleted_at', null);
+
+  // Keep events without date or whose last occurrence hasn't ended
+  // (an event past midnight stays listed until its end_time the next day)
+  if (!params.includePast) {
+    query = query.or(buildUpcomingFilter());
+  }
+
+  if (params.category) query = query.eq('category', params.category);
+  if (params.subcategories?.length) query = query.in('subcategory', params.subcategories);
+  if (params.tags?.length) query = query.contains('tags', params.tags);
+
+  if (params.mood) query = query.eq('event_features->>mood', params.mood);
+  if (params.vibe) query = query.eq('event_features->>vibe', params.vibe);
+  if (params.timeOfDay) query = query.eq('event_features->>timeOfDay', params.timeOfDay);
+
+  if (params.price === 'free') query = query.or('price.is.null,price.eq.0');
+  if (params.price === 'paid') query = query.gt('price', 0);
+
+  if (params.organizer) {
+    query = query.ilike('organizer', `%${escapeLikePattern(params.organizer)}%`);
+  }
+
+  // Events created together from one multi-event flyer
+  if (params.sourceGroupId) query = query.eq('source_group_id', params.sourceGroupId);
+
+  // Date range: events with at least one date inside [from, to]
+  // (open-ended series have no last_date)
+  if (params.from) query = query.or(`last_date.gte.${params.from},and(last_date.is.null,rrule.not.is.null)`);
+  if (params.to) query = query.lte('date', params.to);
+
+  return query;
+}
+
+/**
+ * Apply ordering and the keyset condition for the requested page
+ */
+function applySortAndCursor(query, params) {
+  const { column, ascending, nullable } = SORTS[params.sort];
+  const cursor = params.cursor;
+
+  if (cursor) {
+    const op = ascending ? 'gt' : 'lt';
+
+    if (cursor.value === null || cursor.value === undefined) {
+      // Already in the trailing block of rows without a value
+      query = query.is(column, null)[op]('id', cursor.id);
+    } else {
+      const value = quoteFilterValue(cursor.value);
+      const conditions = [
+        `${column}.${op}.${value}`,
+        `and(${column}.eq.${value},id.${op}.${quoteFilterValue(cursor.id)})`
+      ];
+      if (nullable) conditions.push(`${column}.is.null`);
+      query = query.or(conditions.join(','));
+    }
+  }
+
+  return query
+    .order(column, { ascending, nullsFirst: false })
+    .order('id', { ascending });
+}
+
+/**
+ * Move `next_date` forward on series whose stored next occurrence already
+ * passed but that still have dates ahead (last_date from today, or open-ended).
+ * Single-date events keep their date once it passes.
+ * @param {Object} supabase - Supabase client
+ * @param {Date} now
+ * @returns {Promise<number>} Events updated
+ */
+async function refreshNextDates(supabase, now = new Date()) {
+  const today = getTodayStr(DEFAULT_TIMEZONE, now);
+
+  const { data, error } = await supabase
+    .from('events')
+    .select('id, date, rrule, rdates, exdates, timezone')
+    .is('deleted_at', null)
+    .lt('next_date', today)
+    .or(`last_date.is.null,last_date.gte.${today}`)
+    .limit(MAX_NEXT_DATE_REFRESH);
+
+  if (error) throw error;
+
+  await Promise.all((data || []).map(async (event) => {
+    const { error: updateError } = await supabase
+      .from('events')
+      .update({ next_date: getNextDate(event, now) })
+      .eq('id', event.id);
+
+    if (updateError) throw updateError;
+  }));
+
+  return (data || []).length;
+}
+
+/**
+ * Run a paginated event listing
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - Output of parseListParams
+ * @returns {Promise<{ events: Object[], total: number, nextCursor: string|null }>}
+ */
+async function listEvents(supabase, params) {
+  if (params.sort === 'soonest') await refreshNextDates(supabase);
+
+  const pageQuery = applySortAndCursor(
+    applyEventFilters(supabase.from('events').select('*'), params),
+    params
+  ).limit(params.limit + 1);
+
+  const countQuery = applyEventFilters(
+    supabase.from('events').select('id', { count: 'exact', head: true }),
+    params
+  );
+
+  const [page, counted] = await Promise.all([pageQuery, countQuery]);
+
+  if (page.error) throw page.error;
+  if (counted.error) throw counted.error;
+
+  const rows = page.data || [];
+  const hasMore = rows.length > params.limit;
+  const events = hasMore ? rows.slice(0, params.limit) : rows;
+
+  let nextCursor = null;
+  if (hasMore) {
+    const last = events[events.length - 1];
+    nextCursor = encodeCursor({
+      sort: params.sort,
+      value: last[SORTS[params.sort].column] ?? null,
+      id: last.id
+    });
+  }
+
+  return { events, total: counted.count || 0, nextCursor };
+}
+
+/**
+ * List occurrences instead of series (expand=occurrences): every occurrence of
+ * the matching events between `from` (default today) and `to` (default 90
+ * days later), soonest first. Occurrences that already ended are skipped
+ * unless include_past=true; cancelled ones are kept with status "cancelled".
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - Output of parseListParams
+ * @param {Date} now
+ * @returns {Promise<{ occurrences: Object[], total: number, nextCursor: string|null }>}
+ */
+async function listOccurrences(supabase, params, now = new Date()) {
+  const from = params.from || getTodayStr(DEFAULT_TIMEZONE, now);
+  const to = params.to || addDays(from, OCCURRENCE_WINDOW_DAYS);
+  const window = { ...params, from, to };
+
+  const { data, error } = await applyEventFilters(supabase.from('events').select('*'), window)
+    .not('date', 'is', null)
+    .order('date', { ascending: true })
+    .limit(MAX_EXPANDED_SERIES);
+
+  if (error) throw error;
+
+  const events = new Map((data || []).map((event) => [event.id, event]));
+  let occurrences = await expandOccurrences(supabase, [...events.values()], { from, to });
+
+  if (!params.includePast) {
+    occurrences = occurrences.filter((o) => Date.parse(o.ends_at) >= now.getTime());
+  }
+
+  const total = occurrences.length;
+
+  // Keyset on (starts_at, event_id)
+  const cursor = params.cursor;
+  if (cursor) {
+    occurrences = occurrences.filter((o) =>
+      o.starts_at > cursor.value || (o.starts_at === cursor.value && o.event_id > cursor.id)
+    );
+  }
+
+  const hasMore = occurrences.length > params.limit;
+  const page = occurrences.slice(0, params.limit);
+
+  let nextCursor = null;
+  if (hasMore) {
+    const last = page[page.length - 1];
+    nextCursor = encodeCursor({ sort: 'occurrences', value: last.starts_at, id: last.event_id });
+  }
+
+  return {
+    occurrences: page.map((o) => ({ ...o, event: events.get(o.event_id) })),
+    total,
+    nextCursor
+  };
+}
+
+module.exports = {
+  SORTS,
+  getTodayStr,
+  buildUpcomingFilter,
+  buildPastFilter,
+  parseList,
+  parseListParams,
+  applyEventFilters,
+  refreshNextDates,
+  listEvents,
+  listOccurrences
+};
@@ -0,0 +1,177 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { parseListParams, refreshNextDates, listEvents, listOccurrences } = require('./eventQuery');
+
+/**
+ * Supabase stand-in: eq(), in(), lt(), gte(), lte() and limit() apply to
+ * `tables`, every other filter is accepted as is. limit() values, or()
+ * conditions, order() columns and updates are recorded.
+ */
+function createSupabaseStub(tables) {
+  const limits = {};
+  const ors = [];
+  const orders = [];
+  const updates = [];
+
+  function from(table) {
+    const filters = [];
+    let limit = Infinity;
+    let payload = null;
+
+    const builder = new Proxy({}, {
+      get(_, method) {
+        if (method === 'then') {
+          const rows = (tables[table] || []).filter((row) => filters.every((filter) => filter(row)));
+          if (payload) rows.forEach((row) => updates.push({ table, id: row.id, payload }));
+          const result = { data: payload ? null : rows.slice(0, limit), count: rows.length, error: null };
+          return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+        }
+        return (column, value) => {
+          if (method === 'eq') filters.push((row) => row[column] === value);
+          if (method === 'in') filters.push((row) => value.includes(row[column]));
+          if (method === 'lt') filters.push((row) => row[column] !== null && row[column] < value);
+          if (method === 'gte') filters.push((row) => row[column] >= value);
+          if (method === 'lte') filters.push((row) => row[column] <= value);
+          if (method === 'or') ors.push(column);
+          if (method === 'order') orders.push(column);
+          if (method === 'update') payload = column;
+          if (method === 'limit') {
+            limit = column;
+            limits[table] = column;
+          }
+          return builder;
+        };
+      }
+    });
+
+    return builder;
+  }
+
+  return { from, limits, ors, orders, updates };
+}
+
+// Sunday 2026-10-18, noon in Guatemala
+const NOW = new Date('2026-10-18T18:00:00Z');
+
+const events = [
+  // Tuesdays and Thursdays until the 29th
+  { id: 'a', date: '2026-10-20', time: '20:00', end_time: '22:00', rrule: 'FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20261029' },
+  // Four Fridays from the 16th, the 23rd excluded
+  { id: 'b', date: '2026-10-16', time: '20:00', rrule: 'FREQ=WEEKLY;COUNT=4', exdates: ['2026-10-23'] },
+  // Same start as a's Thursday the 22nd
+  { id: 'c', date: '2026-10-22', time: '20:00' },
+  // This morning, already over
+  { id: 'd', date: '2026-10-18', time: '08:00', end_time: '10:00' }
+];
+
+const supabase = createSupabaseStub({
+  events,
+  event_occurrences: [{ event_id: 'b', occurrence_date: '2026-10-30', status: 'cancelled' }]
+});
+
+const params = (query) => {
+  const { params: parsed, error } = parseListParams({ expand: 'occurrences', ...query });
+  assert.strictEqual(error, undefined);
+  return parsed;
+};
+
+const keys = (occurrences) => occurrences.map((o) => `${o.event_id} ${o.date}`);
+
+const ALL = ['a 2026-10-20', 'a 2026-10-22', 'c 2026-10-22', 'a 2026-10-27', 'a 2026-10-29', 'b 2026-10-30', 'b 2026-11-06'];
+
+describe('listOccurrences', () => {
+  it('expands BYDAY + UNTIL and COUNT + EXDATE series, soonest first', async () => {
+    const { occurrences, total, nextCursor } = await listOccurrences(supabase, params(), NOW);
+
+    assert.deepStrictEqual(keys(occurrences), ALL);
+    assert.strictEqual(total, ALL.length);
+    assert.strictEqual(nextCursor, null);
+    assert.strictEqual(occurrences[0].event, events[0]);
+  });
+
+  it('keeps cancelled occurrences with their status', async () => {
+    const { occurrences } = await listOccurrences(supabase, params(), NOW);
+
+    assert.strictEqual(occurrences.find((o) => o.event_id === 'b' && o.date === '2026-10-30').status, 'cancelled');
+  });
+
+  it('includes occurrences that already ended with include_past', async () => {
+    const { occurrences } = await listOccurrences(supabase, params({ include_past: 'true' }), NOW);
+
+    assert.deepStrictEqual(keys(occurrences).slice(0, 2), ['d 2026-10-18', 'a 2026-10-20']);
+  });
+
+  it('pages with the cursor without skipping or repeating occurrences that share a start', async () => {
+    const pages = [];
+    let cursor;
+
+    do {
+      const page = await listOccurrences(supabase, params({ limit: '2', cursor }), NOW);
+      assert.strictEqual(page.total, ALL.length);
+      pages.push(keys(page.occurrences));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    assert.deepStrictEqual(pages, [
+      ['a 2026-10-20', 'a 2026-10-22'],
+      ['c 2026-10-22', 'a 2026-10-27'],
+      ['a 2026-10-29', 'b 2026-10-30'],
+      ['b 2026-11-06']
+    ]);
+  });
+
+  it('limits the window to `to`', async () => {
+    const { occurrences } = await listOccurrences(supabase, params({ to: '2026-10-22' }), NOW);
+
+    assert.deepStrictEqual(keys(occurrences), ['a 2026-10-20', 'a 2026-10-22', 'c 2026-10-22']);
+  });
+
+  it('expands at most MAX_EXPANDED_SERIES series per request', async () => {
+    await listOccurrences(supabase, params(), NOW);
+
+    assert.strictEqual(supabase.limits.events, 500);
+  });
+
+  it('rejects a cursor from the series listing', () => {
+    const cursor = Buffer.from(JSON.stringify({ sort: 'newest', value: null, id: 'a' })).toString('base64url');
+
+    assert.deepStrictEqual(parseListParams({ expand: 'occurrences', cursor }), { error: 'Invalid cursor' });
+  });
+});
+
+describe('soonest', () => {
+  const stored = [
+    // Weekly on Fridays since January, next_date still on its first date
+    { id: 'weekly', date: '2026-01-02', rrule: 'FREQ=WEEKLY', next_date: '2026-01-02', last_date: null },
+    // Up to date
+    { id: 'single', date: '2026-10-21', next_date: '2026-10-21', last_date: '2026-10-21' }
+  ];
+
+  it('moves a stale next_date to the next occurrence', async () => {
+    const stub = createSupabaseStub({ events: stored });
+
+    assert.strictEqual(await refreshNextDates(stub, NOW), 1);
+    assert.deepStrictEqual(stub.updates, [{ table: 'events', id: 'weekly', payload: { next_date: '2026-10-23' } }]);
+    // Finished series and past single dates keep their last date
+    assert.deepStrictEqual(stub.ors, ['last_date.is.null,last_date.gte.2026-10-18']);
+  });
+
+  it('orders by next_date and refreshes it first', async () => {
+    const stub = createSupabaseStub({ events: stored });
+
+    await listEvents(stub, parseListParams({ sort: 'soonest' }).params);
+
+    assert.deepStrictEqual(stub.orders, ['next_date', 'id']);
+    assert.deepStrictEqual(stub.updates.map((u) => u.id), ['weekly']);
+  });
+
+  it('leaves next_date alone for the other sorts', async () => {
+    const stub = createSupabaseStub({ events: stored });
+
+    await listEvents(stub, parseListParams({ sort: 'newest' }).params);
+
+    assert.deepStrictEqual(stub.orders, ['created_at', 'id']);
+    assert.deepStrictEqual(stub.updates, []);
+  });
+});
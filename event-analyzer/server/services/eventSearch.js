@@ -0,0 +1,106 @@
+const { DEFAULT_TIMEZONE, getTodayStr } = require('./eventTime');
+
+/**
+ * Full-text event search.
+ *
+ * Matching, ranking, the list filters and pagination all happen in the
+ * `search_events` Postgres function (Spanish stemming + unaccent + pg_trgm
+ * for typos, see CHANGELOG 1.0.22 and 1.0.49), so filters apply before the
+ * page is cut and `total` counts every match. Its WHERE clause mirrors
+ * applyEventFilters in eventQuery.js: keep both in sync so search behaves
+ * like GET /api/events.
+ */
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 200;
+
+/**
+ * Normalize a search query: collapse whitespace and validate length
+ * @param {string} q - Raw query
+ * @returns {{ query?: string, error?: string }}
+ */
+function normalizeSearchQuery(q) {
+  const query = (q || '').toString().replace(/\s+/g, ' ').trim();
+
+  if (query.length < MIN_QUERY_LENGTH) {
+    return { error: `q must have at least ${MIN_QUERY_LENGTH} characters` };
+  }
+
+  if (query.length > MAX_QUERY_LENGTH) {
+    return { error: `q must have at most ${MAX_QUERY_LENGTH} characters` };
+  }
+
+  return { query };
+}
+
+/**
+ * search_events arguments for the list filters of parseListParams
+ * @param {Object} params - Output of parseListParams
+ * @param {Date} now
+ * @returns {Object}
+ */
+function buildSearchFilters(params, now = new Date()) {
+  return {
+    // Same cut-off as buildUpcomingFilter; null keeps past events
+    upcoming_after: params.includePast ? null : now.toISOString(),
+    upcoming_today: getTodayStr(DEFAULT_TIMEZONE, now),
+    filter_category: params.category || null,
+    filter_subcategories: params.subcategories?.length ? params.subcategories : null,
+    filter_tags: params.tags?.length ? params.tags : null,
+    filter_mood: params.mood || null,
+    filter_vibe: params.vibe || null,
+    filter_time_of_day: params.timeOfDay || null,
+    filter_price: params.price || null,
+    filter_organizer: params.organizer || null,
+    filter_source_group_id: params.sourceGroupId || null,
+    filter_from: params.from || null,
+    filter_to: params.to || null
+  };
+}
+
+/**
+ * Search events by title, description, location, organizer and extracted_text
+ * @param {Object} supabase - Supabase client
+ * @param {string} query - Normalized query
+ * @param {Object} params - Filters from parseListParams (sort/cursor are ignored)
+ * @param {Object} page - { limit, offset }
+ * @param {Date} [now]
+ * @returns {Promise<{ events: Object[], total: number }>} Page sorted by search_rank;
+ *   total counts every match of the filters
+ */
+async function searchEvents(supabase, query, params, { limit, offset }, now = new Date()) {
+  const { data: matches, error } = await supabase.rpc('search_events', {
+    q: query,
+    max_results: limit,
+    skip_results: offset,
+    ...buildSearchFilters(params, now)
+  });
+
+  if (error) throw error;
+
+  // An empty page still has one row carrying the total (event_id null)
+  const total = Number(matches?.[0]?.total || 0);
+  const page = (matches || []).filter((m) => m.event_id);
+  if (page.length === 0) return { events: [], total };
+
+  const rankById = new Map(page.map((m) => [m.event_id, m.rank]));
+
+  const { data: rows, error: rowsError } = await supabase
+    .from('events')
+    .select('*')
+    .in('id', [...rankById.keys()]);
+
+  if (rowsError) throw rowsError;
+
+  const events = (rows || [])
+    .map((event) => ({ ...event, search_rank: rankById.get(event.id) }))
+    .sort((a, b) => b.search_rank - a.search_rank);
+
+  return { events, total };
+}
+
+module.exports = {
+  normalizeSearchQuery,
+  buildSearchFilters,
+  searchEvents
+};
@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { parseListParams } = require('./eventQuery');
+const { searchEvents } = require('./eventSearch');
+
+const NOW = new Date('2026-10-18T18:00:00Z');
+
+/**
+ * Supabase stand-in: rpc() answers with `matches`, from('events') with `rows`
+ */
+function createSupabaseStub(matches, rows) {
+  const calls = { rpc: [], ids: null };
+
+  const client = {
+    rpc(name, args) {
+      calls.rpc.push({ name, args });
+      return Promise.resolve({ data: matches, error: null });
+    },
+    from() {
+      return {
+        select() {
+          return this;
+        },
+        in(column, ids) {
+          calls.ids = ids;
+          return Promise.resolve({ data: rows.filter((row) => ids.includes(row.id)), error: null });
+        }
+      };
+    }
+  };
+
+  return { client, calls };
+}
+
+describe('searchEvents', () => {
+  it('passes the list filters and the page to search_events', async () => {
+    const { params } = parseListParams({
+      category: 'music',
+      subcategory: 'salsa,bachata',
+      price: 'free',
+      organizer: '@barfly',
+      from: '2026-11-01',
+      limit: '10'
+    });
+    const { client, calls } = createSupabaseStub([], []);
+
+    await searchEvents(client, 'salsa', params, { limit: params.limit, offset: 20 }, NOW);
+
+    const [{ name, args }] = calls.rpc;
+    assert.strictEqual(name, 'search_events');
+    assert.deepStrictEqual(args, {
+      q: 'salsa',
+      max_results: 10,
+      skip_results: 20,
+      upcoming_after: NOW.toISOString(),
+      upcoming_today: '2026-10-18',
+      filter_category: 'music',
+      filter_subcategories: ['salsa', 'bachata'],
+      filter_tags: null,
+      filter_mood: null,
+      filter_vibe: null,
+      filter_time_of_day: null,
+      filter_price: 'free',
+      filter_organizer: '@barfly',
+      filter_source_group_id: null,
+      filter_from: '2026-11-01',
+      filter_to: null
+    });
+  });
+
+  it('keeps past events when include_past is set', async () => {
+    const { params } = parseListParams({ include_past: 'true' });
+    const { client, calls } = createSupabaseStub([], []);
+
+    await searchEvents(client, 'jazz', params, { limit: 20, offset: 0 }, NOW);
+
+    assert.strictEqual(calls.rpc[0].args.upcoming_after, null);
+  });
+
+  it('returns the page sorted by rank with the total from SQL', async () => {
+    const matches = [
+      { event_id: 'b', rank: 0.9, total: 412 },
+      { event_id: 'a', rank: 0.4, total: 412 }
+    ];
+    const rows = [{ id: 'a', title: 'Jazz al parque' }, { id: 'b', title: 'Noche de jazz' }];
+    const { client, calls } = createSupabaseStub(matches, rows);
+
+    const { events, total } = await searchEvents(client, 'jazz', {}, { limit: 2, offset: 0 }, NOW);
+
+    assert.deepStrictEqual(calls.ids, ['b', 'a']);
+    assert.deepStrictEqual(events.map((event) => [event.id, event.search_rank]), [['b', 0.9], ['a', 0.4]]);
+    assert.strictEqual(total, 412);
+  });
+
+  it('reads the total of a page past the last match', async () => {
+    const { client, calls } = createSupabaseStub([{ event_id: null, rank: null, total: 3 }], []);
+
+    const { events, total } = await searchEvents(client, 'jazz', {}, { limit: 20, offset: 40 }, NOW);
+
+    assert.deepStrictEqual(events, []);
+    assert.strictEqual(total, 3);
+    assert.strictEqual(calls.ids, null);
+  });
+});
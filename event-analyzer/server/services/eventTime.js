@@ -0,0 +1,226 @@
+const { expandRecurrence, getRecurrenceBounds } = require('./recurrence');
+
+/**
+ * Timezone-aware event times.
+ *
+ * Events store a calendar `date` (YYYY-MM-DD), wall-clock `time` / `end_time`
+ * (HH:MM) and an IANA `timezone`. From those we derive real instants:
+ * `starts_at` (start of the first occurrence) and `ends_at` (end of the last
+ * occurrence, null for open-ended series), which drive expiry. An `end_time`
+ * earlier than `time` runs past midnight and ends the next day; without
+ * `end_time` an occurrence lasts until the end of its day.
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/Guatemala';
+
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})/;
+
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Whether a string is an IANA timezone known to the runtime
+ * @param {string} timezone - e.g. "America/Guatemala"
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {Date} instant
+ * @param {string} timezone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number, date: string, time: string }}
+ *   month is 1-12, weekday 0 (Sunday) - 6
+ */
+function getZonedParts(instant, timezone = DEFAULT_TIMEZONE) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(instant)) parts[type] = value;
+
+  const year = Number(parts.year);
+  const month = Number(parts.month);
+  const day = Number(parts.day);
+  const hour = Number(parts.hour);
+  const minute = Number(parts.minute);
+
+  return {
+    year,
+    month,
+    day,
+    hour,
+    minute,
+    second: Number(parts.second),
+    weekday: WEEKDAY_INDEX[parts.weekday],
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+}
+
+/**
+ * Today's date in YYYY-MM-DD in a timezone
+ * @param {string} timezone - Defaults to DEFAULT_TIMEZONE
+ * @param {Date} now
+ * @returns {string}
+ */
+function getTodayStr(timezone = DEFAULT_TIMEZONE, now = new Date()) {
+  return getZonedParts(now, timezone).date;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Parse "HH:MM" (also "HH:MM:SS" from Postgres `time`)
+ * @returns {{ hour: number, minute: number }|null}
+ */
+function parseTime(value) {
+  const match = typeof value === 'string' && TIME_PATTERN.exec(value.trim());
+  if (!match) return null;
+  const hour = Number(match[1]);
+  const minute = Number(match[2]);
+  return hour < 24 && minute < 60 ? { hour, minute } : null;
+}
+
+/**
+ * Instant for a wall-clock date and time in a timezone. A time that doesn't
+ * exist (skipped by a DST jump) comes out one jump earlier.
+ * @param {string} date - YYYY-MM-DD
+ * @param {string|null} time - HH:MM (midnight when missing)
+ * @param {string} timezone
+ * @returns {Date|null} null when date is not a valid YYYY-MM-DD
+ */
+function zonedTimeToInstant(date, time, timezone = DEFAULT_TIMEZONE) {
+  const match = typeof date === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+  if (!match) return null;
+
+  const { hour, minute } = parseTime(time) || { hour: 0, minute: 0 };
+  const wallClock = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]), hour, minute);
+  if (Number.isNaN(wallClock)) return null;
+
+  // Offset at the guess, then once more in case the guess crossed a DST change
+  let instant = wallClock;
+  for (let i = 0; i < 2; i++) {
+    const p = getZonedParts(new Date(instant), timezone);
+    const offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - instant;
+    instant = wallClock - offset;
+  }
+  return new Date(instant);
+}
+
+/**
+ * Start and end instants of one occurrence
+ * @param {string} date - YYYY-MM-DD
+ * @param {string|null} time - Start time
+ * @param {string|null} endTime - End time; earlier than `time` means the next day
+ * @param {string} timezone
+ * @returns {{ start: Date, end: Date }|null}
+ */
+function getOccurrenceInstants(date, time, endTime, timezone = DEFAULT_TIMEZONE) {
+  const start = zonedTimeToInstant(date, time, timezone);
+  if (!start) return null;
+
+  const startTime = parseTime(time);
+  const finish = parseTime(endTime);
+  let end;
+
+  if (finish) {
+    const pastMidnight = startTime && (finish.hour * 60 + finish.minute) <= (startTime.hour * 60 + startTime.minute);
+    end = zonedTimeToInstant(pastMidnight ? addDays(date, 1) : date, endTime, timezone);
+  } else {
+    end = zonedTimeToInstant(addDays(date, 1), null, timezone);
+  }
+
+  return { start, end };
+}
+
+/**
+ * `starts_at` / `ends_at` for an event: start of its first occurrence and
+ * end of its last one (see services/recurrence.js)
+ * @param {Object} event - date, rrule, rdates, exdates, time, end_time, timezone
+ * @returns {{ starts_at: string|null, ends_at: string|null }} ISO timestamps; both null
+ *   for undated events, ends_at null for open-ended series
+ */
+function getEventInstants(event) {
+  const { first, last } = getRecurrenceBounds(event);
+  const timezone = event.timezone || DEFAULT_TIMEZONE;
+  if (!first) return { starts_at: null, ends_at: null };
+
+  const start = getOccurrenceInstants(first, event.time, event.end_time, timezone).start;
+  const end = last && getOccurrenceInstants(last, event.time, event.end_time, timezone).end;
+
+  return {
+    starts_at: start.toISOString(),
+    ends_at: end ? end.toISOString() : null
+  };
+}
+
+/**
+ * Occurrences of an event inside a date window, with their instants
+ * @param {Object} event - Event row
+ * @param {Object} window - { from, to } YYYY-MM-DD (inclusive), limit
+ * @returns {Array<{ date: string, starts_at: string, ends_at: string }>}
+ */
+function getEventOccurrences(event, window = {}) {
+  const timezone = event.timezone || DEFAULT_TIMEZONE;
+  return expandRecurrence(event, window).map((date) => {
+    const { start, end } = getOccurrenceInstants(date, event.time, event.end_time, timezone);
+    return { date, starts_at: start.toISOString(), ends_at: end.toISOString() };
+  });
+}
+
+/**
+ * Whether an event still has an occurrence that hasn't ended.
+ * Rows without `ends_at` (created before it existed) fall back to `last_date`.
+ * @param {Object} event - Event row
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isUpcomingEvent(event, now = new Date()) {
+  if (event.ends_at) return Date.parse(event.ends_at) >= now.getTime();
+  return !event.last_date || event.last_date >= getTodayStr(event.timezone || DEFAULT_TIMEZONE, now);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getZonedParts,
+  getTodayStr,
+  addDays,
+  parseTime,
+  zonedTimeToInstant,
+  getOccurrenceInstants,
+  getEventInstants,
+  getEventOccurrences,
+  isUpcomingEvent
+};
@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { zonedTimeToInstant, getOccurrenceInstants, getEventInstants } = require('./eventTime');
+
+const NEW_YORK = 'America/New_York';
+
+const iso = (date) => date && date.toISOString();
+const instants = (...args) => {
+  const { start, end } = getOccurrenceInstants(...args);
+  return [iso(start), iso(end)];
+};
+
+// 2026 in New York: clocks go forward on Sunday March 8 (02:00 -> 03:00) and
+// back on Sunday November 1 (02:00 -> 01:00)
+describe('zonedTimeToInstant', () => {
+  it('uses the offset of each side of the March change', () => {
+    assert.strictEqual(iso(zonedTimeToInstant('2026-03-07', '20:00', NEW_YORK)), '2026-03-08T01:00:00.000Z');
+    assert.strictEqual(iso(zonedTimeToInstant('2026-03-08', '20:00', NEW_YORK)), '2026-03-09T00:00:00.000Z');
+  });
+
+  it('uses the offset of each side of the November change', () => {
+    assert.strictEqual(iso(zonedTimeToInstant('2026-10-31', '20:00', NEW_YORK)), '2026-11-01T00:00:00.000Z');
+    assert.strictEqual(iso(zonedTimeToInstant('2026-11-01', '20:00', NEW_YORK)), '2026-11-02T01:00:00.000Z');
+  });
+
+  it('moves a time skipped in March one jump earlier', () => {
+    assert.strictEqual(iso(zonedTimeToInstant('2026-03-08', '02:30', NEW_YORK)), '2026-03-08T06:30:00.000Z');
+  });
+
+  it('reads a time repeated in November as its first instant', () => {
+    assert.strictEqual(iso(zonedTimeToInstant('2026-11-01', '01:30', NEW_YORK)), '2026-11-01T05:30:00.000Z');
+  });
+
+  it('uses midnight without a time', () => {
+    assert.strictEqual(iso(zonedTimeToInstant('2026-11-06', null)), '2026-11-06T06:00:00.000Z');
+  });
+
+  it('returns null for a date not in YYYY-MM-DD', () => {
+    assert.strictEqual(zonedTimeToInstant('06/11/2026', '20:00'), null);
+  });
+});
+
+describe('getOccurrenceInstants', () => {
+  it('ends past midnight on the next day', () => {
+    assert.deepStrictEqual(instants('2026-11-06', '21:00', '02:00'), ['2026-11-07T03:00:00.000Z', '2026-11-07T08:00:00.000Z']);
+  });
+
+  it('treats an end_time equal to the start as the next day', () => {
+    assert.deepStrictEqual(instants('2026-11-06', '21:00', '21:00'), ['2026-11-07T03:00:00.000Z', '2026-11-08T03:00:00.000Z']);
+  });
+
+  it('loses the skipped hour when a night runs through the March change', () => {
+    // 22:00 EST to 04:00 EDT: six hours on the wall clock, five in real time
+    assert.deepStrictEqual(instants('2026-03-07', '22:00', '04:00', NEW_YORK), ['2026-03-08T03:00:00.000Z', '2026-03-08T08:00:00.000Z']);
+  });
+
+  it('gains the repeated hour when a night runs through the November change', () => {
+    // 22:00 EDT to 03:00 EST: five hours on the wall clock, six in real time
+    assert.deepStrictEqual(instants('2026-10-31', '22:00', '03:00', NEW_YORK), ['2026-11-01T02:00:00.000Z', '2026-11-01T08:00:00.000Z']);
+  });
+
+  it('lasts the 23 hours of the March change day without time or end_time', () => {
+    assert.deepStrictEqual(instants('2026-03-08', null, null, NEW_YORK), ['2026-03-08T05:00:00.000Z', '2026-03-09T04:00:00.000Z']);
+  });
+
+  it('lasts the 25 hours of the November change day without time or end_time', () => {
+    assert.deepStrictEqual(instants('2026-11-01', null, null, NEW_YORK), ['2026-11-01T04:00:00.000Z', '2026-11-02T05:00:00.000Z']);
+  });
+});
+
+describe('getEventInstants', () => {
+  it('starts a series in EST and ends it in EDT across the March change', () => {
+    assert.deepStrictEqual(getEventInstants({
+      date: '2026-03-06',
+      rrule: 'FREQ=WEEKLY;COUNT=2',
+      time: '20:00',
+      end_time: '23:00',
+      timezone: NEW_YORK
+    }), { starts_at: '2026-03-07T01:00:00.000Z', ends_at: '2026-03-14T03:00:00.000Z' });
+  });
+});
@@ -0,0 +1,152 @@
+const { applyEventFilters } = require('./eventQuery');
+const { DEFAULT_TIMEZONE, getTodayStr } = require('./eventTime');
+const { expandRecurrence } = require('./recurrence');
+const { getFollows } = require('./follows');
+
+/**
+ * Personalized feed.
+ *
+ * Upcoming events are collected from everything the user follows (one query
+ * per follow type) and ranked by:
+ * - affinity: how many follows match and how strong they are (an organizer
+ *   the user follows counts more than a tag)
+ * - date: events happening soon rank higher (a series by its next occurrence)
+ * - recency: recently published events get a boost so the feed changes
+ *
+ * Category and event_features filters (mood, vibe, time_of_day) from
+ * GET /api/events apply to the candidates.
+ */
+
+const FOLLOW_WEIGHTS = { organizer: 3, venue: 2, subcategory: 1.5, tag: 1 };
+const MAX_TAG_MATCHES = 3;
+const CANDIDATES_PER_TYPE = 200;
+const UNDATED_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Candidate query for one follow type
+ */
+function followQuery(supabase, params, type, values) {
+  const query = applyEventFilters(supabase.from('events').select('*'), params);
+
+  switch (type) {
+    case 'organizer': return query.in('organizer_handle', values);
+    case 'venue': return query.in('venue_id', values);
+    case 'subcategory': return query.in('subcategory', values);
+    case 'tag': return query.overlaps('tags', values);
+    default: return null;
+  }
+}
+
+/**
+ * Which follows an event matches
+ * @returns {Object[]} [{ type, value }]
+ */
+function matchReasons(event, follows) {
+  const reasons = [];
+
+  if (follows.organizer.includes(event.organizer_handle)) {
+    reasons.push({ type: 'organizer', value: event.organizer_handle });
+  }
+  if (follows.venue.includes(event.venue_id)) {
+    reasons.push({ type: 'venue', value: event.venue_id });
+  }
+  if (follows.subcategory.includes(event.subcategory)) {
+    reasons.push({ type: 'subcategory', value: event.subcategory });
+  }
+  for (const tag of event.tags || []) {
+    if (follows.tag.includes(tag)) reasons.push({ type: 'tag', value: tag });
+  }
+
+  return reasons;
+}
+
+/**
+ * Date an event is ranked by: its next occurrence from today in the event's
+ * timezone, or its first date when none is left
+ * @param {Object} event - Event row
+ * @param {Date} now
+ * @returns {string|null} YYYY-MM-DD
+ */
+function feedDate(event, now) {
+  if (!event.date) return null;
+  const today = getTodayStr(event.timezone || DEFAULT_TIMEZONE, now);
+  return expandRecurrence(event, { from: today, limit: 1 })[0] || event.date;
+}
+
+/**
+ * Rank score for a feed event
+ * @param {Object} event - Event row
+ * @param {Object[]} reasons - matchReasons() output
+ * @param {Date} now
+ * @returns {number}
+ */
+function scoreFeedEvent(event, reasons, now) {
+  let tagMatches = 0;
+  const affinity = reasons.reduce((sum, { type }) => {
+    if (type === 'tag' && ++tagMatches > MAX_TAG_MATCHES) return sum;
+    return sum + FOLLOW_WEIGHTS[type];
+  }, 0);
+
+  const date = feedDate(event, now);
+  const today = getTodayStr(event.timezone || DEFAULT_TIMEZONE, now);
+  const daysUntil = date
+    ? Math.max(0, (Date.parse(date) - Date.parse(today)) / DAY_MS)
+    : UNDATED_DAYS;
+  const dateScore = 1 / (1 + daysUntil / 7);
+
+  const ageDays = event.created_at
+    ? Math.max(0, (now.getTime() - Date.parse(event.created_at)) / DAY_MS)
+    : UNDATED_DAYS;
+  const recencyScore = 1 / (1 + ageDays / 3);
+
+  return Math.round((affinity * (0.5 + dateScore) + recencyScore) * 1000) / 1000;
+}
+
+/**
+ * Build a user's feed
+ * @param {Object} supabase - Supabase client
+ * @param {string} userId
+ * @param {Object} params - Filters from parseListParams (sort/cursor are ignored)
+ * @param {Object} page - { limit, offset }
+ * @returns {Promise<{ events: Object[], total: number, follows: Object }>}
+ */
+async function buildFeed(supabase, userId, params, { limit, offset }) {
+  const follows = await getFollows(supabase, userId);
+
+  const types = Object.keys(follows).filter((type) => follows[type].length > 0);
+  if (types.length === 0) return { events: [], total: 0, follows };
+
+  const results = await Promise.all(
+    types.map((type) => followQuery(supabase, params, type, follows[type])
+      .order('date', { ascending: true, nullsFirst: false })
+      .limit(CANDIDATES_PER_TYPE))
+  );
+
+  const byId = new Map();
+  for (const { data, error } of results) {
+    if (error) throw error;
+    for (const event of data || []) byId.set(event.id, event);
+  }
+
+  const now = new Date();
+  const ranked = [...byId.values()]
+    .map((event) => {
+      const reasons = matchReasons(event, follows);
+      return { ...event, feed_score: scoreFeedEvent(event, reasons, now), feed_reasons: reasons };
+    })
+    .sort((a, b) => b.feed_score - a.feed_score
+      || (feedDate(a, now) || '9999').localeCompare(feedDate(b, now) || '9999'));
+
+  return {
+    events: ranked.slice(offset, offset + limit),
+    total: ranked.length,
+    follows
+  };
+}
+
+module.exports = {
+  FOLLOW_WEIGHTS,
+  scoreFeedEvent,
+  buildFeed
+};
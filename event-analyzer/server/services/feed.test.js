@@ -0,0 +1,33 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { scoreFeedEvent } = require('./feed');
+
+// Sunday 2026-10-18, noon in Guatemala
+const NOW = new Date('2026-10-18T18:00:00Z');
+const REASONS = [{ type: 'organizer', value: 'barfly' }];
+
+const event = (fields) => ({ created_at: '2026-01-01T00:00:00Z', ...fields });
+
+describe('scoreFeedEvent', () => {
+  it('scores a series on its next occurrence, not its first date', () => {
+    const series = event({ date: '2025-01-03', rrule: 'FREQ=WEEKLY;BYDAY=FR' });
+    const single = event({ date: '2026-10-23' });
+
+    assert.strictEqual(scoreFeedEvent(series, REASONS, NOW), scoreFeedEvent(single, REASONS, NOW));
+  });
+
+  it('skips excluded dates when looking for the next occurrence', () => {
+    const series = event({ date: '2025-01-03', rrule: 'FREQ=WEEKLY;BYDAY=FR', exdates: ['2026-10-23'] });
+    const single = event({ date: '2026-10-30' });
+
+    assert.strictEqual(scoreFeedEvent(series, REASONS, NOW), scoreFeedEvent(single, REASONS, NOW));
+  });
+
+  it('ranks a sooner event higher', () => {
+    const soon = event({ date: '2026-10-20' });
+    const later = event({ date: '2026-12-20' });
+
+    assert.ok(scoreFeedEvent(soon, REASONS, NOW) > scoreFeedEvent(later, REASONS, NOW));
+  });
+});
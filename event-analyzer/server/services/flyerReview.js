@@ -0,0 +1,104 @@
+const { analyzeEventImage } = require('./eventVision');
+const { hashImageSource } = require('./imageHash');
+const { findDuplicates, eventFromAnalysis } = require('./duplicates');
+
+/**
+ * Vision analysis for the whatsapp_flyers review queue.
+ *
+ * The analysis is stored on the flyer row. A flyer is `flagged` when the
+ * model was unsure of the whole flyer (`confidence: low`) or of any single
+ * field (`low_confidence_fields`), so reviewers see those first and the UI can
+ * highlight the doubtful fields with their bounding boxes.
+ *
+ * The flyer's image hash and the events it may duplicate (see
+ * services/duplicates.js) are stored too, so a flyer that is already published
+ * can be discarded or merged instead of creating a second event.
+ */
+
+/**
+ * Whether the review queue should flag an analysis
+ * @param {Object} analysis - analyzeEventImage() analysis
+ * @returns {boolean}
+ */
+function shouldFlagAnalysis(analysis) {
+  return analysis.confidence === 'low' || (analysis.low_confidence_fields || []).length > 0;
+}
+
+/**
+ * Flyer hash and likely duplicate events. Failures never block the analysis.
+ * @returns {Promise<{ imageHash: string|null, duplicates: Object[] }>}
+ */
+async function detectFlyerDuplicates(supabase, flyer, analysis) {
+  let imageHash = flyer.image_hash || null;
+
+  try {
+    if (!imageHash) imageHash = await hashImageSource(flyer.flyer);
+    return { imageHash, duplicates: await findDuplicates(supabase, eventFromAnalysis(analysis, imageHash)) };
+  } catch (error) {
+    console.warn(`[FLYER_REVIEW] ⚠️ Duplicate check failed for flyer ${flyer.id}:`, error.message);
+    return { imageHash, duplicates: [] };
+  }
+}
+
+/**
+ * Analyze a flyer and store the result on its row
+ * @param {Object} supabase
+ * @param {Object} flyer - whatsapp_flyers row (id, flyer, event_description, image_hash)
+ * @param {Object} options - Vision options ({ provider, model, fixture })
+ * @returns {Promise<Object>} Updated row
+ */
+async function analyzeFlyer(supabase, flyer, options = {}) {
+  const { analysis, metadata } = await analyzeEventImage(
+    flyer.flyer,
+    flyer.event_description || 'Flyer de WhatsApp',
+    options
+  );
+
+  const flagged = shouldFlagAnalysis(analysis);
+  const { imageHash, duplicates } = await detectFlyerDuplicates(supabase, flyer, analysis);
+
+  const { data, error } = await supabase
+    .from('whatsapp_flyers')
+    .update({
+      analysis: { ...analysis, metadata },
+      low_confidence_fields: analysis.low_confidence_fields,
+      flagged,
+      image_hash: imageHash,
+      duplicates,
+      analyzed_at: metadata.analyzed_at
+    })
+    .eq('id', flyer.id)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to store flyer analysis: ${error.message}`);
+  }
+
+  console.log(`[FLYER_REVIEW] ${flagged ? '🚩' : '✅'} Flyer ${flyer.id} analyzed${flagged ? ` - low confidence: ${analysis.low_confidence_fields.join(', ') || 'overall'}` : ''}`);
+  if (duplicates.length) {
+    console.log(`[FLYER_REVIEW] 👯 Flyer ${flyer.id} may duplicate ${duplicates.map((d) => `${d.event.id} (${d.score})`).join(', ')}`);
+  }
+  return data;
+}
+
+/**
+ * Analyze a newly received flyer in the background when FLYER_AUTO_ANALYZE
+ * is enabled. Never blocks or fails the upload.
+ * @param {Object} supabase
+ * @param {Object} flyer - Inserted whatsapp_flyers row
+ */
+function queueFlyerAnalysis(supabase, flyer) {
+  if (process.env.FLYER_AUTO_ANALYZE !== 'true' || !flyer?.id) return;
+
+  analyzeFlyer(supabase, flyer).catch((error) => {
+    console.warn(`[FLYER_REVIEW] ⚠️ Auto-analysis failed for flyer ${flyer.id}:`, error.message);
+  });
+}
+
+module.exports = {
+  shouldFlagAnalysis,
+  detectFlyerDuplicates,
+  analyzeFlyer,
+  queueFlyerAnalysis
+};
@@ -0,0 +1,187 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getLowConfidenceFields } = require('./analysisSchema');
+const { shouldFlagAnalysis, analyzeFlyer, queueFlyerAnalysis } = require('./flyerReview');
+
+const IMAGE_HASH = '0f0f0f0f0f0f0f0f';
+
+const FLYER = {
+  id: 'flyer-1',
+  flyer: 'data:image/png;base64,iVBORw0KGgo=',
+  event_description: 'Noche de salsa',
+  image_hash: IMAGE_HASH
+};
+
+const ANALYSIS = {
+  event_name: 'Noche de salsa',
+  date: '2099-03-06',
+  time: '21:00',
+  location: 'La Bodeguita, Zona 1',
+  price: 'Q50',
+  category: 'music',
+  confidence: 'high',
+  field_confidence: {
+    date: { confidence: 0.95, bbox: [0.1, 0.6, 0.4, 0.08] },
+    price: { confidence: 0.3, bbox: null }
+  }
+};
+
+/**
+ * Supabase stand-in: from('events') answers with `events` (or `eventsError`),
+ * update() of whatsapp_flyers records the row and answers with it merged
+ */
+function createSupabaseStub({ events = [], eventsError = null, updateError = null } = {}) {
+  const calls = { tables: [], update: null };
+
+  function from(table) {
+    calls.tables.push(table);
+    let update = null;
+
+    const builder = new Proxy({}, {
+      get(_, method) {
+        if (method === 'then') {
+          const result = table === 'events' ? { data: eventsError ? null : events, error: eventsError } : null;
+          return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+        }
+        if (method === 'single') {
+          return () => Promise.resolve(updateError ? { data: null, error: updateError } : { data: { ...FLYER, ...update }, error: null });
+        }
+        return (...args) => {
+          if (method === 'update') calls.update = update = args[0];
+          return builder;
+        };
+      }
+    });
+
+    return builder;
+  }
+
+  return { client: { from }, calls };
+}
+
+describe('getLowConfidenceFields', () => {
+  const previous = process.env.ANALYSIS_LOW_CONFIDENCE_THRESHOLD;
+
+  after(() => {
+    if (previous === undefined) delete process.env.ANALYSIS_LOW_CONFIDENCE_THRESHOLD;
+    else process.env.ANALYSIS_LOW_CONFIDENCE_THRESHOLD = previous;
+  });
+
+  const analysis = {
+    field_confidence: {
+      date: { confidence: 0.95, bbox: null },
+      time: { confidence: 0.6, bbox: null },
+      price: { confidence: 0.3, bbox: null }
+    }
+  };
+
+  it('lists the fields scored below 0.6 by default', () => {
+    delete process.env.ANALYSIS_LOW_CONFIDENCE_THRESHOLD;
+
+    assert.deepStrictEqual(getLowConfidenceFields(analysis), ['price']);
+    assert.deepStrictEqual(getLowConfidenceFields({}), []);
+  });
+
+  it('reads the threshold from the argument or ANALYSIS_LOW_CONFIDENCE_THRESHOLD', () => {
+    process.env.ANALYSIS_LOW_CONFIDENCE_THRESHOLD = '0.7';
+
+    assert.deepStrictEqual(getLowConfidenceFields(analysis), ['time', 'price']);
+    assert.deepStrictEqual(getLowConfidenceFields(analysis, 0.2), []);
+  });
+});
+
+describe('shouldFlagAnalysis', () => {
+  it('flags a low overall confidence or any doubtful field', () => {
+    assert.strictEqual(shouldFlagAnalysis({ confidence: 'high', low_confidence_fields: [] }), false);
+    assert.strictEqual(shouldFlagAnalysis({ confidence: 'medium' }), false);
+    assert.strictEqual(shouldFlagAnalysis({ confidence: 'low', low_confidence_fields: [] }), true);
+    assert.strictEqual(shouldFlagAnalysis({ confidence: 'high', low_confidence_fields: ['price'] }), true);
+  });
+});
+
+describe('analyzeFlyer', () => {
+  const previousDir = process.env.VISION_FIXTURES_DIR;
+  const previousThreshold = process.env.ANALYSIS_LOW_CONFIDENCE_THRESHOLD;
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flyer-review-'));
+    fs.writeFileSync(path.join(dir, 'salsa.json'), JSON.stringify({ analysis: ANALYSIS }));
+    process.env.VISION_FIXTURES_DIR = dir;
+    delete process.env.ANALYSIS_LOW_CONFIDENCE_THRESHOLD;
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (previousDir === undefined) delete process.env.VISION_FIXTURES_DIR;
+    else process.env.VISION_FIXTURES_DIR = previousDir;
+    if (previousThreshold !== undefined) process.env.ANALYSIS_LOW_CONFIDENCE_THRESHOLD = previousThreshold;
+  });
+
+  const OPTIONS = { provider: 'mock', fixture: 'salsa' };
+
+  it('stores the analysis, the doubtful fields and the likely duplicates', async () => {
+    const published = {
+      id: 'event-1',
+      title: 'Noche de Salsa',
+      date: '2099-03-06',
+      time: '21:00',
+      location: 'La Bodeguita, Zona 1',
+      image_hash: IMAGE_HASH
+    };
+    const { client, calls } = createSupabaseStub({ events: [published] });
+
+    const row = await analyzeFlyer(client, FLYER, OPTIONS);
+
+    assert.deepStrictEqual(calls.tables, ['events', 'whatsapp_flyers']);
+    assert.strictEqual(calls.update.flagged, true);
+    assert.deepStrictEqual(calls.update.low_confidence_fields, ['price']);
+    assert.deepStrictEqual(calls.update.analysis.field_confidence.price, { confidence: 0.3, bbox: null });
+    assert.strictEqual(calls.update.analysis.metadata.provider, 'mock');
+    assert.strictEqual(calls.update.analyzed_at, calls.update.analysis.metadata.analyzed_at);
+    assert.strictEqual(calls.update.image_hash, IMAGE_HASH);
+    assert.deepStrictEqual(calls.update.duplicates.map((d) => d.event.id), ['event-1']);
+    assert.strictEqual(row.id, FLYER.id);
+  });
+
+  it('stores the analysis without duplicates when the check fails', async () => {
+    const { client, calls } = createSupabaseStub({ eventsError: new Error('timeout') });
+
+    await analyzeFlyer(client, FLYER, OPTIONS);
+
+    assert.deepStrictEqual(calls.update.duplicates, []);
+    assert.strictEqual(calls.update.image_hash, IMAGE_HASH);
+  });
+
+  it('throws when the row cannot be updated', async () => {
+    const { client } = createSupabaseStub({ updateError: { message: 'permission denied' } });
+
+    await assert.rejects(analyzeFlyer(client, FLYER, OPTIONS), { message: 'Failed to store flyer analysis: permission denied' });
+  });
+});
+
+describe('queueFlyerAnalysis', () => {
+  const previous = process.env.FLYER_AUTO_ANALYZE;
+
+  after(() => {
+    if (previous === undefined) delete process.env.FLYER_AUTO_ANALYZE;
+    else process.env.FLYER_AUTO_ANALYZE = previous;
+  });
+
+  it('does nothing unless FLYER_AUTO_ANALYZE is enabled', () => {
+    const { client, calls } = createSupabaseStub();
+
+    delete process.env.FLYER_AUTO_ANALYZE;
+    queueFlyerAnalysis(client, FLYER);
+    process.env.FLYER_AUTO_ANALYZE = 'true';
+    queueFlyerAnalysis(client, { flyer: FLYER.flyer });
+
+    assert.deepStrictEqual(calls.tables, []);
+  });
+});
@@ -0,0 +1,101 @@
+const { normalizeOrganizerHandle } = require('./organizers');
+
+/**
+ * Follows: a user follows organizers (by handle), venues (by id),
+ * subcategories and tags (the classification values produced by
+ * analyzeEventImage). Stored in `follows` as (user_id, target_type, target_value).
+ */
+
+const FOLLOW_TYPES = ['organizer', 'venue', 'subcategory', 'tag'];
+
+const MAX_FOLLOWS = 500;
+
+/**
+ * Normalize a follow target to the value stored in `follows` and matched
+ * against events (organizer_handle, venue_id, subcategory, tags)
+ * @param {string} type - One of FOLLOW_TYPES
+ * @param {string} value - Raw value
+ * @returns {{ value?: string, error?: string }}
+ */
+function normalizeFollowTarget(type, value) {
+  if (!FOLLOW_TYPES.includes(type)) {
+    return { error: `type must be one of: ${FOLLOW_TYPES.join(', ')}` };
+  }
+
+  const raw = (value || '').toString().trim();
+  if (!raw) {
+    return { error: 'value is required' };
+  }
+
+  switch (type) {
+    case 'organizer': {
+      const handle = normalizeOrganizerHandle(raw);
+      return handle ? { value: handle } : { error: 'Invalid organizer handle' };
+    }
+    case 'subcategory':
+      return /^[a-z0-9-]+$/.test(raw) ? { value: raw } : { error: 'Invalid subcategory id' };
+    default:
+      return { value: raw };
+  }
+}
+
+/**
+ * Check that the followed organizer/venue exists. Merged venues resolve to
+ * the surviving venue.
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<{ value?: string, error?: string }>}
+ */
+async function resolveFollowTarget(supabase, type, value) {
+  if (type === 'organizer') {
+    const { data, error } = await supabase
+      .from('organizers')
+      .select('handle')
+      .eq('handle', value)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? { value } : { error: 'Organizer not found' };
+  }
+
+  if (type === 'venue') {
+    const { data, error } = await supabase
+      .from('venues')
+      .select('id, merged_into')
+      .eq('id', value)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? { value: data.merged_into || data.id } : { error: 'Venue not found' };
+  }
+
+  return { value };
+}
+
+/**
+ * A user's follows grouped by type
+ * @param {Object} supabase - Supabase client
+ * @param {string} userId
+ * @returns {Promise<{ organizer: string[], venue: string[], subcategory: string[], tag: string[] }>}
+ */
+async function getFollows(supabase, userId) {
+  const { data, error } = await supabase
+    .from('follows')
+    .select('target_type, target_value')
+    .eq('user_id', userId)
+    .limit(MAX_FOLLOWS);
+
+  if (error) throw error;
+
+  const grouped = Object.fromEntries(FOLLOW_TYPES.map((t) => [t, []]));
+  for (const row of data || []) {
+    if (grouped[row.target_type]) grouped[row.target_type].push(row.target_value);
+  }
+  return grouped;
+}
+
+module.exports = {
+  FOLLOW_TYPES,
+  normalizeFollowTarget,
+  resolveFollowTarget,
+  getFollows
+};
@@ -0,0 +1,327 @@
+const axios = require('axios');
+const { getSupabase, isConfigured } = require('../utils/supabase');
+
+/**
+ * Geocoding for event locations.
+ *
+ * Resolves free-text locations ("Bar X zona 10", "Antigua") to coordinates and
+ * a canonical venue name. The provider is chosen with GEOCODER_PROVIDER
+ * (stub | nominatim | google). `stub`, the default, resolves from a local
+ * gazetteer of Guatemalan places and never touches the network. Nominatim
+ * requests are queued one per second (its usage policy), so a bulk import
+ * with nominatim takes about a second per uncached location.
+ *
+ * Results (including misses) are cached in memory and in the Supabase
+ * `geocode_cache` table, keyed by normalized query + provider.
+ */
+
+const DEFAULT_PROVIDER = 'stub';
+
+// Nominatim's usage policy allows at most 1 request per second
+const NOMINATIM_INTERVAL_MS = 1000;
+const USER_AGENT = 'Mozilla/5.0 (compatible; WoWEventBot/1.0; +https://standatpd.com)';
+
+/**
+ * Local gazetteer used by the stub provider. Aliases are matched against the
+ * normalized (lowercase, unaccented) location text; the longest alias wins.
+ */
+const GUATEMALA_PLACES = [
+  { name: 'Zona 1, Ciudad de Guatemala', lat: 14.6407, lng: -90.5133, aliases: ['zona 1', 'centro historico', 'sexta avenida'] },
+  { name: 'Zona 4, Ciudad de Guatemala', lat: 14.6218, lng: -90.5151, aliases: ['zona 4', '4 grados norte', 'cuatro grados norte'] },
+  { name: 'Zona 9, Ciudad de Guatemala', lat: 14.6050, lng: -90.5150, aliases: ['zona 9'] },
+  { name: 'Zona 10, Ciudad de Guatemala', lat: 14.5995, lng: -90.5078, aliases: ['zona 10', 'zona viva'] },
+  { name: 'Zona 13, Ciudad de Guatemala', lat: 14.5833, lng: -90.5300, aliases: ['zona 13', 'la aurora'] },
+  { name: 'Zona 14, Ciudad de Guatemala', lat: 14.5800, lng: -90.5100, aliases: ['zona 14'] },
+  { name: 'Zona 15, Ciudad de Guatemala', lat: 14.5950, lng: -90.4850, aliases: ['zona 15', 'vista hermosa'] },
+  { name: 'Zona 16, Ciudad de Guatemala', lat: 14.6150, lng: -90.4700, aliases: ['zona 16'] },
+  { name: 'Paseo Cayalá, Ciudad de Guatemala', lat: 14.6094, lng: -90.4855, aliases: ['cayala', 'paseo cayala'] },
+  { name: 'Ciudad de Guatemala', lat: 14.6349, lng: -90.5069, aliases: ['ciudad de guatemala', 'guatemala city', 'ciudad capital'] },
+  { name: 'Mixco', lat: 14.6308, lng: -90.6064, aliases: ['mixco'] },
+  { name: 'Antigua Guatemala, Sacatepéquez', lat: 14.5586, lng: -90.7295, aliases: ['antigua', 'antigua guatemala', 'la antigua'] },
+  { name: 'Panajachel, Sololá', lat: 14.7400, lng: -91.1590, aliases: ['panajachel', 'pana', 'lago de atitlan', 'atitlan'] },
+  { name: 'Quetzaltenango', lat: 14.8347, lng: -91.5181, aliases: ['quetzaltenango', 'xela'] },
+  { name: 'Cobán, Alta Verapaz', lat: 15.4700, lng: -90.3700, aliases: ['coban'] },
+  { name: 'Flores, Petén', lat: 16.9300, lng: -89.8920, aliases: ['flores', 'peten'] },
+  { name: 'Monterrico, Santa Rosa', lat: 13.8944, lng: -90.4822, aliases: ['monterrico'] },
+  { name: 'Puerto de San José, Escuintla', lat: 13.9236, lng: -90.8206, aliases: ['puerto san jose', 'san jose escuintla'] }
+];
+
+const memoryCache = new Map();
+
+/**
+ * Lowercase, strip accents and collapse whitespace
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeLocationQuery(text) {
+  return (text || '')
+    .toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\w\s,#.-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Add Guatemalan context so external providers resolve local names:
+ * "zona 10" without a city → Ciudad de Guatemala; everything biased to Guatemala.
+ * @param {string} text - Original location text
+ * @returns {string}
+ */
+function expandGuatemalaQuery(text) {
+  let query = text.replace(/\bz\.?\s*(\d{1,2})\b/gi, 'zona $1');
+  const normalized = normalizeLocationQuery(query);
+
+  if (/\bzona \d{1,2}\b/.test(normalized) && !/(ciudad|guatemala|mixco|villa nueva)/.test(normalized)) {
+    query += ', Ciudad de Guatemala';
+  }
+
+  if (!normalized.includes('guatemala')) {
+    query += ', Guatemala';
+  }
+
+  return query;
+}
+
+/**
+ * Stub provider: longest alias match in GUATEMALA_PLACES
+ */
+async function geocodeStub(text) {
+  const normalized = normalizeLocationQuery(text).replace(/\bz\.?\s*(\d{1,2})\b/g, 'zona $1');
+
+  let best = null;
+  for (const place of GUATEMALA_PLACES) {
+    for (const alias of place.aliases) {
+      const pattern = new RegExp(`(^|[^\\w])${alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^\\w])`);
+      if (pattern.test(normalized) && (!best || alias.length > best.alias.length)) {
+        best = { place, alias };
+      }
+    }
+  }
+
+  if (!best) return null;
+
+  return {
+    lat: best.place.lat,
+    lng: best.place.lng,
+    venue_name: best.place.name,
+    formatted_address: `${best.place.name}, Guatemala`,
+    confidence: 'medium'
+  };
+}
+
+let nominatimQueue = Promise.resolve();
+let nominatimLastRequestAt = 0; // when the last request finished
+
+/**
+ * Run Nominatim requests one at a time (across every caller in the process),
+ * each starting NOMINATIM_INTERVAL_MS after the previous one finished
+ * @param {() => Promise<*>} request
+ * @returns {Promise<*>}
+ */
+function throttleNominatim(request) {
+  const run = nominatimQueue.then(async () => {
+    const wait = nominatimLastRequestAt + NOMINATIM_INTERVAL_MS - Date.now();
+    if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+    try {
+      return await request();
+    } finally {
+      nominatimLastRequestAt = Date.now();
+    }
+  });
+
+  nominatimQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * OpenStreetMap Nominatim provider (no API key, 1 req/s fair use)
+ */
+async function geocodeNominatim(text) {
+  const baseUrl = process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org';
+
+  const response = await throttleNominatim(() => axios.get(`${baseUrl}/search`, {
+    params: {
+      q: expandGuatemalaQuery(text),
+      format: 'jsonv2',
+      countrycodes: 'gt',
+      addressdetails: 1,
+      limit: 1
+    },
+    headers: { 'User-Agent': USER_AGENT, 'Accept-Language': 'es' },
+    timeout: 10000
+  }));
+
+  const hit = response.data?.[0];
+  if (!hit) return null;
+
+  return {
+    lat: parseFloat(hit.lat),
+    lng: parseFloat(hit.lon),
+    venue_name: hit.name || hit.display_name.split(',')[0],
+    formatted_address: hit.display_name,
+    confidence: hit.importance >= 0.5 ? 'high' : 'medium'
+  };
+}
+
+/**
+ * Google Geocoding API provider (GOOGLE_MAPS_API_KEY)
+ */
+async function geocodeGoogle(text) {
+  const apiKey = process.env.GOOGLE_MAPS_API_KEY;
+  if (!apiKey) {
+    throw new Error('GOOGLE_MAPS_API_KEY not configured');
+  }
+
+  const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
+    params: {
+      address: expandGuatemalaQuery(text),
+      region: 'gt',
+      components: 'country:GT',
+      language: 'es',
+      key: apiKey
+    },
+    timeout: 10000
+  });
+
+  const hit = response.data?.results?.[0];
+  if (!hit) return null;
+
+  return {
+    lat: hit.geometry.location.lat,
+    lng: hit.geometry.location.lng,
+    venue_name: hit.address_components?.[0]?.long_name || hit.formatted_address.split(',')[0],
+    formatted_address: hit.formatted_address,
+    confidence: hit.geometry.location_type === 'ROOFTOP' ? 'high' : 'medium'
+  };
+}
+
+const PROVIDERS = {
+  stub: geocodeStub,
+  nominatim: geocodeNominatim,
+  google: geocodeGoogle
+};
+
+/**
+ * Register a custom provider: async (text) => result | null
+ * @param {string} name - Provider name for GEOCODER_PROVIDER
+ * @param {Function} fn - Provider implementation
+ */
+function registerGeocoder(name, fn) {
+  PROVIDERS[name] = fn;
+}
+
+async function readPersistentCache(key, provider) {
+  if (!isConfigured()) return undefined;
+
+  const { data, error } = await getSupabase()
+    .from('geocode_cache')
+    .select('result')
+    .eq('query', key)
+    .eq('provider', provider)
+    .maybeSingle();
+
+  if (error) {
+    console.warn('[GEOCODER] ⚠️ Cache read failed:', error.message);
+    return undefined;
+  }
+
+  return data ? data.result : undefined;
+}
+
+async function writePersistentCache(key, provider, result) {
+  if (!isConfigured()) return;
+
+  const { error } = await getSupabase()
+    .from('geocode_cache')
+    .upsert({ query: key, provider, result }, { onConflict: 'query,provider' });
+
+  if (error) {
+    console.warn('[GEOCODER] ⚠️ Cache write failed:', error.message);
+  }
+}
+
+/**
+ * Resolve a location string to coordinates
+ * @param {string} text - Free-text location
+ * @param {Object} options
+ * @param {string} options.provider - Override GEOCODER_PROVIDER
+ * @returns {Promise<Object|null>} { lat, lng, venue_name, formatted_address, confidence, provider } or null
+ */
+async function geocodeLocation(text, { provider } = {}) {
+  const key = normalizeLocationQuery(text);
+  if (!key || key === 'no especificado') return null;
+
+  const providerName = provider || process.env.GEOCODER_PROVIDER || DEFAULT_PROVIDER;
+  const geocode = PROVIDERS[providerName];
+  if (!geocode) {
+    throw new Error(`Unknown geocoder provider: ${providerName}`);
+  }
+
+  const cacheKey = `${providerName}:${key}`;
+  if (memoryCache.has(cacheKey)) {
+    return memoryCache.get(cacheKey);
+  }
+
+  let result = await readPersistentCache(key, providerName);
+
+  if (result === undefined) {
+    const hit = await geocode(text);
+    result = hit ? { ...hit, provider: providerName } : null;
+    await writePersistentCache(key, providerName, result);
+    console.log(`[GEOCODER] 📍 "${text}" → ${result ? `${result.venue_name} (${result.lat}, ${result.lng})` : 'no match'} [${providerName}]`);
+  }
+
+  memoryCache.set(cacheKey, result);
+  return result;
+}
+
+/**
+ * Coordinates for an event row. Explicit latitude/longitude win; otherwise the
+ * `location` text is geocoded. Geocoding failures never block event writes.
+ * @param {Object} event - Event columns (location, latitude, longitude)
+ * @returns {Promise<Object>} Columns to merge: { latitude, longitude, location_name } or {}
+ */
+async function resolveEventCoordinates(event) {
+  if (event.latitude != null && event.longitude != null) return {};
+  if (!event.location) return {};
+
+  try {
+    const result = await geocodeLocation(event.location);
+    if (!result) return {};
+
+    return {
+      latitude: result.lat,
+      longitude: result.lng,
+      location_name: result.venue_name
+    };
+  } catch (error) {
+    console.warn(`[GEOCODER] ⚠️ Could not geocode "${event.location}":`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Great-circle distance in kilometers
+ * @returns {number}
+ */
+function haversineKm(lat1, lng1, lat2, lng2) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+module.exports = {
+  GUATEMALA_PLACES,
+  normalizeLocationQuery,
+  expandGuatemalaQuery,
+  registerGeocoder,
+  geocodeLocation,
+  resolveEventCoordinates,
+  haversineKm
+};
@@ -0,0 +1,88 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+delete process.env.GEOCODER_PROVIDER;
+
+const { geocodeLocation, resolveEventCoordinates } = require('./geocoder');
+
+const NOMINATIM_INTERVAL_MS = 1000;
+
+before(() => {
+  for (const method of ['log', 'warn']) mock.method(console, method, () => {});
+});
+
+after(() => mock.restoreAll());
+
+describe('stub geocoder', () => {
+  it('is the default provider', async () => {
+    const result = await geocodeLocation('Antigua');
+
+    assert.strictEqual(result.provider, 'stub');
+    assert.strictEqual(result.venue_name, 'Antigua Guatemala, Sacatepéquez');
+    assert.deepStrictEqual([result.lat, result.lng], [14.5586, -90.7295]);
+  });
+
+  it('matches aliases inside free text, without accents', async () => {
+    assert.strictEqual((await geocodeLocation('Bar Las Cien Puertas, Zona Viva')).venue_name, 'Zona 10, Ciudad de Guatemala');
+    assert.strictEqual((await geocodeLocation('Cobán, A.V.')).venue_name, 'Cobán, Alta Verapaz');
+  });
+
+  it('reads "z10" / "z. 4" as zones', async () => {
+    assert.strictEqual((await geocodeLocation('Café Saúl z10')).venue_name, 'Zona 10, Ciudad de Guatemala');
+    assert.strictEqual((await geocodeLocation('4 Grados Norte z. 4')).venue_name, 'Zona 4, Ciudad de Guatemala');
+  });
+
+  it('prefers the longest alias', async () => {
+    // "zona 1" is a prefix of "zona 10" and "zona 14"
+    assert.strictEqual((await geocodeLocation('Oakland Mall zona 10')).venue_name, 'Zona 10, Ciudad de Guatemala');
+    assert.strictEqual((await geocodeLocation('Paseo Cayalá')).venue_name, 'Paseo Cayalá, Ciudad de Guatemala');
+  });
+
+  it('returns null for unknown or unspecified places', async () => {
+    assert.strictEqual(await geocodeLocation('Un lugar secreto'), null);
+    assert.strictEqual(await geocodeLocation('No especificado'), null);
+    assert.strictEqual(await geocodeLocation(''), null);
+  });
+
+  it('fills event coordinates unless the event has its own', async () => {
+    assert.deepStrictEqual(await resolveEventCoordinates({ location: 'Xela' }), {
+      latitude: 14.8347,
+      longitude: -91.5181,
+      location_name: 'Quetzaltenango'
+    });
+    assert.deepStrictEqual(await resolveEventCoordinates({ location: 'Xela', latitude: 1, longitude: 2 }), {});
+  });
+});
+
+describe('nominatim geocoder', () => {
+  let server;
+  const requestTimes = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requestTimes.push(Date.now());
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify([{ lat: '14.6', lon: '-90.5', name: 'Lugar', display_name: 'Lugar, Guatemala', importance: 0.6 }]));
+    });
+    server.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    process.env.NOMINATIM_URL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    delete process.env.NOMINATIM_URL;
+  });
+
+  it('sends at most one request per second', async () => {
+    const results = await Promise.all(['Lugar uno', 'Lugar dos', 'Lugar tres']
+      .map((text) => geocodeLocation(text, { provider: 'nominatim' })));
+
+    assert.ok(results.every((result) => result.provider === 'nominatim'));
+    assert.strictEqual(requestTimes.length, 3);
+    for (let i = 1; i < requestTimes.length; i++) {
+      assert.ok(requestTimes[i] - requestTimes[i - 1] >= NOMINATIM_INTERVAL_MS, `requests ${i - 1} and ${i} were ${requestTimes[i] - requestTimes[i - 1]} ms apart`);
+    }
+  });
+});
@@ -0,0 +1,275 @@
+const { DEFAULT_TIMEZONE, addDays, parseTime, zonedTimeToInstant, getOccurrenceInstants } = require('./eventTime');
+const { normalizeText } = require('../utils/text');
+
+/**
+ * iCalendar (RFC 5545) export for single events and subscribable feeds.
+ *
+ * Every event is one VEVENT with a stable UID (`<event id>@wow.events`) and
+ * SEQUENCE from `events.sequence`, bumped on each edit, cancellation or
+ * occurrence change, so subscribed calendars replace their copy instead of
+ * duplicating it. Recurring events keep their RRULE / RDATE / EXDATE;
+ * cancelled occurrences become EXDATEs and rescheduled ones a VEVENT with
+ * RECURRENCE-ID. Times use the event's IANA zone as TZID (no VTIMEZONE:
+ * Google, Apple and Outlook resolve IANA names themselves).
+ */
+
+const PRODID = '-//WoW//Eventos//ES';
+const UID_DOMAIN = 'wow.events';
+
+// RFC 5545 3.1: lines are folded at 75 octets
+const MAX_LINE_OCTETS = 75;
+
+// Control characters other than tab: a raw CR or LF would end the content line
+const CONTROL_CHARS = /[\u0000-\u0008\u000a-\u001f\u007f]/g;
+
+/**
+ * Escape a TEXT value (backslash, ";", "," and line breaks); other control
+ * characters are dropped
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n')
+    .replace(CONTROL_CHARS, '');
+}
+
+/**
+ * A URI value for the URL property, or null when it isn't a plain http(s)
+ * URL (URI values can't be escaped, so anything else is left out)
+ */
+function exportUrl(value) {
+  const url = String(value);
+  return /^https?:\/\/[^\s"<>\\^`{|}]+$/i.test(url) ? url : null;
+}
+
+/**
+ * Fold a content line into 75-octet chunks without splitting UTF-8 characters.
+ * Values are escaped beforehand; control characters are still removed here
+ * so no value can end the line early and inject properties.
+ */
+function foldLine(line) {
+  line = line.replace(CONTROL_CHARS, '');
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const chunks = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts toward the limit
+    const limit = chunks.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (size + bytes > limit) {
+      chunks.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+const compactDate = (date) => date.replace(/-/g, '');
+
+/**
+ * UTC DATE-TIME: 20261107T030000Z
+ */
+function formatUtc(instant) {
+  return instant.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Local DATE-TIME for a TZID property: 20261106T210000
+ */
+function formatLocal(date, time) {
+  const { hour, minute } = parseTime(time);
+  return `${compactDate(date)}T${String(hour).padStart(2, '0')}${String(minute).padStart(2, '0')}00`;
+}
+
+/**
+ * A date property (DTSTART, RECURRENCE-ID, EXDATE, RDATE) for one or more
+ * occurrence dates: DATE values for all-day events, local times with TZID otherwise
+ * @returns {string} Content line
+ */
+function dateProperty(name, dates, time, timezone) {
+  if (!parseTime(time)) {
+    return `${name};VALUE=DATE:${dates.map(compactDate).join(',')}`;
+  }
+  return `${name};TZID=${timezone}:${dates.map((date) => formatLocal(date, time)).join(',')}`;
+}
+
+/**
+ * DTSTART / DTEND lines of one occurrence. DTEND is the UTC end instant
+ * (the next day for times past midnight); timed events without end_time have
+ * no DTEND, all-day events end the next day.
+ */
+function timeLines(date, time, endTime, timezone) {
+  const lines = [dateProperty('DTSTART', [date], time, timezone)];
+
+  if (!parseTime(time)) {
+    lines.push(`DTEND;VALUE=DATE:${compactDate(addDays(date, 1))}`);
+  } else if (parseTime(endTime)) {
+    lines.push(`DTEND:${formatUtc(getOccurrenceInstants(date, time, endTime, timezone).end)}`);
+  }
+
+  return lines;
+}
+
+/**
+ * RRULE for the export. A date-only UNTIL becomes the UTC end of that day in
+ * the event's zone, since UNTIL must match a timed DTSTART (RFC 5545 3.3.10).
+ */
+function exportRRule(rrule, time, timezone) {
+  if (!parseTime(time)) return rrule;
+  return rrule.replace(/UNTIL=(\d{4})(\d{2})(\d{2})(?!T)/, (match, y, m, d) => {
+    const endOfDay = zonedTimeToInstant(addDays(`${y}-${m}-${d}`, 1), null, timezone);
+    return `UNTIL=${formatUtc(new Date(endOfDay.getTime() - 1000))}`;
+  });
+}
+
+/**
+ * DESCRIPTION: the event description plus organizer, price and registration link
+ */
+function buildDescription(event) {
+  const parts = [];
+  if (event.description) parts.push(event.description);
+  if (event.organizer) parts.push(`Organiza: ${event.organizer}`);
+  if (event.price && Number(event.price) > 0) parts.push(`Precio: Q${event.price}`);
+  if (event.registration_form_url) parts.push(`Inscripción: ${event.registration_form_url}`);
+  return parts.join('\n');
+}
+
+/**
+ * Properties shared by the series VEVENT and its exceptions
+ */
+function commonLines(event, uid, now) {
+  const lines = [
+    `UID:${uid}`,
+    `DTSTAMP:${formatUtc(new Date(event.updated_at || event.created_at || now))}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `SUMMARY:${escapeText(event.title || 'Evento')}`
+  ];
+
+  const description = buildDescription(event);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (Number.isFinite(event.latitude) && Number.isFinite(event.longitude)) {
+    lines.push(`GEO:${event.latitude};${event.longitude}`);
+  }
+  const url = event.registration_form_url && exportUrl(event.registration_form_url);
+  if (url) lines.push(`URL:${url}`);
+  if (event.category) lines.push(`CATEGORIES:${escapeText(event.category)}`);
+  if (event.updated_at) lines.push(`LAST-MODIFIED:${formatUtc(new Date(event.updated_at))}`);
+
+  return lines;
+}
+
+const eventUid = (event) => `${event.id}@${UID_DOMAIN}`;
+
+/**
+ * VEVENTs for an event: the series (or single date) plus one per rescheduled
+ * occurrence
+ * @param {Object} event - Event row
+ * @param {Object[]} overrides - Its `event_occurrences` rows
+ * @param {Date} now
+ * @returns {string[]} Content lines (unfolded), empty for undated events
+ */
+function buildEventComponents(event, overrides = [], now = new Date()) {
+  if (!event.date) return [];
+
+  const timezone = event.timezone || DEFAULT_TIMEZONE;
+  const uid = eventUid(event);
+  const cancelledDates = overrides.filter((o) => o.status === 'cancelled').map((o) => o.occurrence_date);
+  const exdates = [...new Set([...(event.exdates || []), ...cancelledDates])].sort();
+
+  const lines = [
+    'BEGIN:VEVENT',
+    ...commonLines(event, uid, now),
+    ...timeLines(event.date, event.time, event.end_time, timezone),
+    `STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+
+  if (event.rrule) lines.push(`RRULE:${exportRRule(event.rrule, event.time, timezone)}`);
+  if (event.rdates?.length) lines.push(dateProperty('RDATE', event.rdates, event.time, timezone));
+  if (exdates.length) lines.push(dateProperty('EXDATE', exdates, event.time, timezone));
+  lines.push('END:VEVENT');
+
+  const rescheduled = overrides.filter((o) => o.status !== 'cancelled' && (o.time || o.end_time));
+  for (const override of rescheduled) {
+    lines.push(
+      'BEGIN:VEVENT',
+      ...commonLines(event, uid, now),
+      dateProperty('RECURRENCE-ID', [override.occurrence_date], event.time, timezone),
+      ...timeLines(override.occurrence_date, override.time || event.time, override.end_time || event.end_time, timezone),
+      'STATUS:CONFIRMED',
+      'END:VEVENT'
+    );
+  }
+
+  return lines;
+}
+
+/**
+ * A standalone VEVENT for one occurrence (a saved date of a recurring event).
+ * Its UID is distinct from the series so it doesn't clash with a subscribed copy.
+ * @param {Object} event - Event row
+ * @param {Object} occurrence - services/occurrences.js resolveOccurrence() output
+ * @param {Date} now
+ * @returns {string[]} Content lines (unfolded)
+ */
+function buildOccurrenceComponent(event, occurrence, now = new Date()) {
+  const timezone = event.timezone || DEFAULT_TIMEZONE;
+  return [
+    'BEGIN:VEVENT',
+    ...commonLines(event, `${event.id}-${compactDate(occurrence.date)}@${UID_DOMAIN}`, now),
+    ...timeLines(occurrence.date, occurrence.time, occurrence.end_time, timezone),
+    `STATUS:${occurrence.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Wrap VEVENT lines in a VCALENDAR and serialize (CRLF, folded)
+ * @param {string} name - Calendar name shown by subscribing apps
+ * @param {string[]} components - Content lines from buildEventComponents / buildOccurrenceComponent
+ * @returns {string}
+ */
+function buildCalendar(name, components) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${DEFAULT_TIMEZONE}`,
+    ...components,
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Download name for a single event: "noche-de-jazz.ics"
+ * @param {Object} event - Event row
+ * @returns {string}
+ */
+function calendarFilename(event) {
+  const slug = normalizeText(event.title).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+  return `${slug || 'evento'}.ics`;
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  buildEventComponents,
+  buildOccurrenceComponent,
+  buildCalendar,
+  calendarFilename
+};
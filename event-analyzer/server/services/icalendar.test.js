@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { escapeText, foldLine, buildEventComponents, buildCalendar } = require('./icalendar');
+const { validateEventData } = require('./eventData');
+
+const NOW = new Date('2026-10-18T18:00:00Z');
+
+const calendarFor = (fields) => buildCalendar('Test', buildEventComponents({
+  id: 'event-1',
+  title: 'Noche de jazz',
+  date: '2026-11-06',
+  time: '21:00',
+  ...fields
+}, [], NOW));
+
+const contentLines = (calendar) => calendar.replace(/\r\n /g, '').split('\r\n');
+
+describe('escapeText', () => {
+  it('escapes backslashes, separators and every kind of line break', () => {
+    assert.strictEqual(escapeText('a\\b;c,d\r\ne\rf\ng'), 'a\\\\b\\;c\\,d\\ne\\nf\\ng');
+  });
+
+  it('drops other control characters but keeps tabs', () => {
+    assert.strictEqual(escapeText('a\u0000b\u001bc\td'), 'abc\td');
+  });
+});
+
+describe('foldLine', () => {
+  it('folds at 75 octets without splitting characters', () => {
+    const line = `SUMMARY:${'ñ'.repeat(60)}`;
+    const chunks = foldLine(line).split('\r\n ');
+
+    assert.ok(chunks.every((chunk) => Buffer.byteLength(chunk) <= 75));
+    assert.strictEqual(chunks.join(''), line);
+  });
+
+  it('removes raw line breaks', () => {
+    assert.strictEqual(foldLine('URL:https://a.b/x\r\nBEGIN:VALARM'), 'URL:https://a.b/xBEGIN:VALARM');
+  });
+});
+
+describe('buildEventComponents', () => {
+  it('leaves out a registration URL with line breaks instead of injecting properties', () => {
+    const lines = contentLines(calendarFor({
+      registration_form_url: 'https://a.b/x\r\nBEGIN:VALARM\r\nACTION:DISPLAY'
+    }));
+
+    assert.ok(!lines.some((line) => line.startsWith('URL:')));
+    assert.ok(!lines.includes('BEGIN:VALARM'));
+    assert.ok(!lines.includes('ACTION:DISPLAY'));
+    assert.strictEqual(lines.filter((line) => line.startsWith('BEGIN:')).length, 2);
+  });
+
+  it('exports a plain http(s) registration URL', () => {
+    const lines = contentLines(calendarFor({ registration_form_url: 'https://forms.gle/abc123' }));
+
+    assert.ok(lines.includes('URL:https://forms.gle/abc123'));
+  });
+
+  it('keeps a lone carriage return inside the escaped text', () => {
+    const lines = contentLines(calendarFor({ location: 'Zona 10\rACTION:DISPLAY' }));
+
+    assert.ok(lines.includes('LOCATION:Zona 10\\nACTION:DISPLAY'));
+    assert.ok(!lines.includes('ACTION:DISPLAY'));
+  });
+});
+
+describe('validateEventData', () => {
+  it('rejects a registration_form_url with control characters', () => {
+    assert.strictEqual(
+      validateEventData({ title: 'Feria', registration_form_url: 'https://a.b/x\r\nBEGIN:VALARM' }),
+      'registration_form_url must not contain control characters'
+    );
+    assert.strictEqual(validateEventData({ title: 'Feria', registration_form_url: 'https://a.b/x' }), null);
+  });
+});
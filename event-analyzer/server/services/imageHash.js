@@ -0,0 +1,92 @@
+const sharp = require('sharp');
+const { fetchPublicUrl } = require('../utils/publicUrl');
+
+/**
+ * Perceptual hashes of flyer images (dHash).
+ *
+ * The image is shrunk to 9x8 grayscale and each bit records whether a pixel is
+ * brighter than its right neighbour. Re-encoded, resized or slightly cropped
+ * copies of the same flyer (WhatsApp compression, Instagram crops, screenshots)
+ * keep almost the same 64 bits, so two hashes are compared by Hamming distance.
+ * Stored as 16 hex characters in `events.image_hash` / `whatsapp_flyers.image_hash`.
+ */
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const HASH_BITS = (HASH_WIDTH - 1) * HASH_HEIGHT;
+
+const MAX_IMAGE_BYTES = 15 * 1024 * 1024;
+
+/**
+ * dHash of an image
+ * @param {Buffer} buffer - Any format sharp reads (JPEG, PNG, WebP, GIF)
+ * @returns {Promise<string>} 16 hex characters
+ */
+async function computeImageHash(buffer) {
+  const pixels = await sharp(buffer)
+    .rotate()
+    .grayscale()
+    .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const i = y * HASH_WIDTH + x;
+      hash = (hash << 1n) | (pixels[i] > pixels[i + 1] ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(HASH_BITS / 4, '0');
+}
+
+/**
+ * dHash of an image URL (public addresses only) or base64 data URI
+ * @param {string} source - events.image / whatsapp_flyers.flyer
+ * @returns {Promise<string>}
+ */
+async function hashImageSource(source) {
+  const dataUri = /^data:[^;]+;base64,(.+)$/.exec(source);
+  if (dataUri) return computeImageHash(Buffer.from(dataUri[1], 'base64'));
+
+  const { data } = await fetchPublicUrl(source, {
+    maxBytes: MAX_IMAGE_BYTES,
+    timeout: 15000,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; WoWEventBot/1.0; +https://standatpd.com)'
+    }
+  });
+
+  return computeImageHash(data);
+}
+
+/**
+ * Number of differing bits between two hashes
+ * @returns {number} 0..64
+ */
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * Similarity of two hashes, 0..1 (1 = same image). Null when either is missing.
+ * @returns {number|null}
+ */
+function imageHashSimilarity(a, b) {
+  if (!a || !b) return null;
+  return 1 - hammingDistance(a, b) / HASH_BITS;
+}
+
+module.exports = {
+  computeImageHash,
+  hashImageSource,
+  hammingDistance,
+  imageHashSimilarity
+};
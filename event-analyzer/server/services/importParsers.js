@@ -0,0 +1,216 @@
+/**
+ * Parsers for event imports: iCalendar, CSV and JSON feeds.
+ *
+ * Each parser turns the raw text into plain rows. ICS rows are keyed by
+ * lowercased property name ({ summary, dtstart: { value, params }, ... });
+ * CSV rows by header and JSON rows keep the feed's own keys. Mapping rows to
+ * event fields happens in services/eventImport.js.
+ */
+
+const FORMATS = ['ics', 'csv', 'json'];
+
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+// ICS properties that may appear more than once per VEVENT
+const MULTI_VALUE_PROPERTIES = new Set(['rdate', 'exdate', 'categories', 'attach']);
+
+/**
+ * Guess the format from an explicit value, a filename / content type, or the content
+ * @param {Object} source - { format, filename, contentType, text }
+ * @returns {string|null} One of FORMATS
+ */
+function detectFormat({ format, filename, contentType, text }) {
+  if (format) return FORMATS.includes(format) ? format : null;
+
+  const extension = /\.(ics|ical|csv|json)$/i.exec(filename || '')?.[1]?.toLowerCase();
+  if (extension) return extension === 'ical' ? 'ics' : extension;
+
+  if (/text\/calendar/i.test(contentType || '')) return 'ics';
+  if (/json/i.test(contentType || '')) return 'json';
+  if (/csv/i.test(contentType || '')) return 'csv';
+
+  const start = (text || '').replace(/^\uFEFF/, '').trimStart();
+  if (/^BEGIN:VCALENDAR/i.test(start)) return 'ics';
+  if (/^[[{]/.test(start)) return 'json';
+  return start ? 'csv' : null;
+}
+
+// ─── iCalendar ──────────────────────────────────────────────────────────────
+
+function unescapeIcsText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Split a content line into name, params and value. The value starts at the
+ * first ":" outside a quoted parameter ("TZID=...;X="a:b"").
+ */
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon < 0) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...value] = param.split('=');
+    params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toLowerCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * VEVENTs of an iCalendar file. Nested components (VALARM) are ignored.
+ * @param {string} text
+ * @returns {Object[]} Rows: property → { value, params } (arrays for RDATE,
+ *   EXDATE, CATEGORIES); TEXT values are unescaped
+ */
+function parseIcs(text) {
+  const lines = text.replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const rows = [];
+  let current = null;
+  let nested = 0;
+
+  for (const line of lines) {
+    const property = parseContentLine(line.trim());
+    if (!property) continue;
+
+    const { name, params, value } = property;
+
+    if (name === 'begin') {
+      if (value.toUpperCase() === 'VEVENT' && !current) current = {};
+      else if (current) nested++;
+      continue;
+    }
+
+    if (name === 'end') {
+      if (nested) nested--;
+      else if (current && value.toUpperCase() === 'VEVENT') {
+        rows.push(current);
+        current = null;
+      }
+      continue;
+    }
+
+    if (!current || nested) continue;
+
+    const entry = { value: params.VALUE && params.VALUE !== 'TEXT' ? value : unescapeIcsText(value), params };
+    if (MULTI_VALUE_PROPERTIES.has(name)) (current[name] = current[name] || []).push(entry);
+    else current[name] = entry;
+  }
+
+  return rows;
+}
+
+// ─── CSV ────────────────────────────────────────────────────────────────────
+
+/**
+ * Delimiter with the most occurrences in the header line (outside quotes)
+ */
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  return CSV_DELIMITERS
+    .map((d) => ({ d, count: header.split(d).length - 1 }))
+    .sort((a, b) => b.count - a.count)[0].d;
+}
+
+/**
+ * RFC 4180 CSV (quoted fields, "" escapes, newlines inside quotes).
+ * The delimiter (",", ";" or tab) is detected from the header.
+ * @param {string} text
+ * @returns {{ headers: string[], rows: Object[] }} Rows keyed by header; blank lines skipped
+ */
+function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source);
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [headerRecord = [], ...body] = records.filter((r) => r.some((value) => value.trim()));
+  const headers = headerRecord.map((h) => h.trim());
+
+  const rows = body.map((values) => Object.fromEntries(
+    headers.map((header, index) => [header, (values[index] ?? '').trim()])
+  ));
+
+  return { headers, rows };
+}
+
+// ─── JSON ───────────────────────────────────────────────────────────────────
+
+/**
+ * Events of a JSON feed: a top-level array, or the first array under
+ * events / items / data / results
+ * @param {string} text
+ * @returns {{ rows?: Object[], error?: string }}
+ */
+function parseJsonFeed(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    return { error: `Invalid JSON: ${error.message}` };
+  }
+
+  const list = Array.isArray(parsed)
+    ? parsed
+    : ['events', 'items', 'data', 'results'].map((key) => parsed?.[key]).find(Array.isArray);
+
+  if (!list) {
+    return { error: 'JSON must be an array of events or have an events / items / data array' };
+  }
+
+  return { rows: list.filter((row) => row && typeof row === 'object' && !Array.isArray(row)) };
+}
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  parseIcs,
+  parseCsv,
+  parseJsonFeed
+};
@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { detectFormat, parseIcs, parseCsv, parseJsonFeed } = require('./importParsers');
+
+describe('detectFormat', () => {
+  it('uses the format, then the filename, the content type and the content', () => {
+    assert.strictEqual(detectFormat({ format: 'csv', filename: 'a.ics' }), 'csv');
+    assert.strictEqual(detectFormat({ format: 'xml' }), null);
+    assert.strictEqual(detectFormat({ filename: 'agenda.ical' }), 'ics');
+    assert.strictEqual(detectFormat({ contentType: 'text/calendar; charset=utf-8' }), 'ics');
+    assert.strictEqual(detectFormat({ text: '\uFEFFBEGIN:VCALENDAR\r\n' }), 'ics');
+    assert.strictEqual(detectFormat({ text: '  [{"title":"Feria"}]' }), 'json');
+    assert.strictEqual(detectFormat({ text: 'title,date\n' }), 'csv');
+    assert.strictEqual(detectFormat({ text: '' }), null);
+  });
+});
+
+describe('parseIcs', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:jazz-1',
+    'SUMMARY:Noche de jazz en la terraza del Museo',
+    '  con invitados',
+    'DESCRIPTION:Entrada libre\\, cupo limitado\\nTraer DPI',
+    'DTSTART;TZID="America/Guatemala":20261106T210000',
+    'DURATION:PT2H30M',
+    'RDATE:20261113T210000,20261120T210000',
+    'RDATE:20261127T210000',
+    'BEGIN:VALARM',
+    'DESCRIPTION:Recordatorio',
+    'END:VALARM',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+
+  const [row] = parseIcs(ics);
+
+  it('unfolds continuation lines', () => {
+    assert.strictEqual(row.summary.value, 'Noche de jazz en la terraza del Museo con invitados');
+  });
+
+  it('unescapes TEXT values and keeps quoted parameters', () => {
+    assert.strictEqual(row.description.value, 'Entrada libre, cupo limitado\nTraer DPI');
+    assert.deepStrictEqual(row.dtstart, { value: '20261106T210000', params: { TZID: 'America/Guatemala' } });
+  });
+
+  it('collects repeated properties and ignores nested components', () => {
+    assert.deepStrictEqual(row.rdate.map((entry) => entry.value), ['20261113T210000,20261120T210000', '20261127T210000']);
+    assert.strictEqual(row.duration.value, 'PT2H30M');
+  });
+
+  it('reads LF-only files', () => {
+    assert.strictEqual(parseIcs(ics.replace(/\r\n/g, '\n'))[0].summary.value, row.summary.value);
+  });
+});
+
+describe('parseCsv', () => {
+  it('reads quoted fields with delimiters, escaped quotes and line breaks', () => {
+    const { headers, rows } = parseCsv('title,date,description\r\n"Feria, edición 2","2026-11-06","Dijo ""hola""\nen dos líneas"\r\n');
+
+    assert.deepStrictEqual(headers, ['title', 'date', 'description']);
+    assert.deepStrictEqual(rows, [{ title: 'Feria, edición 2', date: '2026-11-06', description: 'Dijo "hola"\nen dos líneas' }]);
+  });
+
+  it('detects semicolons and tabs from the header', () => {
+    assert.deepStrictEqual(parseCsv('title;price\nFeria;10,50').rows, [{ title: 'Feria', price: '10,50' }]);
+    assert.deepStrictEqual(parseCsv('title\tdate\nFeria\t2026-11-06').rows, [{ title: 'Feria', date: '2026-11-06' }]);
+  });
+
+  it('skips blank lines and fills missing values', () => {
+    assert.deepStrictEqual(parseCsv('\uFEFFtitle,date\n\nFeria\n').rows, [{ title: 'Feria', date: '' }]);
+  });
+});
+
+describe('parseJsonFeed', () => {
+  it('reads a top-level array or a nested events list', () => {
+    assert.deepStrictEqual(parseJsonFeed('[{"title":"Feria"},3,null]'), { rows: [{ title: 'Feria' }] });
+    assert.deepStrictEqual(parseJsonFeed('{"data":[{"title":"Feria"}]}'), { rows: [{ title: 'Feria' }] });
+  });
+
+  it('explains what it expected', () => {
+    assert.match(parseJsonFeed('{').error, /^Invalid JSON/);
+    assert.strictEqual(parseJsonFeed('{"title":"Feria"}').error, 'JSON must be an array of events or have an events / items / data array');
+  });
+});
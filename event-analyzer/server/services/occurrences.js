@@ -0,0 +1,288 @@
+const { DEFAULT_TIMEZONE, getOccurrenceInstants, parseTime } = require('./eventTime');
+const { expandRecurrence } = require('./recurrence');
+
+/**
+ * Occurrence instances of recurring events.
+ *
+ * Occurrences are expanded from the event's recurrence on read (see
+ * services/recurrence.js) and addressed by (event_id, occurrence_date). Only
+ * occurrences a host changed have a row in `event_occurrences`, holding the
+ * override: cancellation, a different time / end_time, or its own capacity.
+ *
+ * `event_registrations`, `saved_events` and `attended_events` carry
+ * `occurrence_date`. It is null for single-date events; on recurring events a
+ * null row (created before occurrences existed) covers the whole series.
+ */
+
+// Default window when listing occurrences without `to`
+const OCCURRENCE_WINDOW_DAYS = 90;
+
+const OCCURRENCE_STATUSES = ['scheduled', 'cancelled'];
+
+// Registrations that take a spot
+const ACTIVE_REGISTRATION_STATUSES = ['pending', 'approved'];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const overrideKey = (eventId, date) => `${eventId}|${date}`;
+
+/**
+ * Whether an event has more than one occurrence (an rrule or extra dates)
+ * @param {Object} event - Event row
+ * @returns {boolean}
+ */
+function isRecurringEvent(event) {
+  return !!event.rrule || (Array.isArray(event.rdates) && event.rdates.length > 0);
+}
+
+/**
+ * Whether a date is one of the event's occurrences
+ * @param {Object} event - Event row
+ * @param {string} date - YYYY-MM-DD
+ * @returns {boolean}
+ */
+function isOccurrenceDate(event, date) {
+  return ISO_DATE.test(date || '') && expandRecurrence(event, { from: date, to: date, limit: 1 }).length > 0;
+}
+
+/**
+ * One occurrence with its override applied
+ * @param {Object} event - Event row
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object|null} override - `event_occurrences` row
+ * @returns {Object} { event_id, date, status, time, end_time, starts_at, ends_at,
+ *   capacity, rescheduled, cancelled_at, cancellation_reason }
+ */
+function resolveOccurrence(event, date, override = null) {
+  const time = override?.time || event.time || null;
+  const endTime = override?.end_time || event.end_time || null;
+  const { start, end } = getOccurrenceInstants(date, time, endTime, event.timezone || DEFAULT_TIMEZONE);
+  const cancelled = event.status === 'cancelled' || override?.status === 'cancelled';
+
+  return {
+    event_id: event.id,
+    date,
+    status: cancelled ? 'cancelled' : 'scheduled',
+    time,
+    end_time: endTime,
+    starts_at: start.toISOString(),
+    ends_at: end.toISOString(),
+    capacity: override?.capacity ?? event.capacity ?? null,
+    rescheduled: !!(override?.time || override?.end_time),
+    cancelled_at: cancelled ? override?.cancelled_at || event.cancelled_at || null : null,
+    cancellation_reason: cancelled ? override?.cancellation_reason || event.cancellation_reason || null : null
+  };
+}
+
+/**
+ * Overrides for a set of events, keyed by "event_id|date"
+ * @param {Object} supabase - Supabase client
+ * @param {string[]} eventIds
+ * @param {Object} window - { from, to } YYYY-MM-DD (inclusive)
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function getOccurrenceOverrides(supabase, eventIds, { from = null, to = null } = {}) {
+  const overrides = new Map();
+  if (!eventIds.length) return overrides;
+
+  let query = supabase
+    .from('event_occurrences')
+    .select('*')
+    .in('event_id', eventIds);
+
+  if (from) query = query.gte('occurrence_date', from);
+  if (to) query = query.lte('occurrence_date', to);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  for (const row of data || []) overrides.set(overrideKey(row.event_id, row.occurrence_date), row);
+  return overrides;
+}
+
+/**
+ * Overrides of one event from a getOccurrenceOverrides() map
+ * @param {Map<string, Object>} overrides
+ * @param {string} eventId
+ * @returns {Object[]} `event_occurrences` rows
+ */
+function overridesForEvent(overrides, eventId) {
+  return [...overrides.values()].filter((row) => row.event_id === eventId);
+}
+
+/**
+ * Occurrences of several events inside a window, overrides applied
+ * @param {Object} supabase - Supabase client
+ * @param {Object[]} events - Event rows
+ * @param {Object} window - { from, to } YYYY-MM-DD (inclusive), limit per event
+ * @returns {Promise<Object[]>} Resolved occurrences sorted by starts_at
+ */
+async function expandOccurrences(supabase, events, window = {}) {
+  const overrides = await getOccurrenceOverrides(supabase, events.map((e) => e.id), window);
+
+  return events
+    .flatMap((event) => expandRecurrence(event, window).map((date) =>
+      resolveOccurrence(event, date, overrides.get(overrideKey(event.id, date)))
+    ))
+    .sort((a, b) => a.starts_at.localeCompare(b.starts_at) || a.event_id.localeCompare(b.event_id));
+}
+
+/**
+ * A single occurrence, or null when the date isn't part of the event
+ * @param {Object} supabase - Supabase client
+ * @param {Object} event - Event row
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Object|null>}
+ */
+async function getOccurrence(supabase, event, date) {
+  if (!isOccurrenceDate(event, date)) return null;
+  const [occurrence] = await expandOccurrences(supabase, [event], { from: date, to: date });
+  return occurrence || null;
+}
+
+/**
+ * The `occurrence_date` a registration, save or scan refers to.
+ * Recurring events need one of their dates; single-date events use null.
+ * @param {Object} event - Event row
+ * @param {string} value - Requested date (body.occurrence_date / query.date)
+ * @returns {{ date?: string|null, error?: string }}
+ */
+function resolveOccurrenceDate(event, value) {
+  if (!isRecurringEvent(event)) {
+    if (value && value !== event.date) {
+      return { error: `occurrence_date must be the event date (${event.date})` };
+    }
+    return { date: null };
+  }
+
+  if (!value) {
+    return { error: 'occurrence_date is required for recurring events' };
+  }
+
+  if (!isOccurrenceDate(event, value)) {
+    return { error: `${value} is not an occurrence of this event` };
+  }
+
+  return { date: value };
+}
+
+/**
+ * Restrict a query on registrations or saves to the ones that apply to an
+ * occurrence (its own rows plus whole-series rows)
+ * @param {Object} query - Supabase query builder
+ * @param {string|null} date - Output of resolveOccurrenceDate
+ * @returns {Object} Query builder
+ */
+function filterByOccurrence(query, date) {
+  return date ? query.or(`occurrence_date.is.null,occurrence_date.eq.${date}`) : query;
+}
+
+/**
+ * Normalize an occurrence override from a request body
+ * @param {Object} body - { time, end_time, capacity, status }
+ * @returns {{ updates?: Object, error?: string }}
+ */
+function normalizeOccurrenceUpdate(body) {
+  const updates = {};
+
+  for (const key of ['time', 'end_time']) {
+    if (body[key] === undefined) continue;
+    if (body[key] !== null && body[key] !== '' && !parseTime(body[key])) {
+      return { error: `${key} must be a time in HH:MM format` };
+    }
+    // null goes back to the series time
+    updates[key] = body[key] || null;
+  }
+
+  if (body.capacity !== undefined) {
+    const capacity = body.capacity === null || body.capacity === '' ? null : Number(body.capacity);
+    if (capacity !== null && (!Number.isInteger(capacity) || capacity < 1)) {
+      return { error: 'capacity must be a positive integer' };
+    }
+    updates.capacity = capacity;
+  }
+
+  if (body.status !== undefined) {
+    if (!OCCURRENCE_STATUSES.includes(body.status)) {
+      return { error: `status must be one of: ${OCCURRENCE_STATUSES.join(', ')}` };
+    }
+    updates.status = body.status;
+    if (body.status === 'scheduled') {
+      updates.cancelled_at = null;
+      updates.cancellation_reason = null;
+    }
+  }
+
+  if (!Object.keys(updates).length) {
+    return { error: 'Nothing to update (time, end_time, capacity or status)' };
+  }
+
+  return { updates };
+}
+
+/**
+ * Store an override for one occurrence (merged into any existing one)
+ * @param {Object} supabase - Supabase client
+ * @param {Object} event - Event row
+ * @param {string} date - YYYY-MM-DD, an occurrence of the event
+ * @param {Object} updates - normalizeOccurrenceUpdate() output or a cancellation
+ * @returns {Promise<Object>} The resolved occurrence
+ */
+async function saveOccurrenceOverride(supabase, event, date, updates) {
+  const { data, error } = await supabase
+    .from('event_occurrences')
+    .upsert({
+      event_id: event.id,
+      occurrence_date: date,
+      ...updates,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'event_id,occurrence_date' })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  // Subscribed calendars pick up the change through the event's SEQUENCE
+  const { error: sequenceError } = await supabase
+    .from('events')
+    .update({ sequence: (event.sequence || 0) + 1, updated_at: new Date().toISOString() })
+    .eq('id', event.id);
+
+  if (sequenceError) throw sequenceError;
+  return resolveOccurrence(event, date, data);
+}
+
+/**
+ * Registrations holding a spot in an occurrence (pending or approved)
+ * @param {Object} supabase - Supabase client
+ * @param {string} eventId
+ * @param {string|null} date - Output of resolveOccurrenceDate
+ * @returns {Promise<number>}
+ */
+async function countActiveRegistrations(supabase, eventId, date) {
+  const query = supabase
+    .from('event_registrations')
+    .select('id', { count: 'exact', head: true })
+    .eq('event_id', eventId)
+    .in('status', ACTIVE_REGISTRATION_STATUSES);
+
+  const { count, error } = await filterByOccurrence(query, date);
+  if (error) throw error;
+  return count || 0;
+}
+
+module.exports = {
+  OCCURRENCE_WINDOW_DAYS,
+  isRecurringEvent,
+  isOccurrenceDate,
+  resolveOccurrence,
+  getOccurrenceOverrides,
+  overridesForEvent,
+  expandOccurrences,
+  getOccurrence,
+  resolveOccurrenceDate,
+  filterByOccurrence,
+  normalizeOccurrenceUpdate,
+  saveOccurrenceOverride,
+  countActiveRegistrations
+};
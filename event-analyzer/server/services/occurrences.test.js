@@ -0,0 +1,155 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  isOccurrenceDate,
+  resolveOccurrence,
+  resolveOccurrenceDate,
+  expandOccurrences,
+  normalizeOccurrenceUpdate
+} = require('./occurrences');
+
+/**
+ * Supabase stand-in for `event_occurrences`: in(), gte() and lte() filter the
+ * rows, every call is recorded
+ */
+function createSupabaseStub(rows) {
+  const calls = [];
+
+  function from(table) {
+    const filters = [];
+
+    const builder = {
+      select: () => builder,
+      in(column, values) {
+        filters.push((row) => values.includes(row[column]));
+        return builder;
+      },
+      gte(column, value) {
+        filters.push((row) => row[column] >= value);
+        return builder;
+      },
+      lte(column, value) {
+        filters.push((row) => row[column] <= value);
+        return builder;
+      },
+      then(resolve, reject) {
+        calls.push(table);
+        const data = rows.filter((row) => filters.every((filter) => filter(row)));
+        return Promise.resolve({ data, error: null }).then(resolve, reject);
+      }
+    };
+
+    return builder;
+  }
+
+  return { from, calls };
+}
+
+const series = {
+  id: 'event-1',
+  date: '2026-11-06',
+  time: '21:00',
+  end_time: '02:00',
+  rrule: 'FREQ=WEEKLY;BYDAY=FR;COUNT=4',
+  exdates: ['2026-11-13'],
+  capacity: 50
+};
+
+describe('isOccurrenceDate', () => {
+  it('accepts expanded dates and refuses excluded or malformed ones', () => {
+    assert.strictEqual(isOccurrenceDate(series, '2026-11-20'), true);
+    assert.strictEqual(isOccurrenceDate(series, '2026-11-13'), false);
+    assert.strictEqual(isOccurrenceDate(series, '2026-12-04'), false);
+    assert.strictEqual(isOccurrenceDate(series, '20/11/2026'), false);
+  });
+});
+
+describe('resolveOccurrence', () => {
+  it('ends an occurrence past midnight on the next day', () => {
+    const occurrence = resolveOccurrence(series, '2026-11-20');
+
+    assert.strictEqual(occurrence.starts_at, '2026-11-21T03:00:00.000Z');
+    assert.strictEqual(occurrence.ends_at, '2026-11-21T08:00:00.000Z');
+    assert.strictEqual(occurrence.status, 'scheduled');
+    assert.strictEqual(occurrence.capacity, 50);
+  });
+
+  it('applies the override time, capacity and cancellation', () => {
+    const occurrence = resolveOccurrence(series, '2026-11-20', {
+      time: '22:00',
+      capacity: 20,
+      status: 'cancelled',
+      cancellation_reason: 'Lluvia'
+    });
+
+    assert.strictEqual(occurrence.starts_at, '2026-11-21T04:00:00.000Z');
+    assert.strictEqual(occurrence.rescheduled, true);
+    assert.strictEqual(occurrence.capacity, 20);
+    assert.strictEqual(occurrence.status, 'cancelled');
+    assert.strictEqual(occurrence.cancellation_reason, 'Lluvia');
+  });
+
+  it('cancels every occurrence of a cancelled series', () => {
+    assert.strictEqual(resolveOccurrence({ ...series, status: 'cancelled' }, '2026-11-20').status, 'cancelled');
+  });
+});
+
+describe('resolveOccurrenceDate', () => {
+  it('uses null for a single-date event and refuses another date', () => {
+    const single = { id: 'event-2', date: '2026-11-06' };
+
+    assert.deepStrictEqual(resolveOccurrenceDate(single, undefined), { date: null });
+    assert.deepStrictEqual(resolveOccurrenceDate(single, '2026-11-06'), { date: null });
+    assert.deepStrictEqual(resolveOccurrenceDate(single, '2026-11-07'), { error: 'occurrence_date must be the event date (2026-11-06)' });
+  });
+
+  it('needs one of the series dates for a recurring event', () => {
+    assert.deepStrictEqual(resolveOccurrenceDate(series, '2026-11-27'), { date: '2026-11-27' });
+    assert.deepStrictEqual(resolveOccurrenceDate(series, undefined), { error: 'occurrence_date is required for recurring events' });
+    assert.deepStrictEqual(resolveOccurrenceDate(series, '2026-11-13'), { error: '2026-11-13 is not an occurrence of this event' });
+  });
+});
+
+describe('expandOccurrences', () => {
+  it('merges several series by start with their overrides applied', async () => {
+    const supabase = createSupabaseStub([
+      { event_id: 'event-1', occurrence_date: '2026-11-20', status: 'cancelled' },
+      { event_id: 'event-1', occurrence_date: '2026-12-04', time: '18:00' }
+    ]);
+    const early = { id: 'event-3', date: '2026-11-20', time: '19:00' };
+
+    const occurrences = await expandOccurrences(supabase, [series, early], { from: '2026-11-14', to: '2026-11-30' });
+
+    assert.deepStrictEqual(
+      occurrences.map((o) => [o.event_id, o.date, o.status]),
+      [
+        ['event-3', '2026-11-20', 'scheduled'],
+        ['event-1', '2026-11-20', 'cancelled'],
+        ['event-1', '2026-11-27', 'scheduled']
+      ]
+    );
+    assert.deepStrictEqual(supabase.calls, ['event_occurrences']);
+  });
+
+  it('skips the overrides query without events', async () => {
+    const supabase = createSupabaseStub([]);
+
+    assert.deepStrictEqual(await expandOccurrences(supabase, []), []);
+    assert.deepStrictEqual(supabase.calls, []);
+  });
+});
+
+describe('normalizeOccurrenceUpdate', () => {
+  it('clears the cancellation when an occurrence is scheduled again', () => {
+    assert.deepStrictEqual(normalizeOccurrenceUpdate({ status: 'scheduled', time: '' }), {
+      updates: { time: null, status: 'scheduled', cancelled_at: null, cancellation_reason: null }
+    });
+  });
+
+  it('rejects invalid values and empty bodies', () => {
+    assert.deepStrictEqual(normalizeOccurrenceUpdate({ capacity: 0 }), { error: 'capacity must be a positive integer' });
+    assert.deepStrictEqual(normalizeOccurrenceUpdate({ end_time: '25h' }), { error: 'end_time must be a time in HH:MM format' });
+    assert.deepStrictEqual(normalizeOccurrenceUpdate({}), { error: 'Nothing to update (time, end_time, capacity or status)' });
+  });
+});
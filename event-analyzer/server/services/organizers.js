@@ -0,0 +1,165 @@
+const { isUpcomingEvent } = require('./eventTime');
+
+/**
+ * Organizer profiles.
+ *
+ * The vision model returns `organizer` as an Instagram @handle or a promoter
+ * name, stored verbatim in `events.organizer`. Events are grouped under
+ * `events.organizer_handle`, the normalized form of that text, which is also
+ * the primary key of `organizers`.
+ */
+
+const ORGANIZER_COLUMNS = 'handle, display_name, bio, avatar_url, links, claimed_by, claimed_at, claim_requested_by, claim_requested_at, created_at, updated_at';
+
+const LINK_KEYS = ['instagram', 'website', 'facebook', 'tiktok', 'whatsapp', 'email'];
+
+/**
+ * Normalize organizer text to a handle: "@Sitio.Bar" → "sitio.bar",
+ * "Producciones Luna" → "produccionesluna"
+ * @param {string} organizer - events.organizer or a URL handle
+ * @returns {string|null}
+ */
+function normalizeOrganizerHandle(organizer) {
+  if (!organizer || organizer === 'No especificado') return null;
+
+  const handle = organizer
+    .toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/^.*instagram\.com\//, '')
+    .replace(/[/?].*$/, '')
+    .replace(/^@/, '')
+    .replace(/[^a-z0-9._]/g, '')
+    .replace(/^\.+|\.+$/g, '');
+
+  return handle || null;
+}
+
+/**
+ * Whether the raw organizer text is an Instagram handle rather than a name
+ */
+function isInstagramHandle(organizer) {
+  return /^@?[A-Za-z0-9._]{1,30}$/.test((organizer || '').trim()) && /^@|[._]/.test(organizer.trim());
+}
+
+/**
+ * Validate and clean a profile update body
+ * @param {Object} body - { display_name, bio, avatar_url, links }
+ * @returns {{ updates?: Object, error?: string }}
+ */
+function normalizeOrganizerProfile(body) {
+  const updates = {};
+
+  for (const key of ['display_name', 'bio', 'avatar_url']) {
+    if (key in body) {
+      updates[key] = typeof body[key] === 'string' ? body[key].trim() || null : null;
+    }
+  }
+
+  if (updates.avatar_url && !/^https?:\/\//.test(updates.avatar_url)) {
+    return { error: 'avatar_url must be an http(s) URL' };
+  }
+
+  if ('links' in body) {
+    if (!body.links || typeof body.links !== 'object' || Array.isArray(body.links)) {
+      return { error: 'links must be an object' };
+    }
+
+    const unknown = Object.keys(body.links).filter((k) => !LINK_KEYS.includes(k));
+    if (unknown.length > 0) {
+      return { error: `Unknown link types: ${unknown.join(', ')} (allowed: ${LINK_KEYS.join(', ')})` };
+    }
+
+    updates.links = Object.fromEntries(
+      Object.entries(body.links).filter(([, v]) => typeof v === 'string' && v.trim()).map(([k, v]) => [k, v.trim()])
+    );
+  }
+
+  return { updates };
+}
+
+/**
+ * Create the organizer row for an event's organizer if it does not exist yet.
+ * Existing profiles (possibly claimed and edited) are never overwritten.
+ * @param {Object} supabase - Supabase client
+ * @param {string} organizer - Raw events.organizer text
+ * @returns {Promise<string|null>} Organizer handle
+ */
+async function ensureOrganizer(supabase, organizer) {
+  const handle = normalizeOrganizerHandle(organizer);
+  if (!handle) return null;
+
+  const instagram = isInstagramHandle(organizer);
+
+  const { error } = await supabase
+    .from('organizers')
+    .upsert({
+      handle,
+      display_name: instagram ? `@${handle}` : organizer.trim(),
+      links: instagram ? { instagram: `https://instagram.com/${handle}` } : {}
+    }, { onConflict: 'handle', ignoreDuplicates: true });
+
+  if (error) throw error;
+  return handle;
+}
+
+/**
+ * Handles claimed by a user (approved claims only)
+ * @param {Object} supabase - Supabase client
+ * @param {string} userId
+ * @returns {Promise<string[]>}
+ */
+async function getClaimedHandles(supabase, userId) {
+  const { data, error } = await supabase
+    .from('organizers')
+    .select('handle')
+    .eq('claimed_by', userId);
+
+  if (error) throw error;
+  return (data || []).map((o) => o.handle);
+}
+
+/**
+ * PostgREST `or` filter for the events a user manages as a host: the ones
+ * they own plus the ownerless (imported, analyzed) events under the
+ * organizers they claimed
+ * @param {string} userId
+ * @param {string[]} handles - getClaimedHandles() output
+ * @returns {string}
+ */
+function buildManagedEventsFilter(userId, handles) {
+  if (handles.length === 0) return `user_id.eq.${userId}`;
+  return `user_id.eq.${userId},and(user_id.is.null,organizer_handle.in.(${handles.map((h) => `"${h}"`).join(',')}))`;
+}
+
+/**
+ * Aggregate stats for an organizer's events
+ * @param {Object[]} events - Non-deleted events (date, last_date, ends_at, saves_count, venue_id)
+ * @param {Date} now
+ * @returns {Object}
+ */
+function buildOrganizerStats(events, now = new Date()) {
+  const dates = events.map((e) => e.date).filter(Boolean).sort();
+  const upcoming = events.filter((e) => isUpcomingEvent(e, now));
+
+  return {
+    total_events: events.length,
+    upcoming_events: upcoming.length,
+    past_events: events.length - upcoming.length,
+    total_saves: events.reduce((sum, e) => sum + (e.saves_count || 0), 0),
+    venues: new Set(events.map((e) => e.venue_id).filter(Boolean)).size,
+    first_event_date: dates[0] || null,
+    last_event_date: dates[dates.length - 1] || null
+  };
+}
+
+module.exports = {
+  ORGANIZER_COLUMNS,
+  normalizeOrganizerHandle,
+  normalizeOrganizerProfile,
+  ensureOrganizer,
+  getClaimedHandles,
+  buildManagedEventsFilter,
+  buildOrganizerStats
+};
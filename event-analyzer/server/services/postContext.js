@@ -0,0 +1,94 @@
+const { normalizeOrganizerHandle } = require('./organizers');
+const { NOT_SPECIFIED } = require('./analysisSchema');
+
+/**
+ * Instagram post context for flyer analysis: caption, author handle and
+ * publish time. ExtractorT returns them next to the images; the vision
+ * pipeline gets them as text so it can fill in what the flyer leaves out and
+ * anchor relative dates ("este viernes") to the day the post went up.
+ */
+
+// Instagram's caption limit
+const MAX_CAPTION_LENGTH = 2200;
+
+const URL_PATTERN = /https?:\/\/[^\s"'<>)]+/i;
+
+/**
+ * Parse a timestamp from ExtractorT or a client: ISO string, or unix
+ * seconds / milliseconds
+ * @returns {string|null} ISO timestamp
+ */
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const date = typeof value === 'number' || /^\d+$/.test(String(value))
+    ? new Date(Number(value) < 1e12 ? Number(value) * 1000 : Number(value))
+    : new Date(value);
+
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * post_metadata from an ExtractorT /instagram/simple response
+ * @param {Object} data - ExtractorT response body
+ * @returns {{ author: string|null, description: string|null, published_at: string|null }}
+ */
+function extractPostMetadata(data = {}) {
+  return {
+    author: data.author || null,
+    description: data.description || null,
+    published_at: parseTimestamp(data.published_at ?? data.timestamp ?? data.taken_at)
+  };
+}
+
+/**
+ * Clean post context for analysis. Accepts post_metadata as returned by
+ * analyze-url (`description`) or with `caption`.
+ * @param {Object} raw - { author, description|caption, published_at }
+ * @returns {{ author: string|null, caption: string|null, published_at: string|null }|null}
+ *   null when there is nothing to add
+ */
+function normalizePostContext(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const caption = typeof (raw.caption ?? raw.description) === 'string'
+    ? (raw.caption ?? raw.description).trim().slice(0, MAX_CAPTION_LENGTH) || null
+    : null;
+  const author = typeof raw.author === 'string' ? normalizeOrganizerHandle(raw.author) || null : null;
+  const published_at = parseTimestamp(raw.published_at);
+
+  if (!caption && !author && !published_at) return null;
+  return { author, caption, published_at };
+}
+
+/**
+ * Deterministic fallbacks after the model answered: the author is the
+ * organizer when the flyer names none, and a caption link is the
+ * registration URL when the flyer has none
+ * @param {Object} analysis - Validated analysis (mutated)
+ * @param {Object|null} context - normalizePostContext() output
+ * @returns {Object} analysis
+ */
+function applyContextFallbacks(analysis, context) {
+  if (!context) return analysis;
+
+  if (analysis.organizer === NOT_SPECIFIED && context.author) {
+    analysis.organizer = `@${context.author}`;
+    analysis.field_sources = { ...analysis.field_sources, organizer: 'author' };
+  }
+
+  const link = context.caption && URL_PATTERN.exec(context.caption);
+  if (analysis.registration_url === NOT_SPECIFIED && link) {
+    analysis.registration_url = link[0].replace(/[.,;:!?]+$/, '');
+    analysis.field_sources = { ...analysis.field_sources, registration_url: 'caption' };
+  }
+
+  return analysis;
+}
+
+module.exports = {
+  parseTimestamp,
+  extractPostMetadata,
+  normalizePostContext,
+  applyContextFallbacks
+};
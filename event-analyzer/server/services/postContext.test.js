@@ -0,0 +1,117 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+
+const { NOT_SPECIFIED } = require('./analysisSchema');
+const { parseTimestamp, extractPostMetadata, normalizePostContext, applyContextFallbacks } = require('./postContext');
+const { registerVisionProvider } = require('./visionProviders');
+const { analyzeEventImage } = require('./eventVision');
+
+const CAPTION = 'Este viernes tocamos en Zona 4 🎶 Entradas: https://boletos.gt/ruido.';
+
+describe('parseTimestamp', () => {
+  it('reads ISO strings and unix seconds or milliseconds', () => {
+    assert.strictEqual(parseTimestamp('2026-10-16T14:00:00-06:00'), '2026-10-16T20:00:00.000Z');
+    assert.strictEqual(parseTimestamp(1792180800), '2026-10-16T20:00:00.000Z');
+    assert.strictEqual(parseTimestamp('1792180800000'), '2026-10-16T20:00:00.000Z');
+  });
+
+  it('returns null for missing or invalid values', () => {
+    assert.strictEqual(parseTimestamp(undefined), null);
+    assert.strictEqual(parseTimestamp(''), null);
+    assert.strictEqual(parseTimestamp('ayer'), null);
+  });
+});
+
+describe('extractPostMetadata', () => {
+  it('reads the publish time from any ExtractorT key', () => {
+    assert.deepStrictEqual(extractPostMetadata({ author: 'ruido.gt', description: CAPTION, taken_at: 1792180800 }), {
+      author: 'ruido.gt',
+      description: CAPTION,
+      published_at: '2026-10-16T20:00:00.000Z'
+    });
+    assert.deepStrictEqual(extractPostMetadata(), { author: null, description: null, published_at: null });
+  });
+});
+
+describe('normalizePostContext', () => {
+  it('accepts description or caption and normalizes the author handle', () => {
+    assert.deepStrictEqual(normalizePostContext({ author: '@Ruido.GT', description: `  ${CAPTION}  `, published_at: 1792180800 }), {
+      author: 'ruido.gt',
+      caption: CAPTION,
+      published_at: '2026-10-16T20:00:00.000Z'
+    });
+    assert.strictEqual(normalizePostContext({ caption: 'x'.repeat(3000) }).caption.length, 2200);
+  });
+
+  it('returns null when there is nothing to add', () => {
+    assert.strictEqual(normalizePostContext(null), null);
+    assert.strictEqual(normalizePostContext('ruido.gt'), null);
+    assert.strictEqual(normalizePostContext({ author: 42, caption: '   ', published_at: 'ayer' }), null);
+  });
+});
+
+describe('applyContextFallbacks', () => {
+  const context = { author: 'ruido.gt', caption: CAPTION, published_at: null };
+  const analysis = (extra = {}) => ({ organizer: NOT_SPECIFIED, registration_url: NOT_SPECIFIED, ...extra });
+
+  it('uses the author as organizer and a caption link as registration URL', () => {
+    const result = applyContextFallbacks(analysis({ field_sources: { date: 'image' } }), context);
+
+    assert.strictEqual(result.organizer, '@ruido.gt');
+    assert.strictEqual(result.registration_url, 'https://boletos.gt/ruido');
+    assert.deepStrictEqual(result.field_sources, { date: 'image', organizer: 'author', registration_url: 'caption' });
+  });
+
+  it('keeps what the model found', () => {
+    const result = applyContextFallbacks(analysis({ organizer: 'Colectivo Ruido', registration_url: 'https://ruido.gt' }), context);
+
+    assert.strictEqual(result.organizer, 'Colectivo Ruido');
+    assert.strictEqual(result.registration_url, 'https://ruido.gt');
+    assert.strictEqual(result.field_sources, undefined);
+    assert.deepStrictEqual(applyContextFallbacks(analysis(), null), analysis());
+  });
+});
+
+describe('analyzeEventImage with post context', () => {
+  const requests = [];
+  const IMAGE = 'data:image/png;base64,AAAA';
+  const NOW = new Date('2026-10-18T18:00:00Z');
+
+  before(() => {
+    registerVisionProvider('recorder', {
+      defaultModel: 'test',
+      async analyze(request) {
+        requests.push(request);
+        return { content: JSON.stringify({ event_name: 'Ruido en vivo', date: '2026-10-23', confidence: 'high' }), tokensUsed: 0 };
+      }
+    });
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('sends the caption and author and dates from the publish day', async () => {
+    const context = { author: 'ruido.gt', description: CAPTION, published_at: '2026-10-16T20:00:00Z' };
+
+    const { analysis } = await analyzeEventImage(IMAGE, 'Post', { provider: 'recorder', context, now: NOW });
+
+    const { systemPrompt, userText } = requests.at(-1);
+    assert.match(systemPrompt, /La publicación se hizo el 16 de octubre de 2026/);
+    assert.doesNotMatch(systemPrompt, /Hoy es/);
+    assert.match(userText, /- Autor: @ruido\.gt/);
+    assert.match(userText, /- Publicado: 16 de octubre de 2026/);
+    assert.ok(userText.includes(CAPTION));
+    assert.strictEqual(analysis.organizer, '@ruido.gt');
+    assert.strictEqual(analysis.registration_url, 'https://boletos.gt/ruido');
+  });
+
+  it('dates from options.now without a publish date', async () => {
+    await analyzeEventImage(IMAGE, 'Post', { provider: 'recorder', context: { author: 'ruido.gt' }, now: NOW });
+
+    const { systemPrompt, userText } = requests.at(-1);
+    assert.match(systemPrompt, /Hoy es 18 de octubre de 2026/);
+    assert.doesNotMatch(userText, /Publicado|Descripción del post/);
+  });
+});
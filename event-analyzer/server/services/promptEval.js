@@ -0,0 +1,302 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { analyzeEventImage } = require('./eventVision');
+const { resolvePromptVersion } = require('./promptTemplates');
+const { resolveVisionConfig } = require('./visionProviders');
+const { isValidTimezone } = require('./eventTime');
+
+/**
+ * Offline evaluation of prompt versions against a labeled flyer dataset.
+ *
+ * A dataset is a directory:
+ *
+ *   dataset.json                   { name, reference_date, timezone, cases: [...] }
+ *   images/<file>                  Flyers referenced by the cases
+ *   responses/<version>/<hash>.json  Recorded model responses per prompt version
+ *                                  (mock provider fixtures, keyed by image sha256)
+ *
+ * A case is { id, image, title?, reference_date?, timezone?, post_metadata?,
+ * expected }. `image` is a path relative to the dataset or an http(s) URL.
+ * `reference_date` pins "today" so relative dates ("este viernes") are
+ * reproducible; the dataset's value is the default. `expected` holds the
+ * labels for any of EVAL_FIELDS; fields left out are not scored:
+ *
+ *   date, time        "YYYY-MM-DD" / "HH:MM", or null when the flyer has none
+ *   category          "music" | "volunteer" | "general"
+ *   subcategory       Subcategory id or null
+ *   recurrence        null for a single date, or the parts of analysis.recurrence
+ *                     to compare: { rrule, rdates, dtstart } (only the keys given)
+ *
+ * With the mock provider (default) every case replays the response recorded
+ * for that prompt version, so runs are free and deterministic. Any other
+ * provider calls the model; with `record` its responses are saved into
+ * responses/<version>/ for later offline runs.
+ */
+
+const EVAL_FIELDS = ['date', 'time', 'category', 'subcategory', 'recurrence'];
+
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+};
+
+const NOT_SPECIFIED = 'No especificado';
+
+/**
+ * Read and validate a dataset directory
+ * @param {string} dir
+ * @returns {Promise<{ dir: string, name: string, cases: Object[] }>}
+ * @throws {Error} When dataset.json is missing or a case is invalid
+ */
+async function loadDataset(dir) {
+  const file = path.join(dir, 'dataset.json');
+  const dataset = JSON.parse(await fs.readFile(file, 'utf8'));
+  const cases = Array.isArray(dataset) ? dataset : dataset.cases;
+
+  if (!Array.isArray(cases) || cases.length === 0) {
+    throw new Error(`${file}: cases must be a non-empty array`);
+  }
+
+  const ids = new Set();
+  const resolved = cases.map((item, index) => {
+    const label = `${file}: case ${item?.id || index}`;
+    if (!item?.id || typeof item.id !== 'string') throw new Error(`${label}: id is required`);
+    if (ids.has(item.id)) throw new Error(`${label}: duplicate id`);
+    ids.add(item.id);
+    if (!item.image || typeof item.image !== 'string') throw new Error(`${label}: image is required`);
+    if (!item.expected || typeof item.expected !== 'object') throw new Error(`${label}: expected is required`);
+
+    const referenceDate = item.reference_date || dataset.reference_date;
+    if (!referenceDate || Number.isNaN(Date.parse(referenceDate))) {
+      throw new Error(`${label}: reference_date (case or dataset) must be an ISO date`);
+    }
+
+    const timezone = item.timezone || dataset.timezone;
+    if (timezone && !isValidTimezone(timezone)) throw new Error(`${label}: invalid timezone ${timezone}`);
+
+    return { ...item, reference_date: referenceDate, timezone };
+  });
+
+  return { dir, name: dataset.name || path.basename(path.resolve(dir)), cases: resolved };
+}
+
+/**
+ * Image of a case as a data URL (URLs pass through)
+ */
+async function loadCaseImage(dataset, item) {
+  if (/^https?:\/\//.test(item.image)) return item.image;
+
+  const file = path.join(dataset.dir, item.image);
+  const mimeType = MIME_TYPES[path.extname(file).toLowerCase()] || 'image/jpeg';
+  const base64 = (await fs.readFile(file)).toString('base64');
+  return `data:${mimeType};base64,${base64}`;
+}
+
+const emptyToNull = (value) => (value === undefined || value === '' || value === NOT_SPECIFIED ? null : value);
+
+/**
+ * Comparable value of a field in an analysis
+ */
+function actualValue(field, analysis) {
+  if (!analysis) return null;
+  if (field === 'recurrence') return analysis.recurrence || null;
+  return emptyToNull(analysis[field]);
+}
+
+const sameList = (a = [], b = []) => JSON.stringify([...a].sort()) === JSON.stringify([...b].sort());
+
+/**
+ * Whether an analysis matches one label
+ * @param {string} field - One of EVAL_FIELDS
+ * @param {*} expected - Label from the dataset
+ * @param {*} actual - actualValue() output
+ * @returns {boolean}
+ */
+function isCorrect(field, expected, actual) {
+  if (field !== 'recurrence') return emptyToNull(expected) === actual;
+  if (!expected || !actual) return !expected && !actual;
+
+  return Object.entries(expected).every(([key, value]) =>
+    Array.isArray(value) ? sameList(value, actual[key]) : emptyToNull(value) === emptyToNull(actual[key]));
+}
+
+/**
+ * Short display value of a field ("FREQ=WEEKLY;BYDAY=FR", "2026-02-13 +1")
+ */
+function describeValue(field, value) {
+  if (value === null || value === undefined) return 'null';
+  if (field !== 'recurrence') return String(value);
+  if (value.rrule) return value.rrule;
+  return `${value.dtstart || '?'}${value.rdates?.length ? ` +${value.rdates.join(',')}` : ''}`;
+}
+
+/**
+ * Score one analysis against its labels
+ * @param {Object} expected - Case labels
+ * @param {Object|null} analysis - null when the analysis failed
+ * @returns {Object} Field → { expected, actual, correct } for the labeled fields
+ */
+function scoreCase(expected, analysis) {
+  const fields = {};
+  for (const field of EVAL_FIELDS) {
+    if (!Object.prototype.hasOwnProperty.call(expected, field)) continue;
+    const actual = actualValue(field, analysis);
+    fields[field] = {
+      expected: describeValue(field, expected[field]),
+      actual: describeValue(field, actual),
+      correct: isCorrect(field, expected[field], actual)
+    };
+  }
+  return fields;
+}
+
+/**
+ * Accuracy per field and overall
+ * @param {Object[]} cases - Scored cases
+ * @returns {{ fields: Object, overall: Object }} { correct, total, accuracy } each
+ */
+function summarize(cases) {
+  const tally = (entries) => {
+    const correct = entries.filter((entry) => entry.correct).length;
+    return { correct, total: entries.length, accuracy: entries.length ? correct / entries.length : null };
+  };
+
+  const fields = {};
+  for (const field of EVAL_FIELDS) {
+    const entries = cases.map((c) => c.fields[field]).filter(Boolean);
+    if (entries.length) fields[field] = tally(entries);
+  }
+
+  return { fields, overall: tally(cases.flatMap((c) => Object.values(c.fields))) };
+}
+
+/**
+ * Run a prompt version over a dataset
+ * @param {Object} dataset - loadDataset() output
+ * @param {Object} options
+ * @param {string} [options.version] - Prompt version (default: the active one)
+ * @param {string} [options.provider] - Vision provider (default: mock, replaying responses/<version>)
+ * @param {string} [options.model]
+ * @param {boolean} [options.record] - Save live responses into responses/<version>
+ * @returns {Promise<Object>} Report: { dataset, version, provider, model, ran_at,
+ *   cases: [{ id, fields, error }], accuracy: { fields, overall } }
+ */
+async function runEvaluation(dataset, { version, provider = 'mock', model, record = false } = {}) {
+  const promptVersion = resolvePromptVersion(version);
+  const config = resolveVisionConfig({ provider, model });
+  const responsesDir = path.join(dataset.dir, 'responses', promptVersion);
+
+  // The mock provider and the recorder read these on every request. No
+  // fallbacks: a failing provider must not be scored as another one
+  const previousEnv = Object.fromEntries(
+    ['VISION_FIXTURES_DIR', 'VISION_RECORD_DIR', 'VISION_FALLBACK_PROVIDERS'].map((key) => [key, process.env[key]])
+  );
+  process.env.VISION_FIXTURES_DIR = responsesDir;
+  process.env.VISION_FALLBACK_PROVIDERS = '';
+  if (record && config.provider !== 'mock') process.env.VISION_RECORD_DIR = responsesDir;
+  else delete process.env.VISION_RECORD_DIR;
+
+  const cases = [];
+  try {
+    for (const item of dataset.cases) {
+      let analysis = null;
+      let error = null;
+
+      try {
+        const result = await analyzeEventImage(await loadCaseImage(dataset, item), item.title || 'Evento', {
+          provider: config.provider,
+          model: config.model,
+          timezone: item.timezone,
+          context: item.post_metadata,
+          promptVersion,
+          now: new Date(item.reference_date)
+        });
+        analysis = result.analysis;
+      } catch (err) {
+        error = err.message;
+      }
+
+      cases.push({ id: item.id, fields: scoreCase(item.expected, analysis), error });
+    }
+  } finally {
+    for (const [key, value] of Object.entries(previousEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+
+  return {
+    dataset: dataset.name,
+    version: promptVersion,
+    provider: config.provider,
+    model: config.model,
+    ran_at: new Date().toISOString(),
+    cases,
+    accuracy: summarize(cases)
+  };
+}
+
+/**
+ * Differences between two reports of the same dataset
+ * @param {Object} baseline - runEvaluation() output
+ * @param {Object} candidate - runEvaluation() output
+ * @returns {{ fields: Object, overall: Object, regressions: Object[], fixes: Object[], changed: Object[] }}
+ *   fields/overall: { baseline, candidate, delta } accuracies.
+ *   regressions / fixes: labels the candidate got wrong / right that the baseline didn't;
+ *   changed: other differing answers (both wrong)
+ */
+function diffReports(baseline, candidate) {
+  const compare = (a, b) => ({
+    baseline: a?.accuracy ?? null,
+    candidate: b?.accuracy ?? null,
+    delta: a?.accuracy != null && b?.accuracy != null ? b.accuracy - a.accuracy : null
+  });
+
+  const fields = {};
+  for (const field of EVAL_FIELDS) {
+    if (baseline.accuracy.fields[field] || candidate.accuracy.fields[field]) {
+      fields[field] = compare(baseline.accuracy.fields[field], candidate.accuracy.fields[field]);
+    }
+  }
+
+  const baselineCases = new Map(baseline.cases.map((c) => [c.id, c]));
+  const regressions = [];
+  const fixes = [];
+  const changed = [];
+
+  for (const item of candidate.cases) {
+    const before = baselineCases.get(item.id);
+    if (!before) continue;
+
+    for (const [field, after] of Object.entries(item.fields)) {
+      const previous = before.fields[field];
+      if (!previous || previous.actual === after.actual) continue;
+
+      const entry = { id: item.id, field, expected: after.expected, baseline: previous.actual, candidate: after.actual };
+      if (previous.correct && !after.correct) regressions.push(entry);
+      else if (!previous.correct && after.correct) fixes.push(entry);
+      else changed.push(entry);
+    }
+  }
+
+  return {
+    baseline: baseline.version,
+    candidate: candidate.version,
+    fields,
+    overall: compare(baseline.accuracy.overall, candidate.accuracy.overall),
+    regressions,
+    fixes,
+    changed
+  };
+}
+
+module.exports = {
+  EVAL_FIELDS,
+  loadDataset,
+  scoreCase,
+  runEvaluation,
+  diffReports
+};
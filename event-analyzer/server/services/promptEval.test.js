@@ -0,0 +1,152 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadDataset, scoreCase, runEvaluation, diffReports } = require('./promptEval');
+
+const DATASET_DIR = path.join(__dirname, '..', 'fixtures', 'eval', 'flyers');
+
+describe('loadDataset', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-eval-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const load = (dataset) => {
+    fs.writeFileSync(path.join(dir, 'dataset.json'), JSON.stringify(dataset));
+    return loadDataset(dir);
+  };
+
+  const item = (extra = {}) => ({ id: 'jazz', image: 'images/jazz.png', expected: { date: '2026-02-06' }, ...extra });
+
+  it('fills reference_date and timezone from the dataset', async () => {
+    const dataset = await load({
+      reference_date: '2026-02-02T12:00:00-06:00',
+      timezone: 'America/Guatemala',
+      cases: [item(), item({ id: 'rock', reference_date: '2026-03-01' })]
+    });
+
+    assert.strictEqual(dataset.name, path.basename(dir));
+    assert.deepStrictEqual(dataset.cases.map((c) => [c.reference_date, c.timezone]), [
+      ['2026-02-02T12:00:00-06:00', 'America/Guatemala'],
+      ['2026-03-01', 'America/Guatemala']
+    ]);
+  });
+
+  it('refuses invalid cases', async () => {
+    const reference_date = '2026-02-02';
+
+    await assert.rejects(load({ reference_date, cases: [] }), /cases must be a non-empty array/);
+    await assert.rejects(load({ reference_date, cases: [item(), item()] }), /case jazz: duplicate id/);
+    await assert.rejects(load({ reference_date, cases: [item({ image: undefined })] }), /image is required/);
+    await assert.rejects(load({ reference_date, cases: [item({ expected: null })] }), /expected is required/);
+    await assert.rejects(load({ cases: [item()] }), /reference_date \(case or dataset\) must be an ISO date/);
+    await assert.rejects(load({ reference_date, timezone: 'Mars/Olympus', cases: [item()] }), /invalid timezone Mars\/Olympus/);
+  });
+});
+
+describe('scoreCase', () => {
+  it('scores only the labeled fields and reads "No especificado" as null', () => {
+    const fields = scoreCase({ date: null, time: '20:00' }, { date: 'No especificado', time: '21:00', category: 'music' });
+
+    assert.deepStrictEqual(fields, {
+      date: { expected: 'null', actual: 'null', correct: true },
+      time: { expected: '20:00', actual: '21:00', correct: false }
+    });
+  });
+
+  it('compares only the given recurrence parts, lists in any order', () => {
+    const recurrence = { dtstart: '2026-02-13', rdates: ['2026-02-20', '2026-02-14'], rrule: null };
+
+    assert.strictEqual(scoreCase({ recurrence: { rdates: ['2026-02-14', '2026-02-20'] } }, { recurrence }).recurrence.correct, true);
+    assert.strictEqual(scoreCase({ recurrence: { rrule: 'FREQ=WEEKLY' } }, { recurrence }).recurrence.correct, false);
+    assert.strictEqual(scoreCase({ recurrence: null }, { recurrence }).recurrence.actual, '2026-02-13 +2026-02-20,2026-02-14');
+    assert.strictEqual(scoreCase({ recurrence: null }, { recurrence: null }).recurrence.correct, true);
+  });
+
+  it('scores a failed analysis as null', () => {
+    assert.deepStrictEqual(scoreCase({ category: 'music' }, null), {
+      category: { expected: 'music', actual: 'null', correct: false }
+    });
+  });
+});
+
+describe('diffReports', () => {
+  const report = (version, cases) => {
+    const entries = cases.flatMap((c) => Object.values(c.fields));
+    const correct = entries.filter((e) => e.correct).length;
+    return {
+      version,
+      cases,
+      accuracy: {
+        fields: { time: { correct, total: entries.length, accuracy: correct / entries.length } },
+        overall: { correct, total: entries.length, accuracy: correct / entries.length }
+      }
+    };
+  };
+  const time = (actual, correct) => ({ fields: { time: { expected: '20:00', actual, correct } } });
+
+  it('splits changed answers into regressions, fixes and other changes', () => {
+    const baseline = report('a', [
+      { id: 'one', ...time('20:00', true) },
+      { id: 'two', ...time('21:00', false) },
+      { id: 'three', ...time('19:00', false) },
+      { id: 'four', ...time('20:00', true) }
+    ]);
+    const candidate = report('b', [
+      { id: 'one', ...time('22:00', false) },
+      { id: 'two', ...time('20:00', true) },
+      { id: 'three', ...time('18:00', false) },
+      { id: 'four', ...time('20:00', true) }
+    ]);
+
+    const diff = diffReports(baseline, candidate);
+
+    assert.deepStrictEqual(diff.regressions, [{ id: 'one', field: 'time', expected: '20:00', baseline: '20:00', candidate: '22:00' }]);
+    assert.deepStrictEqual(diff.fixes.map((e) => e.id), ['two']);
+    assert.deepStrictEqual(diff.changed.map((e) => e.id), ['three']);
+    assert.deepStrictEqual(diff.overall, { baseline: 0.5, candidate: 0.5, delta: 0 });
+  });
+});
+
+describe('runEvaluation', () => {
+  before(() => {
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('replays the recorded responses of the version offline', async () => {
+    const previous = process.env.VISION_FALLBACK_PROVIDERS;
+    const dataset = await loadDataset(DATASET_DIR);
+
+    const report = await runEvaluation(dataset, { version: '2026-10-18' });
+
+    assert.strictEqual(report.provider, 'mock');
+    assert.strictEqual(report.version, '2026-10-18');
+    assert.deepStrictEqual(report.cases.map((c) => c.error), [null, null, null, null]);
+    // The recorded model read "9 AM" as 10:00; the date parser flags it
+    // without overwriting it, so that label stays wrong
+    const misses = report.cases.flatMap((c) => Object.entries(c.fields)
+      .filter(([, field]) => !field.correct)
+      .map(([name, field]) => [c.id, name, field.actual]));
+    assert.deepStrictEqual(misses, [['feria-emprendedores', 'time', '10:00']]);
+    assert.deepStrictEqual(report.accuracy.overall, { correct: 19, total: 20, accuracy: 0.95 });
+    assert.strictEqual(process.env.VISION_FALLBACK_PROVIDERS, previous);
+  });
+
+  it('reports an unknown prompt version', async () => {
+    const dataset = await loadDataset(DATASET_DIR);
+
+    await assert.rejects(runEvaluation(dataset, { version: '2020-01-01' }), /Unknown prompt version: 2020-01-01/);
+  });
+});
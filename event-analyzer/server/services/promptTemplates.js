@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Versioned prompt templates for the flyer analyzer.
+ *
+ * Each version is a directory under server/prompts named after the date it
+ * was written (2026-10-18). A version holds one text file per template:
+ *
+ *   system              System prompt ({{temporal_context}}, {{subcategories.music}},
+ *                       {{tags.general}}, {{features.mood}}, {{features_quoted.mood}},
+ *                       {{confidence_fields}})
+ *   temporal_today      Reference date when the publish date is unknown ({{date}})
+ *   temporal_published  Reference date from the post's publish date ({{date}})
+ *   multi               Agenda-mode instructions appended to the system prompt
+ *   context             Post caption / author / publish date block ({{lines}})
+ *   user_image          User message for one event ({{title}}, {{context}})
+ *   user_multi          User message for agenda flyers ({{title}}, {{context}})
+ *   user_text           User message for text-only posts ({{title}}, {{text}})
+ *
+ * Versions are never edited once they served traffic: copy the directory,
+ * change the copy, compare both with `npm run eval:prompts` and then point
+ * DEFAULT_PROMPT_VERSION (or PROMPT_VERSION) at the new one. The version is
+ * part of the analysis cache key, so switching it retires cached analyses.
+ */
+
+const PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+
+const DEFAULT_PROMPT_VERSION = '2026-10-18';
+
+const TEMPLATE_NAMES = [
+  'system',
+  'temporal_today',
+  'temporal_published',
+  'multi',
+  'context',
+  'user_image',
+  'user_multi',
+  'user_text'
+];
+
+const cache = new Map();
+
+/**
+ * @returns {string[]} Available versions, oldest first
+ */
+function listPromptVersions() {
+  return fs.readdirSync(PROMPTS_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort();
+}
+
+/**
+ * @param {string} version
+ * @returns {boolean}
+ */
+function isPromptVersion(version) {
+  return typeof version === 'string' && listPromptVersions().includes(version);
+}
+
+/**
+ * Version for a request: the requested one, PROMPT_VERSION or DEFAULT_PROMPT_VERSION
+ * @param {string} [version]
+ * @returns {string}
+ */
+function resolvePromptVersion(version) {
+  const name = version || process.env.PROMPT_VERSION || DEFAULT_PROMPT_VERSION;
+  if (!isPromptVersion(name)) {
+    throw new Error(`Unknown prompt version: ${name}`);
+  }
+  return name;
+}
+
+/**
+ * Templates of a version (read once, then cached)
+ * @param {string} version
+ * @returns {Object<string, string>} Template name → text
+ */
+function loadPromptTemplates(version) {
+  const name = resolvePromptVersion(version);
+  if (cache.has(name)) return cache.get(name);
+
+  const templates = {};
+  for (const template of TEMPLATE_NAMES) {
+    const file = path.join(PROMPTS_DIR, name, `${template}.txt`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Prompt template missing: ${name}/${template}.txt`);
+    }
+    // Editors add a final newline; the prompt itself doesn't end with one
+    templates[template] = fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+  }
+
+  cache.set(name, templates);
+  return templates;
+}
+
+/**
+ * Fill {{placeholders}} (dotted paths into `values`). Inserted values are not
+ * scanned again, so captions containing "{{" stay as they are.
+ * @param {string} template
+ * @param {Object} values
+ * @returns {string}
+ * @throws {Error} On a placeholder without a value
+ */
+function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    const value = key.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), values);
+    if (value === undefined) {
+      throw new Error(`No value for prompt placeholder {{${key}}}`);
+    }
+    return String(value);
+  });
+}
+
+/**
+ * Render one template of a version
+ * @param {string} version
+ * @param {string} name - One of TEMPLATE_NAMES
+ * @param {Object} values
+ * @returns {string}
+ */
+function renderPrompt(version, name, values = {}) {
+  return renderTemplate(loadPromptTemplates(version)[name], values);
+}
+
+module.exports = {
+  DEFAULT_PROMPT_VERSION,
+  listPromptVersions,
+  isPromptVersion,
+  resolvePromptVersion,
+  loadPromptTemplates,
+  renderTemplate,
+  renderPrompt
+};
@@ -0,0 +1,85 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  DEFAULT_PROMPT_VERSION,
+  listPromptVersions,
+  isPromptVersion,
+  resolvePromptVersion,
+  loadPromptTemplates,
+  renderTemplate,
+  renderPrompt
+} = require('./promptTemplates');
+
+describe('prompt versions', () => {
+  const previous = process.env.PROMPT_VERSION;
+
+  afterEach(() => {
+    if (previous === undefined) delete process.env.PROMPT_VERSION;
+    else process.env.PROMPT_VERSION = previous;
+  });
+
+  it('lists the directories under prompts/', () => {
+    assert.ok(listPromptVersions().includes(DEFAULT_PROMPT_VERSION));
+    assert.strictEqual(isPromptVersion(DEFAULT_PROMPT_VERSION), true);
+    assert.strictEqual(isPromptVersion('../prompts'), false);
+    assert.strictEqual(isPromptVersion(undefined), false);
+  });
+
+  it('uses the requested version, then PROMPT_VERSION, then the default', () => {
+    delete process.env.PROMPT_VERSION;
+    assert.strictEqual(resolvePromptVersion(), DEFAULT_PROMPT_VERSION);
+
+    process.env.PROMPT_VERSION = '2020-01-01';
+    assert.throws(() => resolvePromptVersion(), { message: 'Unknown prompt version: 2020-01-01' });
+    assert.strictEqual(resolvePromptVersion(DEFAULT_PROMPT_VERSION), DEFAULT_PROMPT_VERSION);
+  });
+
+  it('loads every template without the final newline', () => {
+    const templates = loadPromptTemplates(DEFAULT_PROMPT_VERSION);
+
+    assert.deepStrictEqual(Object.keys(templates), [
+      'system', 'temporal_today', 'temporal_published', 'multi', 'context', 'user_image', 'user_multi', 'user_text'
+    ]);
+    for (const text of Object.values(templates)) assert.doesNotMatch(text, /\n$/);
+    assert.strictEqual(loadPromptTemplates(DEFAULT_PROMPT_VERSION), templates);
+  });
+});
+
+describe('renderTemplate', () => {
+  it('fills dotted placeholders', () => {
+    const text = renderTemplate('{{ title }}: {{tags.music}} ({{count}}, {{flag}})', {
+      title: 'Jazz',
+      tags: { music: 'noche, bar' },
+      count: 0,
+      flag: false
+    });
+
+    assert.strictEqual(text, 'Jazz: noche, bar (0, false)');
+  });
+
+  it('does not scan inserted values again', () => {
+    assert.strictEqual(renderTemplate('"{{text}}"', { text: 'Precio {{date}}' }), '"Precio {{date}}"');
+  });
+
+  it('throws on a placeholder without a value', () => {
+    assert.throws(() => renderTemplate('{{tags.volunteer}}', { tags: {} }), {
+      message: 'No value for prompt placeholder {{tags.volunteer}}'
+    });
+    assert.throws(() => renderTemplate('{{a.b.c}}', { a: null }), /\{\{a\.b\.c\}\}/);
+  });
+});
+
+describe('renderPrompt', () => {
+  it('renders a template of a version', () => {
+    const text = renderPrompt(DEFAULT_PROMPT_VERSION, 'temporal_today', { date: 'viernes 6 de noviembre de 2026' });
+
+    assert.match(text, /^Hoy es viernes 6 de noviembre de 2026\. /);
+  });
+
+  it('throws when a variable is missing', () => {
+    assert.throws(() => renderPrompt(DEFAULT_PROMPT_VERSION, 'user_text', { title: 'Feria' }), {
+      message: 'No value for prompt placeholder {{text}}'
+    });
+  });
+});
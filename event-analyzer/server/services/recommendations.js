@@ -0,0 +1,266 @@
+const { applyEventFilters, listEvents } = require('./eventQuery');
+
+/**
+ * Event recommendations from a user's history.
+ *
+ * A taste profile is built from the events the user saved, registered for
+ * and attended (attendance weighs most): how often each mood, vibe,
+ * timeOfDay, socialSetting, tag, category and subcategory appears. Upcoming
+ * events are scored by how well their features match that profile, and the
+ * strongest matches become the explanation ("porque te gustan eventos
+ * underground de noche").
+ */
+
+const HISTORY_SOURCES = [
+  { table: 'saved_events', weight: 1 },
+  { table: 'event_registrations', weight: 1.5, exclude: { column: 'status', value: 'rejected' } },
+  { table: 'attended_events', weight: 2 }
+];
+
+const HISTORY_LIMIT = 200;
+const CANDIDATE_LIMIT = 300;
+
+/**
+ * Importance of each feature dimension in the similarity score
+ */
+const DIMENSION_WEIGHTS = {
+  subcategory: 1.2,
+  vibe: 1,
+  mood: 1,
+  timeOfDay: 0.8,
+  category: 0.7,
+  socialSetting: 0.6,
+  tag: 0.5
+};
+
+const EVENT_FEATURE_KEYS = ['mood', 'vibe', 'timeOfDay', 'socialSetting'];
+
+const TIME_OF_DAY_PHRASES = {
+  'mañana': 'en la mañana',
+  tarde: 'en la tarde',
+  noche: 'de noche',
+  madrugada: 'de madrugada'
+};
+
+const SOCIAL_SETTING_PHRASES = {
+  'en pareja': 'para ir en pareja',
+  'con amigos': 'para ir con amigos',
+  solo: 'para ir solo',
+  'en grupo': 'para ir en grupo',
+  familiar: 'para ir en familia'
+};
+
+const CATEGORY_PHRASES = {
+  music: 'de música y arte',
+  volunteer: 'de voluntariado',
+  general: 'de comunidad'
+};
+
+/**
+ * Features of an event as "dimension:value" keys
+ * @param {Object} event - Event row
+ * @returns {string[]}
+ */
+function eventFeatureKeys(event) {
+  const keys = [];
+
+  if (event.category) keys.push(`category:${event.category}`);
+  if (event.subcategory) keys.push(`subcategory:${event.subcategory}`);
+
+  for (const tag of event.tags || []) keys.push(`tag:${tag}`);
+
+  for (const dimension of EVENT_FEATURE_KEYS) {
+    const value = event.event_features?.[dimension];
+    if (value) keys.push(`${dimension}:${value}`);
+  }
+
+  return keys;
+}
+
+/**
+ * Load the events in a user's history with the weight of each interaction
+ * @param {Object} supabase - Supabase client
+ * @param {string} userId
+ * @returns {Promise<{ history: Object[], savedIds: Set<string> }>}
+ */
+async function loadHistory(supabase, userId) {
+  const results = await Promise.all(HISTORY_SOURCES.map(({ table, exclude }) => {
+    let query = supabase
+      .from(table)
+      .select(exclude ? `event_id, ${exclude.column}` : 'event_id')
+      .eq('user_id', userId)
+      .limit(HISTORY_LIMIT);
+    if (exclude) query = query.neq(exclude.column, exclude.value);
+    return query;
+  }));
+
+  const weights = new Map();
+  results.forEach(({ data, error }, i) => {
+    if (error) throw error;
+    for (const row of data || []) {
+      weights.set(row.event_id, (weights.get(row.event_id) || 0) + HISTORY_SOURCES[i].weight);
+    }
+  });
+
+  const savedIds = new Set((results[0].data || []).map((row) => row.event_id));
+
+  if (weights.size === 0) return { history: [], savedIds };
+
+  const { data: events, error } = await supabase
+    .from('events')
+    .select('id, category, subcategory, tags, event_features')
+    .in('id', [...weights.keys()]);
+
+  if (error) throw error;
+
+  return {
+    history: (events || []).map((event) => ({ event, weight: weights.get(event.id) })),
+    savedIds
+  };
+}
+
+/**
+ * Taste profile: share of the history weight carrying each feature (0..1)
+ * @param {Object[]} history - [{ event, weight }]
+ * @returns {Map<string, number>}
+ */
+function buildTasteProfile(history) {
+  const profile = new Map();
+  const total = history.reduce((sum, { weight }) => sum + weight, 0);
+  if (total === 0) return profile;
+
+  for (const { event, weight } of history) {
+    for (const key of eventFeatureKeys(event)) {
+      profile.set(key, (profile.get(key) || 0) + weight / total);
+    }
+  }
+
+  return profile;
+}
+
+/**
+ * Similarity between an event and a taste profile
+ * @param {Object} event - Event row
+ * @param {Map<string, number>} profile - buildTasteProfile() output
+ * @returns {{ score: number, matches: Object[] }} matches sorted by contribution
+ */
+function scoreEvent(event, profile) {
+  let weighted = 0;
+  let possible = 0;
+  const matches = [];
+
+  for (const key of eventFeatureKeys(event)) {
+    const dimension = key.slice(0, key.indexOf(':'));
+    const weight = DIMENSION_WEIGHTS[dimension];
+    const preference = profile.get(key) || 0;
+
+    possible += weight;
+    weighted += weight * preference;
+
+    if (preference > 0) {
+      matches.push({ dimension, value: key.slice(dimension.length + 1), contribution: weight * preference });
+    }
+  }
+
+  return {
+    score: possible > 0 ? Math.round((weighted / possible) * 1000) / 1000 : 0,
+    matches: matches.sort((a, b) => b.contribution - a.contribution)
+  };
+}
+
+/**
+ * Spanish explanation from the strongest matches:
+ * [vibe underground, timeOfDay noche] → "porque te gustan eventos underground de noche"
+ * @param {Object[]} matches - scoreEvent() matches
+ * @returns {string}
+ */
+function explainRecommendation(matches) {
+  const adjectives = [];
+  const phrases = [];
+
+  for (const { dimension, value } of matches.slice(0, 2)) {
+    switch (dimension) {
+      case 'vibe':
+      case 'tag':
+        adjectives.push(value);
+        break;
+      case 'mood':
+        phrases.push(`con ambiente ${value}`);
+        break;
+      case 'timeOfDay':
+        phrases.push(TIME_OF_DAY_PHRASES[value] || `en la ${value}`);
+        break;
+      case 'socialSetting':
+        phrases.push(SOCIAL_SETTING_PHRASES[value] || `para ir ${value}`);
+        break;
+      case 'subcategory':
+        phrases.push(`de ${value.replace(/-/g, ' ')}`);
+        break;
+      case 'category':
+        phrases.push(CATEGORY_PHRASES[value] || `de ${value}`);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return ['porque te gustan eventos', adjectives.join(' y '), ...phrases]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Recommend upcoming events for a user
+ * @param {Object} supabase - Supabase client
+ * @param {string} userId
+ * @param {Object} params - Filters from parseListParams (sort/cursor are ignored)
+ * @returns {Promise<{ events: Object[], historySize: number }>}
+ *   Events carry recommendation_score and recommendation_reason. With no
+ *   history the most popular upcoming events are returned instead.
+ */
+async function recommendEvents(supabase, userId, params) {
+  const { history, savedIds } = await loadHistory(supabase, userId);
+
+  if (history.length === 0) {
+    const { events } = await listEvents(supabase, { ...params, sort: 'popular', cursor: null, limit: params.limit + savedIds.size });
+    return {
+      events: events
+        .filter((event) => !savedIds.has(event.id))
+        .slice(0, params.limit)
+        .map((event) => ({ ...event, recommendation_score: 0, recommendation_reason: 'porque es de los eventos más guardados' })),
+      historySize: 0
+    };
+  }
+
+  const profile = buildTasteProfile(history);
+
+  const { data: candidates, error } = await applyEventFilters(supabase.from('events').select('*'), params)
+    .order('date', { ascending: true, nullsFirst: false })
+    .limit(CANDIDATE_LIMIT);
+
+  if (error) throw error;
+
+  const events = (candidates || [])
+    .filter((event) => !savedIds.has(event.id))
+    .map((event) => {
+      const { score, matches } = scoreEvent(event, profile);
+      return { event, score, matches };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, params.limit)
+    .map(({ event, score, matches }) => ({
+      ...event,
+      recommendation_score: score,
+      recommendation_reason: explainRecommendation(matches)
+    }));
+
+  return { events, historySize: history.length };
+}
+
+module.exports = {
+  buildTasteProfile,
+  scoreEvent,
+  explainRecommendation,
+  recommendEvents
+};
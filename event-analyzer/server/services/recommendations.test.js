@@ -0,0 +1,151 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { parseListParams } = require('./eventQuery');
+const { buildTasteProfile, scoreEvent, explainRecommendation, recommendEvents } = require('./recommendations');
+
+const USER_ID = 'user-1';
+
+/**
+ * Supabase stand-in: eq() / neq() / in() filter `tables`, every other
+ * builder method (order, limit, or, is...) is accepted and ignored
+ */
+function createSupabaseStub(tables) {
+  function from(table) {
+    const filters = [];
+    let head = false;
+
+    const run = () => {
+      const rows = (tables[table] || []).filter((row) => filters.every((matches) => matches(row)));
+      return { data: head ? null : rows, error: null, count: rows.length };
+    };
+
+    const builder = new Proxy({}, {
+      get(_, method) {
+        if (method === 'then') return (resolve, reject) => Promise.resolve(run()).then(resolve, reject);
+        return (...args) => {
+          const [column, value] = args;
+          if (method === 'eq') filters.push((row) => row[column] === value);
+          else if (method === 'neq') filters.push((row) => row[column] !== value);
+          else if (method === 'in') filters.push((row) => value.includes(row[column]));
+          else if (method === 'select' && args[1]?.head) head = true;
+          return builder;
+        };
+      }
+    });
+
+    return builder;
+  }
+
+  return { from };
+}
+
+const event = (id, category, subcategory, features = {}, tags = []) => ({
+  id,
+  title: id,
+  category,
+  subcategory,
+  tags,
+  event_features: { mood: null, vibe: null, timeOfDay: null, socialSetting: null, ...features }
+});
+
+const HISTORY = {
+  underground: event('underground', 'music', 'electronic-concert', { vibe: 'underground', timeOfDay: 'noche' }, ['noche']),
+  rave: event('rave', 'music', 'dj-set', { vibe: 'underground', timeOfDay: 'madrugada' }),
+  cleanup: event('cleanup', 'volunteer', 'beach-cleanup', { timeOfDay: 'mañana' })
+};
+
+describe('buildTasteProfile', () => {
+  it('weighs each feature by the share of the history carrying it', () => {
+    const profile = buildTasteProfile([
+      { event: HISTORY.underground, weight: 2 },
+      { event: HISTORY.cleanup, weight: 1 },
+      { event: HISTORY.rave, weight: 1 }
+    ]);
+
+    assert.strictEqual(profile.get('vibe:underground'), 0.75);
+    assert.strictEqual(profile.get('timeOfDay:noche'), 0.5);
+    assert.strictEqual(profile.get('category:volunteer'), 0.25);
+    assert.strictEqual(profile.has('mood:null'), false);
+  });
+});
+
+describe('scoreEvent', () => {
+  const profile = buildTasteProfile([{ event: HISTORY.underground, weight: 1 }]);
+
+  it('scores 1 for an event with exactly the profile features', () => {
+    assert.strictEqual(scoreEvent(HISTORY.underground, profile).score, 1);
+  });
+
+  it('sorts the matches by weighted contribution', () => {
+    const candidate = event('club', 'music', 'dj-set', { vibe: 'underground', timeOfDay: 'noche', mood: 'energético' });
+    const { score, matches } = scoreEvent(candidate, profile);
+
+    assert.deepStrictEqual(matches.map((m) => `${m.dimension}:${m.value}`), ['vibe:underground', 'timeOfDay:noche', 'category:music']);
+    // category 0.7 + vibe 1 + timeOfDay 0.8 matched out of 4.7 (plus subcategory 1.2 and mood 1)
+    assert.strictEqual(score, Math.round((2.5 / 4.7) * 1000) / 1000);
+  });
+
+  it('scores 0 without any shared feature or any feature at all', () => {
+    assert.deepStrictEqual(scoreEvent(HISTORY.cleanup, profile), { score: 0, matches: [] });
+    assert.deepStrictEqual(scoreEvent({ id: 'bare' }, profile), { score: 0, matches: [] });
+  });
+});
+
+describe('explainRecommendation', () => {
+  const reason = (...keys) => explainRecommendation(keys.map((key) => {
+    const [dimension, value] = key.split(':');
+    return { dimension, value };
+  }));
+
+  it('puts vibes and tags first and the rest as phrases', () => {
+    assert.strictEqual(reason('timeOfDay:noche', 'vibe:underground'), 'porque te gustan eventos underground de noche');
+    assert.strictEqual(reason('vibe:casual', 'tag:outdoor'), 'porque te gustan eventos casual y outdoor');
+    assert.strictEqual(reason('subcategory:beach-cleanup', 'socialSetting:familiar'), 'porque te gustan eventos de beach cleanup para ir en familia');
+    assert.strictEqual(reason('mood:relajado', 'category:volunteer', 'vibe:formal'), 'porque te gustan eventos con ambiente relajado de voluntariado');
+  });
+});
+
+describe('recommendEvents', () => {
+  const { params } = parseListParams({ limit: '10' });
+
+  it('ranks upcoming events by the history, without the saved ones', async () => {
+    const supabase = createSupabaseStub({
+      saved_events: [{ user_id: USER_ID, event_id: 'rave' }],
+      event_registrations: [
+        { user_id: USER_ID, event_id: 'cleanup', status: 'rejected' },
+        { user_id: 'user-2', event_id: 'cleanup', status: 'approved' }
+      ],
+      attended_events: [{ user_id: USER_ID, event_id: 'underground' }],
+      events: [
+        ...Object.values(HISTORY),
+        event('techno', 'music', 'electronic-concert', { vibe: 'underground', timeOfDay: 'noche' }),
+        event('jazz', 'music', 'jazz-blues', { vibe: 'formal', timeOfDay: 'noche' }),
+        event('beach', 'volunteer', 'beach-cleanup', { timeOfDay: 'mañana' })
+      ]
+    });
+
+    const { events, historySize } = await recommendEvents(supabase, USER_ID, params);
+
+    // The rejected registration is not history, so beach scores 0 and is left out.
+    // underground's "noche" tag is only in part of the history: it ranks below techno
+    assert.strictEqual(historySize, 2);
+    assert.deepStrictEqual(events.map((e) => e.id), ['techno', 'underground', 'jazz']);
+    assert.strictEqual(events[0].recommendation_reason, 'porque te gustan eventos underground de electronic concert');
+    assert.ok(events[1].recommendation_score > events[2].recommendation_score);
+  });
+
+  it('falls back to the most saved events without history', async () => {
+    const supabase = createSupabaseStub({
+      events: [event('popular', 'general', null), event('other', 'general', null)]
+    });
+
+    const { events, historySize } = await recommendEvents(supabase, USER_ID, params);
+
+    assert.strictEqual(historySize, 0);
+    assert.deepStrictEqual(events.map((e) => [e.id, e.recommendation_score, e.recommendation_reason]), [
+      ['popular', 0, 'porque es de los eventos más guardados'],
+      ['other', 0, 'porque es de los eventos más guardados']
+    ]);
+  });
+});
@@ -0,0 +1,493 @@
+/**
+ * Event recurrence as iCalendar rules (RFC 5545).
+ *
+ * A recurring event stores its first date (`date`, the DTSTART), an optional
+ * `rrule` ("FREQ=WEEKLY;BYDAY=FR,SA;UNTIL=20260430"), extra dates (`rdates`)
+ * and removed dates (`exdates`). Occurrences are expanded on read, inside the
+ * requested window, so open-ended series ("todos los viernes") need no
+ * guessed end.
+ *
+ * Supported RRULE parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL,
+ * COUNT, UNTIL, BYDAY (with ordinals such as 1SA or -1FR for MONTHLY),
+ * BYMONTHDAY and BYMONTH. Everything works on calendar dates; times and
+ * timezone are applied by services/eventTime.js.
+ */
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Never expand more than this many occurrences in one call
+const MAX_OCCURRENCES = 500;
+
+// Safety stop for rules that match rarely (or never) in the window
+const MAX_PERIODS = 5000;
+
+// The end of a bounded series (UNTIL / COUNT) is looked up to this many years
+// after its start; later occurrences are treated as beyond the horizon
+const MAX_SERIES_YEARS = 100;
+
+const PERIODS_PER_YEAR = { DAILY: 366, WEEKLY: 53, MONTHLY: 12, YEARLY: 1 };
+
+// Preview window for open-ended series in analysis results
+const PREVIEW_DAYS = 90;
+
+const DAY_NAME_TO_INDEX = {
+  'domingo': 0,
+  'lunes': 1,
+  'martes': 2,
+  'miércoles': 3,
+  'miercoles': 3,
+  'jueves': 4,
+  'viernes': 5,
+  'sábado': 6,
+  'sabado': 6
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function toIso(y, m, d) {
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return `${y}-${pad(m)}-${pad(d)}`;
+}
+
+function splitIso(iso) {
+  const [y, m, d] = iso.split('-').map(Number);
+  return { y, m, d };
+}
+
+function addDays(iso, days) {
+  const date = new Date(`${iso}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+function weekdayOf(iso) {
+  return new Date(`${iso}T00:00:00Z`).getUTCDay();
+}
+
+function daysInMonth(y, m) {
+  return new Date(Date.UTC(y, m, 0)).getUTCDate();
+}
+
+function addMonths(y, m, months) {
+  const index = y * 12 + (m - 1) + months;
+  return { y: Math.floor(index / 12), m: (index % 12) + 1 };
+}
+
+function isIsoDate(value) {
+  return typeof value === 'string' && ISO_DATE.test(value) && toIso(...Object.values(splitIso(value))) === value;
+}
+
+function parseIntList(value, min, max, { allowNegative = false } = {}) {
+  const list = value.split(',').map((n) => Number(n));
+  const ok = list.every((n) => Number.isInteger(n) && n !== 0
+    && ((n >= min && n <= max) || (allowNegative && n <= -min && n >= -max)));
+  return ok ? list : null;
+}
+
+/**
+ * Parse an RRULE string ("RRULE:" prefix optional)
+ * @param {string} value
+ * @returns {{ rule?: Object, error?: string }}
+ *   rule: { freq, interval, count, until, byDay: [{ weekday, nth }], byMonthDay, byMonth }
+ */
+function parseRRule(value) {
+  if (typeof value !== 'string' || !value.trim()) return { error: 'rrule must be a non-empty string' };
+
+  const rule = { freq: null, interval: 1, count: null, until: null, byDay: [], byMonthDay: [], byMonth: [] };
+
+  for (const part of value.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [rawKey, rawValue = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const val = rawValue.trim().toUpperCase();
+
+    if (key === 'FREQ') {
+      if (!FREQUENCIES.includes(val)) return { error: `FREQ must be one of: ${FREQUENCIES.join(', ')}` };
+      rule.freq = val;
+    } else if (key === 'INTERVAL') {
+      rule.interval = Number(val);
+      if (!Number.isInteger(rule.interval) || rule.interval < 1) return { error: 'INTERVAL must be a positive integer' };
+    } else if (key === 'COUNT') {
+      rule.count = Number(val);
+      if (!Number.isInteger(rule.count) || rule.count < 1) return { error: 'COUNT must be a positive integer' };
+    } else if (key === 'UNTIL') {
+      const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(val);
+      rule.until = match && toIso(Number(match[1]), Number(match[2]), Number(match[3]));
+      if (!rule.until) return { error: 'UNTIL must be a date (YYYYMMDD)' };
+    } else if (key === 'BYDAY') {
+      for (const item of val.split(',')) {
+        const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+        const nth = match?.[1] ? Number(match[1]) : null;
+        if (!match || nth === 0 || Math.abs(nth) > 5) return { error: `Invalid BYDAY value: ${item}` };
+        rule.byDay.push({ weekday: WEEKDAY_CODES.indexOf(match[2]), nth });
+      }
+    } else if (key === 'BYMONTHDAY') {
+      rule.byMonthDay = parseIntList(val, 1, 31, { allowNegative: true });
+      if (!rule.byMonthDay) return { error: 'BYMONTHDAY must be days between 1 and 31 (or -1 to -31)' };
+    } else if (key === 'BYMONTH') {
+      rule.byMonth = parseIntList(val, 1, 12);
+      if (!rule.byMonth) return { error: 'BYMONTH must be months between 1 and 12' };
+    } else if (key !== 'WKST') {
+      return { error: `Unsupported RRULE part: ${key}` };
+    }
+  }
+
+  if (!rule.freq) return { error: 'rrule needs FREQ' };
+  if (rule.count && rule.until) return { error: 'rrule cannot have both COUNT and UNTIL' };
+  if (rule.byDay.some((d) => d.nth) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    return { error: 'BYDAY ordinals (1SA, -1FR) need FREQ=MONTHLY or YEARLY' };
+  }
+
+  return { rule };
+}
+
+/**
+ * Canonical RRULE string for a rule object
+ * @param {Object} rule - parseRRule() rule (partial is fine: { freq, byDay, until, ... })
+ * @returns {string}
+ */
+function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byMonth?.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.byMonthDay?.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byDay?.length) parts.push(`BYDAY=${rule.byDay.map((d) => `${d.nth || ''}${WEEKDAY_CODES[d.weekday]}`).join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  return parts.join(';');
+}
+
+/**
+ * Dates of one month matching BYMONTHDAY / BYDAY (or the start's day of month)
+ */
+function monthCandidates(y, m, rule, startDay) {
+  const total = daysInMonth(y, m);
+  const days = new Set();
+
+  if (rule.byMonthDay.length > 0) {
+    for (const n of rule.byMonthDay) {
+      const day = n > 0 ? n : total + n + 1;
+      if (day >= 1 && day <= total) days.add(day);
+    }
+  } else if (rule.byDay.length > 0) {
+    for (const { weekday, nth } of rule.byDay) {
+      const matching = [];
+      for (let day = 1; day <= total; day++) {
+        if (weekdayOf(toIso(y, m, day)) === weekday) matching.push(day);
+      }
+      if (!nth) {
+        matching.forEach((day) => days.add(day));
+      } else {
+        const day = matching[nth > 0 ? nth - 1 : matching.length + nth];
+        if (day) days.add(day);
+      }
+    }
+  } else if (startDay <= total) {
+    days.add(startDay);
+  }
+
+  return [...days].sort((a, b) => a - b).map((day) => toIso(y, m, day));
+}
+
+/**
+ * Candidate dates of the period that starts `index` intervals after dtstart
+ */
+function periodCandidates(dtstart, rule, index) {
+  const start = splitIso(dtstart);
+  const step = index * rule.interval;
+
+  if (rule.freq === 'DAILY') {
+    return [addDays(dtstart, step)];
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    // Weeks start on Monday (WKST=MO)
+    const monday = addDays(dtstart, -((weekdayOf(dtstart) + 6) % 7) + step * 7);
+    const weekdays = rule.byDay.length > 0 ? rule.byDay.map((d) => d.weekday) : [weekdayOf(dtstart)];
+    return [0, 1, 2, 3, 4, 5, 6]
+      .map((offset) => addDays(monday, offset))
+      .filter((date) => weekdays.includes(weekdayOf(date)));
+  }
+
+  if (rule.freq === 'MONTHLY') {
+    const { y, m } = addMonths(start.y, start.m, step);
+    return monthCandidates(y, m, rule, start.d);
+  }
+
+  // YEARLY: the BYMONTH months (or the start's month) of the year
+  const y = start.y + step;
+  const months = rule.byMonth.length > 0 ? rule.byMonth : [start.m];
+  return months.flatMap((m) => (rule.byDay.length > 0 || rule.byMonthDay.length > 0
+    ? monthCandidates(y, m, rule, start.d)
+    : [toIso(y, m, start.d)].filter(Boolean)));
+}
+
+function matchesFilters(date, rule) {
+  const { m, d } = splitIso(date);
+  if (rule.byMonth.length > 0 && !rule.byMonth.includes(m)) return false;
+  if (rule.freq === 'DAILY') {
+    if (rule.byDay.length > 0 && !rule.byDay.some((b) => b.weekday === weekdayOf(date))) return false;
+    if (rule.byMonthDay.length > 0 && !rule.byMonthDay.includes(d)) return false;
+  }
+  return true;
+}
+
+/**
+ * Expand a rule from dtstart. DTSTART is always the first occurrence.
+ * @param {string} dtstart - YYYY-MM-DD
+ * @param {Object} rule - parseRRule() rule
+ * @param {Object} window - { from, to, limit, maxPeriods }. COUNT is counted from
+ *   dtstart, dates before `from` are skipped but still count
+ * @returns {string[]} Dates inside the window, up to UNTIL / COUNT, at most `limit`
+ */
+function expandRRule(dtstart, rule, { from = null, to = null, limit = MAX_OCCURRENCES, maxPeriods = MAX_PERIODS } = {}) {
+  const dates = [];
+  const end = [to, rule.until].filter(Boolean).sort()[0] || null;
+  let seen = 0;
+
+  const add = (date) => {
+    seen++;
+    if (!from || date >= from) dates.push(date);
+    return (rule.count && seen >= rule.count) || dates.length >= limit;
+  };
+
+  if ((end && dtstart > end) || add(dtstart)) return dates;
+
+  for (let index = 0; index < maxPeriods; index++) {
+    const candidates = periodCandidates(dtstart, rule, index);
+    if (end && candidates.length > 0 && candidates[0] > end) break;
+
+    for (const date of candidates) {
+      if (!date || date <= dtstart || !matchesFilters(date, rule)) continue;
+      if (end && date > end) return dates;
+      if (add(date)) return dates;
+    }
+  }
+
+  return dates;
+}
+
+/**
+ * Whether an event's recurrence has no end (RRULE without COUNT or UNTIL)
+ */
+function isOpenEnded(event) {
+  if (!event.rrule) return false;
+  const { rule } = parseRRule(event.rrule);
+  return Boolean(rule && !rule.count && !rule.until);
+}
+
+/**
+ * Occurrence dates of an event inside a window: DTSTART + RRULE + RDATE - EXDATE
+ * @param {Object} event - { date, rrule, rdates, exdates }
+ * @param {Object} window - { from, to } YYYY-MM-DD (inclusive), limit, maxPeriods
+ * @returns {string[]} Sorted dates
+ */
+function expandRecurrence(event, { from = null, to = null, limit = MAX_OCCURRENCES, maxPeriods = MAX_PERIODS } = {}) {
+  const exdates = new Set(Array.isArray(event.exdates) ? event.exdates : []);
+  const dates = new Set((Array.isArray(event.rdates) ? event.rdates : []).filter(isIsoDate));
+
+  if (isIsoDate(event.date)) {
+    const { rule } = event.rrule ? parseRRule(event.rrule) : {};
+    // Excluded dates are dropped afterwards, so expand that many more
+    const expanded = rule ? expandRRule(event.date, rule, { from, to, limit: limit + exdates.size, maxPeriods }) : [event.date];
+    expanded.forEach((date) => dates.add(date));
+  }
+
+  return [...dates]
+    .filter((date) => !exdates.has(date) && (!from || date >= from) && (!to || date <= to))
+    .sort()
+    .slice(0, limit);
+}
+
+/**
+ * First and last occurrence dates. `last` is null for open-ended series.
+ * Bounded series are expanded to their UNTIL / COUNT end, not to
+ * MAX_OCCURRENCES, so a long daily series still ends on its last day.
+ * @param {Object} event - { date, rrule, rdates, exdates }
+ * @returns {{ first: string|null, last: string|null }}
+ */
+function getRecurrenceBounds(event) {
+  if (isOpenEnded(event)) {
+    return { first: expandRecurrence(event, { limit: 1 })[0] || null, last: null };
+  }
+
+  const { rule } = event.rrule ? parseRRule(event.rrule) : {};
+  const dates = rule
+    ? expandRecurrence(event, {
+      to: isIsoDate(event.date) ? toIso(splitIso(event.date).y + MAX_SERIES_YEARS, 12, 31) : null,
+      limit: Infinity,
+      maxPeriods: Math.ceil(((MAX_SERIES_YEARS + 1) * PERIODS_PER_YEAR[rule.freq]) / rule.interval) + 1
+    })
+    : expandRecurrence(event, { limit: Infinity });
+
+  return {
+    first: dates[0] || null,
+    last: dates[dates.length - 1] || null
+  };
+}
+
+/**
+ * Validate recurrence columns of an event
+ * @param {Object} event - { date, rrule, rdates, exdates }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateRecurrence(event) {
+  for (const key of ['rdates', 'exdates']) {
+    const value = event[key];
+    if (value !== null && value !== undefined && (!Array.isArray(value) || !value.every(isIsoDate))) {
+      return `${key} must be an array of YYYY-MM-DD dates`;
+    }
+  }
+
+  if (!event.rrule) return null;
+  if (!isIsoDate(event.date)) return 'rrule needs a date (the first occurrence)';
+
+  const { error } = parseRRule(event.rrule);
+  return error ? `Invalid rrule: ${error}` : null;
+}
+
+// -- Analysis cases (A–G in the vision prompt) to rules --
+
+function isConsecutive(days) {
+  // [30, 31, 1] continues into the next month
+  return days.every((day, i) => i === 0 || day === days[i - 1] + 1 || (day === 1 && days[i - 1] >= 28));
+}
+
+/**
+ * Day numbers in a starting month, rolling into the next month when they go
+ * back down ([28, 29, 1, 2])
+ */
+function daysToDates(days, y, m) {
+  let month = { y, m };
+  return days.map((day, i) => {
+    if (i > 0 && day < days[i - 1]) month = addMonths(month.y, month.m, 1);
+    return toIso(month.y, month.m, day);
+  }).filter(Boolean);
+}
+
+/**
+ * Case letter when the model didn't report one
+ */
+function inferRecurrenceCase(analysis) {
+  const days = analysis.recurring_specific_days || [];
+  const weekdays = analysis.recurring_days_of_week || [];
+
+  if (!analysis.is_recurring) {
+    if (days.length < 2) return null;
+    return isConsecutive(days) ? 'A' : 'G';
+  }
+  if (analysis.recurring_week_of_month) return 'D';
+  if (weekdays.length > 0) {
+    const { recurring_month_start: start, recurring_month_end: end } = analysis;
+    return start && end && end > start ? 'F' : 'B';
+  }
+  if (days.length > 0) return isConsecutive(days) ? 'C' : 'D';
+  return null;
+}
+
+/**
+ * Recurrence for a normalized analysis, following the prompt's cases:
+ *   A, E, G  fixed dates → `date` + `rdates`, no rule
+ *   B, F     weekly by weekday → FREQ=WEEKLY;BYDAY=… (UNTIL = end of recurring_month_end)
+ *   C        continuous range → FREQ=DAILY;UNTIL=last day
+ *   D        monthly → FREQ=MONTHLY;BYDAY=1SA or BYMONTHDAY=15
+ * Without recurring_month_end the weekly and monthly rules are open-ended.
+ * @param {Object} analysis - Analysis with the model's recurring_* fields
+ * @param {{ y: number, m: number }} referenceMonth - Month of the reference date (1-12)
+ * @returns {{ case: string, dtstart: string, rrule: string|null, rdates: string[], exdates: string[] }|null}
+ *   null for single-date events and when there is not enough to build a rule
+ */
+function buildRecurrenceFromAnalysis(analysis, referenceMonth) {
+  const recurrenceCase = analysis.recurring_case || inferRecurrenceCase(analysis);
+  if (!recurrenceCase) return null;
+
+  const days = analysis.recurring_specific_days || [];
+  const weekdays = (analysis.recurring_days_of_week || [])
+    .map((d) => DAY_NAME_TO_INDEX[String(d).toLowerCase().trim()])
+    .filter((i) => i !== undefined);
+  const baseDate = isIsoDate(analysis.date) ? analysis.date : null;
+
+  const monthOf = (value) => {
+    const match = /^(\d{4})-(\d{2})$/.exec(value || '');
+    return match ? { y: Number(match[1]), m: Number(match[2]) } : null;
+  };
+  const startMonth = monthOf(analysis.recurring_month_start)
+    || (baseDate ? splitIso(baseDate) : null)
+    || referenceMonth;
+  const endMonth = monthOf(analysis.recurring_month_end);
+  const until = endMonth ? toIso(endMonth.y, endMonth.m, daysInMonth(endMonth.y, endMonth.m)) : null;
+  const monthStart = toIso(startMonth.y, startMonth.m, 1);
+
+  const withRule = (rule) => {
+    // DTSTART must be an occurrence: first match from the start month on
+    const probe = { ...rule, count: null, until: null, byDay: rule.byDay || [], byMonthDay: rule.byMonthDay || [], byMonth: [], interval: 1 };
+    const dtstart = expandRRule(addDays(monthStart, -1), probe, { from: monthStart, limit: 1 })[0];
+    if (!dtstart || (until && dtstart > until)) return null;
+    return { case: recurrenceCase, dtstart, rrule: formatRRule({ ...rule, until }), rdates: [], exdates: [] };
+  };
+
+  if (['A', 'E', 'G'].includes(recurrenceCase)) {
+    if (!baseDate) return null;
+    const base = splitIso(baseDate);
+    const dates = days.length > 1 ? daysToDates(days, base.y, base.m) : [baseDate];
+    const [dtstart, ...rdates] = [...new Set([baseDate, ...dates])].sort();
+    return rdates.length > 0 ? { case: recurrenceCase, dtstart, rrule: null, rdates, exdates: [] } : null;
+  }
+
+  if (recurrenceCase === 'C') {
+    const dates = days.length > 0 ? daysToDates(days, startMonth.y, startMonth.m) : [];
+    if (dates.length < 2) return null;
+    return {
+      case: 'C',
+      dtstart: dates[0],
+      rrule: formatRRule({ freq: 'DAILY', until: dates[dates.length - 1] }),
+      rdates: [],
+      exdates: []
+    };
+  }
+
+  if (recurrenceCase === 'D') {
+    const nth = analysis.recurring_week_of_month || null;
+    if (weekdays.length > 0) {
+      return withRule({ freq: 'MONTHLY', byDay: weekdays.map((weekday) => ({ weekday, nth })) });
+    }
+    if (days.length > 0) return withRule({ freq: 'MONTHLY', byMonthDay: days });
+    return null;
+  }
+
+  // B, F
+  if (weekdays.length > 0) return withRule({ freq: 'WEEKLY', byDay: weekdays.map((weekday) => ({ weekday, nth: null })) });
+  return null;
+}
+
+/**
+ * Dates to show for an analysis' recurrence: every occurrence of a bounded
+ * series, or the next PREVIEW_DAYS of an open-ended one
+ * @param {Object} recurrence - buildRecurrenceFromAnalysis() output
+ * @param {string} referenceDay - YYYY-MM-DD
+ * @returns {string[]}
+ */
+function previewRecurrence(recurrence, referenceDay) {
+  const event = { date: recurrence.dtstart, rrule: recurrence.rrule, rdates: recurrence.rdates, exdates: recurrence.exdates };
+  return isOpenEnded(event)
+    ? expandRecurrence(event, { to: addDays(referenceDay > event.date ? referenceDay : event.date, PREVIEW_DAYS) })
+    : expandRecurrence(event);
+}
+
+module.exports = {
+  WEEKDAY_CODES,
+  MAX_OCCURRENCES,
+  parseRRule,
+  formatRRule,
+  expandRecurrence,
+  isOpenEnded,
+  getRecurrenceBounds,
+  validateRecurrence,
+  buildRecurrenceFromAnalysis,
+  previewRecurrence
+};
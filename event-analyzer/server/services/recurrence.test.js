@@ -0,0 +1,117 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  parseRRule,
+  formatRRule,
+  expandRecurrence,
+  getRecurrenceBounds,
+  validateRecurrence
+} = require('./recurrence');
+
+describe('parseRRule', () => {
+  it('parses a rule and formats it back', () => {
+    const { rule } = parseRRule('RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=-1FR;COUNT=6');
+
+    assert.strictEqual(rule.freq, 'MONTHLY');
+    assert.strictEqual(rule.interval, 2);
+    assert.deepStrictEqual(rule.byDay, [{ weekday: 5, nth: -1 }]);
+    assert.strictEqual(formatRRule(rule), 'FREQ=MONTHLY;INTERVAL=2;BYDAY=-1FR;COUNT=6');
+  });
+
+  it('rejects COUNT with UNTIL', () => {
+    assert.deepStrictEqual(parseRRule('FREQ=WEEKLY;COUNT=2;UNTIL=20261231'), { error: 'rrule cannot have both COUNT and UNTIL' });
+  });
+
+  it('rejects BYDAY ordinals outside monthly and yearly rules', () => {
+    assert.match(parseRRule('FREQ=WEEKLY;BYDAY=1FR').error, /need FREQ=MONTHLY or YEARLY/);
+  });
+
+  it('rejects line breaks inside a part', () => {
+    assert.match(parseRRule('FREQ=WEEKLY;BYDAY=FR\r\nBEGIN:VALARM').error, /Invalid BYDAY value/);
+  });
+});
+
+describe('expandRecurrence', () => {
+  it('stops a BYDAY series on its UNTIL date', () => {
+    assert.deepStrictEqual(
+      expandRecurrence({ date: '2026-11-03', rrule: 'FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20261112' }),
+      ['2026-11-03', '2026-11-05', '2026-11-10', '2026-11-12']
+    );
+  });
+
+  it('counts an excluded date toward COUNT', () => {
+    assert.deepStrictEqual(
+      expandRecurrence({ date: '2026-11-06', rrule: 'FREQ=WEEKLY;COUNT=4', exdates: ['2026-11-13'] }),
+      ['2026-11-06', '2026-11-20', '2026-11-27']
+    );
+  });
+
+  it('counts dates before the window toward COUNT', () => {
+    assert.deepStrictEqual(
+      expandRecurrence({ date: '2026-11-06', rrule: 'FREQ=WEEKLY;COUNT=3' }, { from: '2026-11-14' }),
+      ['2026-11-20']
+    );
+  });
+
+  it('adds RDATEs and removes EXDATEs from them too', () => {
+    assert.deepStrictEqual(
+      expandRecurrence({ date: '2026-11-06', rdates: ['2026-11-20', '2026-11-08'], exdates: ['2026-11-08'] }),
+      ['2026-11-06', '2026-11-20']
+    );
+  });
+
+  it('expands the last weekday of the month', () => {
+    assert.deepStrictEqual(
+      expandRecurrence({ date: '2026-10-30', rrule: 'FREQ=MONTHLY;BYDAY=-1FR;COUNT=3' }),
+      ['2026-10-30', '2026-11-27', '2026-12-25']
+    );
+  });
+
+  it('stops an open-ended series at MAX_OCCURRENCES, excluded dates aside', () => {
+    const dates = expandRecurrence({ date: '2026-01-01', rrule: 'FREQ=DAILY', exdates: ['2026-01-02'] });
+
+    assert.strictEqual(dates.length, 500);
+    assert.strictEqual(dates[1], '2026-01-03');
+    assert.strictEqual(dates[499], '2027-05-16');
+  });
+
+  it('honours a smaller limit', () => {
+    assert.deepStrictEqual(
+      expandRecurrence({ date: '2026-11-06', rrule: 'FREQ=WEEKLY' }, { from: '2026-11-10', limit: 2 }),
+      ['2026-11-13', '2026-11-20']
+    );
+  });
+});
+
+describe('getRecurrenceBounds', () => {
+  it('ends a bounded series on its last date past MAX_OCCURRENCES', () => {
+    assert.deepStrictEqual(
+      getRecurrenceBounds({ date: '2026-01-01', rrule: 'FREQ=DAILY;COUNT=1000' }),
+      { first: '2026-01-01', last: '2028-09-26' }
+    );
+  });
+
+  it('leaves an open-ended series without a last date', () => {
+    assert.deepStrictEqual(
+      getRecurrenceBounds({ date: '2026-01-01', rrule: 'FREQ=WEEKLY' }),
+      { first: '2026-01-01', last: null }
+    );
+  });
+
+  it('starts on the first date left after EXDATEs', () => {
+    assert.deepStrictEqual(
+      getRecurrenceBounds({ date: '2026-11-06', rrule: 'FREQ=WEEKLY;COUNT=3', exdates: ['2026-11-06'] }),
+      { first: '2026-11-13', last: '2026-11-20' }
+    );
+  });
+});
+
+describe('validateRecurrence', () => {
+  it('needs a date for an rrule and ISO dates in rdates / exdates', () => {
+    assert.strictEqual(validateRecurrence({ rrule: 'FREQ=WEEKLY' }), 'rrule needs a date (the first occurrence)');
+    assert.strictEqual(validateRecurrence({ date: '2026-11-06', exdates: ['13/11/2026'] }), 'exdates must be an array of YYYY-MM-DD dates');
+    assert.strictEqual(validateRecurrence({ date: '2026-11-06', rrule: 'FREQ=HOURLY' }), 'Invalid rrule: FREQ must be one of: DAILY, WEEKLY, MONTHLY, YEARLY');
+    assert.strictEqual(validateRecurrence({ date: '2026-11-06', rrule: 'FREQ=WEEKLY;BYDAY=FR' }), null);
+  });
+});
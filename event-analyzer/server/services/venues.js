@@ -0,0 +1,248 @@
+const { normalizeText, trigramSimilarity } = require('../utils/text');
+const { GUATEMALA_PLACES, haversineKm } = require('./geocoder');
+
+/**
+ * Venue matching and deduplication.
+ *
+ * Flyers are transcribed literally, so the same bar shows up as "El Sitio",
+ * "Sitio z.10" or "EL SITIO - Zona 10". Event locations are reduced to a
+ * venue name, compared with every venue name and alias (trigram similarity),
+ * and adjusted by distance when both sides have coordinates.
+ */
+
+const MATCH_THRESHOLD = 0.72;
+const NEARBY_KM = 0.3;
+const FAR_KM = 5;
+
+// match_venues prefilter: pg_trgm similarity is lower than the Dice score of
+// scoreVenue for the same names, so this keeps everything that could reach
+// MATCH_THRESHOLD (also with the distance bonus)
+const CANDIDATE_SIMILARITY = 0.3;
+const MAX_CANDIDATES = 50;
+
+const VENUE_COLUMNS = 'id, name, normalized_name, aliases, address, latitude, longitude, instagram_handle, capacity, merged_into';
+
+// Zone/city names are places, not venues ("zona 10", "Antigua")
+const PLACE_NAMES = new Set(GUATEMALA_PLACES.flatMap((p) => p.aliases));
+const LEADING_ARTICLES = /^(el|la|los|las|the)\s+/;
+
+/**
+ * Normalize a venue name for comparison: no accents/case, no zone or city
+ * suffix, no leading article
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeVenueName(name) {
+  return normalizeText(name)
+    .replace(/\bz(ona)?\s*\d{1,2}\b/g, ' ')
+    .replace(/\b(ciudad de guatemala|ciudad capital|guatemala)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(LEADING_ARTICLES, '');
+}
+
+/**
+ * Pull the venue part out of a free-text location:
+ * "El Sitio, 5a avenida zona 10" → "El Sitio". Returns null when the text is
+ * only a zone or city.
+ * @param {string} location
+ * @returns {string|null}
+ */
+function extractVenueName(location) {
+  if (!location || location === 'No especificado') return null;
+
+  const first = location.split(/[,|\n]| - /)[0].trim();
+  const normalized = normalizeVenueName(first);
+
+  if (!normalized || PLACE_NAMES.has(normalized) || PLACE_NAMES.has(normalizeText(first))) {
+    return null;
+  }
+
+  return first;
+}
+
+/**
+ * Similarity between a candidate name and a venue (best of name and aliases)
+ * @returns {number} 0..1
+ */
+function scoreVenue(name, venue, coords) {
+  const target = normalizeVenueName(name);
+  const compact = target.replace(/\s/g, '');
+
+  let best = 0;
+  for (const candidate of [venue.name, ...(venue.aliases || [])]) {
+    const normalized = normalizeVenueName(candidate);
+    const score = Math.max(
+      trigramSimilarity(target, normalized),
+      trigramSimilarity(compact, normalized.replace(/\s/g, ''))
+    );
+    best = Math.max(best, score);
+  }
+
+  if (coords?.latitude != null && venue.latitude != null) {
+    const km = haversineKm(coords.latitude, coords.longitude, venue.latitude, venue.longitude);
+    if (km <= NEARBY_KM) best += 0.15;
+    else if (km > FAR_KM) best -= 0.3;
+  }
+
+  return Math.max(0, Math.min(1, best));
+}
+
+/**
+ * Find the best existing venue for a name. Candidates come from the
+ * `match_venues` Postgres function (CHANGELOG 1.0.60), which keeps the
+ * unmerged venues whose name or an alias is similar (pg_trgm); they are
+ * scored here with scoreVenue.
+ * @param {Object} supabase - Supabase client
+ * @param {string} name - Venue name (see extractVenueName)
+ * @param {Object} coords - Optional { latitude, longitude }
+ * @returns {Promise<{ venue: Object, score: number }|null>}
+ */
+async function findMatchingVenue(supabase, name, coords = null) {
+  if (!name) return null;
+
+  const { data: venues, error } = await supabase.rpc('match_venues', {
+    q: normalizeVenueName(name),
+    min_similarity: CANDIDATE_SIMILARITY,
+    max_results: MAX_CANDIDATES
+  });
+
+  if (error) throw error;
+
+  let best = null;
+  for (const venue of venues || []) {
+    const score = scoreVenue(name, venue, coords);
+    if (score >= MATCH_THRESHOLD && (!best || score > best.score)) {
+      best = { venue, score: Math.round(score * 100) / 100 };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Match an event's location to a venue, creating the venue when none matches.
+ * New spellings of an existing venue are stored as aliases.
+ * @param {Object} supabase - Supabase client
+ * @param {Object} event - Event columns (location, latitude, longitude)
+ * @returns {Promise<Object|null>} Venue row or null if the location is not a venue
+ */
+async function matchOrCreateVenue(supabase, event) {
+  const name = extractVenueName(event.location);
+  if (!name) return null;
+
+  const match = await findMatchingVenue(supabase, name, event);
+
+  if (match) {
+    const { venue } = match;
+    const known = [venue.name, ...(venue.aliases || [])].map(normalizeText);
+
+    if (!known.includes(normalizeText(name))) {
+      await supabase
+        .from('venues')
+        .update({ aliases: [...(venue.aliases || []), name] })
+        .eq('id', venue.id);
+      console.log(`[VENUES] ➕ Alias "${name}" added to "${venue.name}"`);
+    }
+
+    return venue;
+  }
+
+  const { data: venue, error } = await supabase
+    .from('venues')
+    .insert([{
+      name,
+      normalized_name: normalizeVenueName(name),
+      address: event.location,
+      latitude: event.latitude ?? null,
+      longitude: event.longitude ?? null,
+      aliases: []
+    }])
+    .select(VENUE_COLUMNS)
+    .single();
+
+  if (error) throw error;
+
+  console.log(`[VENUES] ✅ Venue created: "${venue.name}" (${venue.id})`);
+  return venue;
+}
+
+/**
+ * Suggest an existing venue for a vision analysis result (never creates one)
+ * @param {Object} supabase - Supabase client
+ * @param {Object} analysis - analyzeEventImage() analysis
+ * @returns {Promise<Object|null>} { id, name, score } or null
+ */
+async function suggestVenueForAnalysis(supabase, analysis) {
+  try {
+    const match = await findMatchingVenue(supabase, extractVenueName(analysis.location));
+    return match ? { id: match.venue.id, name: match.venue.name, score: match.score } : null;
+  } catch (error) {
+    console.warn('[VENUES] ⚠️ Venue suggestion failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Target columns after a merge: every source name and alias the target
+ * doesn't know yet becomes an alias, and empty target fields take the value
+ * of the first source that has one
+ * @param {Object} target - Surviving venue row
+ * @param {Object[]} sources - Venue rows merged into it
+ * @returns {Object} Columns to update ({ aliases, ...filled fields })
+ */
+function buildVenueMergeUpdates(target, sources) {
+  const known = new Set([target.name, ...(target.aliases || [])].map(normalizeVenueName));
+  const aliases = [...(target.aliases || [])];
+  for (const source of sources) {
+    for (const name of [source.name, ...(source.aliases || [])]) {
+      const key = normalizeVenueName(name);
+      if (!known.has(key)) {
+        known.add(key);
+        aliases.push(name);
+      }
+    }
+  }
+
+  const updates = { aliases };
+  for (const field of ['address', 'latitude', 'longitude', 'instagram_handle', 'capacity']) {
+    if (target[field] == null) {
+      const donor = sources.find((s) => s[field] != null);
+      if (donor) updates[field] = donor[field];
+    }
+  }
+
+  return updates;
+}
+
+/**
+ * Merge venues into one: moves the sources' events to the target, marks the
+ * sources merged_into it and applies buildVenueMergeUpdates. Runs in the
+ * `merge_venues` Postgres function (CHANGELOG 1.0.60), in one transaction.
+ * @param {Object} supabase - Supabase client
+ * @param {Object} target - Surviving venue row
+ * @param {Object[]} sources - Venue rows to merge into the target
+ * @returns {Promise<{ venue: Object, events_moved: number }|null>} null when
+ *   one of the venues was merged by someone else in the meantime
+ */
+async function mergeVenues(supabase, target, sources) {
+  const { data, error } = await supabase.rpc('merge_venues', {
+    target_id: target.id,
+    source_ids: sources.map((s) => s.id),
+    target_updates: buildVenueMergeUpdates(target, sources)
+  });
+
+  if (error) throw error;
+  return data ? { venue: data.venue, events_moved: data.events_moved } : null;
+}
+
+module.exports = {
+  VENUE_COLUMNS,
+  normalizeVenueName,
+  extractVenueName,
+  findMatchingVenue,
+  matchOrCreateVenue,
+  suggestVenueForAnalysis,
+  buildVenueMergeUpdates,
+  mergeVenues
+};
@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { findMatchingVenue, buildVenueMergeUpdates } = require('./venues');
+
+/**
+ * Supabase stand-in: rpc() records its arguments and answers with `venues`;
+ * from() fails, the venues table is only read through match_venues
+ */
+function createSupabaseStub(venues) {
+  const calls = [];
+  const client = {
+    from(table) {
+      throw new Error(`Unexpected read of ${table}`);
+    },
+    rpc(name, args) {
+      calls.push({ name, args });
+      return Promise.resolve({ data: venues, error: null });
+    }
+  };
+  return { client, calls };
+}
+
+const venue = (id, name, extra = {}) => ({ id, name, aliases: [], latitude: null, longitude: null, merged_into: null, ...extra });
+
+describe('findMatchingVenue', () => {
+  it('asks match_venues for candidates of the normalized name', async () => {
+    const { client, calls } = createSupabaseStub([]);
+
+    assert.strictEqual(await findMatchingVenue(client, 'EL SITIO - Zona 10'), null);
+    assert.deepStrictEqual(calls, [{
+      name: 'match_venues',
+      args: { q: 'sitio', min_similarity: 0.3, max_results: 50 }
+    }]);
+  });
+
+  it('scores the candidates and returns the best one above the threshold', async () => {
+    const { client } = createSupabaseStub([
+      venue('other', 'Sitio Arqueológico'),
+      venue('sitio', 'Bar', { aliases: ['El Sitio'] })
+    ]);
+
+    const match = await findMatchingVenue(client, 'Sitio z.10');
+
+    assert.strictEqual(match.venue.id, 'sitio');
+    assert.strictEqual(match.score, 1);
+  });
+
+  it('drops a similar name that is far away', async () => {
+    const { client } = createSupabaseStub([venue('antigua', 'El Sitio', { latitude: 14.5586, longitude: -90.7295 })]);
+
+    assert.strictEqual(await findMatchingVenue(client, 'El Sitio', { latitude: 14.6, longitude: -90.51 }), null);
+  });
+
+  it('does not query without a name', async () => {
+    const { client, calls } = createSupabaseStub([]);
+
+    assert.strictEqual(await findMatchingVenue(client, null), null);
+    assert.strictEqual(calls.length, 0);
+  });
+});
+
+describe('buildVenueMergeUpdates', () => {
+  it('adds unknown source names and aliases once', () => {
+    const target = venue('target', 'Bar Fly', { aliases: ['Barfly'] });
+    const sources = [
+      venue('a', 'BAR FLY zona 4', { aliases: ['Barfly GT'] }),
+      venue('b', 'Barfly GT')
+    ];
+
+    assert.deepStrictEqual(buildVenueMergeUpdates(target, sources).aliases, ['Barfly', 'Barfly GT']);
+  });
+
+  it('fills empty target fields from the first source that has them', () => {
+    const target = venue('target', 'Bar Fly', { address: '4a calle', capacity: null });
+    const sources = [
+      venue('a', 'Barfly', { address: '7a avenida', latitude: 14.6 }),
+      venue('b', 'Bar-Fly', { capacity: 120, latitude: 14.7 })
+    ];
+
+    const updates = buildVenueMergeUpdates(target, sources);
+
+    assert.strictEqual(updates.address, undefined);
+    assert.strictEqual(updates.latitude, 14.6);
+    assert.strictEqual(updates.capacity, 120);
+  });
+});
@@ -0,0 +1,62 @@
+const axios = require('axios');
+const { isImageUrl, parseDataUrl } = require('./image');
+
+/**
+ * Anthropic vision provider (Messages API over HTTP)
+ */
+
+const DEFAULT_MODEL = 'claude-3-5-sonnet-latest';
+const API_URL = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+
+function imageBlock(imageData) {
+  if (isImageUrl(imageData)) {
+    return { type: 'image', source: { type: 'url', url: imageData } };
+  }
+
+  const { mimeType, base64 } = parseDataUrl(imageData);
+  return { type: 'image', source: { type: 'base64', media_type: mimeType, data: base64 } };
+}
+
+async function analyze({ systemPrompt, userText, imageData, model }) {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+
+  if (!apiKey) {
+    throw new Error('ANTHROPIC_API_KEY not configured');
+  }
+
+  const response = await axios.post(API_URL, {
+    model,
+    system: systemPrompt,
+    max_tokens: 2048,
+    temperature: 0.1,
+    messages: [
+      {
+        role: 'user',
+        content: [
+          ...(imageData ? [imageBlock(imageData)] : []),
+          { type: 'text', text: `${userText}\n\nResponde únicamente con el JSON.` }
+        ]
+      }
+    ]
+  }, {
+    headers: {
+      'x-api-key': apiKey,
+      'anthropic-version': API_VERSION,
+      'content-type': 'application/json'
+    },
+    timeout: 120000
+  });
+
+  const { content, usage } = response.data;
+
+  return {
+    content: (content || []).filter((block) => block.type === 'text').map((block) => block.text).join(''),
+    tokensUsed: (usage?.input_tokens || 0) + (usage?.output_tokens || 0)
+  };
+}
+
+module.exports = {
+  defaultModel: DEFAULT_MODEL,
+  analyze
+};
@@ -0,0 +1,56 @@
+const axios = require('axios');
+const { loadImageBase64 } = require('./image');
+
+/**
+ * Google Gemini vision provider (generateContent over HTTP).
+ * Gemini only takes inline images, so URLs are downloaded first.
+ */
+
+const DEFAULT_MODEL = 'gemini-1.5-flash';
+const API_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+async function imagePart(imageData) {
+  const { mimeType, base64 } = await loadImageBase64(imageData);
+  return { inline_data: { mime_type: mimeType, data: base64 } };
+}
+
+async function analyze({ systemPrompt, userText, imageData, model }) {
+  const apiKey = process.env.GEMINI_API_KEY;
+
+  if (!apiKey) {
+    throw new Error('GEMINI_API_KEY not configured');
+  }
+
+  const response = await axios.post(`${API_URL}/${model}:generateContent`, {
+    systemInstruction: { parts: [{ text: systemPrompt }] },
+    contents: [
+      {
+        role: 'user',
+        parts: [
+          { text: userText },
+          ...(imageData ? [await imagePart(imageData)] : [])
+        ]
+      }
+    ],
+    generationConfig: {
+      temperature: 0.1,
+      maxOutputTokens: 2048,
+      responseMimeType: 'application/json'
+    }
+  }, {
+    params: { key: apiKey },
+    timeout: 120000
+  });
+
+  const parts = response.data?.candidates?.[0]?.content?.parts || [];
+
+  return {
+    content: parts.map((part) => part.text || '').join(''),
+    tokensUsed: response.data?.usageMetadata?.totalTokenCount || 0
+  };
+}
+
+module.exports = {
+  defaultModel: DEFAULT_MODEL,
+  analyze
+};
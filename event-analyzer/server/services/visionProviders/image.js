@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { fetchPublicUrl } = require('../../utils/publicUrl');
+
+/**
+ * Image helpers shared by vision providers. Images arrive as an http(s) URL
+ * or a `data:image/...;base64,` URL (see validateImageData).
+ */
+
+const DOWNLOAD_TIMEOUT_MS = 30000;
+const MAX_DOWNLOAD_BYTES = 15 * 1024 * 1024;
+
+/**
+ * Whether the image is a remote URL
+ * @param {string} imageData
+ * @returns {boolean}
+ */
+function isImageUrl(imageData) {
+  return imageData.startsWith('http://') || imageData.startsWith('https://');
+}
+
+/**
+ * Split a data URL into mime type and base64 payload
+ * @param {string} dataUrl - data:image/png;base64,...
+ * @returns {{ mimeType: string, base64: string }}
+ */
+function parseDataUrl(dataUrl) {
+  const match = /^data:([^;,]+);base64,(.*)$/s.exec(dataUrl);
+  if (!match) {
+    throw new Error('Invalid base64 image data');
+  }
+  return { mimeType: match[1], base64: match[2] };
+}
+
+/**
+ * Base64 payload of an image, downloading it when it is a URL
+ * (for providers that only accept inline images and for the analysis cache).
+ * Downloads only reach public addresses (utils/publicUrl.js).
+ * @param {string} imageData - URL or data URL
+ * @returns {Promise<{ mimeType: string, base64: string }>}
+ * @throws {Error} code ENOTPUBLIC for URLs that point to a non-public address
+ */
+async function loadImageBase64(imageData) {
+  if (!isImageUrl(imageData)) return parseDataUrl(imageData);
+
+  const { data, contentType } = await fetchPublicUrl(imageData, {
+    maxBytes: MAX_DOWNLOAD_BYTES,
+    timeout: DOWNLOAD_TIMEOUT_MS,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+      'Accept': 'image/webp,image/apng,image/*,*/*;q=0.8'
+    }
+  });
+
+  return {
+    mimeType: (contentType || 'image/jpeg').split(';')[0],
+    base64: data.toString('base64')
+  };
+}
+
+/**
+ * Stable hash of the image reference (base64 payload or URL), used as the
+ * fixture key for recorded responses
+ * @param {string} imageData
+ * @returns {string} sha256 hex
+ */
+function hashImageData(imageData) {
+  const payload = isImageUrl(imageData) ? imageData : parseDataUrl(imageData).base64;
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+/**
+ * Fixture key of a vision request: the image hash, or the hash of the
+ * prompt for text-only requests (post captions)
+ * @param {Object} request - { imageData, userText }
+ * @returns {string} sha256 hex
+ */
+function hashVisionRequest({ imageData, userText }) {
+  return imageData
+    ? hashImageData(imageData)
+    : crypto.createHash('sha256').update(userText || '').digest('hex');
+}
+
+module.exports = {
+  isImageUrl,
+  parseDataUrl,
+  loadImageBase64,
+  hashImageData,
+  hashVisionRequest
+};
@@ -0,0 +1,63 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+
+const { loadImageBase64 } = require('./image');
+
+describe('loadImageBase64', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('returns the payload of a data URL without a request', async () => {
+    const get = mock.method(axios, 'get');
+
+    assert.deepStrictEqual(await loadImageBase64('data:image/png;base64,aGVsbG8='), {
+      mimeType: 'image/png',
+      base64: 'aGVsbG8='
+    });
+    assert.strictEqual(get.mock.callCount(), 0);
+  });
+
+  for (const url of [
+    'http://169.254.169.254/latest/meta-data/',
+    'http://127.0.0.1:3001/api/health',
+    'http://[::ffff:127.0.0.1]/flyer.jpg',
+    'http://10.0.0.5/flyer.jpg'
+  ]) {
+    it(`refuses ${url}`, async () => {
+      const get = mock.method(axios, 'get');
+
+      await assert.rejects(loadImageBase64(url), { code: 'ENOTPUBLIC' });
+      assert.strictEqual(get.mock.callCount(), 0);
+    });
+  }
+
+  it('refuses a redirect to the metadata service', async () => {
+    const get = mock.method(axios, 'get', async () => ({
+      status: 302,
+      headers: { location: 'http://169.254.169.254/latest/meta-data/' },
+      data: Buffer.alloc(0)
+    }));
+
+    await assert.rejects(loadImageBase64('https://93.184.216.34/flyer.jpg'), { code: 'ENOTPUBLIC' });
+    assert.strictEqual(get.mock.callCount(), 1);
+  });
+
+  it('downloads through the guarded agents with a size cap and no redirects', async () => {
+    const get = mock.method(axios, 'get', async () => ({
+      status: 200,
+      headers: { 'content-type': 'image/jpeg; charset=binary' },
+      data: Buffer.from('hello')
+    }));
+
+    const image = await loadImageBase64('https://93.184.216.34/flyer.jpg');
+
+    assert.deepStrictEqual(image, { mimeType: 'image/jpeg', base64: 'aGVsbG8=' });
+    const [, options] = get.mock.calls[0].arguments;
+    assert.strictEqual(options.maxRedirects, 0);
+    assert.strictEqual(options.proxy, false);
+    assert.strictEqual(options.maxContentLength, 15 * 1024 * 1024);
+    assert.ok(options.httpAgent && options.httpsAgent);
+  });
+});
@@ -0,0 +1,198 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { hashVisionRequest } = require('./image');
+const { isValidTimezone } = require('../eventTime');
+const { isPromptVersion } = require('../promptTemplates');
+
+/**
+ * Vision provider registry.
+ *
+ * A provider is `{ defaultModel, analyze(request) }` where
+ * `analyze({ systemPrompt, userText, imageData, model, fixture, repair })` resolves to
+ * `{ content, tokensUsed }` — `content` being the model's raw JSON text.
+ * `imageData` is null for text-only requests (post captions).
+ * Parsing, normalization and recurring dates stay in eventVision.js, so every
+ * provider produces the same analysis shape.
+ *
+ * The provider comes from the request (`provider`, `model`) or VISION_PROVIDER /
+ * VISION_MODEL (default openai / gpt-4o-mini). VISION_FALLBACK_PROVIDERS is a
+ * comma list tried in order when the chosen provider fails.
+ */
+
+const PROVIDERS = {
+  openai: require('./openai'),
+  anthropic: require('./anthropic'),
+  gemini: require('./gemini'),
+  tesseract: require('./tesseract'),
+  mock: require('./mock')
+};
+
+const DEFAULT_PROVIDER = 'openai';
+
+/**
+ * Register a custom provider
+ * @param {string} name - Provider name for VISION_PROVIDER / request `provider`
+ * @param {Object} provider - { defaultModel, analyze }
+ */
+function registerVisionProvider(name, provider) {
+  PROVIDERS[name] = provider;
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isVisionProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+}
+
+/**
+ * @returns {string[]} Registered provider names
+ */
+function listVisionProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * Provider and model for a request. VISION_MODEL only applies to the
+ * VISION_PROVIDER it was configured for.
+ * @param {Object} options - { provider, model }
+ * @returns {{ provider: string, model: string }}
+ */
+function resolveVisionConfig({ provider, model } = {}) {
+  const envProvider = process.env.VISION_PROVIDER || DEFAULT_PROVIDER;
+  const name = provider || envProvider;
+
+  if (!isVisionProvider(name)) {
+    throw new Error(`Unknown vision provider: ${name}`);
+  }
+
+  const envModel = name === envProvider ? process.env.VISION_MODEL : null;
+
+  return {
+    provider: name,
+    model: model || envModel || PROVIDERS[name].defaultModel
+  };
+}
+
+// Providers that replay fixtures instead of analyzing the image
+const TESTING_PROVIDERS = ['mock'];
+
+/**
+ * Read per-request vision options from a request body
+ * @param {Object} body - { provider, model, fixture, timezone, prompt_version }
+ * @param {Object} [access] - { allowTesting }: whether the caller may pick the
+ *   mock provider or a fixture (see canUseVisionFixtures in middleware/permissions.js)
+ * @returns {{ options?: Object, error?: string }}
+ */
+function parseVisionOptions(body = {}, { allowTesting = false } = {}) {
+  const { provider, model, fixture, timezone, prompt_version } = body;
+
+  if (provider !== undefined && (typeof provider !== 'string' || !isVisionProvider(provider))) {
+    return { error: `provider must be one of: ${listVisionProviders().join(', ')}` };
+  }
+
+  if (!allowTesting && (TESTING_PROVIDERS.includes(provider) || fixture !== undefined)) {
+    return { error: 'provider "mock" and fixture are only available outside production or to admins' };
+  }
+
+  if (model !== undefined && (typeof model !== 'string' || !model.trim())) {
+    return { error: 'model must be a non-empty string' };
+  }
+
+  if (fixture !== undefined && typeof fixture !== 'string') {
+    return { error: 'fixture must be a string' };
+  }
+
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    return { error: 'timezone must be an IANA timezone such as America/Guatemala' };
+  }
+
+  if (prompt_version !== undefined && !isPromptVersion(prompt_version)) {
+    return { error: `Unknown prompt_version: ${prompt_version}` };
+  }
+
+  return { options: { provider, model: model?.trim(), fixture, timezone, promptVersion: prompt_version } };
+}
+
+function fallbackChain(primary) {
+  const names = (process.env.VISION_FALLBACK_PROVIDERS || '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter((name) => name && name !== primary.provider && isVisionProvider(name));
+
+  return [primary, ...names.map((name) => resolveVisionConfig({ provider: name }))];
+}
+
+/**
+ * Save a raw response as a mock fixture when VISION_RECORD_DIR is set.
+ * Repair re-asks are added to the image's fixture as `repair_content`.
+ */
+async function recordResponse(request, config, content) {
+  const dir = process.env.VISION_RECORD_DIR;
+  if (!dir || config.provider === 'mock') return;
+
+  try {
+    const file = path.join(dir, `${hashVisionRequest(request)}.json`);
+    let fixture = { ...config, content, recorded_at: new Date().toISOString() };
+
+    if (request.repair) {
+      const existing = JSON.parse(await fs.readFile(file, 'utf8').catch(() => '{}'));
+      fixture = { ...existing, repair_content: content };
+    }
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(file, JSON.stringify(fixture, null, 2));
+  } catch (error) {
+    console.warn('[EVENT_VISION] ⚠️ Could not record response:', error.message);
+  }
+}
+
+/**
+ * Run a vision request through the configured provider (and fallbacks)
+ * @param {Object} request - { systemPrompt, userText, imageData }
+ * @param {Object} options - { provider, model, fixture }
+ * @returns {Promise<{ content: string, tokensUsed: number, provider: string, model: string, fallbackFrom: string|null }>}
+ */
+async function runVisionProvider(request, options = {}) {
+  const chain = fallbackChain(resolveVisionConfig(options));
+  let lastError;
+
+  for (const config of chain) {
+    try {
+      console.log(`[EVENT_VISION] 🤖 Provider: ${config.provider}/${config.model}`);
+
+      const result = await PROVIDERS[config.provider].analyze({
+        ...request,
+        model: config.model,
+        fixture: options.fixture
+      });
+
+      if (!result.content) {
+        throw new Error(`Empty response from ${config.provider}`);
+      }
+
+      await recordResponse(request, config, result.content);
+
+      return {
+        ...result,
+        ...config,
+        fallbackFrom: config === chain[0] ? null : chain[0].provider
+      };
+    } catch (error) {
+      console.warn(`[EVENT_VISION] ⚠️ ${config.provider} failed:`, error.message);
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+}
+
+module.exports = {
+  registerVisionProvider,
+  isVisionProvider,
+  listVisionProviders,
+  resolveVisionConfig,
+  parseVisionOptions,
+  runVisionProvider
+};
@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { parseVisionOptions } = require('./index');
+
+const TESTING_ERROR = 'provider "mock" and fixture are only available outside production or to admins';
+
+describe('parseVisionOptions', () => {
+  it('rejects the mock provider and fixtures unless testing is allowed', () => {
+    assert.deepStrictEqual(parseVisionOptions({ provider: 'mock' }), { error: TESTING_ERROR });
+    assert.deepStrictEqual(parseVisionOptions({ fixture: 'flyer-salsa' }), { error: TESTING_ERROR });
+    assert.deepStrictEqual(parseVisionOptions({ provider: 'openai', fixture: 'flyer-salsa' }), { error: TESTING_ERROR });
+  });
+
+  it('accepts the mock provider and fixtures when testing is allowed', () => {
+    const { options, error } = parseVisionOptions({ provider: 'mock', fixture: 'flyer-salsa' }, { allowTesting: true });
+
+    assert.strictEqual(error, undefined);
+    assert.strictEqual(options.provider, 'mock');
+    assert.strictEqual(options.fixture, 'flyer-salsa');
+  });
+
+  it('accepts real providers either way', () => {
+    const { options, error } = parseVisionOptions({ provider: 'anthropic', model: ' claude ' });
+
+    assert.strictEqual(error, undefined);
+    assert.strictEqual(options.provider, 'anthropic');
+    assert.strictEqual(options.model, 'claude');
+  });
+
+  it('rejects a model that is not a string', () => {
+    assert.deepStrictEqual(parseVisionOptions({ model: 5 }), { error: 'model must be a non-empty string' });
+  });
+});
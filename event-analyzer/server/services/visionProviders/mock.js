@@ -0,0 +1,61 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { hashVisionRequest } = require('./image');
+
+/**
+ * Fixture-replay provider for tests and local development. Never calls a model.
+ *
+ * Fixtures are JSON files in VISION_FIXTURES_DIR (default server/fixtures/vision),
+ * looked up by the `fixture` option ("<name>.json") or by the sha256 of the
+ * image ("<hash>.json"; the prompt for text-only requests). A fixture holds either the raw model output
+ * (`{ "content": "..." }`, as written by VISION_RECORD_DIR) or a parsed
+ * analysis (`{ "analysis": { ... } }`). Schema repair re-asks replay
+ * `repair_content` / `repair` from the same fixture.
+ */
+
+const DEFAULT_MODEL = 'fixture';
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'vision');
+
+function fixturesDir() {
+  return process.env.VISION_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+}
+
+async function readFixture(name) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(fixturesDir(), `${name}.json`), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function analyze({ imageData, userText, fixture, repair }) {
+  if (fixture && !/^[\w.-]+$/.test(fixture)) {
+    throw new Error(`Invalid fixture name: ${fixture}`);
+  }
+
+  const hash = hashVisionRequest({ imageData, userText });
+  const recorded = (fixture && await readFixture(fixture)) || await readFixture(hash);
+
+  if (!recorded) {
+    throw new Error(`No vision fixture for ${fixture ? `"${fixture}"` : `request ${hash}`} in ${fixturesDir()}`);
+  }
+
+  if (repair) {
+    if (!recorded.repair_content && !recorded.repair) {
+      throw new Error('Fixture has no repair response');
+    }
+    return { content: recorded.repair_content ?? JSON.stringify(recorded.repair), tokensUsed: 0 };
+  }
+
+  return {
+    content: recorded.content ?? JSON.stringify(recorded.analysis),
+    tokensUsed: 0
+  };
+}
+
+module.exports = {
+  defaultModel: DEFAULT_MODEL,
+  analyze,
+  fixturesDir
+};
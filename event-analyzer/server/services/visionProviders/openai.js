@@ -0,0 +1,56 @@
+const OpenAI = require('openai');
+
+/**
+ * OpenAI vision provider (chat completions with image_url content)
+ */
+
+const DEFAULT_MODEL = 'gpt-4o-mini'; // Vision-capable, cost-effective
+
+async function analyze({ systemPrompt, userText, imageData, model }) {
+  const apiKey = process.env.OPENAI_API_KEY;
+
+  if (!apiKey) {
+    throw new Error('OPENAI_API_KEY not configured');
+  }
+
+  const openai = new OpenAI({ apiKey });
+
+  const response = await openai.chat.completions.create({
+    model,
+    messages: [
+      {
+        role: 'system',
+        content: systemPrompt
+      },
+      {
+        role: 'user',
+        content: [
+          {
+            type: 'text',
+            text: userText
+          },
+          ...(imageData ? [{
+            type: 'image_url',
+            image_url: {
+              url: imageData,
+              detail: 'high' // High detail for better text recognition
+            }
+          }] : [])
+        ]
+      }
+    ],
+    max_tokens: 2048,
+    temperature: 0.1, // Low temperature for deterministic output
+    response_format: { type: 'json_object' } // Force JSON response
+  });
+
+  return {
+    content: response.choices?.[0]?.message?.content,
+    tokensUsed: response.usage?.total_tokens || 0
+  };
+}
+
+module.exports = {
+  defaultModel: DEFAULT_MODEL,
+  analyze
+};
@@ -0,0 +1,85 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const OpenAI = require('openai');
+const { loadImageBase64 } = require('./image');
+
+/**
+ * Local pipeline: Tesseract OCR + a text-only LLM.
+ *
+ * The flyer text is read with the `tesseract` CLI and sent to any
+ * OpenAI-compatible chat endpoint (Ollama, llama.cpp server, vLLM...) with the
+ * same system prompt. Nothing leaves the machine when the LLM is local.
+ */
+
+const execFileAsync = promisify(execFile);
+
+const DEFAULT_MODEL = 'llama3.1';
+const OCR_TIMEOUT_MS = 60000;
+
+/**
+ * Run Tesseract on an image
+ * @param {string} imageData - URL or data URL
+ * @returns {Promise<string>} Recognized text
+ */
+async function runOcr(imageData) {
+  const { mimeType, base64 } = await loadImageBase64(imageData);
+  const extension = (mimeType.split('/')[1] || 'png').replace('jpeg', 'jpg');
+  const file = path.join(os.tmpdir(), `flyer-${crypto.randomUUID()}.${extension}`);
+
+  await fs.writeFile(file, Buffer.from(base64, 'base64'));
+
+  try {
+    const { stdout } = await execFileAsync(
+      process.env.TESSERACT_PATH || 'tesseract',
+      [file, 'stdout', '-l', process.env.TESSERACT_LANG || 'spa+eng'],
+      { timeout: OCR_TIMEOUT_MS, maxBuffer: 5 * 1024 * 1024 }
+    );
+    return stdout.trim();
+  } finally {
+    await fs.unlink(file).catch(() => {});
+  }
+}
+
+async function analyze({ systemPrompt, userText, imageData, model }) {
+  const text = imageData ? await runOcr(imageData) : null;
+
+  if (imageData && !text) {
+    throw new Error('Tesseract did not recognize any text');
+  }
+
+  if (text) console.log(`[EVENT_VISION] 🔤 OCR extracted ${text.length} chars`);
+
+  const llm = new OpenAI({
+    baseURL: process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'local'
+  });
+
+  const response = await llm.chat.completions.create({
+    model,
+    messages: [
+      { role: 'system', content: systemPrompt },
+      {
+        role: 'user',
+        content: !text ? userText : `${userText}\n\nNo tienes la imagen: este es el texto que el OCR leyó del flyer (puede tener errores de lectura). Úsalo también como extracted_text. Sin la imagen no conoces posiciones: usa bbox null en field_confidence.\n\n"""\n${text}\n"""`
+      }
+    ],
+    max_tokens: 2048,
+    temperature: 0.1,
+    response_format: { type: 'json_object' }
+  });
+
+  return {
+    content: response.choices?.[0]?.message?.content,
+    tokensUsed: response.usage?.total_tokens || 0
+  };
+}
+
+module.exports = {
+  defaultModel: process.env.LOCAL_LLM_MODEL || DEFAULT_MODEL,
+  analyze,
+  runOcr
+};
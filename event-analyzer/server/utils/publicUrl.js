@@ -0,0 +1,162 @@
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+/**
+ * Guards for server-side requests to user-supplied URLs.
+ *
+ * Only public internet addresses are reachable, so a URL can't point the
+ * server at the cloud metadata service (169.254.169.254), localhost or the
+ * private network. Host names are checked when the connection is made (the
+ * agents' lookup), not in a separate DNS query beforehand, so a name that
+ * resolves differently the second time can't slip through. Requests must not
+ * follow redirects on their own: check every Location with assertPublicUrl,
+ * or use fetchPublicUrl, which does all of it.
+ */
+
+const MAX_REDIRECTS = 5;
+
+const BLOCKED = new net.BlockList();
+
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, broadcast
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+
+[
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is on the public internet. IPv4-mapped IPv6
+ * addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function notPublicError(message) {
+  return Object.assign(new Error(message), { code: 'ENOTPUBLIC' });
+}
+
+/**
+ * dns.lookup that fails with ENOTPUBLIC when the name resolves to a
+ * non-public address (any of them)
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find((entry) => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(notPublicError(`${hostname} resolves to a non-public address (${blocked.address})`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Validate a URL before requesting it: http(s) only, and IP literals must be
+ * public (names are checked on connect by the agents below)
+ * @param {string} url
+ * @returns {URL}
+ * @throws {Error} code ENOTPUBLIC
+ */
+function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw notPublicError(`Invalid URL: ${url}`);
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw notPublicError(`Unsupported protocol: ${parsed.protocol}`);
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw notPublicError(`${host} is not a public address`);
+  }
+
+  return parsed;
+}
+
+// Agents whose connections only reach public addresses (axios httpAgent / httpsAgent)
+const publicHttpAgent = new http.Agent({ lookup: publicLookup });
+const publicHttpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * GET a user-supplied URL: public addresses only, every redirect checked and
+ * at most `maxBytes` of body
+ * @param {string} url
+ * @param {Object} options - { maxBytes, timeout, headers }
+ * @returns {Promise<{ data: Buffer, contentType: string }>}
+ * @throws {Error} code ENOTPUBLIC when the URL or a redirect points to a
+ *   non-public address; axios errors for bodies over maxBytes and bad statuses
+ */
+async function fetchPublicUrl(url, { maxBytes, timeout, headers = {} }) {
+  let target = url;
+
+  for (let redirects = 0; ; redirects++) {
+    assertPublicUrl(target);
+
+    const response = await axios.get(target, {
+      responseType: 'arraybuffer',
+      timeout,
+      maxContentLength: maxBytes,
+      maxRedirects: 0,
+      validateStatus: (status) => status >= 200 && status < 400,
+      httpAgent: publicHttpAgent,
+      httpsAgent: publicHttpsAgent,
+      proxy: false,
+      headers
+    });
+
+    if (response.status < 300) {
+      return {
+        data: Buffer.from(response.data),
+        contentType: response.headers['content-type'] || ''
+      };
+    }
+
+    if (!response.headers.location) {
+      throw new Error(`Redirect (${response.status}) without a Location`);
+    }
+    if (redirects >= MAX_REDIRECTS) {
+      throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+    }
+
+    target = new URL(response.headers.location, target).toString();
+  }
+}
+
+module.exports = {
+  isPublicAddress,
+  publicLookup,
+  assertPublicUrl,
+  fetchPublicUrl,
+  publicHttpAgent,
+  publicHttpsAgent
+};
@@ -0,0 +1,117 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const dns = require('dns');
+
+const { isPublicAddress, publicLookup, assertPublicUrl, fetchPublicUrl } = require('./publicUrl');
+
+const lookup = (hostname, options) => new Promise((resolve, reject) => {
+  publicLookup(hostname, options, (error, ...result) => (error ? reject(error) : resolve(result)));
+});
+
+const resolvesTo = (...addresses) => mock.method(dns, 'lookup', (hostname, options, callback) => {
+  callback(null, addresses.map((address) => ({ address, family: address.includes(':') ? 6 : 4 })));
+});
+
+const redirect = (location) => ({ status: 302, headers: location ? { location } : {}, data: Buffer.alloc(0) });
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('isPublicAddress', () => {
+  for (const address of ['8.8.8.8', '93.184.216.34', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+    it(`accepts ${address}`, () => {
+      assert.strictEqual(isPublicAddress(address), true);
+    });
+  }
+
+  for (const address of [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:169.254.169.254',
+    'metadata.google.internal'
+  ]) {
+    it(`refuses ${address}`, () => {
+      assert.strictEqual(isPublicAddress(address), false);
+    });
+  }
+});
+
+describe('publicLookup', () => {
+  it('passes public addresses through in the shape the caller asked for', async () => {
+    resolvesTo('93.184.216.34', '2606:2800:220:1::1');
+
+    assert.deepStrictEqual(await lookup('example.com', {}), ['93.184.216.34', 4]);
+    assert.deepStrictEqual(await lookup('example.com', { all: true }), [[
+      { address: '93.184.216.34', family: 4 },
+      { address: '2606:2800:220:1::1', family: 6 }
+    ]]);
+  });
+
+  it('fails when any address of the name is not public', async () => {
+    resolvesTo('93.184.216.34', '10.0.0.5');
+
+    await assert.rejects(lookup('internal.example.com', {}), { code: 'ENOTPUBLIC' });
+  });
+
+  it('passes DNS errors through', async () => {
+    mock.method(dns, 'lookup', (hostname, options, callback) => {
+      callback(Object.assign(new Error('not found'), { code: 'ENOTFOUND' }));
+    });
+
+    await assert.rejects(lookup('nowhere.invalid', {}), { code: 'ENOTFOUND' });
+  });
+});
+
+describe('assertPublicUrl', () => {
+  it('accepts http(s) URLs with a public IP or a host name', () => {
+    assert.strictEqual(assertPublicUrl('https://93.184.216.34/a').hostname, '93.184.216.34');
+    assert.strictEqual(assertPublicUrl('http://example.com/feed.ics').hostname, 'example.com');
+  });
+
+  for (const url of [
+    'not a url',
+    'file:///etc/passwd',
+    'ftp://example.com/feed.ics',
+    'webcal://example.com/feed.ics',
+    'http://127.0.0.1:3001/api/health',
+    'http://2130706433/',
+    'http://[::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://169.254.169.254/latest/meta-data/'
+  ]) {
+    it(`refuses ${url}`, () => {
+      assert.throws(() => assertPublicUrl(url), { code: 'ENOTPUBLIC' });
+    });
+  }
+});
+
+describe('fetchPublicUrl', () => {
+  it('follows a relative redirect and checks it', async () => {
+    const get = mock.method(axios, 'get', async (url) => (url.endsWith('/old')
+      ? redirect('/new')
+      : { status: 200, headers: { 'content-type': 'text/plain' }, data: Buffer.from('ok') }));
+
+    const { data, contentType } = await fetchPublicUrl('https://93.184.216.34/old', { maxBytes: 10 });
+
+    assert.strictEqual(data.toString(), 'ok');
+    assert.strictEqual(contentType, 'text/plain');
+    assert.deepStrictEqual(get.mock.calls.map((call) => call.arguments[0]), [
+      'https://93.184.216.34/old',
+      'https://93.184.216.34/new'
+    ]);
+  });
+
+  it('stops after five redirects', async () => {
+    const get = mock.method(axios, 'get', async (url) => redirect(`${url}x`));
+
+    await assert.rejects(fetchPublicUrl('https://93.184.216.34/', { maxBytes: 10 }), /More than 5 redirects/);
+    assert.strictEqual(get.mock.callCount(), 6);
+  });
+
+  it('refuses a redirect without Location', async () => {
+    mock.method(axios, 'get', async () => redirect(null));
+
+    await assert.rejects(fetchPublicUrl('https://93.184.216.34/', { maxBytes: 10 }), /without a Location/);
+  });
+});
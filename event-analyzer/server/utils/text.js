@@ -0,0 +1,63 @@
+/**
+ * Text normalization and fuzzy matching helpers
+ */
+
+/**
+ * Lowercase, strip accents and punctuation, collapse whitespace
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return (text || '')
+    .toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9@#\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Character trigrams of a string (padded so short words still produce grams)
+ * @param {string} text - Already normalized text
+ * @returns {Set<string>}
+ */
+function trigrams(text) {
+  const grams = new Set();
+  for (const word of text.split(' ').filter(Boolean)) {
+    const padded = `  ${word} `;
+    for (let i = 0; i < padded.length - 2; i++) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  }
+  return grams;
+}
+
+/**
+ * Trigram similarity (Dice coefficient) between two strings, 0..1.
+ * Same idea as Postgres pg_trgm, tolerant to typos and small spelling changes.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function trigramSimilarity(a, b) {
+  const na = normalizeText(a);
+  const nb = normalizeText(b);
+  if (!na || !nb) return 0;
+  if (na === nb) return 1;
+
+  const ga = trigrams(na);
+  const gb = trigrams(nb);
+  let shared = 0;
+  for (const g of ga) {
+    if (gb.has(g)) shared++;
+  }
+
+  return (2 * shared) / (ga.size + gb.size);
+}
+
+module.exports = {
+  normalizeText,
+  trigramSimilarity
+};